@@ -11,10 +11,14 @@ import Login from './pages/auth/Login';
 import Signup from './pages/auth/Signup';
 import ForgotPassword from './pages/auth/ForgotPassword';
 import VerifyEmail from './pages/auth/VerifyEmail';
+import AcceptInvite from './pages/auth/AcceptInvite';
 
 // Dashboard pages
 import Dashboard from './pages/dashboard/Dashboard';
 import Workflows from './pages/dashboard/Workflows';
+import WorkflowRuns from './pages/dashboard/WorkflowRuns';
+import DeadLetters from './pages/dashboard/DeadLetters';
+import Approvals from './pages/dashboard/Approvals';
 import Analytics from './pages/dashboard/Analytics';
 import Profile from './pages/dashboard/Profile';
 import Settings from './pages/dashboard/Settings';
@@ -97,6 +101,7 @@ const Routes = () => {
             <Route path="/signup" element={<Signup />} />
             <Route path="/forgot-password" element={<ForgotPassword />} />
             <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/accept-invite/:token" element={<AcceptInvite />} />
 
             {/* Protected dashboard routes */}
             <Route path="/dashboard" element={
@@ -109,18 +114,43 @@ const Routes = () => {
                 <Workflows />
               </ProtectedRoute>
             } />
+            <Route path="/dashboard/workflows/dead-letters" element={
+              <ProtectedRoute>
+                <DeadLetters />
+              </ProtectedRoute>
+            } />
+            <Route path="/dashboard/workflows/:workflowId/runs" element={
+              <ProtectedRoute>
+                <WorkflowRuns />
+              </ProtectedRoute>
+            } />
+            <Route path="/dashboard/workflows/:workflowId/runs/:executionId" element={
+              <ProtectedRoute>
+                <WorkflowRuns />
+              </ProtectedRoute>
+            } />
+            <Route path="/dashboard/approvals" element={
+              <ProtectedRoute>
+                <Approvals />
+              </ProtectedRoute>
+            } />
+            <Route path="/dashboard/approvals/:approvalId" element={
+              <ProtectedRoute>
+                <Approvals />
+              </ProtectedRoute>
+            } />
             <Route path="/dashboard/analytics" element={
-              <ProtectedRoute requiredRoles={['super_admin', 'org_admin', 'manager']}>
+              <ProtectedRoute requiredPermission="canViewAnalytics">
                 <Analytics />
               </ProtectedRoute>
             } />
             <Route path="/dashboard/team" element={
-              <ProtectedRoute requiredRoles={['super_admin', 'org_admin']}>
+              <ProtectedRoute requiredPermission="canManageUsers">
                 <Team />
               </ProtectedRoute>
             } />
             <Route path="/dashboard/integrations" element={
-              <ProtectedRoute requiredRoles={['super_admin', 'org_admin', 'manager']}>
+              <ProtectedRoute requiredPermission="canManageIntegrations">
                 <Integrations />
               </ProtectedRoute>
             } />
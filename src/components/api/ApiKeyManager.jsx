@@ -0,0 +1,404 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Icon from '../AppIcon';
+import { useAuth } from '../auth/AuthProvider';
+import {
+  API_KEY_RESOURCES,
+  API_KEY_ACCESS_OPTIONS,
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  getApiKeyStatus,
+  getApiKeyUsage
+} from '../../lib/apiKeys';
+import toast from 'react-hot-toast';
+
+const expiryOptions = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'never', label: 'Never' }
+];
+
+const overlapOptions = [
+  { value: '0', label: 'Stop the old key now' },
+  { value: '1', label: '1 hour' },
+  { value: '24', label: '24 hours' },
+  { value: '168', label: '7 days' }
+];
+
+const statusStyles = {
+  active: 'bg-success/10 text-success',
+  expiring: 'bg-warning/10 text-warning',
+  expired: 'bg-error/10 text-error',
+  revoked: 'bg-error/10 text-error'
+};
+
+const emptyForm = () => ({
+  name: '',
+  expiry: '90',
+  scopes: { workflows: 'read', executions: 'read' }
+});
+
+const ApiKeyManager = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [rotatingKey, setRotatingKey] = useState(null);
+  const [overlapHours, setOverlapHours] = useState('24');
+  const [revealedKey, setRevealedKey] = useState(null);
+  const [usageKey, setUsageKey] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { profile } = useAuth();
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [profile]);
+
+  const fetchApiKeys = async () => {
+    if (!profile?.organization_id) return;
+
+    const result = await listApiKeys(profile.organization_id);
+    if (result.success) {
+      setApiKeys(result.data);
+    } else {
+      toast.error('Failed to load API keys');
+    }
+    setLoading(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const expiresAt = form.expiry === 'never'
+        ? null
+        : new Date(Date.now() + Number(form.expiry) * 24 * 60 * 60 * 1000).toISOString();
+
+      const result = await createApiKey({
+        organizationId: profile.organization_id,
+        createdBy: profile.id,
+        name: form.name,
+        scopes: form.scopes,
+        expiresAt
+      });
+      if (!result.success) throw new Error(result.error);
+
+      setForm(null);
+      setRevealedKey({ name: result.data.name, key: result.key });
+      fetchApiKeys();
+    } catch (error) {
+      console.error('Error generating API key:', error);
+      toast.error(error.message || 'Failed to generate API key');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRotate = async () => {
+    setIsSubmitting(true);
+    try {
+      const result = await rotateApiKey({
+        apiKey: rotatingKey,
+        createdBy: profile.id,
+        overlapHours: Number(overlapHours)
+      });
+      if (!result.success) throw new Error(result.error);
+
+      setRotatingKey(null);
+      setRevealedKey({ name: result.data.name, key: result.key });
+      fetchApiKeys();
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      toast.error(error.message || 'Failed to rotate API key');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (keyId) => {
+    const result = await revokeApiKey(keyId);
+    if (result.success) {
+      toast.success('API key revoked');
+      fetchApiKeys();
+    } else {
+      toast.error('Failed to revoke API key');
+    }
+  };
+
+  const handleShowUsage = async (apiKey) => {
+    setUsageKey(apiKey);
+    setUsage(null);
+    const result = await getApiKeyUsage(apiKey.id);
+    if (result.success) {
+      setUsage(result.data);
+    } else {
+      toast.error('Failed to load usage');
+    }
+  };
+
+  const copyKey = async () => {
+    await navigator.clipboard.writeText(revealedKey.key);
+    toast.success('API key copied');
+  };
+
+  const describeScopes = (scopes) => {
+    const granted = API_KEY_RESOURCES
+      .filter(resource => scopes?.[resource.id])
+      .map(resource => `${resource.label} (${scopes[resource.id]})`);
+    return granted.length > 0 ? granted.join(', ') : 'No access';
+  };
+
+  const maxDailyCount = Math.max(1, ...(usage?.daily || []).map(day => day.count));
+
+  return (
+    <div className="bg-card rounded-genetic-lg p-8 shadow-organic-sm">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-text-primary">API Keys</h2>
+          <p className="text-text-secondary">
+            Manage API keys for programmatic access
+          </p>
+        </div>
+        <Button
+          variant="default"
+          iconName="Plus"
+          iconPosition="left"
+          onClick={() => setForm(emptyForm())}
+        >
+          Generate Key
+        </Button>
+      </div>
+
+      <div className="space-y-4">
+        {loading ? (
+          <div className="p-8 text-center">
+            <Icon name="Loader2" size={32} className="animate-spin text-text-secondary mx-auto" />
+          </div>
+        ) : apiKeys.length === 0 ? (
+          <div className="text-center py-8">
+            <Icon name="Key" size={48} className="text-text-secondary mx-auto mb-4" />
+            <h3 className="text-lg font-semibold text-text-primary mb-2">
+              No API Keys
+            </h3>
+            <p className="text-text-secondary">
+              Generate your first API key to start using our API
+            </p>
+          </div>
+        ) : (
+          apiKeys.map((key) => {
+            const status = getApiKeyStatus(key);
+            return (
+              <div key={key.id} className="p-4 border border-border rounded-genetic-md">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <h4 className="font-medium text-text-primary">{key.name}</h4>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[status]}`}>
+                        {status === 'expiring' ? 'Rotated' : status.charAt(0).toUpperCase() + status.slice(1)}
+                      </span>
+                    </div>
+                    <p className="text-sm text-text-secondary font-mono">
+                      {key.key_prefix}••••••••••••••••
+                    </p>
+                    <p className="text-xs text-text-secondary mt-1">{describeScopes(key.permissions)}</p>
+                    <p className="text-xs text-text-secondary">
+                      Created {new Date(key.created_at).toLocaleDateString()}
+                      {' · '}
+                      {key.expires_at
+                        ? `${status === 'expired' ? 'Expired' : 'Expires'} ${new Date(key.expires_at).toLocaleString()}`
+                        : 'Never expires'}
+                      {' · '}
+                      {key.last_used
+                        ? `Last used ${new Date(key.last_used).toLocaleString()} (${key.usage_count} requests)`
+                        : 'Never used'}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-4">
+                    <Button variant="ghost" size="sm" iconName="BarChart3" onClick={() => handleShowUsage(key)}>
+                      Usage
+                    </Button>
+                    {status === 'active' && (
+                      <Button variant="outline" size="sm" iconName="RefreshCw" onClick={() => setRotatingKey(key)}>
+                        Rotate
+                      </Button>
+                    )}
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      iconName="Trash2"
+                      onClick={() => handleRevoke(key.id)}
+                    >
+                      Revoke
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {/* Generate key */}
+      {form && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-lg">
+            <h3 className="text-lg font-semibold text-text-primary mb-4">Generate API Key</h3>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <Input
+                label="Name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Reporting integration"
+                required
+              />
+              <Select
+                label="Expires after"
+                options={expiryOptions}
+                value={form.expiry}
+                onChange={(expiry) => setForm(prev => ({ ...prev, expiry }))}
+              />
+              <div className="space-y-3">
+                <h4 className="text-sm font-medium text-text-primary">Access</h4>
+                {API_KEY_RESOURCES.map(resource => (
+                  <div key={resource.id} className="flex items-center gap-3">
+                    <div className="flex-1">
+                      <p className="text-sm text-text-primary">{resource.label}</p>
+                      <p className="text-xs text-text-secondary">{resource.description}</p>
+                    </div>
+                    <Select
+                      options={API_KEY_ACCESS_OPTIONS}
+                      value={form.scopes[resource.id] || 'none'}
+                      onChange={(access) => setForm(prev => ({
+                        ...prev,
+                        scopes: { ...prev.scopes, [resource.id]: access }
+                      }))}
+                      className="w-40"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <Button type="button" variant="outline" onClick={() => setForm(null)} disabled={isSubmitting}>
+                  Cancel
+                </Button>
+                <Button type="submit" variant="default" loading={isSubmitting} iconName="Key" iconPosition="left">
+                  Generate
+                </Button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Rotate key */}
+      {rotatingKey && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-text-primary mb-2">Rotate {rotatingKey.name}</h3>
+            <p className="text-sm text-text-secondary mb-4">
+              A new key with the same access replaces this one. Keep the old key working long enough to
+              update the clients that use it.
+            </p>
+            <Select
+              label="Old key keeps working for"
+              options={overlapOptions}
+              value={overlapHours}
+              onChange={setOverlapHours}
+            />
+            <div className="flex justify-end space-x-3 mt-6">
+              <Button variant="outline" onClick={() => setRotatingKey(null)} disabled={isSubmitting}>
+                Cancel
+              </Button>
+              <Button variant="default" onClick={handleRotate} loading={isSubmitting} iconName="RefreshCw" iconPosition="left">
+                Rotate Key
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Show-once reveal */}
+      {revealedKey && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-lg">
+            <h3 className="text-lg font-semibold text-text-primary mb-2">{revealedKey.name}</h3>
+            <p className="text-sm text-warning mb-4">
+              Copy this key now. It is stored hashed and will not be shown again.
+            </p>
+            <div className="flex items-center gap-2 p-3 bg-muted rounded-genetic-md">
+              <code className="flex-1 text-sm break-all">{revealedKey.key}</code>
+              <Button variant="ghost" size="sm" iconName="Copy" onClick={copyKey} />
+            </div>
+            <div className="flex justify-end mt-6">
+              <Button variant="default" onClick={() => setRevealedKey(null)}>
+                I've saved it
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Usage */}
+      {usageKey && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-text-primary">{usageKey.name} usage</h3>
+              <Button variant="ghost" size="sm" iconName="X" onClick={() => setUsageKey(null)} />
+            </div>
+
+            {!usage ? (
+              <div className="p-8 text-center">
+                <Icon name="Loader2" size={32} className="animate-spin text-text-secondary mx-auto" />
+              </div>
+            ) : (
+              <div className="space-y-6">
+                <div>
+                  <h4 className="text-sm font-medium text-text-primary mb-3">Requests, last 14 days</h4>
+                  <div className="flex items-end gap-1 h-32">
+                    {usage.daily.map(day => (
+                      <div key={day.date} className="flex-1 flex flex-col items-center justify-end h-full" title={`${day.label}: ${day.count}`}>
+                        <div
+                          className="w-full bg-primary rounded-t"
+                          style={{ height: `${(day.count / maxDailyCount) * 100}%`, minHeight: day.count ? 2 : 0 }}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex justify-between text-xs text-text-secondary mt-1">
+                    <span>{usage.daily[0]?.label}</span>
+                    <span>{usage.daily[usage.daily.length - 1]?.label}</span>
+                  </div>
+                </div>
+
+                <div>
+                  <h4 className="text-sm font-medium text-text-primary mb-3">Recent requests</h4>
+                  {usage.recent.length === 0 ? (
+                    <p className="text-sm text-text-secondary">No requests in this period.</p>
+                  ) : (
+                    <div className="divide-y divide-border border border-border rounded-genetic-md">
+                      {usage.recent.map((request, index) => (
+                        <div key={index} className="flex items-center justify-between px-3 py-2 text-sm">
+                          <span className="font-mono text-text-primary">{request.method} {request.path}</span>
+                          <span className="text-text-secondary">{new Date(request.created_at).toLocaleString()}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeyManager;
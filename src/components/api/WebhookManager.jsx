@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { Checkbox } from '../ui/Checkbox';
+import Icon from '../AppIcon';
+import { useAuth } from '../auth/AuthProvider';
+import {
+  WEBHOOK_EVENTS,
+  listWebhookSubscriptions,
+  saveWebhookSubscription,
+  deleteWebhookSubscription,
+  listWebhookDeliveries,
+  sendTestWebhookEvent
+} from '../../lib/webhookSubscriptions';
+import toast from 'react-hot-toast';
+
+const deliveryStatusStyles = {
+  delivered: 'bg-success/10 text-success',
+  pending: 'bg-warning/10 text-warning',
+  failed: 'bg-error/10 text-error'
+};
+
+const emptyForm = () => ({
+  id: null,
+  name: '',
+  url: '',
+  events: ['execution.completed', 'execution.failed'],
+  isActive: true
+});
+
+const WebhookManager = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [deletingSubscription, setDeletingSubscription] = useState(null);
+  const [logSubscription, setLogSubscription] = useState(null);
+  const [deliveries, setDeliveries] = useState(null);
+  const [expandedDelivery, setExpandedDelivery] = useState(null);
+  const [testingId, setTestingId] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { profile } = useAuth();
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [profile]);
+
+  const fetchSubscriptions = async () => {
+    if (!profile?.organization_id) return;
+
+    const result = await listWebhookSubscriptions(profile.organization_id);
+    if (result.success) {
+      setSubscriptions(result.data);
+    } else {
+      toast.error('Failed to load webhooks');
+    }
+    setLoading(false);
+  };
+
+  const fetchDeliveries = async (subscription) => {
+    setDeliveries(null);
+    const result = await listWebhookDeliveries(subscription.id);
+    if (result.success) {
+      setDeliveries(result.data);
+    } else {
+      toast.error('Failed to load deliveries');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const result = await saveWebhookSubscription({
+        id: form.id,
+        organizationId: profile.organization_id,
+        createdBy: profile.id,
+        name: form.name,
+        url: form.url,
+        events: form.events,
+        isActive: form.isActive
+      });
+      if (!result.success) throw new Error(result.error);
+
+      toast.success(form.id ? 'Webhook updated' : 'Webhook added');
+      setForm(null);
+      fetchSubscriptions();
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+      toast.error(error.message || 'Failed to save webhook');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsSubmitting(true);
+    const result = await deleteWebhookSubscription(deletingSubscription.id);
+    if (result.success) {
+      toast.success('Webhook deleted');
+      setDeletingSubscription(null);
+      fetchSubscriptions();
+    } else {
+      toast.error('Failed to delete webhook');
+    }
+    setIsSubmitting(false);
+  };
+
+  const handleSendTest = async (subscription) => {
+    setTestingId(subscription.id);
+    const result = await sendTestWebhookEvent(subscription.id);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to send test event');
+    } else if (result.data.status === 'delivered') {
+      toast.success(`Test event delivered (${result.data.response_status})`);
+    } else {
+      toast.error(`Test event failed: ${result.data.error || 'no response'}`);
+    }
+    setTestingId(null);
+    if (logSubscription?.id === subscription.id) fetchDeliveries(subscription);
+  };
+
+  const handleShowLog = (subscription) => {
+    setLogSubscription(subscription);
+    setExpandedDelivery(null);
+    fetchDeliveries(subscription);
+  };
+
+  const copySecret = async (subscription) => {
+    await navigator.clipboard.writeText(subscription.secret);
+    toast.success('Signing secret copied');
+  };
+
+  const toggleEvent = (eventId, checked) => setForm(prev => ({
+    ...prev,
+    events: checked ? [...prev.events, eventId] : prev.events.filter(event => event !== eventId)
+  }));
+
+  const eventLabel = (eventId) => WEBHOOK_EVENTS.find(event => event.id === eventId)?.label || eventId;
+
+  return (
+    <div className="bg-card rounded-genetic-lg p-8 shadow-organic-sm">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-text-primary">Webhooks</h2>
+          <p className="text-text-secondary">
+            Notify your systems when workflows run, are published or when members join
+          </p>
+        </div>
+        <Button
+          variant="default"
+          iconName="Plus"
+          iconPosition="left"
+          onClick={() => setForm(emptyForm())}
+        >
+          Add Webhook
+        </Button>
+      </div>
+
+      <div className="space-y-4">
+        {loading ? (
+          <div className="p-8 text-center">
+            <Icon name="Loader2" size={32} className="animate-spin text-text-secondary mx-auto" />
+          </div>
+        ) : subscriptions.length === 0 ? (
+          <div className="text-center py-8">
+            <Icon name="Webhook" size={48} className="text-text-secondary mx-auto mb-4" />
+            <h3 className="text-lg font-semibold text-text-primary mb-2">
+              No Webhooks
+            </h3>
+            <p className="text-text-secondary">
+              Add an endpoint to receive events as signed POST requests
+            </p>
+          </div>
+        ) : (
+          subscriptions.map((subscription) => (
+            <div key={subscription.id} className="p-4 border border-border rounded-genetic-md">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <h4 className="font-medium text-text-primary">{subscription.name}</h4>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      subscription.is_active ? 'bg-success/10 text-success' : 'bg-muted text-text-secondary'
+                    }`}>
+                      {subscription.is_active ? 'Active' : 'Disabled'}
+                    </span>
+                  </div>
+                  <p className="text-sm text-text-secondary font-mono truncate">{subscription.url}</p>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {subscription.events.map(event => (
+                      <span key={event} className="px-2 py-0.5 bg-muted rounded text-xs text-text-secondary">
+                        {eventLabel(event)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    iconName="Send"
+                    onClick={() => handleSendTest(subscription)}
+                    loading={testingId === subscription.id}
+                    disabled={!subscription.is_active}
+                  >
+                    Send Test
+                  </Button>
+                  <Button variant="ghost" size="sm" iconName="List" onClick={() => handleShowLog(subscription)}>
+                    Deliveries
+                  </Button>
+                  <Button variant="ghost" size="sm" iconName="Copy" onClick={() => copySecret(subscription)} title="Copy signing secret" />
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    iconName="Pencil"
+                    onClick={() => setForm({
+                      id: subscription.id,
+                      name: subscription.name,
+                      url: subscription.url,
+                      events: subscription.events,
+                      isActive: subscription.is_active
+                    })}
+                  />
+                  <Button variant="ghost" size="sm" iconName="Trash2" onClick={() => setDeletingSubscription(subscription)} />
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {subscriptions.length > 0 && (
+        <p className="text-xs text-text-secondary mt-4">
+          Each request carries an <code>X-Signature-256</code> header with <code>sha256=</code> and the hex
+          HMAC-SHA256 of the body, keyed with the webhook's signing secret. Failed deliveries are retried
+          for about two hours.
+        </p>
+      )}
+
+      {/* Add or edit webhook */}
+      {form && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-lg">
+            <h3 className="text-lg font-semibold text-text-primary mb-4">
+              {form.id ? 'Edit Webhook' : 'Add Webhook'}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <Input
+                label="Name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Incident alerts"
+                required
+              />
+              <Input
+                label="Endpoint URL"
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+                placeholder="https://example.com/webhooks/workflowgene"
+                required
+              />
+              <div className="space-y-3">
+                <h4 className="text-sm font-medium text-text-primary">Events</h4>
+                {WEBHOOK_EVENTS.map(event => (
+                  <Checkbox
+                    key={event.id}
+                    label={event.label}
+                    description={event.description}
+                    checked={form.events.includes(event.id)}
+                    onChange={(e) => toggleEvent(event.id, e.target.checked)}
+                  />
+                ))}
+              </div>
+              <Checkbox
+                label="Active"
+                description="Disabled webhooks receive no new events"
+                checked={form.isActive}
+                onChange={(e) => setForm(prev => ({ ...prev, isActive: e.target.checked }))}
+              />
+              <div className="flex justify-end space-x-3 pt-2">
+                <Button type="button" variant="outline" onClick={() => setForm(null)} disabled={isSubmitting}>
+                  Cancel
+                </Button>
+                <Button type="submit" variant="default" loading={isSubmitting}>
+                  {form.id ? 'Save' : 'Add Webhook'}
+                </Button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Delete webhook */}
+      {deletingSubscription && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-text-primary mb-2">Delete {deletingSubscription.name}?</h3>
+            <p className="text-sm text-text-secondary">
+              The endpoint stops receiving events and its delivery log is removed.
+            </p>
+            <div className="flex justify-end space-x-3 mt-6">
+              <Button variant="outline" onClick={() => setDeletingSubscription(null)} disabled={isSubmitting}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleDelete} loading={isSubmitting}>
+                Delete
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Delivery log */}
+      {logSubscription && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-text-primary">{logSubscription.name} deliveries</h3>
+              <div className="flex items-center space-x-2">
+                <Button variant="ghost" size="sm" iconName="RefreshCw" onClick={() => fetchDeliveries(logSubscription)} />
+                <Button variant="ghost" size="sm" iconName="X" onClick={() => setLogSubscription(null)} />
+              </div>
+            </div>
+
+            {!deliveries ? (
+              <div className="p-8 text-center">
+                <Icon name="Loader2" size={32} className="animate-spin text-text-secondary mx-auto" />
+              </div>
+            ) : deliveries.length === 0 ? (
+              <p className="text-sm text-text-secondary">No events have been sent to this webhook yet.</p>
+            ) : (
+              <div className="divide-y divide-border border border-border rounded-genetic-md">
+                {deliveries.map(delivery => (
+                  <div key={delivery.id} className="px-3 py-2 text-sm">
+                    <button
+                      type="button"
+                      className="w-full flex items-center justify-between text-left"
+                      onClick={() => setExpandedDelivery(expandedDelivery === delivery.id ? null : delivery.id)}
+                    >
+                      <div className="flex items-center space-x-3 min-w-0">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${deliveryStatusStyles[delivery.status]}`}>
+                          {delivery.status}
+                        </span>
+                        <span className="font-mono text-text-primary">{delivery.event_type}</span>
+                        {delivery.response_status && (
+                          <span className="text-text-secondary">HTTP {delivery.response_status}</span>
+                        )}
+                      </div>
+                      <span className="text-text-secondary whitespace-nowrap ml-3">
+                        {new Date(delivery.created_at).toLocaleString()}
+                        {' · '}
+                        {delivery.attempt_count} {delivery.attempt_count === 1 ? 'attempt' : 'attempts'}
+                      </span>
+                    </button>
+
+                    {expandedDelivery === delivery.id && (
+                      <div className="mt-3 space-y-3">
+                        {delivery.status === 'pending' && delivery.next_attempt_at && (
+                          <p className="text-xs text-text-secondary">
+                            Next attempt {new Date(delivery.next_attempt_at).toLocaleString()}
+                          </p>
+                        )}
+                        {(delivery.attempts || []).map(attempt => (
+                          <div key={attempt.attempt} className="text-xs text-text-secondary">
+                            Attempt {attempt.attempt} at {new Date(attempt.attempted_at).toLocaleString()}
+                            {' · '}
+                            {attempt.response_status ? `HTTP ${attempt.response_status}` : 'No response'}
+                            {' · '}
+                            {attempt.duration_ms} ms
+                            {attempt.error && <span className="block text-error break-all">{attempt.error}</span>}
+                          </div>
+                        ))}
+                        <pre className="p-3 bg-muted rounded-genetic-md text-xs overflow-x-auto">
+                          {JSON.stringify(delivery.payload, null, 2)}
+                        </pre>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookManager;
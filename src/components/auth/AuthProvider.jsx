@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useEffect } from 'react';
 import useAuthStore from '../../store/authStore';
-import { ensureSuperAdmin } from '../../lib/auth';
+import { ensureSuperAdmin, recordActivity } from '../../lib/auth';
 
 const AuthContext = createContext({});
 
@@ -24,6 +24,27 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Track activity for idle timeouts and re-check the session policy while signed in
+  useEffect(() => {
+    if (!authStore.user) return;
+
+    let lastRecorded = 0;
+    const handleActivity = () => {
+      if (Date.now() - lastRecorded < 30000) return;
+      lastRecorded = Date.now();
+      recordActivity();
+    };
+
+    const events = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+    events.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    const interval = setInterval(() => useAuthStore.getState().enforceSessionPolicy(), 60000);
+
+    return () => {
+      events.forEach(event => window.removeEventListener(event, handleActivity));
+      clearInterval(interval);
+    };
+  }, [authStore.user?.id]);
+
   const value = {
     ...authStore,
     isAuthenticated: !!authStore.user,
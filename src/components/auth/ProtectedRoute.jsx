@@ -1,17 +1,35 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './AuthProvider';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import { TWO_FACTOR_STATUS } from '../../lib/securityPolicy';
+
+const TWO_FACTOR_SETUP_PATH = '/dashboard/profile';
 
 const ProtectedRoute = ({ 
   children, 
   requiredRoles = [], 
+  requiredPermission = null,
   requireAuth = true,
   fallbackPath = '/login' 
 }) => {
-  const { isAuthenticated, loading, profile, hasRole, initialized } = useAuth();
+  const {
+    isAuthenticated,
+    loading,
+    profile,
+    hasRole,
+    getPermissions,
+    initialized,
+    twoFactorStatus,
+    enforceSessionPolicy
+  } = useAuth();
   const location = useLocation();
 
+  // Session lifetime and idle limits are checked again on every navigation
+  useEffect(() => {
+    if (isAuthenticated) enforceSessionPolicy();
+  }, [location.pathname, isAuthenticated]);
+
   // Show loading spinner while checking auth state or not initialized
   if (loading || !initialized) {
     return <LoadingSpinner />;
@@ -22,11 +40,21 @@ const ProtectedRoute = ({
     return <Navigate to={fallbackPath} state={{ from: location }} replace />;
   }
 
+  // Members past the organization's 2FA grace period can only reach the page that sets it up
+  if (twoFactorStatus === TWO_FACTOR_STATUS.OVERDUE && location.pathname !== TWO_FACTOR_SETUP_PATH) {
+    return <Navigate to={TWO_FACTOR_SETUP_PATH} state={{ tab: 'security' }} replace />;
+  }
+
   // Check role requirements
   if (requiredRoles.length > 0 && !hasRole(requiredRoles)) {
     return <Navigate to="/dashboard" replace />;
   }
 
+  // Check permission requirements (built-in or custom role)
+  if (requiredPermission && !getPermissions()[requiredPermission]) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
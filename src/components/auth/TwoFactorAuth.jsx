@@ -1,28 +1,58 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Icon from '../AppIcon';
 import { useAuth } from './AuthProvider';
 import { supabase } from '../../lib/supabase';
+import { invokeAccountSecurity, signOut } from '../../lib/auth';
 import toast from 'react-hot-toast';
 
 const TwoFactorAuth = () => {
   const [isEnabled, setIsEnabled] = useState(false);
+  const [remainingCodes, setRemainingCodes] = useState(0);
   const [showSetup, setShowSetup] = useState(false);
+  const [secret, setSecret] = useState('');
   const [qrCode, setQrCode] = useState('');
   const [verificationCode, setVerificationCode] = useState('');
   const [backupCodes, setBackupCodes] = useState([]);
+  // 'disable' or 'regenerate' while asking for a current code
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [confirmCode, setConfirmCode] = useState('');
   const [loading, setLoading] = useState(false);
-  const { profile } = useAuth();
+  const { profile, enforceSessionPolicy } = useAuth();
+
+  useEffect(() => {
+    if (profile?.id) loadStatus();
+  }, [profile?.id]);
+
+  const loadStatus = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('user_security')
+        .select('two_factor_enabled, backup_codes_remaining')
+        .eq('user_id', profile.id)
+        .maybeSingle();
+
+      if (error) throw error;
+      setIsEnabled(!!data?.two_factor_enabled);
+      setRemainingCodes(data?.backup_codes_remaining || 0);
+    } catch (error) {
+      console.error('Error loading 2FA status:', error);
+    }
+  };
 
   const enable2FA = async () => {
     setLoading(true);
     try {
-      // Generate TOTP secret
-      const secret = generateTOTPSecret();
-      const qrCodeUrl = generateQRCode(secret, profile?.email);
-      
+      // The secret is kept on the server until the first code from it is confirmed
+      const reply = await invokeAccountSecurity('setup');
+      if (reply.error) throw new Error(reply.error);
+      const qrCodeUrl = await QRCode.toDataURL(reply.otpauth_uri, { width: 200, margin: 1 });
+
+      setSecret(reply.secret);
       setQrCode(qrCodeUrl);
+      setVerificationCode('');
       setShowSetup(true);
     } catch (error) {
       console.error('Error enabling 2FA:', error);
@@ -32,6 +62,12 @@ const TwoFactorAuth = () => {
     }
   };
 
+  const cancelSetup = () => {
+    setShowSetup(false);
+    setSecret('');
+    setQrCode('');
+  };
+
   const verify2FA = async () => {
     if (!verificationCode || verificationCode.length !== 6) {
       toast.error('Please enter a valid 6-digit code');
@@ -40,32 +76,19 @@ const TwoFactorAuth = () => {
 
     setLoading(true);
     try {
-      // Verify TOTP code
-      const isValid = await verifyTOTPCode(verificationCode);
-      
-      if (isValid) {
-        // Generate backup codes
-        const codes = generateBackupCodes();
-        
-        // Save 2FA settings to database
-        const { error } = await supabase
-          .from('user_security')
-          .upsert({
-            user_id: profile.id,
-            two_factor_enabled: true,
-            backup_codes: codes,
-            updated_at: new Date().toISOString()
-          });
-
-        if (error) throw error;
-
-        setBackupCodes(codes);
-        setIsEnabled(true);
-        setShowSetup(false);
-        toast.success('Two-factor authentication enabled successfully!');
-      } else {
-        toast.error('Invalid verification code');
+      // Only the codes' hashes are stored; they are shown this once
+      const reply = await invokeAccountSecurity('enable', { code: verificationCode });
+      if (reply.error) {
+        toast.error(reply.error);
+        return;
       }
+
+      setBackupCodes(reply.backup_codes);
+      setRemainingCodes(reply.backup_codes.length);
+      setIsEnabled(true);
+      cancelSetup();
+      enforceSessionPolicy();
+      toast.success('Two-factor authentication enabled successfully!');
     } catch (error) {
       console.error('Error verifying 2FA:', error);
       toast.error('Failed to verify 2FA code');
@@ -74,61 +97,60 @@ const TwoFactorAuth = () => {
     }
   };
 
-  const disable2FA = async () => {
+  // Turning 2FA off or replacing backup codes needs a current code, like signing in
+  const confirmWithCode = async () => {
     setLoading(true);
     try {
-      const { error } = await supabase
-        .from('user_security')
-        .update({
-          two_factor_enabled: false,
-          backup_codes: null,
-          updated_at: new Date().toISOString()
-        })
-        .eq('user_id', profile.id);
+      const reply = await invokeAccountSecurity(confirmAction === 'disable' ? 'disable' : 'backup_codes', { code: confirmCode.trim() });
+      if (reply.locked_until) {
+        toast.error('Too many failed attempts; you have been signed out');
+        await signOut();
+        return;
+      }
+      if (reply.error) {
+        toast.error(reply.error || 'Invalid verification code');
+        return;
+      }
 
-      if (error) throw error;
+      if (confirmAction === 'disable') {
+        setIsEnabled(false);
+        setBackupCodes([]);
+        setRemainingCodes(0);
+        enforceSessionPolicy();
+        toast.success('Two-factor authentication disabled');
+      } else {
+        setBackupCodes(reply.backup_codes);
+        setRemainingCodes(reply.backup_codes.length);
+        toast.success('New backup codes generated; the old ones no longer work');
+      }
 
-      setIsEnabled(false);
-      setBackupCodes([]);
-      toast.success('Two-factor authentication disabled');
+      setConfirmAction(null);
     } catch (error) {
-      console.error('Error disabling 2FA:', error);
-      toast.error('Failed to disable 2FA');
+      console.error('Error updating 2FA:', error);
+      toast.error('Failed to update two-factor authentication');
     } finally {
+      setConfirmCode('');
       setLoading(false);
     }
   };
 
-  const generateTOTPSecret = () => {
-    // Generate a random 32-character base32 secret
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-    let secret = '';
-    for (let i = 0; i < 32; i++) {
-      secret += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return secret;
-  };
-
-  const generateQRCode = (secret, email) => {
-    const issuer = 'WorkflowGene Cloud';
-    const label = `${issuer}:${email}`;
-    const otpauth = `otpauth://totp/${encodeURIComponent(label)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
-    return `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(otpauth)}`;
-  };
-
-  const verifyTOTPCode = async (code) => {
-    // In a real implementation, this would verify against the TOTP secret
-    // For demo purposes, we'll accept any 6-digit code
-    return code.length === 6 && /^\d+$/.test(code);
-  };
+  const downloadBackupCodes = () => {
+    const text = [
+      'WorkflowGene Cloud backup codes',
+      `Account: ${profile?.email}`,
+      `Generated: ${new Date().toLocaleString()}`,
+      '',
+      'Each code can be used once.',
+      '',
+      ...backupCodes
+    ].join('\n');
 
-  const generateBackupCodes = () => {
-    const codes = [];
-    for (let i = 0; i < 10; i++) {
-      const code = Math.random().toString(36).substring(2, 10).toUpperCase();
-      codes.push(code);
-    }
-    return codes;
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'workflowgene-backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
   return (
@@ -141,10 +163,12 @@ const TwoFactorAuth = () => {
               Two-Factor Authentication
             </h3>
             <p className="text-text-secondary">
-              Add an extra layer of security to your account
+              {isEnabled
+                ? `Sign-ins need a code from your authenticator app. ${remainingCodes} backup code${remainingCodes === 1 ? '' : 's'} left.`
+                : 'Add an extra layer of security to your account'}
             </p>
           </div>
-          
+
           <div className="flex items-center space-x-3">
             <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${
               isEnabled ? 'bg-success/10 text-success' : 'bg-muted text-text-secondary'
@@ -152,18 +176,28 @@ const TwoFactorAuth = () => {
               <Icon name={isEnabled ? 'Shield' : 'ShieldOff'} size={16} />
               <span>{isEnabled ? 'Enabled' : 'Disabled'}</span>
             </div>
-            
+
             {isEnabled ? (
-              <Button
-                variant="outline"
-                size="sm"
-                onClick={disable2FA}
-                loading={loading}
-                iconName="ShieldOff"
-                iconPosition="left"
-              >
-                Disable
-              </Button>
+              <>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setConfirmAction('regenerate')}
+                  iconName="RefreshCw"
+                  iconPosition="left"
+                >
+                  New Backup Codes
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setConfirmAction('disable')}
+                  iconName="ShieldOff"
+                  iconPosition="left"
+                >
+                  Disable
+                </Button>
+              </>
             ) : (
               <Button
                 variant="default"
@@ -195,9 +229,11 @@ const TwoFactorAuth = () => {
 
             <div className="text-center mb-6">
               <img src={qrCode} alt="2FA QR Code" className="mx-auto mb-4" />
-              <p className="text-sm text-text-secondary">
+              <p className="text-sm text-text-secondary mb-2">
                 Use Google Authenticator, Authy, or any TOTP app
               </p>
+              <p className="text-xs text-text-secondary">Can't scan it? Enter this key instead:</p>
+              <p className="font-mono text-sm text-text-primary break-all">{secret.match(/.{1,4}/g)?.join(' ')}</p>
             </div>
 
             <div className="space-y-4">
@@ -208,13 +244,14 @@ const TwoFactorAuth = () => {
                 onChange={(e) => setVerificationCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
                 placeholder="Enter 6-digit code"
                 maxLength={6}
+                autoComplete="one-time-code"
               />
-              
+
               <div className="flex space-x-3">
                 <Button
                   variant="outline"
                   fullWidth
-                  onClick={() => setShowSetup(false)}
+                  onClick={cancelSetup}
                 >
                   Cancel
                 </Button>
@@ -235,6 +272,55 @@ const TwoFactorAuth = () => {
         </div>
       )}
 
+      {/* Confirm Modal */}
+      {confirmAction && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl max-w-md w-full p-6">
+            <h3 className="text-xl font-bold text-text-primary mb-2">
+              {confirmAction === 'disable' ? 'Disable Two-Factor Authentication' : 'Generate New Backup Codes'}
+            </h3>
+            <p className="text-text-secondary mb-6">
+              Enter a code from your authenticator app, or a backup code, to continue.
+            </p>
+
+            <div className="space-y-4">
+              <Input
+                label="Authentication Code"
+                type="text"
+                value={confirmCode}
+                onChange={(e) => setConfirmCode(e.target.value.slice(0, 11))}
+                placeholder="123456 or XXXXX-XXXXX"
+                autoComplete="one-time-code"
+              />
+
+              <div className="flex space-x-3">
+                <Button
+                  variant="outline"
+                  fullWidth
+                  onClick={() => {
+                    setConfirmAction(null);
+                    setConfirmCode('');
+                  }}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  variant={confirmAction === 'disable' ? 'destructive' : 'default'}
+                  fullWidth
+                  onClick={confirmWithCode}
+                  loading={loading}
+                  disabled={!confirmCode.trim()}
+                  iconName={confirmAction === 'disable' ? 'ShieldOff' : 'RefreshCw'}
+                  iconPosition="left"
+                >
+                  {confirmAction === 'disable' ? 'Disable' : 'Generate'}
+                </Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Backup Codes */}
       {backupCodes.length > 0 && (
         <div className="bg-warning/5 border border-warning/20 rounded-genetic-lg p-6">
@@ -242,11 +328,11 @@ const TwoFactorAuth = () => {
             <Icon name="AlertTriangle" size={20} className="text-warning" />
             <h4 className="font-semibold text-warning">Backup Codes</h4>
           </div>
-          
+
           <p className="text-text-secondary mb-4">
-            Save these backup codes in a secure location. You can use them to access your account if you lose your authenticator device.
+            Save these backup codes in a secure location. You can use them to access your account if you lose your authenticator device. Each code works once, and they will not be shown again.
           </p>
-          
+
           <div className="grid grid-cols-2 gap-2 mb-4 font-mono text-sm">
             {backupCodes.map((code, index) => (
               <div key={index} className="bg-surface p-2 rounded border">
@@ -254,14 +340,19 @@ const TwoFactorAuth = () => {
               </div>
             ))}
           </div>
-          
-          <Button variant="outline" size="sm" iconName="Download" iconPosition="left">
-            Download Codes
-          </Button>
+
+          <div className="flex items-center space-x-3">
+            <Button variant="outline" size="sm" iconName="Download" iconPosition="left" onClick={downloadBackupCodes}>
+              Download Codes
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setBackupCodes([])}>
+              I've saved them
+            </Button>
+          </div>
         </div>
       )}
     </div>
   );
 };
 
-export default TwoFactorAuth;
\ No newline at end of file
+export default TwoFactorAuth;
@@ -1,8 +1,24 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import Button from '../ui/Button';
 import Icon from '../AppIcon';
 import { useAuth } from '../auth/AuthProvider';
-import { supabase } from '../../lib/supabase';
+import {
+  LIMIT_METRICS,
+  PLANS,
+  TRIAL_DAYS,
+  getLimitStatus,
+  getSubscriptionPlan,
+  isUnlimited
+} from '../../lib/billing/plans';
+import {
+  SUBSCRIPTION_STATUS_LABELS,
+  getSubscription,
+  startCheckout,
+  openBillingPortal,
+  listInvoices
+} from '../../lib/stripeBilling';
+import { getPlanUsage, getUsageHistory } from '../../lib/planUsage';
 import toast from 'react-hot-toast';
 
 const BillingDashboard = () => {
@@ -10,184 +26,106 @@ const BillingDashboard = () => {
   const [usage, setUsage] = useState({
     workflows: 0,
     executions: 0,
-    storage: 0
+    seats: 0,
+    integrations: 0
   });
+  const [usageHistory, setUsageHistory] = useState([]);
   const [invoices, setInvoices] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [redirecting, setRedirecting] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
   const { profile } = useAuth();
 
-  const plans = [
-    {
-      id: 'starter',
-      name: 'Starter',
-      price: 0,
-      period: 'month',
-      features: ['5 workflows', '1,000 executions', 'Basic support'],
-      limits: { workflows: 5, executions: 1000, storage: 1 }
-    },
-    {
-      id: 'professional',
-      name: 'Professional',
-      price: 200,
-      period: 'month',
-      features: ['50 workflows', '10,000 executions', 'Priority support'],
-      limits: { workflows: 50, executions: 10000, storage: 10 }
-    },
-    {
-      id: 'enterprise',
-      name: 'Enterprise',
-      price: 'custom',
-      period: 'month',
-      features: ['Unlimited workflows', 'Unlimited executions', 'Dedicated support'],
-      limits: { workflows: -1, executions: -1, storage: -1 }
-    }
-  ];
-
   useEffect(() => {
     fetchSubscription();
     fetchUsage();
     fetchInvoices();
   }, [profile]);
 
+  // Back from Stripe Checkout. The webhook may land a moment after the browser does.
+  useEffect(() => {
+    const checkout = searchParams.get('checkout');
+    if (!checkout) return;
+    if (checkout === 'success') {
+      toast.success('Thanks! Your subscription is being set up');
+      const timer = setTimeout(fetchSubscription, 3000);
+      setSearchParams({ tab: 'billing' }, { replace: true });
+      return () => clearTimeout(timer);
+    }
+    setSearchParams({ tab: 'billing' }, { replace: true });
+  }, []);
+
   const fetchSubscription = async () => {
     if (!profile?.organization_id) return;
-    
-    try {
-      const { data, error } = await supabase
-        .from('billing_subscriptions')
-        .select('*')
-        .eq('organization_id', profile.organization_id)
-        .single();
 
-      if (error && error.code !== 'PGRST116') throw error;
-      setSubscription(data);
-    } catch (error) {
-      console.error('Error fetching subscription:', error);
-    } finally {
-      setLoading(false);
+    const result = await getSubscription(profile.organization_id);
+    if (result.success) {
+      setSubscription(result.data);
     }
+    setLoading(false);
   };
 
   const fetchUsage = async () => {
     if (!profile?.organization_id) return;
-    
-    try {
-      // Fetch current month usage
-      const startOfMonth = new Date();
-      startOfMonth.setDate(1);
-      startOfMonth.setHours(0, 0, 0, 0);
-
-      const { data: workflowCount } = await supabase
-        .from('workflows')
-        .select('id', { count: 'exact' })
-        .eq('organization_id', profile.organization_id)
-        .eq('status', 'active');
 
-      const { data: executionCount } = await supabase
-        .from('analytics')
-        .select('id', { count: 'exact' })
-        .eq('organization_id', profile.organization_id)
-        .eq('metric_type', 'execution')
-        .gte('recorded_at', startOfMonth.toISOString());
-
-      setUsage({
-        workflows: workflowCount?.length || 0,
-        executions: executionCount?.length || 0,
-        storage: 2.5 // Mock storage usage in GB
-      });
-    } catch (error) {
-      console.error('Error fetching usage:', error);
+    const [current, history] = await Promise.all([
+      getPlanUsage(profile.organization_id),
+      getUsageHistory(profile.organization_id)
+    ]);
+    if (current.success) {
+      setUsage(current.data.usage);
+    }
+    if (history.success) {
+      setUsageHistory(history.data);
     }
   };
 
   const fetchInvoices = async () => {
-    // Mock invoice data for now
-    setInvoices([
-      {
-        id: 'inv_001',
-        date: '2024-01-01',
-        amount: 200,
-        status: 'paid',
-        period: 'Dec 2023'
-      },
-      {
-        id: 'inv_002',
-        date: '2023-12-01',
-        amount: 200,
-        status: 'paid',
-        period: 'Nov 2023'
-      }
-    ]);
-  };
-
-  const startTrial = async (planId) => {
-    try {
-      const plan = plans.find(p => p.id === planId);
-      
-      const { error } = await supabase
-        .from('billing_subscriptions')
-        .insert({
-          organization_id: profile.organization_id,
-          plan_name: plan.name,
-          status: 'trialing',
-          trial_end: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
-          current_period_start: new Date().toISOString(),
-          current_period_end: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-        });
+    if (!profile?.organization_id) return;
 
-      if (error) throw error;
-      
-      toast.success('Trial started successfully!');
-      fetchSubscription();
-    } catch (error) {
-      console.error('Error starting trial:', error);
-      toast.error('Failed to start trial');
+    const result = await listInvoices();
+    if (result.success) {
+      setInvoices(result.data);
+    } else {
+      console.error('Error fetching invoices:', result.error);
     }
   };
 
-  const upgradePlan = async (planId) => {
-    try {
-      const plan = plans.find(p => p.id === planId);
-      
-      if (subscription) {
-        const { error } = await supabase
-          .from('billing_subscriptions')
-          .update({
-            plan_name: plan.name,
-            status: 'active',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', subscription.id);
-
-        if (error) throw error;
-      } else {
-        const { error } = await supabase
-          .from('billing_subscriptions')
-          .insert({
-            organization_id: profile.organization_id,
-            plan_name: plan.name,
-            status: 'active',
-            current_period_start: new Date().toISOString(),
-            current_period_end: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-          });
-
-        if (error) throw error;
-      }
-      
-      toast.success('Plan upgraded successfully!');
-      fetchSubscription();
-    } catch (error) {
-      console.error('Error upgrading plan:', error);
-      toast.error('Failed to upgrade plan');
+  const redirectTo = async (key, request) => {
+    setRedirecting(key);
+    const result = await request();
+    if (result.success) {
+      window.location.assign(result.data.url);
+      return;
     }
+    toast.error(result.error || 'Failed to reach billing');
+    setRedirecting(null);
   };
 
+  // New subscriptions go through Checkout; an existing one is changed or canceled in the portal
+  const choosePlan = (plan) => (hasLiveSubscription
+    ? redirectTo(plan.id, openBillingPortal)
+    : redirectTo(plan.id, () => startCheckout(plan.id)));
+
+  const manageBilling = () => redirectTo('portal', openBillingPortal);
+
   const getUsagePercentage = (current, limit) => {
-    if (limit === -1) return 0; // Unlimited
+    if (isUnlimited(limit)) return 0;
     return Math.min((current / limit) * 100, 100);
   };
 
-  const currentPlan = plans.find(p => p.name === subscription?.plan_name) || plans[0];
+  const formatLimit = (limit) => (isUnlimited(limit) ? '∞' : limit.toLocaleString());
+
+  const usageBarColors = {
+    ok: 'bg-primary',
+    warning: 'bg-warning',
+    reached: 'bg-error'
+  };
+
+  const hasLiveSubscription = !!subscription?.stripe_subscription_id && subscription.status !== 'canceled';
+  const currentPlan = getSubscriptionPlan(subscription);
+  const firstSubscription = !subscription?.stripe_subscription_id && !subscription?.trial_end;
 
   if (loading) {
     return (
@@ -222,7 +160,7 @@ const BillingDashboard = () => {
           <div className="text-center p-4 bg-surface rounded-genetic-md">
             <div className="text-2xl font-bold text-text-primary mb-1">{currentPlan.name}</div>
             <div className="text-sm text-text-secondary">Current Plan</div>
-            {subscription?.status === 'trialing' && (
+            {subscription?.status === 'trialing' && subscription.trial_end && (
               <div className="text-xs text-warning mt-1">
                 Trial ends {new Date(subscription.trial_end).toLocaleDateString()}
               </div>
@@ -230,72 +168,66 @@ const BillingDashboard = () => {
           </div>
           
           <div className="text-center p-4 bg-surface rounded-genetic-md">
-            <div className="text-2xl font-bold text-text-primary mb-1">
-              {subscription?.status === 'trialing' ? 'Trial' : 'Active'}
+            <div className={`text-2xl font-bold mb-1 ${
+              subscription?.status === 'past_due' || subscription?.status === 'incomplete' ? 'text-error' : 'text-text-primary'
+            }`}>
+              {subscription ? SUBSCRIPTION_STATUS_LABELS[subscription.status] || subscription.status : 'Free'}
             </div>
             <div className="text-sm text-text-secondary">Status</div>
+            {subscription?.status === 'past_due' && (
+              <div className="text-xs text-error mt-1">Update your payment method to keep your plan</div>
+            )}
           </div>
           
           <div className="text-center p-4 bg-surface rounded-genetic-md">
             <div className="text-2xl font-bold text-text-primary mb-1">
-              {subscription?.current_period_end ? 
+              {hasLiveSubscription && subscription.current_period_end ? 
                 new Date(subscription.current_period_end).toLocaleDateString() : 
                 'N/A'
               }
             </div>
-            <div className="text-sm text-text-secondary">Next Billing</div>
+            <div className="text-sm text-text-secondary">
+              {subscription?.cancel_at_period_end ? 'Plan Ends' : 'Next Billing'}
+            </div>
+            {hasLiveSubscription && subscription.cancel_at_period_end && (
+              <div className="text-xs text-warning mt-1">Canceled; moves to Starter after this date</div>
+            )}
           </div>
         </div>
 
         {/* Usage Meters */}
         <div className="space-y-4">
-          <h3 className="font-semibold text-text-primary">Usage This Month</h3>
-          
-          <div className="space-y-3">
-            <div>
-              <div className="flex justify-between text-sm mb-1">
-                <span className="text-text-secondary">Active Workflows</span>
-                <span className="text-text-primary">
-                  {usage.workflows} / {currentPlan.limits.workflows === -1 ? '∞' : currentPlan.limits.workflows}
-                </span>
-              </div>
-              <div className="w-full bg-muted rounded-full h-2">
-                <div 
-                  className="bg-primary h-2 rounded-full transition-all duration-500"
-                  style={{ width: `${getUsagePercentage(usage.workflows, currentPlan.limits.workflows)}%` }}
-                ></div>
-              </div>
-            </div>
-
-            <div>
-              <div className="flex justify-between text-sm mb-1">
-                <span className="text-text-secondary">Workflow Executions</span>
-                <span className="text-text-primary">
-                  {usage.executions.toLocaleString()} / {currentPlan.limits.executions === -1 ? '∞' : currentPlan.limits.executions.toLocaleString()}
-                </span>
-              </div>
-              <div className="w-full bg-muted rounded-full h-2">
-                <div 
-                  className="bg-success h-2 rounded-full transition-all duration-500"
-                  style={{ width: `${getUsagePercentage(usage.executions, currentPlan.limits.executions)}%` }}
-                ></div>
-              </div>
-            </div>
+          <div>
+            <h3 className="font-semibold text-text-primary">Usage</h3>
+            <p className="text-sm text-text-secondary">
+              Executions reset on the 1st of each month. Archived workflows do not count; open invitations hold a team seat.
+            </p>
+          </div>
 
-            <div>
-              <div className="flex justify-between text-sm mb-1">
-                <span className="text-text-secondary">Storage Used</span>
-                <span className="text-text-primary">
-                  {usage.storage} GB / {currentPlan.limits.storage === -1 ? '∞' : `${currentPlan.limits.storage} GB`}
-                </span>
-              </div>
-              <div className="w-full bg-muted rounded-full h-2">
-                <div 
-                  className="bg-warning h-2 rounded-full transition-all duration-500"
-                  style={{ width: `${getUsagePercentage(usage.storage, currentPlan.limits.storage)}%` }}
-                ></div>
-              </div>
-            </div>
+          <div className="space-y-3">
+            {Object.entries(LIMIT_METRICS).map(([metric, { label }]) => {
+              const limit = currentPlan.limits[metric];
+              const status = getLimitStatus(usage[metric], limit);
+              return (
+                <div key={metric}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-text-secondary">{label}</span>
+                    <span className={status === 'reached' ? 'text-error font-medium' : 'text-text-primary'}>
+                      {usage[metric].toLocaleString()} / {formatLimit(limit)}
+                    </span>
+                  </div>
+                  <div className="w-full bg-muted rounded-full h-2">
+                    <div
+                      className={`${usageBarColors[status]} h-2 rounded-full transition-all duration-500`}
+                      style={{ width: `${getUsagePercentage(usage[metric], limit)}%` }}
+                    ></div>
+                  </div>
+                  {status === 'reached' && (
+                    <p className="text-xs text-error mt-1">Limit reached; upgrade your plan to add more</p>
+                  )}
+                </div>
+              );
+            })}
           </div>
         </div>
       </div>
@@ -305,7 +237,7 @@ const BillingDashboard = () => {
         <h3 className="text-xl font-semibold text-text-primary mb-6">Available Plans</h3>
         
         <div className="grid md:grid-cols-3 gap-6">
-          {plans.map((plan) => (
+          {PLANS.map((plan) => (
             <div 
               key={plan.id}
               className={`border rounded-genetic-lg p-6 ${
@@ -335,30 +267,36 @@ const BillingDashboard = () => {
                 <Button variant="outline" fullWidth disabled>
                   Current Plan
                 </Button>
-              ) : subscription?.status === 'trialing' && plan.price === 0 ? (
-                <Button variant="outline" fullWidth disabled>
-                  Available After Trial
-                </Button>
               ) : plan.price === 'custom' ? (
-                <Button variant="default" fullWidth iconName="MessageCircle" iconPosition="left">
+                <Button
+                  variant="default"
+                  fullWidth
+                  onClick={() => navigate('/contact')}
+                  iconName="MessageCircle"
+                  iconPosition="left"
+                >
                   Contact Sales
                 </Button>
-              ) : !subscription && plan.price > 0 ? (
+              ) : !hasLiveSubscription && plan.price > 0 ? (
                 <Button 
                   variant="default" 
                   fullWidth 
-                  onClick={() => startTrial(plan.id)}
-                  iconName="Play"
+                  onClick={() => choosePlan(plan)}
+                  loading={redirecting === plan.id}
+                  disabled={!!redirecting}
+                  iconName={firstSubscription ? 'Play' : 'ArrowUp'}
                   iconPosition="left"
                 >
-                  Start 14-Day Trial
+                  {firstSubscription ? `Start ${TRIAL_DAYS}-Day Trial` : 'Subscribe'}
                 </Button>
               ) : (
                 <Button 
-                  variant="default" 
+                  variant={plan.price > currentPlan.price ? 'default' : 'outline'}
                   fullWidth 
-                  onClick={() => upgradePlan(plan.id)}
-                  iconName="ArrowUp"
+                  onClick={() => choosePlan(plan)}
+                  loading={redirecting === plan.id}
+                  disabled={!!redirecting}
+                  iconName={plan.price > currentPlan.price ? 'ArrowUp' : 'ArrowDown'}
                   iconPosition="left"
                 >
                   {plan.price > currentPlan.price ? 'Upgrade' : 'Downgrade'}
@@ -387,25 +325,35 @@ const BillingDashboard = () => {
               <div key={invoice.id} className="flex items-center justify-between p-4 border border-border rounded-genetic-md">
                 <div>
                   <div className="font-medium text-text-primary">
-                    ${invoice.amount.toFixed(2)}
+                    {invoice.amount.toLocaleString(undefined, { style: 'currency', currency: invoice.currency })}
                   </div>
                   <div className="text-sm text-text-secondary">
-                    {invoice.period} • {invoice.date}
+                    {invoice.number || invoice.id} • {new Date(invoice.created_at).toLocaleDateString()}
+                    {invoice.period_start && invoice.period_end && invoice.period_end !== invoice.period_start && (
+                      ` • ${new Date(invoice.period_start).toLocaleDateString()} – ${new Date(invoice.period_end).toLocaleDateString()}`
+                    )}
                   </div>
                 </div>
                 
                 <div className="flex items-center space-x-3">
                   <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                     invoice.status === 'paid' ? 'bg-success/10 text-success' :
-                    invoice.status === 'pending' ? 'bg-warning/10 text-warning' :
+                    invoice.status === 'open' ? 'bg-warning/10 text-warning' :
                     'bg-error/10 text-error'
                   }`}>
                     {invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
                   </span>
                   
-                  <Button variant="ghost" size="sm" iconName="Download">
-                    Download
-                  </Button>
+                  {invoice.pdf_url && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      iconName="Download"
+                      onClick={() => window.open(invoice.pdf_url, '_blank', 'noopener')}
+                    >
+                      Download
+                    </Button>
+                  )}
                 </div>
               </div>
             ))}
@@ -413,26 +361,73 @@ const BillingDashboard = () => {
         )}
       </div>
 
+      {/* Usage History */}
+      {usageHistory.length > 0 && (
+        <div className="bg-card rounded-genetic-lg p-6 shadow-organic-sm">
+          <h3 className="text-xl font-semibold text-text-primary mb-2">Monthly Usage</h3>
+          <p className="text-sm text-text-secondary mb-6">
+            Executions run each month, and the most workflows, team members and integrations in use
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-text-secondary border-b border-border">
+                  <th className="py-2 pr-4 font-medium">Month</th>
+                  <th className="py-2 pr-4 font-medium">Plan</th>
+                  {Object.entries(LIMIT_METRICS).map(([metric, { label }]) => (
+                    <th key={metric} className="py-2 pr-4 font-medium text-right">
+                      {metric === 'executions' ? 'Executions' : label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {usageHistory.map(period => (
+                  <tr key={period.period_start} className="border-b border-border last:border-0">
+                    <td className="py-2 pr-4 text-text-primary">
+                      {new Date(`${period.period_start}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+                    </td>
+                    <td className="py-2 pr-4 text-text-secondary capitalize">{period.plan_name || '—'}</td>
+                    {Object.keys(LIMIT_METRICS).map(metric => (
+                      <td key={metric} className="py-2 pr-4 text-right text-text-primary">
+                        {period[metric] != null ? period[metric].toLocaleString() : '—'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Payment Method */}
       <div className="bg-card rounded-genetic-lg p-6 shadow-organic-sm">
-        <div className="flex items-center justify-between mb-6">
-          <h3 className="text-xl font-semibold text-text-primary">Payment Method</h3>
-          <Button variant="outline" size="sm" iconName="Plus" iconPosition="left">
-            Add Payment Method
-          </Button>
-        </div>
-        
-        <div className="flex items-center justify-between p-4 border border-border rounded-genetic-md">
+        <div className="flex items-center justify-between">
           <div className="flex items-center space-x-3">
             <Icon name="CreditCard" size={20} className="text-text-secondary" />
             <div>
-              <div className="font-medium text-text-primary">•••• •••• •••• 4242</div>
-              <div className="text-sm text-text-secondary">Expires 12/25</div>
+              <h3 className="text-xl font-semibold text-text-primary">Payment Method</h3>
+              <p className="text-sm text-text-secondary">
+                {subscription?.stripe_customer_id
+                  ? 'Cards, billing details and cancellation are managed securely by Stripe'
+                  : 'Add a card when you choose a paid plan'}
+              </p>
             </div>
           </div>
-          <Button variant="outline" size="sm">
-            Update
-          </Button>
+          {subscription?.stripe_customer_id && (
+            <Button
+              variant="outline"
+              size="sm"
+              iconName="ExternalLink"
+              iconPosition="left"
+              onClick={manageBilling}
+              loading={redirecting === 'portal'}
+              disabled={!!redirecting}
+            >
+              Manage Billing
+            </Button>
+          )}
         </div>
       </div>
     </div>
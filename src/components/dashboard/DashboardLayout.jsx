@@ -4,13 +4,14 @@ import Button from '../ui/Button';
 import Icon from '../AppIcon';
 import { useAuth } from '../auth/AuthProvider';
 import { signOut } from '../../lib/auth';
+import { TWO_FACTOR_STATUS } from '../../lib/securityPolicy';
 import UserMenu from './UserMenu';
 import NotificationCenter from './NotificationCenter';
 import ThemeToggle from './ThemeToggle';
 
 const DashboardLayout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { profile, getPermissions, loading, initialized, user } = useAuth();
+  const { profile, getPermissions, loading, initialized, user, twoFactorStatus, twoFactorDeadline } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
   const permissions = getPermissions();
@@ -28,23 +29,29 @@ const DashboardLayout = ({ children }) => {
       icon: 'Workflow',
       roles: ['super_admin', 'org_admin', 'manager', 'user']
     },
+    {
+      name: 'Approvals',
+      path: '/dashboard/approvals',
+      icon: 'UserCheck',
+      roles: ['super_admin', 'org_admin', 'manager', 'user']
+    },
     {
       name: 'Analytics',
       path: '/dashboard/analytics',
       icon: 'BarChart3',
-      roles: ['super_admin', 'org_admin', 'manager']
+      permission: 'canViewAnalytics'
     },
     {
       name: 'Team',
       path: '/dashboard/team',
       icon: 'Users',
-      roles: ['super_admin', 'org_admin']
+      permission: 'canManageUsers'
     },
     {
       name: 'Integrations',
       path: '/dashboard/integrations',
       icon: 'Plug',
-      roles: ['super_admin', 'org_admin', 'manager']
+      permission: 'canManageIntegrations'
     },
     {
       name: 'CMS Builder',
@@ -74,6 +81,7 @@ const DashboardLayout = ({ children }) => {
 
   const filteredNavigation = navigationItems.filter(item => {
     if (!profile?.role) return false;
+    if (item.permission) return !!permissions[item.permission];
     return item.roles.includes(profile.role);
   });
 
@@ -189,7 +197,7 @@ const DashboardLayout = ({ children }) => {
                   {profile?.first_name} {profile?.last_name}
                 </p>
                 <p className="text-xs text-text-secondary truncate">
-                  {profile?.role?.replace('_', ' ')?.replace(/\b\w/g, l => l.toUpperCase())}
+                  {profile?.custom_role?.name || profile?.role?.replace('_', ' ')?.replace(/\b\w/g, l => l.toUpperCase())}
                 </p>
               </div>
             </div>
@@ -239,6 +247,25 @@ const DashboardLayout = ({ children }) => {
           </div>
         </header>
 
+        {twoFactorStatus === TWO_FACTOR_STATUS.GRACE && (
+          <div className="flex items-center justify-between gap-4 px-6 py-3 bg-warning/10 border-b border-warning/20">
+            <div className="flex items-center space-x-2 text-sm text-text-primary">
+              <Icon name="ShieldAlert" size={16} className="text-warning" />
+              <span>
+                {profile?.organization?.name || 'Your organization'} requires two-factor authentication.
+                Set it up by {new Date(twoFactorDeadline).toLocaleDateString()} to keep access.
+              </span>
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => navigate('/dashboard/profile', { state: { tab: 'security' } })}
+            >
+              Set Up
+            </Button>
+          </div>
+        )}
+
         {/* Page Content */}
         <main className="p-6">
           {children}
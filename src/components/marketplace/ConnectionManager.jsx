@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Icon from '../AppIcon';
+import SchemaForm from '../workflow/SchemaForm';
+import {
+  CONNECTION_STATUS_LABELS,
+  listConnections,
+  saveConnection,
+  startOAuthConnection,
+  checkConnection,
+  deleteConnection
+} from '../../lib/integrationConnections';
+import toast from 'react-hot-toast';
+
+const connectionStatusStyles = {
+  active: 'bg-success/10 text-success',
+  error: 'bg-error/10 text-error',
+  expired: 'bg-warning/10 text-warning'
+};
+
+const hasFields = (schema) => Object.keys(schema?.properties || {}).length > 0;
+
+// The connections of one installed integration: add, reconnect, health check and remove.
+// API key and password credentials are sent once to the server and never shown again.
+const ConnectionManager = ({ integration, organizationId, canEdit, onClose, onChange }) => {
+  const [connections, setConnections] = useState(null);
+  const [form, setForm] = useState(null);
+  const [deletingConnection, setDeletingConnection] = useState(null);
+  const [checkingId, setCheckingId] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const auth = integration.config_schema?.auth || { type: 'none' };
+  const settingsSchema = integration.config_schema?.config;
+  const usesOAuth = auth.type === 'oauth2';
+
+  useEffect(() => {
+    fetchConnections();
+  }, [integration.id]);
+
+  const fetchConnections = async () => {
+    const result = await listConnections(organizationId, integration.id);
+    if (result.success) {
+      setConnections(result.data);
+    } else {
+      toast.error('Failed to load connections');
+    }
+  };
+
+  const refresh = () => {
+    fetchConnections();
+    onChange?.();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      if (usesOAuth) {
+        const result = await startOAuthConnection({
+          connectionId: form.id,
+          integrationId: integration.id,
+          name: form.name,
+          settings: form.settings
+        });
+        if (!result.success) throw new Error(result.error);
+        // The provider sends the browser back to the Integrations page
+        window.location.assign(result.data.url);
+        return;
+      }
+
+      const result = await saveConnection({
+        connectionId: form.id,
+        integrationId: integration.id,
+        name: form.name,
+        settings: form.settings,
+        credentials: form.credentials
+      });
+      if (!result.success) throw new Error(result.error);
+
+      toast.success(form.id ? 'Connection updated' : `${integration.name} connected`);
+      setForm(null);
+      refresh();
+    } catch (error) {
+      console.error('Error saving connection:', error);
+      toast.error(error.message || 'Failed to save connection');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCheck = async (connection) => {
+    setCheckingId(connection.id);
+    const result = await checkConnection(connection.id);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to check connection');
+    } else if (result.data.status === 'active') {
+      toast.success(`${connection.name} is working`);
+    } else {
+      toast.error(`${connection.name}: ${result.data.last_error}`);
+    }
+    setCheckingId(null);
+    refresh();
+  };
+
+  const handleDelete = async () => {
+    setIsSubmitting(true);
+    const result = await deleteConnection(deletingConnection.id);
+    if (result.success) {
+      toast.success('Connection removed');
+      setDeletingConnection(null);
+      refresh();
+    } else {
+      toast.error('Failed to remove connection');
+    }
+    setIsSubmitting(false);
+  };
+
+  const openForm = (connection = null) => setForm({
+    id: connection?.id || null,
+    name: connection?.name || (connections?.length ? '' : integration.name),
+    settings: connection?.settings || {},
+    credentials: {}
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-genetic-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        {!form ? (
+          <>
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-text-primary">{integration.name} connections</h3>
+                <p className="text-sm text-text-secondary">
+                  Workflow steps choose which connection they run with
+                </p>
+              </div>
+              <Button variant="ghost" size="sm" iconName="X" onClick={onClose} />
+            </div>
+
+            {!connections ? (
+              <div className="p-8 text-center">
+                <Icon name="Loader2" size={32} className="animate-spin text-text-secondary mx-auto" />
+              </div>
+            ) : connections.length === 0 ? (
+              <div className="text-center py-8">
+                <Icon name="Plug" size={48} className="text-text-secondary mx-auto mb-4" />
+                <p className="text-text-secondary">No connections yet</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {connections.map(connection => (
+                  <div key={connection.id} className="p-4 border border-border rounded-genetic-md">
+                    <div className="flex items-start justify-between">
+                      <div className="min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <h4 className="font-medium text-text-primary">{connection.name}</h4>
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${connectionStatusStyles[connection.status]}`}>
+                            {CONNECTION_STATUS_LABELS[connection.status] || connection.status}
+                          </span>
+                        </div>
+                        {connection.account_label && (
+                          <p className="text-sm text-text-secondary truncate">{connection.account_label}</p>
+                        )}
+                        {connection.status !== 'active' && connection.last_error && (
+                          <p className="text-sm text-error mt-1">{connection.last_error}</p>
+                        )}
+                        <p className="text-xs text-text-secondary mt-1">
+                          {connection.last_checked_at
+                            ? `Checked ${new Date(connection.last_checked_at).toLocaleString()}`
+                            : 'Not checked yet'}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2 ml-4">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          iconName="Activity"
+                          onClick={() => handleCheck(connection)}
+                          loading={checkingId === connection.id}
+                        >
+                          Check
+                        </Button>
+                        {canEdit && (
+                          <>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              iconName={usesOAuth ? 'RefreshCw' : 'Pencil'}
+                              title={usesOAuth ? 'Reconnect' : 'Edit'}
+                              onClick={() => openForm(connection)}
+                            />
+                            <Button variant="ghost" size="sm" iconName="Trash2" onClick={() => setDeletingConnection(connection)} />
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {canEdit && (
+              <div className="flex justify-end mt-6">
+                <Button variant="default" iconName="Plus" iconPosition="left" onClick={() => openForm()}>
+                  Add Connection
+                </Button>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <h3 className="text-lg font-semibold text-text-primary mb-4">
+              {form.id ? `Update ${form.name}` : `Connect ${integration.name}`}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <Input
+                label="Name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder={`e.g. ${integration.name} production`}
+                required
+              />
+              {hasFields(settingsSchema) && (
+                <SchemaForm
+                  schema={settingsSchema}
+                  value={form.settings}
+                  onChange={(settings) => setForm(prev => ({ ...prev, settings }))}
+                />
+              )}
+              {!usesOAuth && hasFields(auth.fields) && (
+                <div className="space-y-2">
+                  <SchemaForm
+                    schema={auth.fields}
+                    value={form.credentials}
+                    onChange={(credentials) => setForm(prev => ({ ...prev, credentials }))}
+                  />
+                  <p className="text-xs text-text-secondary">
+                    {form.id && 'Leave empty to keep the stored credentials. '}
+                    Credentials are tested, then stored encrypted; they cannot be viewed again.
+                  </p>
+                </div>
+              )}
+              {usesOAuth && (
+                <p className="text-sm text-text-secondary">
+                  You will sign in to {integration.name} and be brought back here.
+                </p>
+              )}
+              <div className="flex justify-end space-x-3 pt-2">
+                <Button type="button" variant="outline" onClick={() => setForm(null)} disabled={isSubmitting}>
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  variant="default"
+                  loading={isSubmitting}
+                  iconName={usesOAuth ? 'ExternalLink' : undefined}
+                  iconPosition="left"
+                >
+                  {usesOAuth ? `Connect with ${integration.name}` : form.id ? 'Save' : 'Connect'}
+                </Button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+
+      {/* Remove connection */}
+      {deletingConnection && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-text-primary mb-2">Remove {deletingConnection.name}?</h3>
+            <p className="text-sm text-text-secondary">
+              Its stored credentials are deleted. Workflow steps using it fail until another connection is chosen.
+            </p>
+            <div className="flex justify-end space-x-3 mt-6">
+              <Button variant="outline" onClick={() => setDeletingConnection(null)} disabled={isSubmitting}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleDelete} loading={isSubmitting}>
+                Remove
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionManager;
@@ -1,11 +1,24 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
 import Icon from '../AppIcon';
 import Image from '../AppImage';
+import ConnectionManager from './ConnectionManager';
 import { useAuth } from '../auth/AuthProvider';
 import { supabase } from '../../lib/supabase';
+import { withConnectorSchemas } from '../../lib/connectors/registry';
+import { AUTH_TYPES } from '../../lib/connectors/sdk';
+import { integrationNeedsConnection } from '../../lib/workflow/stepSchemas';
+import { canAccessIntegration } from '../../lib/permissions';
+import {
+  installIntegration as install,
+  uninstallIntegration as uninstall,
+  listInstalledIntegrations,
+  listConnections,
+  completeOAuthConnection
+} from '../../lib/integrationConnections';
 import toast from 'react-hot-toast';
 
 const IntegrationMarketplace = () => {
@@ -14,7 +27,12 @@ const IntegrationMarketplace = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [loading, setLoading] = useState(true);
-  const { profile } = useAuth();
+  const [connections, setConnections] = useState([]);
+  const [configuring, setConfiguring] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const oauthHandled = useRef(false);
+  const { profile, getPermissions } = useAuth();
+  const permissions = getPermissions();
 
   const categories = [
     { value: 'all', label: 'All Categories' },
@@ -28,160 +46,102 @@ const IntegrationMarketplace = () => {
     { value: 'storage', label: 'File Storage' }
   ];
 
-  const mockIntegrations = [
-    {
-      id: 'salesforce',
-      name: 'Salesforce',
-      description: 'Sync leads, contacts, and opportunities with your CRM workflows',
-      category: 'crm',
-      logo: 'https://images.unsplash.com/photo-1611224923853-80b023f02d71?w=64&h=64&fit=crop',
-      rating: 4.9,
-      installs: 50000,
-      verified: true,
-      price: 'Free',
-      features: ['Real-time sync', 'Custom fields', 'Bulk operations', 'Advanced reporting'],
-      screenshots: [
-        'https://images.unsplash.com/photo-1551434678-e076c223a692?w=400&h=300&fit=crop',
-        'https://images.unsplash.com/photo-1460925895917-afdab827c52f?w=400&h=300&fit=crop'
-      ]
-    },
-    {
-      id: 'slack',
-      name: 'Slack',
-      description: 'Send notifications, create channels, and manage team communications',
-      category: 'communication',
-      logo: 'https://images.unsplash.com/photo-1611606063065-ee7946f0787a?w=64&h=64&fit=crop',
-      rating: 4.8,
-      installs: 75000,
-      verified: true,
-      price: 'Free',
-      features: ['Channel management', 'Direct messages', 'File sharing', 'Bot integration'],
-      screenshots: [
-        'https://images.unsplash.com/photo-1521737604893-d14cc237f11d?w=400&h=300&fit=crop'
-      ]
-    },
-    {
-      id: 'shopify',
-      name: 'Shopify',
-      description: 'Automate order processing, inventory management, and customer communications',
-      category: 'ecommerce',
-      logo: 'https://images.unsplash.com/photo-1556742049-0cfed4f6a45d?w=64&h=64&fit=crop',
-      rating: 4.7,
-      installs: 60000,
-      verified: true,
-      price: 'Free',
-      features: ['Order automation', 'Inventory sync', 'Customer segmentation', 'Analytics'],
-      screenshots: [
-        'https://images.unsplash.com/photo-1556742049-0cfed4f6a45d?w=400&h=300&fit=crop'
-      ]
-    },
-    {
-      id: 'stripe',
-      name: 'Stripe',
-      description: 'Process payments, manage subscriptions, and handle financial workflows',
-      category: 'finance',
-      logo: 'https://images.unsplash.com/photo-1556740758-90de374c12ad?w=64&h=64&fit=crop',
-      rating: 4.9,
-      installs: 45000,
-      verified: true,
-      price: 'Free',
-      features: ['Payment processing', 'Subscription billing', 'Fraud detection', 'Reporting'],
-      screenshots: []
-    },
-    {
-      id: 'google-sheets',
-      name: 'Google Sheets',
-      description: 'Read, write, and manipulate spreadsheet data in your automation workflows',
-      category: 'productivity',
-      logo: 'https://images.unsplash.com/photo-1586953208448-b95a79798f07?w=64&h=64&fit=crop',
-      rating: 4.6,
-      installs: 80000,
-      verified: true,
-      price: 'Free',
-      features: ['Data manipulation', 'Real-time updates', 'Formula support', 'Collaboration'],
-      screenshots: []
-    },
-    {
-      id: 'mailchimp',
-      name: 'Mailchimp',
-      description: 'Automate email marketing campaigns and subscriber management',
-      category: 'marketing',
-      logo: 'https://images.unsplash.com/photo-1596526131083-e8c633c948d2?w=64&h=64&fit=crop',
-      rating: 4.5,
-      installs: 35000,
-      verified: true,
-      price: 'Free',
-      features: ['Email campaigns', 'Audience segmentation', 'A/B testing', 'Analytics'],
-      screenshots: []
-    }
-  ];
-
   useEffect(() => {
-    setIntegrations(mockIntegrations);
+    fetchIntegrations();
     fetchInstalledIntegrations();
-    setLoading(false);
+    fetchConnections();
   }, [profile]);
 
-  const fetchInstalledIntegrations = async () => {
-    if (!profile?.organization_id) return;
-    
+  // OAuth providers send the browser back here with `code` and `state`, or `error` when the user declined
+  useEffect(() => {
+    const state = searchParams.get('state');
+    if (!state || oauthHandled.current) return;
+    oauthHandled.current = true;
+
+    const code = searchParams.get('code');
+    const providerError = searchParams.get('error_description') || searchParams.get('error');
+    setSearchParams({}, { replace: true });
+    if (!code) {
+      toast.error(providerError ? `Sign-in failed: ${providerError}` : 'Sign-in was cancelled');
+      return;
+    }
+
+    completeOAuthConnection({ state, code }).then(result => {
+      if (!result.success) {
+        toast.error(result.error || 'Failed to connect');
+        return;
+      }
+      toast.success(`${result.data.name} connected`);
+      fetchConnections();
+      setConfiguring(result.data.integration_id);
+    });
+  }, []);
+
+  // Rows are seeded from the connector registry; its actions and triggers are the current ones
+  const fetchIntegrations = async () => {
     try {
       const { data, error } = await supabase
-        .from('installed_integrations')
-        .select('integration_id')
-        .eq('organization_id', profile.organization_id)
-        .eq('status', 'active');
+        .from('integrations')
+        .select('*')
+        .eq('is_active', true)
+        .order('name');
 
       if (error) throw error;
-      setInstalledIntegrations(data?.map(i => i.integration_id) || []);
+      setIntegrations(withConnectorSchemas(data || []));
     } catch (error) {
-      console.error('Error fetching installed integrations:', error);
+      console.error('Error fetching integrations:', error);
+      toast.error('Failed to load integrations');
+    } finally {
+      setLoading(false);
     }
   };
 
-  const installIntegration = async (integrationId) => {
-    try {
-      const { error } = await supabase
-        .from('installed_integrations')
-        .insert({
-          organization_id: profile.organization_id,
-          integration_id: integrationId,
-          installed_by: profile.id,
-          status: 'active',
-          config: {}
-        });
+  const fetchInstalledIntegrations = async () => {
+    if (!profile?.organization_id) return;
 
-      if (error) throw error;
-      
-      setInstalledIntegrations(prev => [...prev, integrationId]);
-      toast.success('Integration installed successfully');
-    } catch (error) {
-      console.error('Error installing integration:', error);
-      toast.error('Failed to install integration');
+    const result = await listInstalledIntegrations(profile.organization_id);
+    if (result.success) setInstalledIntegrations(result.data);
+  };
+
+  const fetchConnections = async () => {
+    if (!profile?.organization_id) return;
+
+    const result = await listConnections(profile.organization_id);
+    if (result.success) setConnections(result.data);
+  };
+
+  const installIntegration = async (integration) => {
+    const result = await install({
+      organizationId: profile.organization_id,
+      integrationId: integration.id,
+      installedBy: profile.id
+    });
+    if (!result.success) {
+      // The plan's integration limit explains itself
+      toast.error(result.planLimit ? result.error : 'Failed to install integration');
+      return;
     }
+
+    setInstalledIntegrations(prev => [...prev, integration.id]);
+    toast.success('Integration installed successfully');
+    // Straight on to connecting it, unless there is nothing to set up
+    if (integrationNeedsConnection(integration)) setConfiguring(integration.id);
   };
 
   const uninstallIntegration = async (integrationId) => {
-    try {
-      const { error } = await supabase
-        .from('installed_integrations')
-        .update({ status: 'inactive' })
-        .eq('organization_id', profile.organization_id)
-        .eq('integration_id', integrationId);
-
-      if (error) throw error;
-      
-      setInstalledIntegrations(prev => prev.filter(id => id !== integrationId));
-      toast.success('Integration uninstalled');
-    } catch (error) {
-      console.error('Error uninstalling integration:', error);
+    const result = await uninstall({ organizationId: profile.organization_id, integrationId });
+    if (!result.success) {
       toast.error('Failed to uninstall integration');
+      return;
     }
+
+    setInstalledIntegrations(prev => prev.filter(id => id !== integrationId));
+    toast.success('Integration uninstalled');
   };
 
   const filteredIntegrations = integrations.filter(integration => {
     const matchesSearch = integration.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         integration.description.toLowerCase().includes(searchTerm.toLowerCase());
+                         (integration.description || '').toLowerCase().includes(searchTerm.toLowerCase());
     const matchesCategory = selectedCategory === 'all' || integration.category === selectedCategory;
     return matchesSearch && matchesCategory;
   });
@@ -202,7 +162,7 @@ const IntegrationMarketplace = () => {
         <div>
           <h2 className="text-2xl font-bold text-text-primary">Integration Marketplace</h2>
           <p className="text-text-secondary">
-            Connect with 500+ popular business applications
+            Connect the business applications your workflows use
           </p>
         </div>
         
@@ -232,13 +192,26 @@ const IntegrationMarketplace = () => {
           <IntegrationCard
             key={integration.id}
             integration={integration}
+            categoryLabel={categories.find(category => category.value === integration.category)?.label || integration.category}
             isInstalled={installedIntegrations.includes(integration.id)}
-            onInstall={() => installIntegration(integration.id)}
+            connections={connections.filter(connection => connection.integration_id === integration.id)}
+            onInstall={() => installIntegration(integration)}
             onUninstall={() => uninstallIntegration(integration.id)}
+            onConfigure={() => setConfiguring(integration.id)}
           />
         ))}
       </div>
 
+      {configuring && integrations.some(integration => integration.id === configuring) && (
+        <ConnectionManager
+          integration={integrations.find(integration => integration.id === configuring)}
+          organizationId={profile.organization_id}
+          canEdit={canAccessIntegration(permissions, configuring, 'edit')}
+          onClose={() => setConfiguring(null)}
+          onChange={fetchConnections}
+        />
+      )}
+
       {filteredIntegrations.length === 0 && (
         <div className="text-center py-12">
           <Icon name="Search" size={48} className="text-text-secondary mx-auto mb-4" />
@@ -252,8 +225,13 @@ const IntegrationMarketplace = () => {
   );
 };
 
-const IntegrationCard = ({ integration, isInstalled, onInstall, onUninstall }) => {
+const IntegrationCard = ({ integration, categoryLabel, isInstalled, connections, onInstall, onUninstall, onConfigure }) => {
   const [showDetails, setShowDetails] = useState(false);
+  const needsConnection = integrationNeedsConnection(integration);
+  const failing = connections.filter(connection => connection.status !== 'active').length;
+  const features = integration.features || [];
+  const actions = Object.entries(integration.config_schema?.actions || {});
+  const triggers = Object.entries(integration.config_schema?.triggers || {});
 
   return (
     <>
@@ -262,30 +240,20 @@ const IntegrationCard = ({ integration, isInstalled, onInstall, onUninstall }) =
           <div className="flex items-center space-x-3">
             <div className="w-12 h-12 rounded-genetic-md overflow-hidden bg-surface">
               <Image 
-                src={integration.logo} 
+                src={integration.logo_url} 
                 alt={`${integration.name} logo`}
                 className="w-full h-full object-cover"
               />
             </div>
             <div>
-              <div className="flex items-center space-x-2">
-                <h3 className="text-lg font-semibold text-text-primary">{integration.name}</h3>
-                {integration.verified && (
-                  <Icon name="BadgeCheck" size={16} className="text-success" />
-                )}
-              </div>
+              <h3 className="text-lg font-semibold text-text-primary">{integration.name}</h3>
               <div className="flex items-center space-x-2 text-sm text-text-secondary">
-                <div className="flex items-center space-x-1">
-                  <Icon name="Star" size={14} className="text-warning fill-current" />
-                  <span>{integration.rating}</span>
-                </div>
+                <span>{categoryLabel}</span>
                 <span>•</span>
-                <span>{integration.installs.toLocaleString()} installs</span>
+                <span>{actions.length} {actions.length === 1 ? 'action' : 'actions'}</span>
               </div>
             </div>
           </div>
-          
-          <span className="text-sm font-medium text-success">{integration.price}</span>
         </div>
 
         <p className="text-text-secondary mb-4 text-sm leading-relaxed">
@@ -294,7 +262,7 @@ const IntegrationCard = ({ integration, isInstalled, onInstall, onUninstall }) =
 
         <div className="mb-4">
           <div className="flex flex-wrap gap-2">
-            {integration.features.slice(0, 3).map((feature, index) => (
+            {features.slice(0, 3).map((feature, index) => (
               <span 
                 key={index}
                 className="px-2 py-1 bg-primary/10 text-primary text-xs rounded-genetic-sm font-medium"
@@ -302,23 +270,38 @@ const IntegrationCard = ({ integration, isInstalled, onInstall, onUninstall }) =
                 {feature}
               </span>
             ))}
-            {integration.features.length > 3 && (
+            {features.length > 3 && (
               <span className="text-xs text-text-secondary">
-                +{integration.features.length - 3} more
+                +{features.length - 3} more
               </span>
             )}
           </div>
         </div>
 
+        {isInstalled && needsConnection && (
+          <div className={`flex items-center space-x-2 text-sm mb-4 ${
+            connections.length === 0 || failing > 0 ? 'text-warning' : 'text-success'
+          }`}>
+            <Icon name={connections.length === 0 || failing > 0 ? 'AlertTriangle' : 'CheckCircle'} size={16} />
+            <span>
+              {connections.length === 0
+                ? 'Not connected yet'
+                : `${connections.length} ${connections.length === 1 ? 'connection' : 'connections'}${failing > 0 ? `, ${failing} need attention` : ''}`}
+            </span>
+          </div>
+        )}
+
         <div className="flex space-x-3">
           {isInstalled ? (
             <>
               <Button variant="outline" size="sm" className="flex-1" onClick={onUninstall}>
                 Uninstall
               </Button>
-              <Button variant="default" size="sm" iconName="Settings">
-                Configure
-              </Button>
+              {needsConnection && (
+                <Button variant="default" size="sm" iconName="Settings" onClick={onConfigure}>
+                  Configure
+                </Button>
+              )}
             </>
           ) : (
             <>
@@ -341,19 +324,20 @@ const IntegrationCard = ({ integration, isInstalled, onInstall, onUninstall }) =
               <div className="flex items-center justify-between">
                 <div className="flex items-center space-x-4">
                   <Image 
-                    src={integration.logo} 
+                    src={integration.logo_url} 
                     alt={`${integration.name} logo`}
                     className="w-16 h-16 rounded-genetic-md object-cover"
                   />
                   <div>
                     <h2 className="text-2xl font-bold text-text-primary">{integration.name}</h2>
                     <div className="flex items-center space-x-4 text-sm text-text-secondary">
-                      <div className="flex items-center space-x-1">
-                        <Icon name="Star" size={14} className="text-warning fill-current" />
-                        <span>{integration.rating}</span>
-                      </div>
-                      <span>{integration.installs.toLocaleString()} installs</span>
-                      <span className="text-success font-medium">{integration.price}</span>
+                      <span>{categoryLabel}</span>
+                      <span>{AUTH_TYPES[integration.auth_type] || AUTH_TYPES.none}</span>
+                      {integration.documentation_url && (
+                        <a href={integration.documentation_url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">
+                          API docs
+                        </a>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -375,7 +359,7 @@ const IntegrationCard = ({ integration, isInstalled, onInstall, onUninstall }) =
 
                   <h3 className="text-xl font-semibold text-text-primary mb-4">Features</h3>
                   <div className="space-y-2">
-                    {integration.features.map((feature, index) => (
+                    {features.map((feature, index) => (
                       <div key={index} className="flex items-center space-x-2">
                         <Icon name="Check" size={16} className="text-success" />
                         <span className="text-text-secondary">{feature}</span>
@@ -385,17 +369,25 @@ const IntegrationCard = ({ integration, isInstalled, onInstall, onUninstall }) =
                 </div>
 
                 <div>
-                  {integration.screenshots.length > 0 && (
+                  <h3 className="text-xl font-semibold text-text-primary mb-4">Actions</h3>
+                  <div className="space-y-3 mb-6">
+                    {actions.map(([actionId, action]) => (
+                      <div key={actionId}>
+                        <p className="font-medium text-text-primary">{action.title || actionId}</p>
+                        {action.description && <p className="text-sm text-text-secondary">{action.description}</p>}
+                      </div>
+                    ))}
+                  </div>
+
+                  {triggers.length > 0 && (
                     <>
-                      <h3 className="text-xl font-semibold text-text-primary mb-4">Screenshots</h3>
-                      <div className="space-y-4">
-                        {integration.screenshots.map((screenshot, index) => (
-                          <Image
-                            key={index}
-                            src={screenshot}
-                            alt={`${integration.name} screenshot ${index + 1}`}
-                            className="w-full rounded-genetic-md border border-border"
-                          />
+                      <h3 className="text-xl font-semibold text-text-primary mb-4">Triggers</h3>
+                      <div className="space-y-3">
+                        {triggers.map(([triggerId, trigger]) => (
+                          <div key={triggerId}>
+                            <p className="font-medium text-text-primary">{trigger.title || triggerId}</p>
+                            {trigger.description && <p className="text-sm text-text-secondary">{trigger.description}</p>}
+                          </div>
                         ))}
                       </div>
                     </>
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import { Checkbox } from '../ui/Checkbox';
+import Icon from '../AppIcon';
+import { useAuth } from '../auth/AuthProvider';
+import { supabase } from '../../lib/supabase';
+import {
+  ACCESS_LEVEL_OPTIONS,
+  ALL_RESOURCES,
+  CAPABILITIES,
+  normalizeRolePermissions
+} from '../../lib/permissions';
+import toast from 'react-hot-toast';
+
+const emptyRole = () => ({
+  name: '',
+  description: '',
+  permissions: normalizeRolePermissions({ workflows: { [ALL_RESOURCES]: 'read' } })
+});
+
+// Access levels for one kind of resource: a default for everything ('*') plus overrides per key
+const GrantEditor = ({ title, description, grants, onChange, keyOptions, allowNewKeys, placeholder }) => {
+  const [newKey, setNewKey] = useState('');
+  const overrides = Object.entries(grants).filter(([key]) => key !== ALL_RESOURCES);
+  const availableOptions = keyOptions.filter(option => !(option.value in grants));
+  const getKeyLabel = (key) => keyOptions.find(option => option.value === key)?.label || key;
+
+  const setLevel = (key, level) => onChange({ ...grants, [key]: level });
+
+  const removeKey = (key) => {
+    const { [key]: removed, ...rest } = grants;
+    onChange(rest);
+  };
+
+  const addKey = (key) => {
+    const trimmed = key?.trim();
+    if (!trimmed || trimmed in grants) return;
+    setLevel(trimmed, grants[ALL_RESOURCES] || 'none');
+    setNewKey('');
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <h4 className="font-medium text-text-primary">{title}</h4>
+        <p className="text-sm text-text-secondary">{description}</p>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <span className="flex-1 text-sm text-text-primary">Everything else</span>
+        <Select
+          options={ACCESS_LEVEL_OPTIONS}
+          value={grants[ALL_RESOURCES] || 'none'}
+          onChange={(level) => setLevel(ALL_RESOURCES, level)}
+          className="w-44"
+        />
+        <div className="w-9" />
+      </div>
+
+      {overrides.map(([key, level]) => (
+        <div key={key} className="flex items-center gap-3">
+          <span className="flex-1 text-sm text-text-primary truncate">{getKeyLabel(key)}</span>
+          <Select
+            options={ACCESS_LEVEL_OPTIONS}
+            value={level}
+            onChange={(value) => setLevel(key, value)}
+            className="w-44"
+          />
+          <Button type="button" variant="ghost" size="sm" iconName="X" onClick={() => removeKey(key)} />
+        </div>
+      ))}
+
+      {allowNewKeys ? (
+        <div className="flex items-center gap-3">
+          <Input
+            type="text"
+            list="role-grant-keys"
+            placeholder={placeholder}
+            value={newKey}
+            onChange={(e) => setNewKey(e.target.value)}
+            className="flex-1"
+          />
+          <datalist id="role-grant-keys">
+            {availableOptions.map(option => <option key={option.value} value={option.value} />)}
+          </datalist>
+          <Button type="button" variant="outline" size="sm" iconName="Plus" onClick={() => addKey(newKey)}>
+            Add
+          </Button>
+        </div>
+      ) : availableOptions.length > 0 && (
+        <Select
+          options={availableOptions}
+          value=""
+          onChange={addKey}
+          placeholder={placeholder}
+          searchable
+        />
+      )}
+    </div>
+  );
+};
+
+// Organization-defined roles, edited from Settings and assigned to members on the Team page
+const RoleManager = () => {
+  const [roles, setRoles] = useState([]);
+  const [memberCounts, setMemberCounts] = useState({});
+  const [folders, setFolders] = useState([]);
+  const [integrations, setIntegrations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingRole, setEditingRole] = useState(null);
+  const [deletingRole, setDeletingRole] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const { profile } = useAuth();
+
+  useEffect(() => {
+    fetchRoles();
+    fetchResources();
+  }, [profile]);
+
+  const fetchRoles = async () => {
+    if (!profile?.organization_id) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('custom_roles')
+        .select('*')
+        .eq('organization_id', profile.organization_id)
+        .order('name');
+
+      if (error) throw error;
+      setRoles(data || []);
+
+      const { data: members, error: membersError } = await supabase
+        .from('profiles')
+        .select('custom_role_id')
+        .eq('organization_id', profile.organization_id)
+        .not('custom_role_id', 'is', null);
+
+      if (membersError) throw membersError;
+      setMemberCounts((members || []).reduce((counts, member) => ({
+        ...counts,
+        [member.custom_role_id]: (counts[member.custom_role_id] || 0) + 1
+      }), {}));
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      toast.error('Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Folder names already in use and the integration catalog, to pick grants from
+  const fetchResources = async () => {
+    if (!profile?.organization_id) return;
+
+    try {
+      const [{ data: workflows, error: workflowsError }, { data: catalog, error: catalogError }] = await Promise.all([
+        supabase.from('workflows').select('folder').eq('organization_id', profile.organization_id).not('folder', 'is', null),
+        supabase.from('integrations').select('id, name').eq('is_active', true).order('name')
+      ]);
+
+      if (workflowsError) throw workflowsError;
+      if (catalogError) throw catalogError;
+      setFolders([...new Set((workflows || []).map(workflow => workflow.folder))].sort());
+      setIntegrations(catalog || []);
+    } catch (error) {
+      console.error('Error loading role resources:', error);
+    }
+  };
+
+  const updateEditing = (changes) => setEditingRole(prev => ({ ...prev, ...changes }));
+
+  const updatePermissions = (changes) =>
+    setEditingRole(prev => ({ ...prev, permissions: { ...prev.permissions, ...changes } }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const name = editingRole.name.trim();
+    if (!name) {
+      toast.error('Give the role a name');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const roleData = {
+        name,
+        description: editingRole.description?.trim() || null,
+        permissions: normalizeRolePermissions(editingRole.permissions),
+        updated_at: new Date().toISOString()
+      };
+
+      const { error } = editingRole.id
+        ? await supabase.from('custom_roles').update(roleData).eq('id', editingRole.id)
+        : await supabase.from('custom_roles').insert({
+          ...roleData,
+          organization_id: profile.organization_id,
+          created_by: profile.id
+        });
+
+      if (error) {
+        if (error.code === '23505') throw new Error('A role with this name already exists');
+        throw error;
+      }
+
+      toast.success(editingRole.id ? 'Role updated' : 'Role created');
+      setEditingRole(null);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      toast.error(error.message || 'Failed to save role');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Members with the role fall back to their built-in role
+  const handleDelete = async () => {
+    setIsSaving(true);
+    try {
+      const { error } = await supabase
+        .from('custom_roles')
+        .delete()
+        .eq('id', deletingRole.id);
+
+      if (error) throw error;
+
+      toast.success('Role deleted');
+      setDeletingRole(null);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      toast.error('Failed to delete role');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const summarize = (role) => {
+    const permissions = normalizeRolePermissions(role.permissions);
+    const capabilities = CAPABILITIES.filter(({ key }) => permissions.capabilities[key]).map(({ label }) => label);
+    const workflowLevel = ACCESS_LEVEL_OPTIONS.find(option => option.value === permissions.workflows[ALL_RESOURCES])?.label;
+    const folderCount = Object.keys(permissions.workflows).length - 1;
+    return [
+      `Workflows: ${workflowLevel}${folderCount > 0 ? ` (+${folderCount} folder${folderCount === 1 ? '' : 's'})` : ''}`,
+      ...capabilities
+    ].join(' · ');
+  };
+
+  if (editingRole) {
+    return (
+      <div className="bg-card rounded-genetic-lg p-8 shadow-organic-sm">
+        <h2 className="text-2xl font-semibold text-text-primary mb-6">
+          {editingRole.id ? `Edit ${editingRole.name || 'Role'}` : 'New Role'}
+        </h2>
+
+        <form onSubmit={handleSave} className="space-y-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <Input
+              label="Role Name"
+              type="text"
+              value={editingRole.name}
+              onChange={(e) => updateEditing({ name: e.target.value })}
+              placeholder="e.g. Finance Operator"
+              required
+            />
+            <Input
+              label="Description"
+              type="text"
+              value={editingRole.description || ''}
+              onChange={(e) => updateEditing({ description: e.target.value })}
+              placeholder="What members with this role do"
+            />
+          </div>
+
+          <div className="space-y-3">
+            <h4 className="font-medium text-text-primary">Capabilities</h4>
+            <div className="grid md:grid-cols-2 gap-4">
+              {CAPABILITIES.map(capability => (
+                <Checkbox
+                  key={capability.key}
+                  label={capability.label}
+                  description={capability.description}
+                  checked={!!editingRole.permissions.capabilities[capability.key]}
+                  onChange={(e) => updatePermissions({
+                    capabilities: { ...editingRole.permissions.capabilities, [capability.key]: e.target.checked }
+                  })}
+                />
+              ))}
+            </div>
+          </div>
+
+          <GrantEditor
+            title="Workflows"
+            description="View shows workflows and their runs, View and run adds starting runs, Full edit adds changing them. Folders listed here override the default."
+            grants={editingRole.permissions.workflows}
+            onChange={(workflows) => updatePermissions({ workflows })}
+            keyOptions={folders.map(folder => ({ value: folder, label: folder }))}
+            allowNewKeys
+            placeholder="Folder name"
+          />
+
+          <GrantEditor
+            title="Integrations"
+            description="View shows the integration, View and run allows using it in workflow steps, Full edit allows configuring and removing it."
+            grants={editingRole.permissions.integrations}
+            onChange={(integrationGrants) => updatePermissions({ integrations: integrationGrants })}
+            keyOptions={integrations.map(integration => ({ value: integration.id, label: integration.name }))}
+            placeholder="Add an integration override"
+          />
+
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={() => setEditingRole(null)} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="default" loading={isSaving} iconName="Save" iconPosition="left">
+              {editingRole.id ? 'Save Role' : 'Create Role'}
+            </Button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-card rounded-genetic-lg p-8 shadow-organic-sm">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-text-primary">Roles</h2>
+          <p className="text-sm text-text-secondary">
+            Custom roles replace a member's built-in permissions. Assign them from the Team page.
+          </p>
+        </div>
+        <Button variant="default" onClick={() => setEditingRole(emptyRole())} iconName="Plus" iconPosition="left">
+          New Role
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="p-8 text-center">
+          <Icon name="Loader2" size={32} className="animate-spin text-text-secondary mx-auto" />
+        </div>
+      ) : roles.length === 0 ? (
+        <div className="p-8 text-center">
+          <Icon name="ShieldPlus" size={48} className="text-text-secondary mx-auto mb-4" />
+          <p className="text-text-secondary">
+            No custom roles yet. Members use the built-in User, Manager and Organization Admin roles.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {roles.map(role => (
+            <div key={role.id} className="p-4 border border-border rounded-genetic-md flex items-center justify-between">
+              <div className="min-w-0">
+                <h4 className="font-medium text-text-primary">{role.name}</h4>
+                {role.description && <p className="text-sm text-text-secondary">{role.description}</p>}
+                <p className="text-xs text-text-secondary mt-1">{summarize(role)}</p>
+                <p className="text-xs text-text-secondary">
+                  {memberCounts[role.id] || 0} member{memberCounts[role.id] === 1 ? '' : 's'}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 ml-4">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  iconName="Edit"
+                  onClick={() => setEditingRole({ ...role, permissions: normalizeRolePermissions(role.permissions) })}
+                >
+                  Edit
+                </Button>
+                <Button variant="ghost" size="sm" iconName="Trash2" onClick={() => setDeletingRole(role)}>
+                  Delete
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {deletingRole && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-card rounded-genetic-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-text-primary mb-2">Delete {deletingRole.name}?</h3>
+            <p className="text-sm text-text-secondary mb-6">
+              {memberCounts[deletingRole.id]
+                ? `${memberCounts[deletingRole.id]} member${memberCounts[deletingRole.id] === 1 ? '' : 's'} will go back to the basic User role.`
+                : 'No members have this role.'}
+            </p>
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setDeletingRole(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleDelete} loading={isSaving}>
+                Delete Role
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleManager;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Select from '../ui/Select';
+import Icon from '../AppIcon';
+import { supabase } from '../../lib/supabase';
+import {
+  BUNDLE_FILE_TYPES,
+  createBundle,
+  getBundleFileName,
+  serializeBundle
+} from '../../lib/workflow/bundle';
+import toast from 'react-hot-toast';
+
+const formatOptions = [
+  { value: 'json', label: 'JSON' },
+  { value: 'yaml', label: 'YAML' }
+];
+
+// Download one version of a workflow as a portable bundle
+const ExportWorkflow = ({ workflow, onClose }) => {
+  const [versions, setVersions] = useState([]);
+  const [integrations, setIntegrations] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [format, setFormat] = useState('json');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadExportData = async () => {
+      try {
+        const [{ data: versionRows, error: versionsError }, { data: integrationRows, error: integrationsError }] = await Promise.all([
+          supabase.from('workflow_versions').select('*').eq('workflow_id', workflow.id).order('version', { ascending: false }),
+          supabase.from('integrations').select('id, name, category')
+        ]);
+
+        if (versionsError) throw versionsError;
+        if (integrationsError) throw integrationsError;
+        setVersions(versionRows || []);
+        setIntegrations(integrationRows || []);
+        setSelectedVersion(workflow.published_version || versionRows?.[0]?.version || null);
+      } catch (error) {
+        console.error('Error loading workflow for export:', error);
+        toast.error('Failed to load workflow versions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadExportData();
+  }, [workflow.id]);
+
+  const version = versions.find(item => item.version === selectedVersion);
+  const bundle = version ? createBundle({ workflow, version, integrations }) : null;
+  const text = bundle ? serializeBundle(bundle, format) : '';
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: BUNDLE_FILE_TYPES[format] }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getBundleFileName(bundle, format);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const copy = () => {
+    navigator.clipboard.writeText(text);
+    toast.success('Bundle copied to clipboard');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-genetic-xl shadow-organic-lg w-full max-w-3xl max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-text-primary">Export Workflow</h2>
+            <p className="text-sm text-text-secondary">{workflow.name}</p>
+          </div>
+          <Button variant="ghost" size="sm" iconName="X" onClick={onClose} />
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Icon name="Loader2" size={24} className="animate-spin text-primary" />
+          </div>
+        ) : versions.length === 0 ? (
+          <div className="text-center py-12 text-text-secondary">
+            <Icon name="FileX" size={32} className="mx-auto mb-2" />
+            <p>Save the workflow before exporting it</p>
+          </div>
+        ) : (
+          <>
+            <div className="p-6 flex items-end space-x-3 border-b border-border">
+              <Select
+                label="Version"
+                options={versions.map(item => ({
+                  value: item.version,
+                  label: `v${item.version}${item.version === workflow.published_version ? ' (live)' : ''}`
+                }))}
+                value={selectedVersion}
+                onChange={setSelectedVersion}
+                className="w-40"
+              />
+              <Select label="Format" options={formatOptions} value={format} onChange={setFormat} className="w-32" />
+              <div className="flex-1" />
+              <Button variant="outline" iconName="Copy" iconPosition="left" onClick={copy}>Copy</Button>
+              <Button variant="default" iconName="Download" iconPosition="left" onClick={download}>Download</Button>
+            </div>
+            <p className="px-6 pt-4 text-xs text-text-secondary">
+              Webhook secrets and run history are not included. Imported webhook triggers get new URLs.
+            </p>
+            <pre className="flex-1 overflow-auto m-6 mt-2 text-xs bg-muted rounded-genetic-md p-3">{text}</pre>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExportWorkflow;
@@ -0,0 +1,193 @@
+import React, { useState, useRef } from 'react';
+import Icon from '../AppIcon';
+import { EXPRESSION_HELPERS } from '../../lib/workflow/expressions';
+
+const MAX_SUGGESTIONS = 8;
+
+const fieldClasses = 'w-full px-3 py-2 border border-border rounded-genetic-md bg-background text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+
+// Partial path being typed at the cursor. Template mode only completes inside an open `{{`.
+const getQuery = (text, cursor, mode) => {
+  const before = text.slice(0, cursor);
+  if (mode === 'template') {
+    const open = before.lastIndexOf('{{');
+    if (open === -1 || before.lastIndexOf('}}') > open) return null;
+  }
+  const match = before.match(/[A-Za-z_][\w.]*$/);
+  return match ? { text: match[0], start: cursor - match[0].length } : null;
+};
+
+// Text input with autocomplete for expression paths.
+// `mode="template"` edits a string with embedded `{{ }}` placeholders; `mode="expression"` edits a bare expression.
+const ExpressionInput = ({
+  label,
+  description,
+  error,
+  required = false,
+  value = '',
+  fields = [],
+  mode = 'template',
+  multiline = false,
+  placeholder,
+  onChange
+}) => {
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [showPicker, setShowPicker] = useState(false);
+
+  const text = value ?? '';
+  const helperNames = Object.keys(EXPRESSION_HELPERS);
+  const suggestions = query
+    ? [
+        ...fields.map(field => field.path),
+        ...helperNames.map(name => `${name}(`)
+      ]
+        .filter((path, index, all) => all.indexOf(path) === index)
+        .filter(path => path.startsWith(query.text) && path !== query.text)
+        .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const refreshQuery = (nextText, cursor) => {
+    setQuery(getQuery(nextText, cursor, mode));
+    setHighlighted(0);
+  };
+
+  const replaceRange = (start, end, insertion) => {
+    const next = `${text.slice(0, start)}${insertion}${text.slice(end)}`;
+    onChange(next);
+    setQuery(null);
+    requestAnimationFrame(() => {
+      const input = inputRef.current;
+      if (!input) return;
+      input.focus();
+      input.setSelectionRange(start + insertion.length, start + insertion.length);
+    });
+  };
+
+  const applySuggestion = (suggestion) => {
+    const cursor = inputRef.current?.selectionStart ?? text.length;
+    replaceRange(query.start, cursor, suggestion);
+  };
+
+  const insertField = (path) => {
+    const input = inputRef.current;
+    const start = input?.selectionStart ?? text.length;
+    const end = input?.selectionEnd ?? text.length;
+    replaceRange(start, end, mode === 'template' ? `{{ ${path} }}` : path);
+    setShowPicker(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setQuery(null);
+    }
+  };
+
+  const inputProps = {
+    ref: inputRef,
+    value: text,
+    placeholder,
+    spellCheck: false,
+    className: `${fieldClasses} font-mono ${error ? 'border-destructive' : ''}`,
+    onChange: (e) => {
+      onChange(e.target.value);
+      refreshQuery(e.target.value, e.target.selectionStart);
+    },
+    onKeyDown: handleKeyDown,
+    onClick: (e) => refreshQuery(text, e.target.selectionStart),
+    onBlur: () => setTimeout(() => setQuery(null), 150)
+  };
+
+  const groups = fields.reduce((grouped, field) => ({
+    ...grouped,
+    [field.group]: [...(grouped[field.group] || []), field]
+  }), {});
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        {label && (
+          <label className="text-sm font-medium text-text-primary">
+            {label}
+            {required && <span className="text-destructive ml-1">*</span>}
+          </label>
+        )}
+        {fields.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setShowPicker(!showPicker)}
+            className="flex items-center space-x-1 text-xs text-primary hover:underline"
+          >
+            <Icon name="Braces" size={12} />
+            <span>Insert field</span>
+          </button>
+        )}
+      </div>
+
+      <div className="relative">
+        {multiline ? <textarea rows={3} {...inputProps} /> : <input type="text" {...inputProps} />}
+
+        {suggestions.length > 0 && (
+          <ul className="absolute z-20 left-0 right-0 mt-1 bg-card border border-border rounded-genetic-md shadow-organic-md max-h-48 overflow-y-auto">
+            {suggestions.map((suggestion, index) => (
+              <li key={suggestion}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    applySuggestion(suggestion);
+                  }}
+                  className={`w-full text-left px-3 py-1.5 font-mono text-xs ${
+                    index === highlighted ? 'bg-primary/10 text-primary' : 'text-text-primary hover:bg-muted'
+                  }`}
+                >
+                  {suggestion}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {showPicker && (
+          <div className="absolute z-20 right-0 mt-1 w-72 bg-card border border-border rounded-genetic-md shadow-organic-md max-h-64 overflow-y-auto p-2 space-y-3">
+            {Object.entries(groups).map(([group, groupFields]) => (
+              <div key={group}>
+                <p className="px-2 text-xs font-medium text-text-secondary uppercase tracking-wide">{group}</p>
+                {groupFields.map(field => (
+                  <button
+                    key={field.path}
+                    type="button"
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      insertField(field.path);
+                    }}
+                    className="w-full text-left px-2 py-1 rounded-genetic-sm text-xs hover:bg-muted"
+                  >
+                    <span className="text-text-primary">{field.label}</span>
+                    <span className="block font-mono text-text-secondary truncate">{field.path}</span>
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {description && !error && <p className="text-xs text-text-secondary">{description}</p>}
+      {error && <p className="text-sm text-destructive">{error}</p>}
+    </div>
+  );
+};
+
+export default ExpressionInput;
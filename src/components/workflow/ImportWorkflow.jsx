@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Icon from '../AppIcon';
+import { useAuth } from '../auth/AuthProvider';
+import { supabase } from '../../lib/supabase';
+import {
+  getImportConfig,
+  importBundle,
+  parseBundle,
+  suggestIntegrationMap
+} from '../../lib/workflow/bundle';
+import { validateSteps } from '../../lib/workflow/stepSchemas';
+import toast from 'react-hot-toast';
+
+const conflictOptions = [
+  { value: 'copy', label: 'Import as a new workflow' },
+  { value: 'version', label: 'Add as a new draft version of the existing workflow' }
+];
+
+// Import a workflow bundle (JSON or YAML) into the current organization
+const ImportWorkflow = ({ onImported, onClose }) => {
+  const { profile } = useAuth();
+  const [text, setText] = useState('');
+  const [installed, setInstalled] = useState([]);
+  const [integrationMap, setIntegrationMap] = useState({});
+  const [existing, setExisting] = useState(null);
+  const [conflictMode, setConflictMode] = useState('copy');
+  const [name, setName] = useState('');
+  const [nameTaken, setNameTaken] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const parsed = text.trim() ? parseBundle(text) : null;
+  const bundle = parsed?.success ? parsed.data : null;
+
+  useEffect(() => {
+    const loadInstalled = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('organization_integrations')
+          .select('integration:integrations(id, name, category, config_schema)')
+          .eq('organization_id', profile.organization_id)
+          .eq('is_active', true);
+
+        if (error) throw error;
+        setInstalled((data || []).map(row => row.integration).filter(Boolean));
+      } catch (error) {
+        console.error('Error loading installed integrations:', error);
+      }
+    };
+
+    if (profile?.organization_id) loadInstalled();
+  }, [profile]);
+
+  // Look for a workflow with the bundle's name whenever a new bundle is read
+  useEffect(() => {
+    if (!bundle) return;
+    setIntegrationMap(suggestIntegrationMap(bundle, installed));
+    setName(bundle.workflow.name);
+
+    const findExisting = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('workflows')
+          .select('*')
+          .eq('organization_id', profile.organization_id)
+          .eq('name', bundle.workflow.name)
+          .limit(1)
+          .maybeSingle();
+
+        if (error) throw error;
+        setExisting(data || null);
+        setConflictMode('copy');
+        if (data) setName(`${bundle.workflow.name} (imported)`);
+      } catch (error) {
+        console.error('Error checking workflow names:', error);
+      }
+    };
+
+    findExisting();
+  }, [text, installed]);
+
+  // A renamed copy must not clash either
+  useEffect(() => {
+    if (!bundle || !name.trim()) return undefined;
+
+    const timer = setTimeout(async () => {
+      const { data, error } = await supabase
+        .from('workflows')
+        .select('id')
+        .eq('organization_id', profile.organization_id)
+        .eq('name', name.trim())
+        .limit(1);
+
+      if (error) {
+        console.error('Error checking workflow names:', error);
+        return;
+      }
+      setNameTaken((data || []).length > 0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [name, !!bundle]);
+
+  const readFile = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    file.text().then(setText);
+  };
+
+  const addingVersion = existing && conflictMode === 'version';
+  const unmapped = (bundle?.integrations || []).filter(integration => !integrationMap[integration.id]);
+  const stepIssues = bundle
+    ? Object.keys(validateSteps(getImportConfig(bundle, integrationMap).nodes, installed)).length
+    : 0;
+  const canImport = bundle && unmapped.length === 0 && (addingVersion || (name.trim() && !nameTaken));
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await importBundle({
+        client: supabase,
+        bundle,
+        organizationId: profile.organization_id,
+        userId: profile.id,
+        integrationMap,
+        name: name.trim(),
+        targetWorkflow: addingVersion ? existing : null
+      });
+
+      if (!result.success) throw new Error(result.error);
+      toast.success(addingVersion
+        ? `Added draft v${result.data.version.version} to ${existing.name}`
+        : `Imported ${result.data.workflow.name} as a draft`);
+      onImported?.(result.data.workflow);
+    } catch (error) {
+      console.error('Error importing workflow:', error);
+      toast.error(`Import failed: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-genetic-xl shadow-organic-lg w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-text-primary">Import Workflow</h2>
+            <p className="text-sm text-text-secondary">Upload or paste a JSON or YAML workflow bundle</p>
+          </div>
+          <Button variant="ghost" size="sm" iconName="X" onClick={onClose} />
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <div className="space-y-2">
+            <input
+              type="file"
+              accept=".json,.yaml,.yml,application/json,application/yaml"
+              onChange={readFile}
+              className="text-sm text-text-secondary"
+            />
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={8}
+              className="w-full px-3 py-2 border border-border rounded-genetic-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary"
+              placeholder="format: workflowgene/workflow-bundle"
+            />
+          </div>
+
+          {parsed && !parsed.success && (
+            <div className="bg-error/10 rounded-genetic-md p-3 text-sm text-error space-y-1">
+              {(parsed.errors.length > 0 ? parsed.errors : [parsed.error]).map(message => (
+                <p key={message}>{message}</p>
+              ))}
+            </div>
+          )}
+
+          {bundle && (
+            <>
+              <div className="bg-muted rounded-genetic-md p-3 text-sm">
+                <p className="font-medium text-text-primary">{bundle.workflow.name}</p>
+                <p className="text-text-secondary">
+                  {bundle.definition.nodes.length} steps · exported from {bundle.version?.status || 'draft'} v{bundle.version?.number || 1}
+                  {bundle.exported_at && ` on ${new Date(bundle.exported_at).toLocaleString()}`}
+                </p>
+              </div>
+
+              {existing && (
+                <Select
+                  label={`A workflow named "${existing.name}" already exists`}
+                  options={conflictOptions}
+                  value={conflictMode}
+                  onChange={setConflictMode}
+                />
+              )}
+
+              {!addingVersion && (
+                <Input
+                  label="Workflow Name"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  error={nameTaken ? 'Another workflow already uses this name' : undefined}
+                  required
+                />
+              )}
+
+              {bundle.integrations?.length > 0 && (
+                <div className="space-y-3">
+                  <h3 className="font-semibold text-text-primary">Integrations</h3>
+                  <p className="text-sm text-text-secondary">Choose which installed integration each step should use.</p>
+                  {bundle.integrations.map(integration => (
+                    <Select
+                      key={integration.id}
+                      label={integration.name}
+                      description={integration.category ? `Category: ${integration.category}` : undefined}
+                      options={installed.map(item => ({ value: item.id, label: item.name }))}
+                      value={integrationMap[integration.id] || ''}
+                      onChange={(value) => setIntegrationMap(prev => ({ ...prev, [integration.id]: value }))}
+                      placeholder={installed.length > 0 ? 'Select an installed integration' : 'No integrations installed'}
+                      error={!integrationMap[integration.id] ? 'Not installed in this organization' : undefined}
+                    />
+                  ))}
+                </div>
+              )}
+
+              {stepIssues > 0 && (
+                <div className="flex items-start space-x-2 text-sm text-warning">
+                  <Icon name="AlertTriangle" size={16} className="mt-0.5" />
+                  <span>
+                    {stepIssues} {stepIssues === 1 ? 'step needs' : 'steps need'} settings reviewed in the builder before the workflow can be published.
+                  </span>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end space-x-3 p-6 border-t border-border">
+          <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          <Button
+            variant="default"
+            iconName="Upload"
+            iconPosition="left"
+            loading={isImporting}
+            disabled={!canImport}
+            onClick={handleImport}
+          >
+            Import
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWorkflow;
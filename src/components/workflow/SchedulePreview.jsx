@@ -0,0 +1,46 @@
+import React from 'react';
+import Icon from '../AppIcon';
+import { describeSchedule, getNextRuns } from '../../lib/workflow/schedule';
+
+const PREVIEW_COUNT = 5;
+
+// Upcoming run times for a schedule trigger, shown in the trigger's timezone
+const SchedulePreview = ({ config }) => {
+  let runs = [];
+  let error = null;
+  try {
+    runs = getNextRuns(config, PREVIEW_COUNT);
+  } catch (scheduleError) {
+    error = scheduleError.message;
+  }
+
+  const timeZone = config.schedule_type === 'cron' ? config.timezone || 'UTC' : undefined;
+
+  return (
+    <div className="bg-muted rounded-genetic-md p-3 space-y-2">
+      <div className="flex items-center space-x-2 text-sm font-medium text-text-primary">
+        <Icon name="CalendarClock" size={16} />
+        <span>Next runs</span>
+      </div>
+      {error ? (
+        <p className="text-xs text-error">{error}</p>
+      ) : runs.length === 0 ? (
+        <p className="text-xs text-text-secondary">This schedule never matches a date.</p>
+      ) : (
+        <>
+          <p className="text-xs text-text-secondary">{describeSchedule(config)}</p>
+          <ul className="space-y-1">
+            {runs.map(run => (
+              <li key={run.toISOString()} className="text-xs font-mono text-text-primary">
+                {run.toLocaleString(undefined, { timeZone, dateStyle: 'medium', timeStyle: 'short' })}
+                {timeZone && <span className="text-text-secondary"> {timeZone}</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SchedulePreview;
@@ -0,0 +1,259 @@
+import React from 'react';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Button from '../ui/Button';
+import { Checkbox } from '../ui/Checkbox';
+import ExpressionInput from './ExpressionInput';
+import { isRequired } from '../../lib/workflow/schema';
+
+const textareaClasses = 'w-full px-3 py-2 border border-border rounded-genetic-md focus:outline-none focus:ring-2 focus:ring-primary';
+
+const INPUT_TYPES = {
+  email: 'email',
+  uri: 'url',
+  password: 'password'
+};
+
+// Editor for free-form key/value objects (`additionalProperties`)
+const KeyValueField = ({ label, description, value = {}, error, fields, onChange }) => {
+  const entries = Object.entries(value);
+
+  const updateEntry = (index, key, entryValue) => {
+    const next = entries.map((entry, i) => (i === index ? [key, entryValue] : entry));
+    onChange(Object.fromEntries(next));
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-text-primary">{label}</label>
+      {description && <p className="text-xs text-text-secondary">{description}</p>}
+      {entries.map(([key, entryValue], index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <Input
+            value={key}
+            placeholder="Field"
+            onChange={(e) => updateEntry(index, e.target.value, entryValue)}
+          />
+          {fields ? (
+            <div className="flex-1">
+              <ExpressionInput
+                value={entryValue ?? ''}
+                fields={fields}
+                placeholder="Value or {{ steps.key.output.field }}"
+                onChange={(nextValue) => updateEntry(index, key, nextValue)}
+              />
+            </div>
+          ) : (
+            <Input
+              value={entryValue ?? ''}
+              placeholder="Value"
+              onChange={(e) => updateEntry(index, key, e.target.value)}
+            />
+          )}
+          <Button
+            variant="ghost"
+            size="sm"
+            iconName="X"
+            onClick={() => onChange(Object.fromEntries(entries.filter((_, i) => i !== index)))}
+          />
+        </div>
+      ))}
+      <Button
+        variant="outline"
+        size="sm"
+        iconName="Plus"
+        iconPosition="left"
+        onClick={() => onChange({ ...value, [`field_${entries.length + 1}`]: '' })}
+      >
+        Add Field
+      </Button>
+      {error && <p className="text-sm text-destructive">{error}</p>}
+    </div>
+  );
+};
+
+// `fields` lists upstream values that string fields can map with `{{ }}`; omit it for plain inputs
+const SchemaField = ({ name, schema, value, required, errors, path, fields, onChange }) => {
+  const label = schema.title || name;
+  const error = errors[path];
+
+  if (schema.enum) {
+    return (
+      <Select
+        label={label}
+        description={schema.description}
+        required={required}
+        error={error}
+        options={schema.enum.map((option, index) => ({
+          value: option,
+          label: schema.enumNames?.[index] || String(option)
+        }))}
+        value={value}
+        onChange={onChange}
+        searchable={schema.enum.length > 10}
+        placeholder={`Select ${label.toLowerCase()}`}
+      />
+    );
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return (
+        <Checkbox
+          label={label}
+          description={schema.description}
+          checked={!!value}
+          error={error}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+      );
+
+    case 'number':
+    case 'integer':
+      return (
+        <Input
+          type="number"
+          label={label}
+          description={schema.description}
+          required={required}
+          error={error}
+          min={schema.minimum}
+          max={schema.maximum}
+          step={schema.type === 'integer' ? 1 : 'any'}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+        />
+      );
+
+    case 'array':
+      if (schema.items?.enum) {
+        const selected = value || [];
+        return (
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-text-primary">{label}</label>
+            {schema.items.enum.map((option, index) => (
+              <Checkbox
+                key={option}
+                label={schema.items.enumNames?.[index] || String(option)}
+                checked={selected.includes(option)}
+                onChange={(e) => onChange(e.target.checked
+                  ? [...selected, option]
+                  : selected.filter(item => item !== option))}
+              />
+            ))}
+            {error && <p className="text-sm text-destructive">{error}</p>}
+          </div>
+        );
+      }
+      return (
+        <div>
+          <label className="block text-sm font-medium text-text-primary mb-2">
+            {label}
+            {required && <span className="text-destructive ml-1">*</span>}
+          </label>
+          <textarea
+            value={(value || []).join('\n')}
+            onChange={(e) => onChange(e.target.value.split('\n').filter(Boolean))}
+            rows={3}
+            className={textareaClasses}
+            placeholder="One value per line"
+          />
+          {error && <p className="text-sm text-destructive mt-1">{error}</p>}
+        </div>
+      );
+
+    case 'object':
+      if (!schema.properties && schema.additionalProperties) {
+        return (
+          <KeyValueField
+            label={label}
+            description={schema.description}
+            value={value}
+            error={error}
+            fields={fields}
+            onChange={onChange}
+          />
+        );
+      }
+      return (
+        <fieldset className="space-y-4 border border-border rounded-genetic-md p-4">
+          <legend className="px-1 text-sm font-medium text-text-primary">{label}</legend>
+          <SchemaForm schema={schema} value={value} errors={errors} path={path} fields={fields} onChange={onChange} />
+        </fieldset>
+      );
+
+    default:
+      if (fields) {
+        return (
+          <ExpressionInput
+            label={label}
+            description={schema.description}
+            required={required}
+            error={error}
+            value={value ?? ''}
+            fields={fields}
+            mode={schema.format === 'expression' ? 'expression' : 'template'}
+            multiline={schema.format === 'expression' || schema.format === 'textarea'}
+            placeholder={schema.format === 'expression' ? schema.description : undefined}
+            onChange={onChange}
+          />
+        );
+      }
+      if (schema.format === 'expression' || schema.format === 'textarea') {
+        return (
+          <div>
+            <label className="block text-sm font-medium text-text-primary mb-2">
+              {label}
+              {required && <span className="text-destructive ml-1">*</span>}
+            </label>
+            <textarea
+              value={value || ''}
+              onChange={(e) => onChange(e.target.value)}
+              rows={3}
+              className={`${textareaClasses} ${schema.format === 'expression' ? 'font-mono text-sm' : ''}`}
+              placeholder={schema.description}
+            />
+            {error && <p className="text-sm text-destructive mt-1">{error}</p>}
+          </div>
+        );
+      }
+      return (
+        <Input
+          type={INPUT_TYPES[schema.format] || 'text'}
+          label={label}
+          description={schema.description}
+          required={required}
+          error={error}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+  }
+};
+
+// Render form fields for an object schema. `errors` is keyed by dotted path, as returned by `validateSchema`.
+const SchemaForm = ({ schema, value = {}, errors = {}, path = '', fields, onChange }) => (
+  <div className="space-y-4">
+    {Object.entries(schema?.properties || {})
+      // Read-only fields are managed by the builder rather than typed in
+      .filter(([, propertySchema]) => !propertySchema.readOnly)
+      .map(([name, propertySchema]) => {
+        const fieldPath = path ? `${path}.${name}` : name;
+        return (
+          <SchemaField
+            key={fieldPath}
+            name={name}
+            schema={propertySchema}
+            value={value?.[name]}
+            required={isRequired(schema, name)}
+            errors={errors}
+            path={fieldPath}
+            fields={fields}
+            onChange={(fieldValue) => onChange({ ...value, [name]: fieldValue })}
+          />
+        );
+      })}
+  </div>
+);
+
+export default SchemaForm;
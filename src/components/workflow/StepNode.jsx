@@ -0,0 +1,87 @@
+import React from 'react';
+import Icon from '../AppIcon';
+import { getStepType } from './stepTypes';
+import { NODE_WIDTH, NODE_HEIGHT, getOutputHandles } from './layout';
+
+// Border and badge styling for replayed or invalid steps
+const statusStyles = {
+  current: { border: 'border-primary ring-4 ring-primary/20', icon: null },
+  completed: { border: 'border-success', icon: 'CheckCircle', color: 'text-success' },
+  failed: { border: 'border-error ring-4 ring-error/20', icon: 'XCircle', color: 'text-error' },
+  waiting: { border: 'border-warning ring-4 ring-warning/20', icon: 'Hourglass', color: 'text-warning' },
+  pending: { border: 'border-border opacity-50', icon: null },
+  invalid: { border: 'border-warning', icon: 'AlertTriangle', color: 'text-warning' }
+};
+
+const StepNode = React.forwardRef(({
+  step,
+  selected = false,
+  status,
+  annotation,
+  onHandleClick,
+  className = '',
+  style,
+  ...props
+}, ref) => {
+  const stepType = getStepType(step.type);
+  const statusStyle = status ? statusStyles[status] : null;
+  const borderClass = statusStyle?.border || (selected ? 'border-primary' : 'border-border');
+
+  return (
+    <div
+      ref={ref}
+      className={`absolute bg-card border-2 rounded-genetic-lg p-4 shadow-organic-md cursor-pointer select-none transition-shadow duration-genetic-normal ${borderClass} ${className}`}
+      style={{ width: NODE_WIDTH, height: NODE_HEIGHT, ...style }}
+      {...props}
+    >
+      <div className="flex items-center space-x-3">
+        <div className={`w-10 h-10 flex-shrink-0 ${stepType?.color} rounded-genetic-md flex items-center justify-center`}>
+          <Icon name={stepType?.icon} size={20} className="text-white" />
+        </div>
+        <div className="min-w-0 flex-1">
+          <h4 className="font-medium text-text-primary truncate">{step.name}</h4>
+          <p className="text-sm text-text-secondary capitalize">{step.type}</p>
+        </div>
+        {statusStyle?.icon && (
+          <Icon
+            name={statusStyle.icon}
+            size={18}
+            className={statusStyle.color}
+          />
+        )}
+      </div>
+
+      {/* Output of a test run, shown beside the step */}
+      {annotation && (
+        <div className={`absolute left-full top-0 ml-3 w-56 max-h-20 overflow-hidden bg-card border border-border rounded-genetic-md p-2 shadow-organic-sm text-xs font-mono whitespace-pre-wrap break-all pointer-events-none ${
+          status === 'failed' ? 'text-error' : 'text-text-secondary'
+        }`}>
+          {annotation}
+        </div>
+      )}
+
+      {/* Connection Points */}
+      {getOutputHandles(step).map((handle) => (
+        <button
+          key={handle.label || 'next'}
+          type="button"
+          title={handle.name ? `Connect "${handle.name}" branch` : 'Connect to next step'}
+          onMouseDown={(e) => e.stopPropagation()}
+          onClick={(e) => {
+            e.stopPropagation();
+            onHandleClick?.(handle.label);
+          }}
+          className={`absolute -bottom-2 transform -translate-x-1/2 w-4 h-4 rounded-full border-2 border-background ${
+            handle.label === 'false' ? 'bg-error' : handle.label === 'true' ? 'bg-success' : 'bg-primary'
+          } ${onHandleClick ? 'hover:scale-125 cursor-crosshair' : 'cursor-default'}`}
+          style={{ left: `${handle.offset * 100}%` }}
+        />
+      ))}
+      <div className="absolute -top-2 left-1/2 transform -translate-x-1/2 w-4 h-4 bg-muted rounded-full border-2 border-background"></div>
+    </div>
+  );
+});
+
+StepNode.displayName = "StepNode";
+
+export default StepNode;
@@ -0,0 +1,349 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Icon from '../AppIcon';
+import { useAuth } from '../auth/AuthProvider';
+import { supabase } from '../../lib/supabase';
+import { validateGraph } from '../../lib/workflow/graph';
+import { MOCKED_STEP_TYPES, getRecordedMocks, isMockedStep, runTest } from '../../lib/workflow/testRun';
+import toast from 'react-hot-toast';
+
+// Recent runs searched for recorded responses of stubbed steps
+const RECORDED_RUN_LIMIT = 10;
+
+const decisionOptions = [
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+const toJson = (value) => (value === undefined ? '' : JSON.stringify(value, null, 2));
+
+const parseJson = (text, fallback) => {
+  if (!text.trim()) return { value: fallback };
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Try the graph open in the builder against a sample input. Nothing is written to workflow_executions.
+const TestRunPanel = ({ workflowId, graph, result, onResult, onSelectStep, onClose }) => {
+  const { profile } = useAuth();
+  const [inputSource, setInputSource] = useState('custom');
+  const [inputText, setInputText] = useState('{}');
+  const [mockTexts, setMockTexts] = useState({});
+  const [decisions, setDecisions] = useState({});
+  const [recordedMocks, setRecordedMocks] = useState({});
+  const [lastRunInput, setLastRunInput] = useState(null);
+  const [savedPayloads, setSavedPayloads] = useState([]);
+  const [sampleName, setSampleName] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isRunning, setIsRunning] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const mockedNodes = graph.nodes.filter(isMockedStep);
+  const approvalNodes = graph.nodes.filter(node => node.type === 'approval');
+
+  useEffect(() => {
+    if (workflowId) {
+      loadSavedPayloads();
+      loadRecordedRuns();
+    }
+  }, [workflowId]);
+
+  const loadSavedPayloads = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('workflow_test_payloads')
+        .select('*')
+        .eq('workflow_id', workflowId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setSavedPayloads(data || []);
+    } catch (error) {
+      console.error('Error loading sample payloads:', error);
+    }
+  };
+
+  // The latest run's input, and the latest response of each stubbed step
+  const loadRecordedRuns = async () => {
+    try {
+      const { data: executions, error } = await supabase
+        .from('workflow_executions')
+        .select('id, input_data')
+        .eq('workflow_id', workflowId)
+        .eq('status', 'completed')
+        .order('started_at', { ascending: false })
+        .limit(RECORDED_RUN_LIMIT);
+
+      if (error) throw error;
+      if (!executions?.length) return;
+      setLastRunInput(executions[0].input_data);
+
+      const { data: steps, error: stepsError } = await supabase
+        .from('workflow_execution_steps')
+        .select('step_id, status, output_data, started_at')
+        .in('execution_id', executions.map(execution => execution.id))
+        .in('step_type', MOCKED_STEP_TYPES)
+        .order('started_at', { ascending: false });
+
+      if (stepsError) throw stepsError;
+      const recorded = getRecordedMocks(graph, steps || []);
+      setRecordedMocks(recorded);
+      setMockTexts(prev => ({
+        ...Object.fromEntries(Object.entries(recorded).map(([stepId, output]) => [stepId, toJson(output)])),
+        ...prev
+      }));
+    } catch (error) {
+      console.error('Error loading recorded responses:', error);
+    }
+  };
+
+  const selectInputSource = (source) => {
+    setInputSource(source);
+    if (source === 'last_run') {
+      setInputText(toJson(lastRunInput || {}));
+    } else if (source.startsWith('saved:')) {
+      const payload = savedPayloads.find(item => `saved:${item.id}` === source);
+      setInputText(toJson(payload?.input || {}));
+      setMockTexts(prev => ({
+        ...prev,
+        ...Object.fromEntries(Object.entries(payload?.mocks || {}).map(([stepId, output]) => [stepId, toJson(output)]))
+      }));
+    }
+  };
+
+  // Parse the input and mock editors, reporting JSON errors inline
+  const readPayload = () => {
+    const nextErrors = {};
+    const input = parseJson(inputText, {});
+    if (input.error) nextErrors.input = input.error;
+
+    const mocks = {};
+    mockedNodes.forEach(node => {
+      const mock = parseJson(mockTexts[node.id] || '', undefined);
+      if (mock.error) nextErrors[node.id] = mock.error;
+      else if (mock.value !== undefined) mocks[node.id] = mock.value;
+    });
+
+    setErrors(nextErrors);
+    return Object.keys(nextErrors).length === 0 ? { input: input.value, mocks } : null;
+  };
+
+  const handleRun = async () => {
+    const graphErrors = validateGraph(graph);
+    if (graphErrors.length > 0) {
+      toast.error(graphErrors[0]);
+      return;
+    }
+
+    const payload = readPayload();
+    if (!payload) return;
+
+    setIsRunning(true);
+    try {
+      onResult(await runTest(graph, payload.input, { mocks: payload.mocks, decisions }));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleSaveSample = async () => {
+    const payload = readPayload();
+    if (!payload) return;
+
+    setIsSaving(true);
+    try {
+      const { data, error } = await supabase
+        .from('workflow_test_payloads')
+        .insert({
+          workflow_id: workflowId,
+          organization_id: profile.organization_id,
+          name: sampleName.trim(),
+          input: payload.input,
+          mocks: payload.mocks,
+          created_by: profile.id
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      setSavedPayloads(prev => [data, ...prev]);
+      setInputSource(`saved:${data.id}`);
+      setSampleName('');
+      toast.success('Sample saved');
+    } catch (error) {
+      console.error('Error saving sample payload:', error);
+      toast.error('Failed to save sample');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteSample = async () => {
+    const id = inputSource.replace('saved:', '');
+    try {
+      const { error } = await supabase.from('workflow_test_payloads').delete().eq('id', id);
+      if (error) throw error;
+      setSavedPayloads(prev => prev.filter(item => item.id !== id));
+      setInputSource('custom');
+    } catch (error) {
+      console.error('Error deleting sample payload:', error);
+      toast.error('Failed to delete sample');
+    }
+  };
+
+  const sourceOptions = [
+    { value: 'custom', label: 'Custom input' },
+    ...(lastRunInput ? [{ value: 'last_run', label: 'Input of the last successful run' }] : []),
+    ...savedPayloads.map(item => ({ value: `saved:${item.id}`, label: item.name }))
+  ];
+
+  const getStepName = (stepId) => graph.nodes.find(node => node.id === stepId)?.name || stepId;
+
+  return (
+    <div className="absolute top-0 right-0 bottom-0 w-96 bg-card border-l border-border shadow-organic-lg flex flex-col z-20">
+      <div className="flex items-center justify-between p-4 border-b border-border">
+        <div className="flex items-center space-x-2">
+          <Icon name="FlaskConical" size={18} className="text-primary" />
+          <h3 className="font-semibold text-text-primary">Test Run</h3>
+        </div>
+        <Button variant="ghost" size="sm" iconName="X" onClick={onClose} />
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-5">
+        <p className="text-xs text-text-secondary">
+          Runs the steps as they are in the editor, including unsaved changes. Integrations are not called, approvals are not requested and no run is recorded.
+        </p>
+
+        <div className="space-y-2">
+          <Select label="Input" options={sourceOptions} value={inputSource} onChange={selectInputSource} />
+          <textarea
+            value={inputText}
+            onChange={(e) => setInputText(e.target.value)}
+            rows={6}
+            className="w-full px-3 py-2 border border-border rounded-genetic-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          {errors.input && <p className="text-xs text-error">Invalid JSON: {errors.input}</p>}
+        </div>
+
+        {mockedNodes.length > 0 && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-semibold text-text-primary">Mock responses</h4>
+            {mockedNodes.map(node => (
+              <div key={node.id}>
+                <p className="text-sm font-medium text-text-primary">{node.name}</p>
+                <p className="text-xs text-text-secondary mb-1">
+                  {node.id in recordedMocks ? 'Recorded from an earlier run' : 'Leave empty to pass the input through'}
+                </p>
+                <textarea
+                  value={mockTexts[node.id] || ''}
+                  onChange={(e) => setMockTexts(prev => ({ ...prev, [node.id]: e.target.value }))}
+                  rows={3}
+                  className="w-full px-3 py-2 border border-border rounded-genetic-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+                {errors[node.id] && <p className="text-xs text-error">Invalid JSON: {errors[node.id]}</p>}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {approvalNodes.length > 0 && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-semibold text-text-primary">Approval decisions</h4>
+            {approvalNodes.map(node => (
+              <Select
+                key={node.id}
+                label={node.name}
+                options={decisionOptions}
+                value={decisions[node.id] || 'approved'}
+                onChange={(decision) => setDecisions(prev => ({ ...prev, [node.id]: decision }))}
+              />
+            ))}
+          </div>
+        )}
+
+        {workflowId && (
+          <div className="flex items-end space-x-2">
+            <Input
+              label="Save as sample"
+              placeholder="Sample name"
+              value={sampleName}
+              onChange={(e) => setSampleName(e.target.value)}
+              className="flex-1"
+            />
+            <Button variant="outline" size="sm" iconName="Save" loading={isSaving} disabled={!sampleName.trim()} onClick={handleSaveSample} />
+            {inputSource.startsWith('saved:') && (
+              <Button variant="ghost" size="sm" iconName="Trash2" onClick={handleDeleteSample} />
+            )}
+          </div>
+        )}
+
+        {result && (
+          <div className="space-y-3 pt-2 border-t border-border">
+            <div className="flex items-center justify-between">
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${result.success ? 'bg-success/10 text-success' : 'bg-error/10 text-error'}`}>
+                {result.success ? 'Passed' : 'Failed'}
+              </span>
+              <span className="text-xs text-text-secondary">{result.data.duration_ms}ms</span>
+            </div>
+            {result.error && <p className="text-sm text-error">{result.error}</p>}
+
+            {result.data.trace.map(entry => (
+              <button
+                key={entry.sequence}
+                type="button"
+                onClick={() => onSelectStep(entry.step_id)}
+                className="w-full text-left bg-muted rounded-genetic-md p-3 hover:bg-surface transition-colors"
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-sm font-medium text-text-primary">
+                    {getStepName(entry.step_id)}
+                    {entry.iteration != null && <span className="text-text-secondary font-normal"> · item {entry.iteration + 1}</span>}
+                  </span>
+                  <div className="flex items-center space-x-2">
+                    {entry.mocked && <span className="text-xs text-warning">Mocked</span>}
+                    <Icon
+                      name={entry.status === 'failed' ? 'XCircle' : 'CheckCircle'}
+                      size={14}
+                      className={entry.status === 'failed' ? 'text-error' : 'text-success'}
+                    />
+                  </div>
+                </div>
+                <pre className="text-xs text-text-secondary whitespace-pre-wrap break-all max-h-32 overflow-y-auto">
+                  {entry.status === 'failed' ? entry.error_message : toJson(entry.output_data)}
+                </pre>
+              </button>
+            ))}
+
+            {result.data.skipped.length > 0 && (
+              <p className="text-xs text-text-secondary">
+                Skipped: {result.data.skipped.map(getStepName).join(', ')}
+              </p>
+            )}
+
+            {result.success && (
+              <div>
+                <p className="text-xs font-medium text-text-secondary mb-1">Workflow output</p>
+                <pre className="text-xs bg-muted rounded-genetic-md p-3 whitespace-pre-wrap break-all max-h-48 overflow-y-auto">
+                  {toJson(result.data.output)}
+                </pre>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="p-4 border-t border-border">
+        <Button variant="default" fullWidth iconName="Play" iconPosition="left" loading={isRunning} onClick={handleRun}>
+          Run Test
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default TestRunPanel;
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import Button from '../ui/Button';
+import Select from '../ui/Select';
+import { Checkbox } from '../ui/Checkbox';
+import Icon from '../AppIcon';
+import { getStepType } from './stepTypes';
+import { diffVersions } from '../../lib/workflow/versions';
+
+const STATUS_STYLES = {
+  added: 'border-success/40 bg-success/5',
+  removed: 'border-error/40 bg-error/5',
+  changed: 'border-warning/40 bg-warning/5',
+  unchanged: 'border-border'
+};
+
+const formatValue = (value) => {
+  if (value === undefined) return '(not set)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+};
+
+const StepCell = ({ node, changes, side }) => {
+  if (!node) return <div className="rounded-genetic-md border border-dashed border-border" />;
+  const stepType = getStepType(node.type);
+
+  return (
+    <div className="p-3">
+      <div className="flex items-center space-x-2">
+        <Icon name={stepType?.icon || 'Square'} size={14} className="text-text-secondary" />
+        <span className="font-medium text-text-primary">{node.name}</span>
+        <span className="text-xs text-text-secondary font-mono">{node.key || node.id}</span>
+      </div>
+      {changes.length > 0 && (
+        <dl className="mt-2 space-y-1">
+          {changes.map(change => (
+            <div key={change.field} className="text-xs">
+              <dt className="text-text-secondary font-mono">{change.field}</dt>
+              <dd className="text-text-primary break-all">{formatValue(change[side])}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+};
+
+// Version list for a workflow, with a side-by-side step diff between any two versions
+const VersionHistory = ({ versions, publishedVersion, editingVersion, busyVersion, onPublish, onRestore, onClose }) => {
+  const [fromVersion, setFromVersion] = useState(publishedVersion || versions[versions.length - 1]?.version);
+  const [toVersion, setToVersion] = useState(editingVersion || versions[0]?.version);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const from = versions.find(version => version.version === fromVersion);
+  const to = versions.find(version => version.version === toVersion);
+  const diff = from && to ? diffVersions(from.config, to.config) : null;
+  const versionOptions = versions.map(version => ({ value: version.version, label: `v${version.version}` }));
+
+  const getStepName = (config, id) => config?.nodes?.find(node => node.id === id)?.name || id;
+  const describeEdge = (config, edge) =>
+    `${getStepName(config, edge.source)} → ${getStepName(config, edge.target)}${edge.label ? ` (${edge.label})` : ''}`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-genetic-xl shadow-organic-lg w-full max-w-6xl h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-text-primary">Version History</h2>
+            <p className="text-sm text-text-secondary">
+              {publishedVersion ? `v${publishedVersion} is live` : 'No version has been published yet'}
+            </p>
+          </div>
+          <Button variant="ghost" size="sm" iconName="X" onClick={onClose} />
+        </div>
+
+        <div className="flex flex-1 overflow-hidden">
+          <div className="w-80 border-r border-border overflow-y-auto divide-y divide-border">
+            {versions.map(version => (
+              <div key={version.id} className="p-4 space-y-2">
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-text-primary">v{version.version}</span>
+                  {version.version === publishedVersion ? (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-success/10 text-success">Live</span>
+                  ) : version.published_at ? (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-muted text-text-secondary">Previously live</span>
+                  ) : (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-warning/10 text-warning">Draft</span>
+                  )}
+                </div>
+                <p className="text-xs text-text-secondary">
+                  Saved {new Date(version.created_at).toLocaleString()}
+                  {version.restored_from && ` · restored from v${version.restored_from}`}
+                  {version.version === editingVersion && ' · in editor'}
+                </p>
+                <div className="flex items-center space-x-2">
+                  {version.version !== publishedVersion && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      iconName="Upload"
+                      loading={busyVersion === version.version}
+                      onClick={() => onPublish(version)}
+                    >
+                      Publish
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    iconName="RotateCcw"
+                    disabled={busyVersion === version.version}
+                    onClick={() => onRestore(version)}
+                  >
+                    Restore
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-6 space-y-4">
+            <div className="flex items-end space-x-3">
+              <Select label="Compare" options={versionOptions} value={fromVersion} onChange={setFromVersion} className="w-32" />
+              <Icon name="ArrowRight" size={16} className="text-text-secondary mb-3" />
+              <Select label="With" options={versionOptions} value={toVersion} onChange={setToVersion} className="w-32" />
+              <div className="pb-2">
+                <Checkbox
+                  label="Show unchanged steps"
+                  checked={showUnchanged}
+                  onChange={(e) => setShowUnchanged(e.target.checked)}
+                />
+              </div>
+            </div>
+
+            {diff && !diff.hasChanges && (
+              <p className="text-sm text-text-secondary">v{fromVersion} and v{toVersion} define the same workflow.</p>
+            )}
+
+            {diff && (
+              <div className="space-y-2">
+                <div className="grid grid-cols-2 gap-2 text-sm font-medium text-text-secondary">
+                  <span>v{fromVersion}</span>
+                  <span>v{toVersion}</span>
+                </div>
+                {diff.steps
+                  .filter(step => showUnchanged || step.status !== 'unchanged')
+                  .map(step => (
+                    <div key={step.id} className={`grid grid-cols-2 gap-2 rounded-genetic-md border ${STATUS_STYLES[step.status]}`}>
+                      <StepCell node={step.before} changes={step.changes} side="before" />
+                      <StepCell node={step.after} changes={step.changes} side="after" />
+                    </div>
+                  ))}
+
+                {(diff.connections.added.length > 0 || diff.connections.removed.length > 0) && (
+                  <div className="pt-2">
+                    <h3 className="text-sm font-semibold text-text-primary mb-2">Connections</h3>
+                    <ul className="space-y-1 text-sm">
+                      {diff.connections.removed.map(edge => (
+                        <li key={`removed-${edge.id}`} className="text-error">− {describeEdge(from.config, edge)}</li>
+                      ))}
+                      {diff.connections.added.map(edge => (
+                        <li key={`added-${edge.id}`} className="text-success">+ {describeEdge(to.config, edge)}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {diff.settings.length > 0 && (
+                  <div className="pt-2">
+                    <h3 className="text-sm font-semibold text-text-primary mb-2">Settings</h3>
+                    <ul className="space-y-1 text-sm">
+                      {diff.settings.map(change => (
+                        <li key={change.field} className="text-text-primary">
+                          <span className="font-mono text-text-secondary">{change.field}</span>: {formatValue(change.before)} → {formatValue(change.after)}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Button from '../ui/Button';
+import { Checkbox } from '../ui/Checkbox';
+import Icon from '../AppIcon';
+import { supabase } from '../../lib/supabase';
+
+const DELIVERY_LIMIT = 50;
+
+// Recent webhook deliveries for a workflow, for debugging rejected requests
+const WebhookDeliveries = ({ workflow, onClose }) => {
+  const navigate = useNavigate();
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rejectedOnly, setRejectedOnly] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const loadDeliveries = async () => {
+      setLoading(true);
+      try {
+        let query = supabase
+          .from('webhook_deliveries')
+          .select('*')
+          .eq('workflow_id', workflow.id)
+          .order('received_at', { ascending: false })
+          .limit(DELIVERY_LIMIT);
+
+        if (rejectedOnly) query = query.eq('status', 'rejected');
+
+        const { data, error } = await query;
+        if (error) throw error;
+        setDeliveries(data || []);
+      } catch (error) {
+        console.error('Error loading webhook deliveries:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDeliveries();
+  }, [workflow.id, rejectedOnly]);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-genetic-xl shadow-organic-lg w-full max-w-3xl max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-text-primary">Webhook Deliveries</h2>
+            <p className="text-sm text-text-secondary">{workflow.name}</p>
+          </div>
+          <Button variant="ghost" size="sm" iconName="X" onClick={onClose} />
+        </div>
+
+        <div className="px-6 py-3 border-b border-border">
+          <Checkbox
+            label="Show rejected deliveries only"
+            checked={rejectedOnly}
+            onChange={(e) => setRejectedOnly(e.target.checked)}
+          />
+        </div>
+
+        <div className="flex-1 overflow-y-auto divide-y divide-border">
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Icon name="Loader2" size={24} className="animate-spin text-primary" />
+            </div>
+          ) : deliveries.length === 0 ? (
+            <div className="text-center py-12 text-text-secondary">
+              <Icon name="Webhook" size={32} className="mx-auto mb-2" />
+              <p>No deliveries yet</p>
+            </div>
+          ) : (
+            deliveries.map(delivery => (
+              <div key={delivery.id} className="p-4">
+                <button
+                  type="button"
+                  className="w-full flex items-center justify-between text-left"
+                  onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                >
+                  <div className="flex items-center space-x-3">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      delivery.status === 'accepted' ? 'bg-success/10 text-success' : 'bg-error/10 text-error'
+                    }`}>
+                      {delivery.response_status} {delivery.status}
+                    </span>
+                    <span className="text-sm text-text-primary">{new Date(delivery.received_at).toLocaleString()}</span>
+                  </div>
+                  <Icon name={expandedId === delivery.id ? 'ChevronUp' : 'ChevronDown'} size={16} />
+                </button>
+                {delivery.reason && (
+                  <p className={`text-sm mt-2 ${delivery.status === 'rejected' ? 'text-error' : 'text-text-secondary'}`}>
+                    {delivery.reason}
+                  </p>
+                )}
+
+                {expandedId === delivery.id && (
+                  <div className="mt-3 space-y-3">
+                    <div>
+                      <p className="text-xs font-medium text-text-secondary mb-1">Headers</p>
+                      <pre className="text-xs bg-muted rounded-genetic-md p-3 overflow-x-auto">
+                        {JSON.stringify(delivery.headers, null, 2)}
+                      </pre>
+                    </div>
+                    <div>
+                      <p className="text-xs font-medium text-text-secondary mb-1">Body</p>
+                      <pre className="text-xs bg-muted rounded-genetic-md p-3 overflow-x-auto whitespace-pre-wrap">
+                        {delivery.body || '(empty)'}
+                      </pre>
+                    </div>
+                    {delivery.execution_id && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        iconName="History"
+                        iconPosition="left"
+                        onClick={() => navigate(`/dashboard/workflows/${workflow.id}/runs/${delivery.execution_id}`)}
+                      >
+                        View Run
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
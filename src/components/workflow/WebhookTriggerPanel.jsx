@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import Icon from '../AppIcon';
+import { supabase } from '../../lib/supabase';
+import { generateSecret, getWebhookUrl, DEFAULT_SIGNATURE_HEADER } from '../../lib/workflow/webhooks';
+import toast from 'react-hot-toast';
+
+// URL and signing secret for a webhook trigger. The secret lives in `workflow_webhooks`,
+// which is written when the workflow is saved.
+const WebhookTriggerPanel = ({ config }) => {
+  const [secret, setSecret] = useState(null);
+  const [showSecret, setShowSecret] = useState(false);
+  const [isRotating, setIsRotating] = useState(false);
+
+  const url = getWebhookUrl(config.webhook_id, import.meta.env.VITE_SUPABASE_URL);
+
+  useEffect(() => {
+    const loadSecret = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('workflow_webhooks')
+          .select('secret')
+          .eq('id', config.webhook_id)
+          .maybeSingle();
+
+        if (error) throw error;
+        setSecret(data?.secret || null);
+      } catch (error) {
+        console.error('Error loading webhook secret:', error);
+      }
+    };
+
+    setSecret(null);
+    setShowSecret(false);
+    if (config.webhook_id) loadSecret();
+  }, [config.webhook_id]);
+
+  const copy = (value, label) => {
+    navigator.clipboard.writeText(value);
+    toast.success(`${label} copied to clipboard`);
+  };
+
+  const rotateSecret = async () => {
+    setIsRotating(true);
+    try {
+      const nextSecret = generateSecret();
+      const { error } = await supabase
+        .from('workflow_webhooks')
+        .update({ secret: nextSecret })
+        .eq('id', config.webhook_id);
+
+      if (error) throw error;
+      setSecret(nextSecret);
+      setShowSecret(true);
+      toast.success('Signing secret regenerated. Update it in the sending system.');
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      toast.error('Failed to regenerate secret');
+    } finally {
+      setIsRotating(false);
+    }
+  };
+
+  return (
+    <div className="bg-muted rounded-genetic-md p-3 space-y-3">
+      <div>
+        <div className="flex items-center space-x-2 text-sm font-medium text-text-primary mb-1">
+          <Icon name="Webhook" size={16} />
+          <span>Webhook URL</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <code className="flex-1 text-xs bg-background border border-border rounded-genetic-sm px-2 py-1 truncate">{url}</code>
+          <Button variant="ghost" size="sm" iconName="Copy" onClick={() => copy(url, 'URL')} />
+        </div>
+        <p className="text-xs text-text-secondary mt-1">Send a POST request with a JSON or form body. Runs start only while the workflow is active.</p>
+      </div>
+
+      {secret ? (
+        <div>
+          <p className="text-sm font-medium text-text-primary mb-1">Signing secret</p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 text-xs bg-background border border-border rounded-genetic-sm px-2 py-1 truncate">
+              {showSecret ? secret : '•'.repeat(24)}
+            </code>
+            <Button variant="ghost" size="sm" iconName={showSecret ? 'EyeOff' : 'Eye'} onClick={() => setShowSecret(!showSecret)} />
+            <Button variant="ghost" size="sm" iconName="Copy" onClick={() => copy(secret, 'Secret')} />
+          </div>
+          {config.verify_signature && (
+            <p className="text-xs text-text-secondary mt-1">
+              Senders must put the hex HMAC-SHA256 of the raw body in the {config.signature_header || DEFAULT_SIGNATURE_HEADER} header.
+            </p>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            iconName="RefreshCw"
+            iconPosition="left"
+            loading={isRotating}
+            onClick={rotateSecret}
+            className="mt-2"
+          >
+            Regenerate Secret
+          </Button>
+        </div>
+      ) : (
+        <p className="text-xs text-text-secondary">Save the workflow to activate this URL and create its signing secret.</p>
+      )}
+    </div>
+  );
+};
+
+export default WebhookTriggerPanel;
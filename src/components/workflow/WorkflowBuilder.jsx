@@ -1,35 +1,93 @@
-import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Select from '../ui/Select';
 import Icon from '../AppIcon';
+import WorkflowCanvas from './WorkflowCanvas';
+import SchemaForm from './SchemaForm';
+import SchedulePreview from './SchedulePreview';
+import WebhookTriggerPanel from './WebhookTriggerPanel';
+import VersionHistory from './VersionHistory';
+import TestRunPanel from './TestRunPanel';
+import { stepTypes } from './stepTypes';
+import { getOutputHandles } from './layout';
 import { useAuth } from '../auth/AuthProvider';
 import { supabase } from '../../lib/supabase';
+import {
+  assignStepKeys,
+  createEdge,
+  createStepKey,
+  isBranchingStep,
+  normalizeGraph,
+  stepsToGraph,
+  validateGraph
+} from '../../lib/workflow/graph';
+import { getAvailableFields } from '../../lib/workflow/fields';
+import { isScheduleTrigger } from '../../lib/workflow/schedule';
+import { isWebhookTrigger } from '../../lib/workflow/webhooks';
+import {
+  createVersion,
+  getVersionConfig,
+  hasChanges,
+  publishVersion,
+  restoreVersion
+} from '../../lib/workflow/versions';
+import { getStepSchema, validateSteps } from '../../lib/workflow/stepSchemas';
+import { getSchemaDefaults } from '../../lib/workflow/schema';
+import { canAccessIntegration } from '../../lib/permissions';
+import { withConnectorSchemas } from '../../lib/connectors/registry';
+import { listConnections } from '../../lib/integrationConnections';
+import { getLimitMessage, hasRoomFor, isPlanLimitError } from '../../lib/billing/plans';
+import { getPlanUsage } from '../../lib/planUsage';
 import toast from 'react-hot-toast';
 
 const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
   const [workflow, setWorkflow] = useState({
     name: '',
     description: '',
-    steps: [],
-    version: 1,
+    folder: '',
+    nodes: [],
+    edges: [],
+    settings: {},
+    version: null,
+    published_version: null,
     status: 'draft'
   });
-  const [selectedStep, setSelectedStep] = useState(null);
+  const [selectedStepId, setSelectedStepId] = useState(null);
+  const [selectedEdgeId, setSelectedEdgeId] = useState(null);
   const [showTemplates, setShowTemplates] = useState(false);
   const [versions, setVersions] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [busyVersion, setBusyVersion] = useState(null);
+  const [showTestRun, setShowTestRun] = useState(false);
+  const [testResult, setTestResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const { profile } = useAuth();
-  const canvasRef = useRef(null);
-
-  const stepTypes = [
-    { id: 'trigger', name: 'Trigger', icon: 'Zap', color: 'bg-blue-500' },
-    { id: 'action', name: 'Action', icon: 'Play', color: 'bg-green-500' },
-    { id: 'condition', name: 'Condition', icon: 'GitBranch', color: 'bg-yellow-500' },
-    { id: 'delay', name: 'Delay', icon: 'Clock', color: 'bg-purple-500' },
-    { id: 'integration', name: 'Integration', icon: 'Link', color: 'bg-indigo-500' }
-  ];
+  const [integrations, setIntegrations] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [otherWorkflows, setOtherWorkflows] = useState([]);
+  const [connections, setConnections] = useState([]);
+  const [showValidation, setShowValidation] = useState(false);
+  const [samples, setSamples] = useState({});
+  const [planUsage, setPlanUsage] = useState(null);
+  const { profile, getPermissions } = useAuth();
+  const navigate = useNavigate();
+  const permissions = getPermissions();
+
+  const selectedStep = workflow.nodes.find(node => node.id === selectedStepId) || null;
+  const selectedEdge = workflow.edges.find(edge => edge.id === selectedEdgeId) || null;
+  const selectedEdgeSource = selectedEdge ? workflow.nodes.find(node => node.id === selectedEdge.source) : null;
+  const schemaOptions = { users, workflows: otherWorkflows, connections };
+  const stepErrors = validateSteps(workflow.nodes, integrations, schemaOptions);
+  const testTrace = new Map((testResult?.data.trace || []).map(entry => [entry.step_id, entry]));
+  const availableFields = selectedStep
+    ? getAvailableFields(workflow, selectedStep.id, { integrations, samples })
+    : [];
+  // A new workflow needs room in the plan; the database refuses it otherwise
+  const workflowLimitMessage = !workflowId && planUsage
+    && !hasRoomFor(planUsage.plan, 'workflows', planUsage.usage.workflows)
+    ? getLimitMessage(planUsage.plan, 'workflows')
+    : null;
 
   const templates = [
     {
@@ -58,10 +116,23 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
     }
   ];
 
+  useEffect(() => {
+    loadIntegrations();
+  }, []);
+
+  useEffect(() => {
+    if (profile?.organization_id) {
+      loadUsers(profile.organization_id);
+      loadOtherWorkflows(profile.organization_id);
+      loadConnections(profile.organization_id);
+      if (!workflowId) loadPlanUsage(profile.organization_id);
+    }
+  }, [profile?.organization_id]);
+
   useEffect(() => {
     if (workflowId) {
       loadWorkflow(workflowId);
-      loadVersions(workflowId);
+      loadSamples(workflowId);
     }
   }, [workflowId]);
 
@@ -74,13 +145,118 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
         .single();
 
       if (error) throw error;
-      setWorkflow(data);
+
+      // Open the newest version, which may be a draft saved after the live one
+      const history = await loadVersions(id);
+      const latest = history[0];
+      setWorkflow({
+        ...data,
+        ...toEditorState(latest?.config || data.config),
+        version: latest?.version ?? null
+      });
     } catch (error) {
       console.error('Error loading workflow:', error);
       toast.error('Failed to load workflow');
     }
   };
 
+  const loadPlanUsage = async (organizationId) => {
+    const result = await getPlanUsage(organizationId);
+    if (result.success) {
+      setPlanUsage(result.data);
+    }
+  };
+
+  const loadIntegrations = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('integrations')
+        .select('id, name, config_schema')
+        .eq('is_active', true)
+        .order('name');
+
+      if (error) throw error;
+      // Steps can only use integrations the member's role lets them run. Actions and triggers come
+      // from the connector registry, which the engine runs the same steps through.
+      setIntegrations(withConnectorSchemas(
+        (data || []).filter(integration => canAccessIntegration(permissions, integration.id, 'execute'))
+      ));
+    } catch (error) {
+      console.error('Error loading integrations:', error);
+    }
+  };
+
+  // Members approval steps can be assigned to
+  const loadUsers = async (organizationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('id, full_name, email')
+        .eq('organization_id', organizationId)
+        .order('full_name');
+
+      if (error) throw error;
+      setUsers(data || []);
+    } catch (error) {
+      console.error('Error loading members:', error);
+    }
+  };
+
+  // Workflows a sub-workflow step can call
+  const loadOtherWorkflows = async (organizationId) => {
+    try {
+      let query = supabase
+        .from('workflows')
+        .select('id, name')
+        .eq('organization_id', organizationId)
+        .order('name');
+      if (workflowId) query = query.neq('id', workflowId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setOtherWorkflows(data || []);
+    } catch (error) {
+      console.error('Error loading workflows:', error);
+    }
+  };
+
+  // Stored connections integration steps can run with
+  const loadConnections = async (organizationId) => {
+    const result = await listConnections(organizationId);
+    if (result.success) setConnections(result.data);
+  };
+
+  // Outputs from the latest successful run, used to suggest fields for data mapping
+  const loadSamples = async (id) => {
+    try {
+      const { data: execution, error } = await supabase
+        .from('workflow_executions')
+        .select('id, input_data')
+        .eq('workflow_id', id)
+        .eq('status', 'completed')
+        .order('started_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!execution) return;
+
+      const { data: steps, error: stepsError } = await supabase
+        .from('workflow_execution_steps')
+        .select('step_id, step_type, output_data')
+        .eq('execution_id', execution.id);
+
+      if (stepsError) throw stepsError;
+      setSamples((steps || []).reduce((sampled, step) => ({
+        ...sampled,
+        // Branching steps record `{ passed, data }`; their output is the data they pass on
+        [step.step_id]: isBranchingStep({ type: step.step_type }) ? step.output_data?.data : step.output_data
+      }), { input: execution.input_data }));
+    } catch (error) {
+      console.error('Error loading sample data:', error);
+    }
+  };
+
   const loadVersions = async (id) => {
     try {
       const { data, error } = await supabase
@@ -91,128 +267,279 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
 
       if (error) throw error;
       setVersions(data || []);
+      return data || [];
     } catch (error) {
       console.error('Error loading versions:', error);
+      return [];
     }
   };
 
-  const handleDragEnd = (result) => {
-    if (!result.destination) return;
-
-    const items = Array.from(workflow.steps);
-    const [reorderedItem] = items.splice(result.source.index, 1);
-    items.splice(result.destination.index, 0, reorderedItem);
-
-    setWorkflow(prev => ({ ...prev, steps: items }));
+  const toEditorState = (config) => {
+    const graph = normalizeGraph(config);
+    return {
+      ...graph,
+      nodes: assignStepKeys(graph.nodes),
+      settings: config?.settings || {}
+    };
   };
 
   const addStep = (stepType) => {
+    const lowest = workflow.nodes.reduce((max, node) => Math.max(max, node.position?.y || 0), -20);
+    const name = `New ${stepType.name}`;
     const newStep = {
       id: Date.now().toString(),
+      key: createStepKey(name, workflow.nodes),
       type: stepType.id,
-      name: `New ${stepType.name}`,
-      config: {},
-      position: { x: 100, y: 100 + (workflow.steps.length * 120) }
+      name,
+      config: getSchemaDefaults(getStepSchema({ type: stepType.id, config: {} }, integrations, schemaOptions)) || {},
+      position: { x: selectedStep?.position?.x ?? 100, y: lowest + 120 }
     };
 
+    // Continue from the selected step so linear workflows build up without manual wiring
+    const newEdge = selectedStep
+      ? createEdge(selectedStep.id, newStep.id, getOutputHandles(selectedStep)[0].label)
+      : null;
+
     setWorkflow(prev => ({
       ...prev,
-      steps: [...prev.steps, newStep]
+      nodes: [...prev.nodes, newStep],
+      edges: newEdge ? [...prev.edges, newEdge] : prev.edges
     }));
+    setSelectedStepId(newStep.id);
+    setSelectedEdgeId(null);
   };
 
   const updateStep = (stepId, updates) => {
     setWorkflow(prev => ({
       ...prev,
-      steps: prev.steps.map(step =>
-        step.id === stepId ? { ...step, ...updates } : step
+      nodes: prev.nodes.map(node =>
+        node.id === stepId ? { ...node, ...updates } : node
       )
     }));
   };
 
+  // Switching integration or action invalidates the settings entered for the previous one.
+  // Fields the new schema no longer has (e.g. after changing the trigger type) are dropped and new ones get defaults.
+  const updateStepConfig = (step, config) => {
+    let nextConfig = config;
+    if (step.type === 'integration') {
+      if (config.integration_id !== step.config?.integration_id) {
+        nextConfig = { integration_id: config.integration_id };
+      } else if (config.action !== step.config?.action) {
+        nextConfig = { integration_id: config.integration_id, action: config.action };
+      }
+    }
+
+    // Each webhook trigger gets its own URL
+    if (step.type === 'trigger' && nextConfig.kind === 'webhook' && !nextConfig.webhook_id) {
+      nextConfig = { ...nextConfig, webhook_id: crypto.randomUUID() };
+    }
+
+    const schema = getStepSchema({ ...step, config: nextConfig }, integrations, schemaOptions);
+    const defaults = getSchemaDefaults(schema) || {};
+    nextConfig = Object.fromEntries(
+      Object.entries({ ...defaults, ...nextConfig }).filter(([key]) => schema.properties?.[key])
+    );
+    updateStep(step.id, { config: nextConfig });
+  };
+
+  const moveStep = (stepId, position) => {
+    updateStep(stepId, { position });
+  };
+
   const deleteStep = (stepId) => {
     setWorkflow(prev => ({
       ...prev,
-      steps: prev.steps.filter(step => step.id !== stepId)
+      nodes: prev.nodes.filter(node => node.id !== stepId),
+      edges: prev.edges.filter(edge => edge.source !== stepId && edge.target !== stepId)
     }));
-    setSelectedStep(null);
+    setSelectedStepId(null);
   };
 
-  const saveWorkflow = async () => {
+  const connectSteps = (source, target, label) => {
+    const edge = createEdge(source, target, label);
+    const errors = validateGraph({ nodes: workflow.nodes, edges: [...workflow.edges, edge] });
+
+    if (errors.length > 0) {
+      toast.error(errors[0]);
+      return;
+    }
+
+    setWorkflow(prev => ({ ...prev, edges: [...prev.edges, edge] }));
+    setSelectedEdgeId(edge.id);
+    setSelectedStepId(null);
+  };
+
+  const updateEdgeLabel = (edgeId, label) => {
+    const current = workflow.edges.find(edge => edge.id === edgeId);
+    const updated = createEdge(current.source, current.target, label);
+    if (workflow.edges.some(edge => edge.id === updated.id)) return;
+
+    setWorkflow(prev => ({
+      ...prev,
+      edges: prev.edges.map(edge => (edge.id === edgeId ? updated : edge))
+    }));
+    setSelectedEdgeId(updated.id);
+  };
+
+  const deleteEdge = (edgeId) => {
+    setWorkflow(prev => ({
+      ...prev,
+      edges: prev.edges.filter(edge => edge.id !== edgeId)
+    }));
+    setSelectedEdgeId(null);
+  };
+
+  // Save the workflow details and, when the definition changed, a new draft version.
+  // With `publish` the saved version also becomes the live one.
+  const saveWorkflow = async ({ publish = false } = {}) => {
+    if (workflowLimitMessage) {
+      toast.error(workflowLimitMessage);
+      return;
+    }
+
+    const errors = validateGraph(workflow);
+    if (errors.length > 0) {
+      toast.error(errors[0]);
+      return;
+    }
+
+    const invalidStepIds = Object.keys(stepErrors);
+    if (invalidStepIds.length > 0) {
+      const invalidStep = workflow.nodes.find(node => node.id === invalidStepIds[0]);
+      setShowValidation(true);
+      setSelectedStepId(invalidStep.id);
+      setSelectedEdgeId(null);
+      toast.error(`${invalidStep.name}: ${Object.values(stepErrors[invalidStep.id])[0]}`);
+      return;
+    }
+
     setIsLoading(true);
     try {
       const workflowData = {
         name: workflow.name,
         description: workflow.description,
+        folder: workflow.folder?.trim() || null,
         organization_id: profile.organization_id,
-        created_by: profile.id,
-        config: {
-          steps: workflow.steps,
-          version: workflow.version
-        },
         status: workflow.status,
         updated_at: new Date().toISOString()
       };
 
+      let saved;
       if (workflowId) {
         // Update existing workflow
-        const { error } = await supabase
+        const { data, error } = await supabase
           .from('workflows')
           .update(workflowData)
-          .eq('id', workflowId);
+          .eq('id', workflowId)
+          .select()
+          .single();
 
         if (error) throw error;
-
-        // Create new version
-        await supabase
-          .from('workflow_versions')
-          .insert({
-            workflow_id: workflowId,
-            version: workflow.version + 1,
-            config: workflowData.config,
-            created_by: profile.id
-          });
+        saved = data;
       } else {
         // Create new workflow
         const { data, error } = await supabase
           .from('workflows')
-          .insert(workflowData)
+          .insert({ ...workflowData, created_by: profile.id })
           .select()
           .single();
 
         if (error) throw error;
-        
-        // Create initial version
-        await supabase
-          .from('workflow_versions')
-          .insert({
-            workflow_id: data.id,
-            version: 1,
-            config: workflowData.config,
-            created_by: profile.id
-          });
+        saved = data;
+      }
+
+      const config = getVersionConfig(workflow);
+      let version = versions.find(item => item.version === workflow.version);
+      if (!version || hasChanges(version.config, config)) {
+        const result = await createVersion({ client: supabase, workflow: saved, config, createdBy: profile.id });
+        if (!result.success) throw new Error(result.error);
+        version = result.data;
       }
 
-      toast.success('Workflow saved successfully');
+      if (publish) {
+        const result = await publishVersion({ client: supabase, workflow: saved, version, publishedBy: profile.id });
+        if (!result.success) throw new Error(result.error);
+        toast.success(`Published v${version.version}`);
+      } else {
+        toast.success(`Saved v${version.version} as a draft`);
+      }
       onSave?.();
     } catch (error) {
       console.error('Error saving workflow:', error);
-      toast.error('Failed to save workflow');
+      toast.error(isPlanLimitError(error) ? error.message : 'Failed to save workflow');
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handlePublishVersion = async (version) => {
+    setBusyVersion(version.version);
+    try {
+      const result = await publishVersion({ client: supabase, workflow, version, publishedBy: profile.id });
+      if (!result.success) throw new Error(result.error);
+      setWorkflow(prev => ({ ...prev, published_version: version.version }));
+      await loadVersions(workflowId);
+      toast.success(`v${version.version} is now live`);
+    } catch (error) {
+      console.error('Error publishing version:', error);
+      toast.error('Failed to publish version');
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  // Restoring adds a new draft with the old definition and opens it; unsaved edits are discarded
+  const handleRestoreVersion = async (version) => {
+    setBusyVersion(version.version);
+    try {
+      const result = await restoreVersion({ client: supabase, workflow, version, createdBy: profile.id });
+      if (!result.success) throw new Error(result.error);
+      setWorkflow(prev => ({
+        ...prev,
+        ...toEditorState(result.data.config),
+        version: result.data.version
+      }));
+      setSelectedStepId(null);
+      setSelectedEdgeId(null);
+      await loadVersions(workflowId);
+      toast.success(`Restored v${version.version} as draft v${result.data.version}`);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      toast.error('Failed to restore version');
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  // While test results are shown, steps are coloured by how they ran and show their output
+  const getNodeStatus = (nodeId) => {
+    if (testResult) {
+      const entry = testTrace.get(nodeId);
+      return entry ? entry.status : 'pending';
+    }
+    return showValidation && stepErrors[nodeId] ? 'invalid' : undefined;
+  };
+
+  const getNodeAnnotation = (nodeId) => {
+    const entry = testTrace.get(nodeId);
+    if (!entry) return undefined;
+    if (entry.status === 'failed') return entry.error_message;
+    const prefix = `${entry.iteration != null ? `item ${entry.iteration + 1}, ` : ''}${entry.mocked ? 'mocked: ' : ''}`;
+    return `${prefix}${JSON.stringify(entry.output_data)}`;
+  };
+
   const loadTemplate = (template) => {
+    const graph = stepsToGraph(template.steps);
     setWorkflow(prev => ({
       ...prev,
       name: template.name,
       description: template.description,
-      steps: template.steps.map(step => ({
-        ...step,
-        position: { x: 100, y: 100 + (parseInt(step.id) - 1) * 120 }
-      }))
+      ...graph,
+      nodes: assignStepKeys(graph.nodes)
     }));
+    setSelectedStepId(null);
+    setSelectedEdgeId(null);
     setShowTemplates(false);
   };
 
@@ -225,22 +552,23 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
             <h2 className="text-2xl font-bold text-text-primary">
               {workflowId ? 'Edit Workflow' : 'Create Workflow'}
             </h2>
+            {workflow.version && (
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                workflow.version === workflow.published_version ? 'bg-success/10 text-success' : 'bg-warning/10 text-warning'
+              }`}>
+                v{workflow.version} · {workflow.version === workflow.published_version ? 'Live' : 'Draft'}
+              </span>
+            )}
             {versions.length > 0 && (
-              <Select
-                options={versions.map(v => ({ value: v.version, label: `v${v.version}` }))}
-                value={workflow.version}
-                onChange={(version) => {
-                  const selectedVersion = versions.find(v => v.version === version);
-                  if (selectedVersion) {
-                    setWorkflow(prev => ({
-                      ...prev,
-                      ...selectedVersion.config,
-                      version: selectedVersion.version
-                    }));
-                  }
-                }}
-                className="w-32"
-              />
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setShowHistory(true)}
+                iconName="History"
+                iconPosition="left"
+              >
+                History
+              </Button>
             )}
           </div>
           
@@ -253,14 +581,32 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
             >
               Templates
             </Button>
+            <Button
+              variant="outline"
+              onClick={() => setShowTestRun(true)}
+              iconName="FlaskConical"
+              iconPosition="left"
+            >
+              Test Run
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => saveWorkflow()}
+              disabled={isLoading || !!workflowLimitMessage}
+              iconName="Save"
+              iconPosition="left"
+            >
+              Save Draft
+            </Button>
             <Button
               variant="default"
-              onClick={saveWorkflow}
+              onClick={() => saveWorkflow({ publish: true })}
               loading={isLoading}
-              iconName="Save"
+              disabled={!!workflowLimitMessage}
+              iconName="Upload"
               iconPosition="left"
             >
-              Save
+              Publish
             </Button>
             <Button
               variant="ghost"
@@ -270,6 +616,24 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
           </div>
         </div>
 
+        {workflowLimitMessage && (
+          <div className="flex items-center justify-between px-6 py-3 bg-error/5 border-b border-error/20">
+            <div className="flex items-center space-x-2 text-sm text-error">
+              <Icon name="AlertTriangle" size={16} />
+              <span>{workflowLimitMessage}</span>
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              iconName="ArrowUp"
+              iconPosition="left"
+              onClick={() => navigate('/dashboard/settings?tab=billing')}
+            >
+              View Plans
+            </Button>
+          </div>
+        )}
+
         <div className="flex flex-1 overflow-hidden">
           {/* Sidebar */}
           <div className="w-80 bg-surface border-r border-border p-6 overflow-y-auto">
@@ -296,6 +660,27 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
                       placeholder="Describe what this workflow does"
                     />
                   </div>
+                  <Input
+                    label="Folder"
+                    description="Roles can grant access per folder"
+                    value={workflow.folder || ''}
+                    onChange={(e) => setWorkflow(prev => ({ ...prev, folder: e.target.value }))}
+                    placeholder="e.g. Finance"
+                  />
+                  <Input
+                    type="number"
+                    label="Run Timeout (seconds)"
+                    description="Fail runs that take longer than this. Leave empty for no limit."
+                    min={1}
+                    value={workflow.settings?.timeout_seconds ?? ''}
+                    onChange={(e) => setWorkflow(prev => ({
+                      ...prev,
+                      settings: {
+                        ...prev.settings,
+                        timeout_seconds: e.target.value === '' ? undefined : Number(e.target.value)
+                      }
+                    }))}
+                  />
                 </div>
               </div>
 
@@ -328,23 +713,25 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
                       value={selectedStep.name}
                       onChange={(e) => updateStep(selectedStep.id, { name: e.target.value })}
                     />
+
+                    <Input
+                      label="Reference Key"
+                      description={`Later steps read this step's output as steps.${selectedStep.key || selectedStep.id}.output`}
+                      value={selectedStep.key || ''}
+                      onChange={(e) => updateStep(selectedStep.id, { key: e.target.value.replace(/[^A-Za-z0-9_]/g, '_') })}
+                      className="font-mono"
+                    />
                     
-                    {selectedStep.type === 'condition' && (
-                      <div>
-                        <label className="block text-sm font-medium text-text-primary mb-2">
-                          Condition
-                        </label>
-                        <textarea
-                          value={selectedStep.config.condition || ''}
-                          onChange={(e) => updateStep(selectedStep.id, {
-                            config: { ...selectedStep.config, condition: e.target.value }
-                          })}
-                          rows={3}
-                          className="w-full px-3 py-2 border border-border rounded-genetic-md focus:outline-none focus:ring-2 focus:ring-primary"
-                          placeholder="if (data.amount > 1000) { ... }"
-                        />
-                      </div>
-                    )}
+                    <SchemaForm
+                      schema={getStepSchema(selectedStep, integrations, schemaOptions)}
+                      value={selectedStep.config || {}}
+                      errors={showValidation ? stepErrors[selectedStep.id] : {}}
+                      fields={availableFields}
+                      onChange={(config) => updateStepConfig(selectedStep, config)}
+                    />
+
+                    {isScheduleTrigger(selectedStep) && <SchedulePreview config={selectedStep.config} />}
+                    {isWebhookTrigger(selectedStep) && <WebhookTriggerPanel config={selectedStep.config} />}
 
                     <Button
                       variant="outline"
@@ -358,87 +745,109 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
                   </div>
                 </div>
               )}
+
+              {/* Selected Connection */}
+              {selectedEdge && (
+                <div>
+                  <h3 className="font-semibold text-text-primary mb-4">Connection</h3>
+                  <div className="space-y-4">
+                    <p className="text-sm text-text-secondary">
+                      {workflow.nodes.find(node => node.id === selectedEdge.source)?.name}
+                      {' → '}
+                      {workflow.nodes.find(node => node.id === selectedEdge.target)?.name}
+                    </p>
+
+                    {selectedEdgeSource && getOutputHandles(selectedEdgeSource).length > 1 && (
+                      <Select
+                        label="Branch"
+                        options={getOutputHandles(selectedEdgeSource).map(handle => ({ value: handle.label || '', label: handle.name }))}
+                        value={selectedEdge.label || (isBranchingStep(selectedEdgeSource) ? 'true' : '')}
+                        onChange={(label) => updateEdgeLabel(selectedEdge.id, label || null)}
+                      />
+                    )}
+
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => deleteEdge(selectedEdge.id)}
+                      iconName="Unlink"
+                      iconPosition="left"
+                    >
+                      Remove Connection
+                    </Button>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
           {/* Canvas */}
           <div className="flex-1 relative overflow-hidden">
-            <div
-              ref={canvasRef}
-              className="w-full h-full bg-background relative overflow-auto"
-              style={{ backgroundImage: 'radial-gradient(circle, #e5e7eb 1px, transparent 1px)', backgroundSize: '20px 20px' }}
+            <WorkflowCanvas
+              nodes={workflow.nodes}
+              edges={workflow.edges}
+              selectedNodeId={selectedStepId}
+              selectedEdgeId={selectedEdgeId}
+              onSelectNode={(node) => {
+                setSelectedStepId(node.id);
+                setSelectedEdgeId(null);
+              }}
+              onSelectEdge={(edge) => {
+                setSelectedEdgeId(edge.id);
+                setSelectedStepId(null);
+              }}
+              getNodeStatus={getNodeStatus}
+              getNodeAnnotation={getNodeAnnotation}
+              onMoveNode={moveStep}
+              onConnect={connectSteps}
+              onCanvasClick={() => {
+                setSelectedStepId(null);
+                setSelectedEdgeId(null);
+              }}
             >
-              <DragDropContext onDragEnd={handleDragEnd}>
-                <Droppable droppableId="workflow-canvas">
-                  {(provided) => (
-                    <div
-                      {...provided.droppableProps}
-                      ref={provided.innerRef}
-                      className="min-h-full p-8"
+              {/* Empty State */}
+              {workflow.nodes.length === 0 && (
+                <div className="absolute inset-0 flex items-center justify-center">
+                  <div className="text-center">
+                    <Icon name="Workflow" size={64} className="text-text-secondary mx-auto mb-4" />
+                    <h3 className="text-xl font-semibold text-text-primary mb-2">
+                      Start Building Your Workflow
+                    </h3>
+                    <p className="text-text-secondary mb-6">
+                      Add steps from the sidebar or choose a template to get started
+                    </p>
+                    <Button
+                      variant="default"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowTemplates(true);
+                      }}
+                      iconName="FileTemplate"
+                      iconPosition="left"
                     >
-                      {workflow.steps.map((step, index) => (
-                        <Draggable key={step.id} draggableId={step.id} index={index}>
-                          {(provided, snapshot) => (
-                            <div
-                              ref={provided.innerRef}
-                              {...provided.draggableProps}
-                              {...provided.dragHandleProps}
-                              className={`absolute bg-card border-2 rounded-genetic-lg p-4 shadow-organic-md cursor-pointer transition-all duration-genetic-normal ${
-                                selectedStep?.id === step.id ? 'border-primary' : 'border-border'
-                              } ${snapshot.isDragging ? 'shadow-organic-lg scale-105' : ''}`}
-                              style={{
-                                left: step.position?.x || 100,
-                                top: step.position?.y || 100 + (index * 120),
-                                ...provided.draggableProps.style
-                              }}
-                              onClick={() => setSelectedStep(step)}
-                            >
-                              <div className="flex items-center space-x-3">
-                                <div className={`w-10 h-10 ${stepTypes.find(t => t.id === step.type)?.color} rounded-genetic-md flex items-center justify-center`}>
-                                  <Icon name={stepTypes.find(t => t.id === step.type)?.icon} size={20} className="text-white" />
-                                </div>
-                                <div>
-                                  <h4 className="font-medium text-text-primary">{step.name}</h4>
-                                  <p className="text-sm text-text-secondary capitalize">{step.type}</p>
-                                </div>
-                              </div>
-                              
-                              {/* Connection Points */}
-                              <div className="absolute -bottom-2 left-1/2 transform -translate-x-1/2 w-4 h-4 bg-primary rounded-full border-2 border-background"></div>
-                              <div className="absolute -top-2 left-1/2 transform -translate-x-1/2 w-4 h-4 bg-muted rounded-full border-2 border-background"></div>
-                            </div>
-                          )}
-                        </Draggable>
-                      ))}
-                      {provided.placeholder}
-                      
-                      {/* Empty State */}
-                      {workflow.steps.length === 0 && (
-                        <div className="flex items-center justify-center h-full">
-                          <div className="text-center">
-                            <Icon name="Workflow" size={64} className="text-text-secondary mx-auto mb-4" />
-                            <h3 className="text-xl font-semibold text-text-primary mb-2">
-                              Start Building Your Workflow
-                            </h3>
-                            <p className="text-text-secondary mb-6">
-                              Add steps from the sidebar or choose a template to get started
-                            </p>
-                            <Button
-                              variant="default"
-                              onClick={() => setShowTemplates(true)}
-                              iconName="FileTemplate"
-                              iconPosition="left"
-                            >
-                              Browse Templates
-                            </Button>
-                          </div>
-                        </div>
-                      )}
-                    </div>
-                  )}
-                </Droppable>
-              </DragDropContext>
-            </div>
+                      Browse Templates
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </WorkflowCanvas>
+
+            {showTestRun && (
+              <TestRunPanel
+                workflowId={workflowId}
+                graph={{ nodes: workflow.nodes, edges: workflow.edges }}
+                result={testResult}
+                onResult={setTestResult}
+                onSelectStep={(stepId) => {
+                  setSelectedStepId(stepId);
+                  setSelectedEdgeId(null);
+                }}
+                onClose={() => {
+                  setShowTestRun(false);
+                  setTestResult(null);
+                }}
+              />
+            )}
           </div>
         </div>
 
@@ -470,6 +879,18 @@ const WorkflowBuilder = ({ workflowId, onSave, onClose }) => {
             </div>
           </div>
         )}
+
+        {showHistory && (
+          <VersionHistory
+            versions={versions}
+            publishedVersion={workflow.published_version}
+            editingVersion={workflow.version}
+            busyVersion={busyVersion}
+            onPublish={handlePublishVersion}
+            onRestore={handleRestoreVersion}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,202 @@
+import React, { useState, useRef, useEffect } from 'react';
+import StepNode from './StepNode';
+import {
+  NODE_WIDTH,
+  NODE_HEIGHT,
+  getNodePosition,
+  getInputPoint,
+  getOutputPoint,
+  getOutputHandles,
+  snapToGrid
+} from './layout';
+
+const CANVAS_PADDING = 200;
+
+const buildPath = (from, to) => {
+  const bend = Math.max(40, Math.abs(to.y - from.y) / 2);
+  return `M ${from.x} ${from.y} C ${from.x} ${from.y + bend}, ${to.x} ${to.y - bend}, ${to.x} ${to.y}`;
+};
+
+// Workflow graph canvas. Editable when `onMoveNode`/`onConnect` are provided, read-only otherwise.
+const WorkflowCanvas = ({
+  nodes = [],
+  edges = [],
+  selectedNodeId = null,
+  selectedEdgeId = null,
+  getNodeStatus,
+  getNodeAnnotation,
+  onSelectNode,
+  onSelectEdge,
+  onMoveNode,
+  onConnect,
+  onCanvasClick,
+  children
+}) => {
+  const containerRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const [pendingConnection, setPendingConnection] = useState(null);
+  const [pointer, setPointer] = useState(null);
+
+  const positions = new Map(nodes.map((node, index) => [node.id, getNodePosition(node, index)]));
+
+  const width = Math.max(...nodes.map(node => positions.get(node.id).x + NODE_WIDTH), 0) + CANVAS_PADDING;
+  const height = Math.max(...nodes.map(node => positions.get(node.id).y + NODE_HEIGHT), 0) + CANVAS_PADDING;
+
+  // Cancel a half-made connection with Escape
+  useEffect(() => {
+    if (!pendingConnection) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setPendingConnection(null);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [pendingConnection]);
+
+  const getCanvasPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: e.clientX - rect.left + containerRef.current.scrollLeft,
+      y: e.clientY - rect.top + containerRef.current.scrollTop
+    };
+  };
+
+  const handleMouseMove = (e) => {
+    const point = getCanvasPoint(e);
+    if (pendingConnection) setPointer(point);
+    if (!drag) return;
+
+    onMoveNode(drag.nodeId, {
+      x: snapToGrid(point.x - drag.offsetX),
+      y: snapToGrid(point.y - drag.offsetY)
+    });
+  };
+
+  const handleNodeMouseDown = (e, node) => {
+    if (!onMoveNode || e.button !== 0) return;
+    const point = getCanvasPoint(e);
+    const position = positions.get(node.id);
+    setDrag({ nodeId: node.id, offsetX: point.x - position.x, offsetY: point.y - position.y });
+  };
+
+  const handleNodeClick = (e, node) => {
+    e.stopPropagation();
+    if (pendingConnection) {
+      if (pendingConnection.source !== node.id) {
+        onConnect(pendingConnection.source, node.id, pendingConnection.label);
+      }
+      setPendingConnection(null);
+      return;
+    }
+    onSelectNode?.(node);
+  };
+
+  const pendingSource = pendingConnection && nodes.find(node => node.id === pendingConnection.source);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`w-full h-full bg-background relative overflow-auto ${pendingConnection ? 'cursor-crosshair' : ''}`}
+      style={{ backgroundImage: 'radial-gradient(circle, #e5e7eb 1px, transparent 1px)', backgroundSize: '20px 20px' }}
+      onMouseMove={handleMouseMove}
+      onMouseUp={() => setDrag(null)}
+      onMouseLeave={() => setDrag(null)}
+      onClick={() => {
+        setPendingConnection(null);
+        onCanvasClick?.();
+      }}
+    >
+      <div className="relative min-w-full min-h-full" style={{ width, height }}>
+        {/* Connectors */}
+        <svg className="absolute inset-0 pointer-events-none" width={width} height={height}>
+          <defs>
+            <marker id="workflow-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor" />
+            </marker>
+          </defs>
+
+          {edges.map((edge) => {
+            const source = nodes.find(node => node.id === edge.source);
+            const target = nodes.find(node => node.id === edge.target);
+            if (!source || !target) return null;
+
+            const from = getOutputPoint(source, positions.get(source.id), edge.label);
+            const to = getInputPoint(positions.get(target.id));
+            const path = buildPath(from, to);
+            const selected = edge.id === selectedEdgeId;
+            const handle = getOutputHandles(source).find(h => h.label === (edge.label || null));
+            const colorClass = selected
+              ? 'text-primary'
+              : edge.label === 'false' ? 'text-error' : edge.label === 'true' ? 'text-success' : 'text-text-secondary';
+
+            return (
+              <g key={edge.id} className={colorClass}>
+                <path d={path} fill="none" stroke="currentColor" strokeWidth={selected ? 3 : 2} markerEnd="url(#workflow-arrow)" />
+                {onSelectEdge && (
+                  <path
+                    d={path}
+                    fill="none"
+                    stroke="transparent"
+                    strokeWidth={14}
+                    className="pointer-events-auto cursor-pointer"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onSelectEdge(edge);
+                    }}
+                  />
+                )}
+                {handle?.name && (
+                  <text
+                    x={(from.x + to.x) / 2}
+                    y={(from.y + to.y) / 2}
+                    textAnchor="middle"
+                    className="text-xs font-medium"
+                    fill="currentColor"
+                  >
+                    {handle.name}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {pendingSource && pointer && (
+            <path
+              d={buildPath(getOutputPoint(pendingSource, positions.get(pendingSource.id), pendingConnection.label), pointer)}
+              fill="none"
+              stroke="currentColor"
+              strokeWidth={2}
+              strokeDasharray="6 4"
+              className="text-primary"
+            />
+          )}
+        </svg>
+
+        {/* Steps */}
+        {nodes.map((node) => {
+          const position = positions.get(node.id);
+          return (
+            <StepNode
+              key={node.id}
+              step={node}
+              selected={node.id === selectedNodeId}
+              status={getNodeStatus?.(node.id)}
+              annotation={getNodeAnnotation?.(node.id)}
+              className={drag?.nodeId === node.id ? 'shadow-organic-lg z-10' : ''}
+              style={{ left: position.x, top: position.y }}
+              onMouseDown={(e) => handleNodeMouseDown(e, node)}
+              onClick={(e) => handleNodeClick(e, node)}
+              onHandleClick={onConnect ? (label) => {
+                setPendingConnection({ source: node.id, label });
+                setPointer(null);
+              } : undefined}
+            />
+          );
+        })}
+
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowCanvas;
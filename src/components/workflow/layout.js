@@ -0,0 +1,43 @@
+// Canvas geometry shared by step nodes and their connectors
+export const NODE_WIDTH = 224;
+export const NODE_HEIGHT = 76;
+export const GRID_SIZE = 20;
+
+// Horizontal position of each output handle as a fraction of the node width
+export const OUTPUT_HANDLES = {
+  condition: [
+    { label: 'true', offset: 0.3, name: 'Yes' },
+    { label: 'false', offset: 0.7, name: 'No' }
+  ],
+  approval: [
+    { label: 'true', offset: 0.3, name: 'Approved' },
+    { label: 'false', offset: 0.7, name: 'Rejected' }
+  ],
+  for_each: [
+    { label: 'each', offset: 0.3, name: 'Each item' },
+    { label: null, offset: 0.7, name: 'Done' }
+  ],
+  default: [
+    { label: null, offset: 0.5, name: null }
+  ]
+};
+
+export const getOutputHandles = (node) => OUTPUT_HANDLES[node.type] || OUTPUT_HANDLES.default;
+
+export const getNodePosition = (node, index = 0) => node.position || { x: 100, y: 100 + (index * 120) };
+
+export const getInputPoint = (position) => ({
+  x: position.x + NODE_WIDTH / 2,
+  y: position.y
+});
+
+export const getOutputPoint = (node, position, label = null) => {
+  const handles = getOutputHandles(node);
+  const handle = handles.find(h => h.label === (label || null)) || handles[0];
+  return {
+    x: position.x + NODE_WIDTH * handle.offset,
+    y: position.y + NODE_HEIGHT
+  };
+};
+
+export const snapToGrid = (value) => Math.max(0, Math.round(value / GRID_SIZE) * GRID_SIZE);
@@ -0,0 +1,14 @@
+// Step types available on the workflow canvas
+export const stepTypes = [
+  { id: 'trigger', name: 'Trigger', icon: 'Zap', color: 'bg-blue-500' },
+  { id: 'action', name: 'Action', icon: 'Play', color: 'bg-green-500' },
+  { id: 'condition', name: 'Condition', icon: 'GitBranch', color: 'bg-yellow-500' },
+  { id: 'delay', name: 'Delay', icon: 'Clock', color: 'bg-purple-500' },
+  { id: 'integration', name: 'Integration', icon: 'Link', color: 'bg-indigo-500' },
+  { id: 'http_request', name: 'HTTP Request', icon: 'Globe', color: 'bg-cyan-500' },
+  { id: 'approval', name: 'Approval', icon: 'UserCheck', color: 'bg-pink-500' },
+  { id: 'for_each', name: 'For Each', icon: 'Repeat', color: 'bg-teal-500' },
+  { id: 'sub_workflow', name: 'Call Workflow', icon: 'Workflow', color: 'bg-orange-500' }
+];
+
+export const getStepType = (typeId) => stepTypes.find(type => type.id === typeId);
@@ -0,0 +1,449 @@
+// Public REST API definitions
+// One description of every endpoint drives three things: the router in ./server.js, the /api
+// documentation page and the OpenAPI document (`buildOpenApiDocument`). Each resource maps to an
+// API key scope of the same name; GET endpoints need `read` access and the rest need `write`.
+// List endpoints are paginated with `page` and `per_page`, and their filters name the column and
+// comparison the server applies.
+
+export const API_VERSION = 'v1';
+export const API_BASE_PATH = `/api/${API_VERSION}`;
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+export const RATE_LIMIT_PER_MINUTE = 120;
+
+export const API_ERROR_CODES = {
+  bad_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  method_not_allowed: 405,
+  conflict: 409,
+  validation_error: 422,
+  rate_limited: 429,
+  server_error: 500
+};
+
+const WORKFLOW_STATUSES = ['draft', 'active', 'paused', 'archived'];
+const EXECUTION_STATUSES = ['pending', 'running', 'waiting', 'completed', 'failed', 'canceled'];
+const MEMBER_ROLES = ['user', 'manager', 'org_admin'];
+// Organization admins are made from the Team page, never with an API key
+const ASSIGNABLE_ROLES = ['user', 'manager'];
+
+// Response objects. The server selects exactly these columns.
+export const API_SCHEMAS = {
+  Workflow: {
+    id: { type: 'string', format: 'uuid' },
+    name: { type: 'string' },
+    description: { type: 'string', nullable: true },
+    folder: { type: 'string', nullable: true },
+    status: { type: 'string', enum: WORKFLOW_STATUSES },
+    tags: { type: 'array', items: { type: 'string' } },
+    published_version: { type: 'integer', nullable: true },
+    execution_count: { type: 'integer' },
+    last_executed: { type: 'string', format: 'date-time', nullable: true },
+    next_run_at: { type: 'string', format: 'date-time', nullable: true },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
+  },
+  Execution: {
+    id: { type: 'string', format: 'uuid' },
+    workflow_id: { type: 'string', format: 'uuid' },
+    workflow_version: { type: 'integer', nullable: true },
+    status: { type: 'string', enum: EXECUTION_STATUSES },
+    trigger_type: { type: 'string' },
+    input_data: { type: 'object' },
+    output_data: { type: 'object' },
+    error_message: { type: 'string', nullable: true },
+    execution_time_ms: { type: 'integer', nullable: true },
+    parent_execution_id: { type: 'string', format: 'uuid', nullable: true },
+    started_at: { type: 'string', format: 'date-time' },
+    completed_at: { type: 'string', format: 'date-time', nullable: true }
+  },
+  Integration: {
+    id: { type: 'string', format: 'uuid' },
+    integration_id: { type: 'string' },
+    is_active: { type: 'boolean' },
+    installed_at: { type: 'string', format: 'date-time' }
+  },
+  User: {
+    id: { type: 'string', format: 'uuid' },
+    email: { type: 'string', format: 'email' },
+    first_name: { type: 'string', nullable: true },
+    last_name: { type: 'string', nullable: true },
+    role: { type: 'string', enum: ['super_admin', ...MEMBER_ROLES] },
+    custom_role_id: { type: 'string', format: 'uuid', nullable: true },
+    is_active: { type: 'boolean' },
+    last_login: { type: 'string', format: 'date-time', nullable: true },
+    created_at: { type: 'string', format: 'date-time' }
+  },
+  Invitation: {
+    id: { type: 'string', format: 'uuid' },
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: MEMBER_ROLES },
+    expires_at: { type: 'string', format: 'date-time' },
+    invite_url: { type: 'string', nullable: true }
+  }
+};
+
+const pagination = [
+  { name: 'page', type: 'integer', description: 'Page number, starting at 1' },
+  { name: 'per_page', type: 'integer', description: `Results per page, up to ${MAX_PAGE_SIZE} (default ${DEFAULT_PAGE_SIZE})` }
+];
+
+export const API_RESOURCES = [
+  {
+    id: 'workflows',
+    name: 'Workflows',
+    description: 'Create and manage automation workflows',
+    table: 'workflows',
+    schema: 'Workflow',
+    endpoints: [
+      {
+        id: 'listWorkflows',
+        method: 'GET',
+        path: '/workflows',
+        summary: 'List workflows',
+        paginated: true,
+        order: 'created_at',
+        filters: [
+          { name: 'status', column: 'status', operator: 'eq', type: 'string', enum: WORKFLOW_STATUSES, description: 'Only workflows with this status' },
+          { name: 'folder', column: 'folder', operator: 'eq', type: 'string', description: 'Only workflows in this folder' },
+          { name: 'search', column: 'name', operator: 'ilike', type: 'string', description: 'Name contains this text' }
+        ]
+      },
+      { id: 'getWorkflow', method: 'GET', path: '/workflows/{id}', summary: 'Get a workflow' },
+      {
+        id: 'createWorkflow',
+        method: 'POST',
+        path: '/workflows',
+        summary: 'Create a draft workflow',
+        successStatus: 201,
+        body: {
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            folder: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            config: { type: 'object', description: 'Steps, connections and settings, as exported from the builder. Saved as version 1.' }
+          }
+        }
+      },
+      {
+        id: 'updateWorkflow',
+        method: 'PUT',
+        path: '/workflows/{id}',
+        summary: 'Update a workflow',
+        body: {
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            folder: { type: 'string', nullable: true },
+            tags: { type: 'array', items: { type: 'string' } },
+            status: { type: 'string', enum: WORKFLOW_STATUSES, description: 'A workflow needs a published version to become active' },
+            config: { type: 'object', description: 'Saved as a new draft version' },
+            publish: { type: 'boolean', description: 'Publish the version saved from `config`' }
+          }
+        }
+      },
+      { id: 'deleteWorkflow', method: 'DELETE', path: '/workflows/{id}', summary: 'Delete a workflow', successStatus: 204 }
+    ]
+  },
+  {
+    id: 'executions',
+    name: 'Executions',
+    description: 'Monitor workflow executions and results',
+    table: 'workflow_executions',
+    schema: 'Execution',
+    endpoints: [
+      {
+        id: 'listExecutions',
+        method: 'GET',
+        path: '/executions',
+        summary: 'List executions',
+        paginated: true,
+        order: 'started_at',
+        filters: [
+          { name: 'workflow_id', column: 'workflow_id', operator: 'eq', type: 'string', description: 'Only runs of this workflow' },
+          { name: 'status', column: 'status', operator: 'eq', type: 'string', enum: EXECUTION_STATUSES, description: 'Only runs with this status' },
+          { name: 'started_after', column: 'started_at', operator: 'gte', type: 'string', format: 'date-time', description: 'Only runs started at or after this time' },
+          { name: 'started_before', column: 'started_at', operator: 'lt', type: 'string', format: 'date-time', description: 'Only runs started before this time' }
+        ]
+      },
+      { id: 'getExecution', method: 'GET', path: '/executions/{id}', summary: 'Get an execution' },
+      {
+        id: 'createExecution',
+        method: 'POST',
+        path: '/executions',
+        summary: "Run an active workflow's published version",
+        successStatus: 201,
+        body: {
+          required: ['workflow_id'],
+          properties: {
+            workflow_id: { type: 'string', format: 'uuid' },
+            input_data: { type: 'object', description: 'Available to steps as the trigger output' }
+          }
+        }
+      }
+    ]
+  },
+  {
+    id: 'integrations',
+    name: 'Integrations',
+    description: 'Manage third-party integrations',
+    table: 'organization_integrations',
+    schema: 'Integration',
+    endpoints: [
+      {
+        id: 'listIntegrations',
+        method: 'GET',
+        path: '/integrations',
+        summary: 'List installed integrations',
+        paginated: true,
+        order: 'installed_at',
+        filters: [
+          { name: 'integration_id', column: 'integration_id', operator: 'eq', type: 'string', description: 'Only this catalog integration' }
+        ]
+      },
+      {
+        id: 'createIntegration',
+        method: 'POST',
+        path: '/integrations',
+        summary: 'Install an integration',
+        successStatus: 201,
+        body: {
+          required: ['integration_id'],
+          properties: {
+            integration_id: { type: 'string', description: 'Catalog id, e.g. `slack`' },
+            config: { type: 'object' }
+          }
+        }
+      },
+      { id: 'deleteIntegration', method: 'DELETE', path: '/integrations/{id}', summary: 'Remove an installed integration', successStatus: 204 }
+    ]
+  },
+  {
+    id: 'users',
+    name: 'Users',
+    description: 'User and team management',
+    table: 'profiles',
+    schema: 'User',
+    endpoints: [
+      {
+        id: 'listUsers',
+        method: 'GET',
+        path: '/users',
+        summary: 'List team members',
+        paginated: true,
+        order: 'created_at',
+        filters: [
+          { name: 'role', column: 'role', operator: 'eq', type: 'string', enum: ['super_admin', ...MEMBER_ROLES], description: 'Only members with this built-in role' },
+          { name: 'is_active', column: 'is_active', operator: 'eq', type: 'boolean', description: 'Only active (true) or deactivated (false) members' },
+          { name: 'email', column: 'email', operator: 'ilike', type: 'string', description: 'Email contains this text' }
+        ]
+      },
+      { id: 'getUser', method: 'GET', path: '/users/{id}', summary: 'Get a team member' },
+      {
+        id: 'inviteUser',
+        method: 'POST',
+        path: '/users',
+        summary: 'Invite someone to the team',
+        description: "Creates an invitation and returns its link. No email is sent. The role cannot give access beyond the key creator's.",
+        successStatus: 201,
+        schema: 'Invitation',
+        body: {
+          required: ['email'],
+          properties: {
+            email: { type: 'string', format: 'email' },
+            first_name: { type: 'string' },
+            last_name: { type: 'string' },
+            role: { type: 'string', enum: ASSIGNABLE_ROLES }
+          }
+        }
+      },
+      {
+        id: 'updateUser',
+        method: 'PUT',
+        path: '/users/{id}',
+        summary: "Change a member's role or deactivate them",
+        description: "The key's creator cannot be changed, and nobody is given or changed from a role (built-in or custom) with access beyond the creator's.",
+        body: {
+          properties: {
+            role: { type: 'string', enum: ASSIGNABLE_ROLES },
+            custom_role_id: { type: 'string', format: 'uuid', nullable: true },
+            is_active: { type: 'boolean' }
+          }
+        }
+      }
+    ]
+  }
+];
+
+export const getScopeAccess = (endpoint) => (endpoint.method === 'GET' ? 'read' : 'write');
+
+// Every endpoint with its resource, for routing and documentation
+export const getApiEndpoints = () => API_RESOURCES.flatMap(resource =>
+  resource.endpoints.map(endpoint => ({
+    ...endpoint,
+    resource,
+    schema: endpoint.schema || resource.schema,
+    scope: `${resource.id}:${getScopeAccess(endpoint)}`
+  }))
+);
+
+// Example response for the documentation page, built from the schema
+export const getExampleValue = (property) => {
+  if (property.enum) return property.enum[0];
+  if (property.format === 'uuid') return '3f0c9a52-6d1e-4b8e-9a43-2f7d1c0b5e19';
+  if (property.format === 'date-time') return '2025-01-01T00:00:00Z';
+  if (property.format === 'email') return 'alex@example.com';
+  switch (property.type) {
+    case 'integer': return 0;
+    case 'boolean': return true;
+    case 'array': return [];
+    case 'object': return {};
+    default: return 'string';
+  }
+};
+
+export const getExampleResponse = (endpoint) => {
+  if (endpoint.successStatus === 204) return null;
+  const item = Object.fromEntries(
+    Object.entries(API_SCHEMAS[endpoint.schema]).map(([name, property]) => [name, getExampleValue(property)])
+  );
+  return endpoint.paginated
+    ? { data: [item], meta: { total: 1, page: 1, per_page: DEFAULT_PAGE_SIZE } }
+    : { data: item };
+};
+
+const toOpenApiSchema = ({ nullable, ...property }) => (nullable ? { ...property, nullable: true } : property);
+
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// OpenAPI 3.0 document for the API served at `serverUrl`
+export const buildOpenApiDocument = ({ serverUrl = API_BASE_PATH, title = 'WorkflowGene Cloud API' } = {}) => {
+  const paths = {};
+
+  getApiEndpoints().forEach(endpoint => {
+    const { path } = endpoint;
+    const itemSchema = { $ref: `#/components/schemas/${endpoint.schema}` };
+    const parameters = [
+      ...(path.includes('{id}') ? [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }] : []),
+      ...(endpoint.paginated ? pagination.map(param => ({
+        name: param.name,
+        in: 'query',
+        description: param.description,
+        schema: { type: param.type, minimum: 1 }
+      })) : []),
+      ...(endpoint.filters || []).map(filter => ({
+        name: filter.name,
+        in: 'query',
+        description: filter.description,
+        schema: compact({ type: filter.type, enum: filter.enum, format: filter.format })
+      }))
+    ];
+
+    const successStatus = String(endpoint.successStatus || 200);
+    const success = endpoint.successStatus === 204
+      ? { description: 'Done' }
+      : {
+        description: 'Success',
+        content: {
+          'application/json': {
+            schema: endpoint.paginated
+              ? {
+                type: 'object',
+                properties: {
+                  data: { type: 'array', items: itemSchema },
+                  meta: { $ref: '#/components/schemas/PageMeta' }
+                }
+              }
+              : { type: 'object', properties: { data: itemSchema } }
+          }
+        }
+      };
+
+    paths[path] = paths[path] || {};
+    paths[path][endpoint.method.toLowerCase()] = {
+      operationId: endpoint.id,
+      summary: endpoint.summary,
+      ...(endpoint.description ? { description: endpoint.description } : {}),
+      tags: [endpoint.resource.name],
+      security: [{ apiKey: [endpoint.scope] }],
+      parameters: parameters.map(compact),
+      ...(endpoint.body ? {
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                ...(endpoint.body.required ? { required: endpoint.body.required } : {}),
+                properties: Object.fromEntries(
+                  Object.entries(endpoint.body.properties).map(([name, property]) => [name, toOpenApiSchema(property)])
+                )
+              }
+            }
+          }
+        }
+      } : {}),
+      responses: {
+        [successStatus]: success,
+        400: errorResponse('The request could not be read'),
+        401: errorResponse('Missing, unknown or expired API key'),
+        403: errorResponse(`The API key lacks the ${endpoint.scope} scope`),
+        ...(path.includes('{id}') ? { 404: errorResponse('Not found') } : {}),
+        ...(endpoint.body ? { 422: errorResponse('The body failed validation') } : {}),
+        429: errorResponse(`More than ${RATE_LIMIT_PER_MINUTE} requests in a minute`)
+      }
+    };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title,
+      version: API_VERSION,
+      description: 'Authenticate with an organization API key: `Authorization: Bearer wfg_...`. Errors share one shape: `{ "error": { "code", "message" } }`.'
+    },
+    servers: [{ url: serverUrl }],
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'Organization API key, created under Settings > API Keys' }
+      },
+      schemas: {
+        ...Object.fromEntries(Object.entries(API_SCHEMAS).map(([name, properties]) => [name, {
+          type: 'object',
+          properties: Object.fromEntries(Object.entries(properties).map(([field, property]) => [field, toOpenApiSchema(property)]))
+        }])),
+        PageMeta: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            per_page: { type: 'integer' }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: Object.keys(API_ERROR_CODES) },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    paths
+  };
+};
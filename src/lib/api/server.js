@@ -0,0 +1,514 @@
+// Public REST API request handling
+// `handleApiRequest` serves the endpoints described in ./definitions.js. It runs with a service role
+// client (see supabase/functions/api), so every query here is scoped to the API key's organization
+// by hand. Requests are authenticated with an organization API key, rate limited per key, and
+// answered with `{ data, meta }` on success or `{ error: { code, message } }` on failure.
+
+import {
+  API_BASE_PATH,
+  API_ERROR_CODES,
+  API_SCHEMAS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  RATE_LIMIT_PER_MINUTE,
+  buildOpenApiDocument,
+  getApiEndpoints,
+  getScopeAccess
+} from './definitions.js';
+import { normalizeGraph } from '../workflow/graph.js';
+import { executeWorkflow } from '../workflow/engine.js';
+import { createVersion, getVersionConfig, publishVersion } from '../workflow/versions.js';
+import { getWorkflowNextRun } from '../workflow/schedule.js';
+import { getSecuritySettings, isEmailDomainAllowed } from '../securityPolicy.js';
+
+const INVITATION_TTL_DAYS = 7;
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+const sha256 = async (text) => toHex(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+
+const ok = (data, status = 200, meta = null) => ({
+  status,
+  body: status === 204 ? null : { data, ...(meta ? { meta } : {}) }
+});
+
+const fail = (code, message) => ({ status: API_ERROR_CODES[code], body: { error: { code, message } } });
+
+// A key acts for its creator, so it only hands out roles the creator could assign themselves: a
+// built-in role no higher than theirs, with permissions (a custom role's, if set) within theirs
+const creatorCanAssign = async (client, apiKey, role, customRoleId = null) => {
+  const { data, error } = await client.rpc('member_can_assign_role', {
+    p_user_id: apiKey.created_by,
+    p_organization_id: apiKey.organization_id,
+    p_role: role,
+    p_custom_role_id: customRoleId
+  });
+
+  if (error) throw error;
+  return data === true;
+};
+
+const columnsOf = (schema) => Object.keys(API_SCHEMAS[schema]).join(', ');
+
+// Match a request path against the endpoint paths; `{id}` captures one segment
+const matchEndpoint = (method, path) => {
+  const candidates = getApiEndpoints().map(endpoint => {
+    const pattern = new RegExp(`^${endpoint.path.replace('{id}', '([^/]+)')}/?$`);
+    const match = path.match(pattern);
+    return match ? { endpoint, id: match[1] ? decodeURIComponent(match[1]) : null } : null;
+  }).filter(Boolean);
+
+  if (candidates.length === 0) return { error: fail('not_found', `No endpoint at ${API_BASE_PATH}${path}`) };
+  const route = candidates.find(candidate => candidate.endpoint.method === method);
+  if (!route) {
+    const allowed = candidates.map(candidate => candidate.endpoint.method).join(', ');
+    return { error: fail('method_not_allowed', `${method} is not supported here. Use ${allowed}.`) };
+  }
+  return route;
+};
+
+const typeMatches = (property, value) => {
+  if (value === null) return !!property.nullable;
+  switch (property.type) {
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === 'string';
+  }
+};
+
+// The first problem with `body`, or null when it fits the endpoint's body definition
+export const validateBody = (definition, body) => {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) return 'The body must be a JSON object';
+
+  const missing = (definition.required || []).find(name => body[name] === undefined || body[name] === '');
+  if (missing) return `${missing} is required`;
+
+  for (const [name, value] of Object.entries(body)) {
+    const property = definition.properties[name];
+    if (!property) return `${name} is not a known field`;
+    if (!typeMatches(property, value)) return `${name} must be of type ${property.type}${property.nullable ? ' or null' : ''}`;
+    if (property.enum && value !== null && !property.enum.includes(value)) return `${name} must be one of ${property.enum.join(', ')}`;
+  }
+  return null;
+};
+
+const parsePage = (query) => {
+  const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
+  const perPage = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(query.per_page, 10) || DEFAULT_PAGE_SIZE));
+  return { page, perPage };
+};
+
+// Applies the endpoint's filters that appear in the query string
+const applyFilters = (query, filters, params) => filters.reduce((current, filter) => {
+  const raw = params[filter.name];
+  if (raw === undefined || raw === '') return current;
+  const value = filter.type === 'boolean' ? raw === 'true' : raw;
+  if (filter.operator === 'ilike') return current.ilike(filter.column, `%${String(value).replace(/[%_]/g, '\\$&')}%`);
+  return current[filter.operator](filter.column, value);
+}, query);
+
+const listRows = async ({ client, endpoint, apiKey, request }) => {
+  const resource = endpoint.resource;
+  const { page, perPage } = parsePage(request.query);
+  const from = (page - 1) * perPage;
+
+  let query = client
+    .from(resource.table)
+    .select(columnsOf(endpoint.schema), { count: 'exact' })
+    .eq('organization_id', apiKey.organization_id);
+
+  for (const filter of endpoint.filters || []) {
+    const raw = request.query[filter.name];
+    if (raw !== undefined && filter.enum && !filter.enum.includes(raw)) {
+      return fail('bad_request', `${filter.name} must be one of ${filter.enum.join(', ')}`);
+    }
+  }
+  query = applyFilters(query, endpoint.filters || [], request.query);
+
+  const { data, error, count } = await query
+    .order(endpoint.order, { ascending: false })
+    .range(from, from + perPage - 1);
+
+  if (error) throw error;
+  return ok(data || [], 200, { total: count ?? 0, page, per_page: perPage });
+};
+
+const getRow = async ({ client, endpoint, apiKey, id }) => {
+  const { data, error } = await client
+    .from(endpoint.resource.table)
+    .select(columnsOf(endpoint.schema))
+    .eq('id', id)
+    .eq('organization_id', apiKey.organization_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return fail('not_found', `${endpoint.schema} ${id} was not found`);
+  return ok(data);
+};
+
+const deleteRow = async ({ client, endpoint, apiKey, id }) => {
+  const { data, error } = await client
+    .from(endpoint.resource.table)
+    .delete()
+    .eq('id', id)
+    .eq('organization_id', apiKey.organization_id)
+    .select('id');
+
+  if (error) throw error;
+  if (!data?.length) return fail('not_found', `${endpoint.resource.schema} ${id} was not found`);
+  return ok(null, 204);
+};
+
+const toVersionConfig = (config) => getVersionConfig({ ...normalizeGraph(config), settings: config.settings || {} });
+
+const handlers = {
+  listWorkflows: listRows,
+  getWorkflow: getRow,
+  deleteWorkflow: deleteRow,
+
+  createWorkflow: async ({ client, endpoint, apiKey, body }) => {
+    const { data: workflow, error } = await client
+      .from('workflows')
+      .insert({
+        organization_id: apiKey.organization_id,
+        created_by: apiKey.created_by,
+        name: body.name.trim(),
+        description: body.description || null,
+        folder: body.folder?.trim() || null,
+        tags: body.tags || [],
+        status: 'draft'
+      })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    if (body.config) {
+      const version = await createVersion({ client, workflow, config: toVersionConfig(body.config), createdBy: apiKey.created_by });
+      if (!version.success) throw new Error(version.error);
+    }
+
+    return getRow({ client, endpoint, apiKey, id: workflow.id }).then(result => ({ ...result, status: 201 }));
+  },
+
+  updateWorkflow: async ({ client, endpoint, apiKey, id, body }) => {
+    const { data: workflow, error } = await client
+      .from('workflows')
+      .select('*')
+      .eq('id', id)
+      .eq('organization_id', apiKey.organization_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!workflow) return fail('not_found', `Workflow ${id} was not found`);
+    if (body.publish && !body.config) return fail('validation_error', 'publish needs a config to publish');
+
+    let current = workflow;
+    if (body.config) {
+      const version = await createVersion({ client, workflow, config: toVersionConfig(body.config), createdBy: apiKey.created_by });
+      if (!version.success) throw new Error(version.error);
+
+      if (body.publish) {
+        const published = await publishVersion({ client, workflow, version: version.data, publishedBy: apiKey.created_by });
+        if (!published.success) throw new Error(published.error);
+        current = published.data;
+      }
+    }
+
+    const updates = Object.fromEntries(
+      ['name', 'description', 'folder', 'tags', 'status']
+        .filter(field => body[field] !== undefined)
+        .map(field => [field, field === 'folder' ? body.folder?.trim() || null : body[field]])
+    );
+    if (updates.status === 'active' && !current.published_version) {
+      return fail('validation_error', 'Publish a version of this workflow before activating it');
+    }
+    // Resuming a scheduled workflow starts from the next slot instead of catching up on missed runs
+    if (updates.status === 'active') updates.next_run_at = getWorkflowNextRun(current.config);
+
+    if (Object.keys(updates).length > 0) {
+      const { error: updateError } = await client
+        .from('workflows')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('organization_id', apiKey.organization_id);
+
+      if (updateError) throw updateError;
+    }
+
+    return getRow({ client, endpoint, apiKey, id });
+  },
+
+  listExecutions: listRows,
+  getExecution: getRow,
+
+  createExecution: async ({ client, endpoint, apiKey, body, options }) => {
+    const { data: workflow, error } = await client
+      .from('workflows')
+      .select('*')
+      .eq('id', body.workflow_id)
+      .eq('organization_id', apiKey.organization_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!workflow) return fail('not_found', `Workflow ${body.workflow_id} was not found`);
+    if (workflow.status !== 'active') return fail('conflict', `Workflow is ${workflow.status}`);
+    if (!workflow.published_version) return fail('conflict', 'Workflow has no published version');
+
+    const result = await executeWorkflow({
+      client,
+      workflow,
+      inputData: body.input_data || {},
+      triggeredBy: apiKey.created_by,
+      triggerType: 'api',
+      ...options
+    });
+    if (!result.data?.id) throw new Error(result.error || 'The run could not be started');
+
+    return getRow({ client, endpoint, apiKey, id: result.data.id }).then(response => ({ ...response, status: 201 }));
+  },
+
+  listIntegrations: listRows,
+  deleteIntegration: deleteRow,
+
+  createIntegration: async ({ client, endpoint, apiKey, body }) => {
+    const { data: catalogEntry, error: catalogError } = await client
+      .from('integrations')
+      .select('id')
+      .eq('id', body.integration_id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (catalogError) throw catalogError;
+    if (!catalogEntry) return fail('validation_error', `Unknown integration ${body.integration_id}`);
+
+    const { data, error } = await client
+      .from('organization_integrations')
+      .insert({
+        organization_id: apiKey.organization_id,
+        integration_id: body.integration_id,
+        config: body.config || {},
+        installed_by: apiKey.created_by
+      })
+      .select(columnsOf(endpoint.schema))
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return fail('conflict', `${body.integration_id} is already installed`);
+      throw error;
+    }
+    return ok(data, 201);
+  },
+
+  listUsers: listRows,
+  getUser: getRow,
+
+  inviteUser: async ({ client, apiKey, body, options }) => {
+    const email = body.email.trim().toLowerCase();
+    if (!(await creatorCanAssign(client, apiKey, body.role || 'user'))) {
+      return fail('forbidden', "This API key cannot invite someone with access beyond its creator's");
+    }
+
+    const { data: organization, error: organizationError } = await client
+      .from('organizations')
+      .select('id, settings')
+      .eq('id', apiKey.organization_id)
+      .single();
+
+    if (organizationError) throw organizationError;
+    if (!isEmailDomainAllowed(getSecuritySettings(organization), email)) {
+      return fail('validation_error', 'Your organization does not allow this email domain');
+    }
+
+    const { data: existing, error: existingError } = await client
+      .from('profiles')
+      .select('id')
+      .eq('organization_id', apiKey.organization_id)
+      .ilike('email', email)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) return fail('conflict', 'This person is already a member of your team');
+
+    // Same link format as invitations sent from the Team page: `<id>.<secret>`, secret stored hashed
+    const secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    const { data: invitation, error } = await client
+      .from('invitations')
+      .insert({
+        organization_id: apiKey.organization_id,
+        email,
+        first_name: body.first_name || null,
+        last_name: body.last_name || null,
+        role: body.role || 'user',
+        token_hash: await sha256(secret),
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        invited_by: apiKey.created_by,
+        last_sent_at: new Date().toISOString(),
+        send_count: 0
+      })
+      .select('id, email, role, expires_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return fail('conflict', 'This address already has a pending invitation');
+      throw error;
+    }
+
+    const token = `${invitation.id}.${secret}`;
+    const inviteUrl = options.appUrl
+      ? `${options.appUrl.replace(/\/$/, '')}/accept-invite/${encodeURIComponent(token)}`
+      : null;
+    return ok({ ...invitation, invite_url: inviteUrl }, 201);
+  },
+
+  updateUser: async ({ client, endpoint, apiKey, id, body }) => {
+    const { data: member, error } = await client
+      .from('profiles')
+      .select('id, role, custom_role_id')
+      .eq('id', id)
+      .eq('organization_id', apiKey.organization_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!member) return fail('not_found', `User ${id} was not found`);
+    if (member.role === 'super_admin') return fail('forbidden', 'Platform administrators cannot be changed through the API');
+    if (member.id === apiKey.created_by) return fail('forbidden', 'The member who created this API key cannot be changed with it');
+    if (!(await creatorCanAssign(client, apiKey, member.role, member.custom_role_id))) {
+      return fail('forbidden', "Members with access beyond the API key creator's cannot be changed with it");
+    }
+
+    const updates = {};
+    if (body.role !== undefined) {
+      updates.role = body.role;
+      updates.custom_role_id = null;
+    }
+    if (body.custom_role_id) {
+      const { data: customRole, error: roleError } = await client
+        .from('custom_roles')
+        .select('id')
+        .eq('id', body.custom_role_id)
+        .eq('organization_id', apiKey.organization_id)
+        .maybeSingle();
+
+      if (roleError) throw roleError;
+      if (!customRole) return fail('validation_error', `Custom role ${body.custom_role_id} was not found`);
+      // Members with a custom role keep only the basic built-in role underneath
+      updates.role = 'user';
+      updates.custom_role_id = customRole.id;
+    } else if (body.custom_role_id === null) {
+      updates.custom_role_id = null;
+    }
+    if ('role' in updates || 'custom_role_id' in updates) {
+      const role = updates.role ?? member.role;
+      const customRoleId = 'custom_role_id' in updates ? updates.custom_role_id : member.custom_role_id;
+      if (!(await creatorCanAssign(client, apiKey, role, customRoleId))) {
+        return fail('forbidden', "This API key cannot give a role with access beyond its creator's");
+      }
+    }
+    if (body.is_active !== undefined) updates.is_active = body.is_active;
+
+    if (Object.keys(updates).length > 0) {
+      const { error: updateError } = await client
+        .from('profiles')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('organization_id', apiKey.organization_id);
+
+      if (updateError) throw updateError;
+    }
+
+    return getRow({ client, endpoint, apiKey, id });
+  }
+};
+
+// Count this request against the key's window; over the limit answers 429
+const checkRateLimit = async (client, apiKey, limit) => {
+  const { data, error } = await client.rpc('hit_api_rate_limit', {
+    p_api_key_id: apiKey.id,
+    p_window_seconds: RATE_LIMIT_WINDOW_SECONDS
+  });
+  if (error) throw error;
+
+  const { request_count: count, window_start: windowStart } = data[0];
+  const resetAt = Math.ceil(new Date(windowStart).getTime() / 1000) + RATE_LIMIT_WINDOW_SECONDS;
+  return {
+    allowed: count <= limit,
+    headers: {
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'X-RateLimit-Reset': String(resetAt)
+    },
+    retryAfter: Math.max(1, resetAt - Math.floor(Date.now() / 1000))
+  };
+};
+
+// `request` is `{ method, path, query, headers, body }` with lower-case header names and the raw body.
+// Returns `{ status, headers, body }`.
+export const handleApiRequest = async ({ client, request, serverUrl, rateLimit = RATE_LIMIT_PER_MINUTE, ...options }) => {
+  const basePathIndex = request.path.indexOf(API_BASE_PATH);
+  if (basePathIndex === -1) return { ...fail('not_found', `The API lives under ${API_BASE_PATH}`), headers: {} };
+  const path = request.path.slice(basePathIndex + API_BASE_PATH.length) || '/';
+
+  if (request.method === 'GET' && path === '/openapi.json') {
+    return { status: 200, headers: {}, body: buildOpenApiDocument({ serverUrl }) };
+  }
+
+  try {
+    const token = (request.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
+    if (!token) return { ...fail('unauthorized', 'Send your API key as `Authorization: Bearer <key>`'), headers: {} };
+
+    const { data: keys, error: keyError } = await client.rpc('use_api_key', {
+      p_key_hash: await sha256(token),
+      p_method: request.method,
+      p_path: `${API_BASE_PATH}${path}`
+    });
+    if (keyError) throw keyError;
+    const apiKey = keys?.[0];
+    if (!apiKey) return { ...fail('unauthorized', 'This API key is not valid, has expired or was revoked, or its creator no longer has the access it needs'), headers: {} };
+
+    const limit = await checkRateLimit(client, apiKey, rateLimit);
+    if (!limit.allowed) {
+      return {
+        ...fail('rate_limited', `Rate limit of ${rateLimit} requests per minute exceeded`),
+        headers: { ...limit.headers, 'Retry-After': String(limit.retryAfter) }
+      };
+    }
+
+    const respond = (response) => ({ ...response, headers: limit.headers });
+
+    const route = matchEndpoint(request.method, path);
+    if (route.error) return respond(route.error);
+    const { endpoint, id } = route;
+
+    const access = getScopeAccess(endpoint);
+    const granted = apiKey.permissions?.[endpoint.resource.id];
+    if (!(granted === 'write' || (access === 'read' && granted === 'read'))) {
+      return respond(fail('forbidden', `This API key needs the ${endpoint.scope} scope`));
+    }
+
+    if (id && !/^[0-9a-f-]{36}$/i.test(id)) return respond(fail('not_found', `${endpoint.schema} ${id} was not found`));
+
+    let body = null;
+    if (endpoint.body) {
+      try {
+        body = request.body ? JSON.parse(request.body) : {};
+      } catch {
+        return respond(fail('bad_request', 'The body is not valid JSON'));
+      }
+      const problem = validateBody(endpoint.body, body);
+      if (problem) return respond(fail('validation_error', problem));
+    }
+
+    return respond(await handlers[endpoint.id]({ client, endpoint, apiKey, id, body, request, options }));
+  } catch (error) {
+    console.error('Error handling API request:', error);
+    return { ...fail('server_error', 'Something went wrong handling this request'), headers: {} };
+  }
+};
@@ -0,0 +1,184 @@
+// src/lib/apiKeys.js
+// Organization API keys. A key looks like `wfg_<64 hex chars>` and is shown once, when it is
+// created; the database keeps its SHA-256 hash and the first characters (`key_prefix`) to recognise
+// it by. Each key carries an access level per resource ('read' or 'write', write including read),
+// never more than the member creating it has; the key stops working if they lose that access.
+// Rotating a key issues a replacement with the same name and scopes, and lets the old one keep
+// working for an overlap window so clients can switch over.
+import { supabase } from './supabase';
+
+export const API_KEY_PREFIX = 'wfg_';
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+export const API_KEY_RESOURCES = [
+  { id: 'workflows', label: 'Workflows', description: 'List, create and update workflows' },
+  { id: 'executions', label: 'Executions', description: 'Read run history and start runs' },
+  { id: 'integrations', label: 'Integrations', description: 'List and configure installed integrations' },
+  { id: 'users', label: 'Users', description: 'List team members' }
+];
+
+export const API_KEY_ACCESS_OPTIONS = [
+  { value: 'none', label: 'No access' },
+  { value: 'read', label: 'Read' },
+  { value: 'write', label: 'Read and write' }
+];
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const hashApiKey = async (key) =>
+  toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key))));
+
+const issueKey = async () => {
+  const key = API_KEY_PREFIX + toHex(crypto.getRandomValues(new Uint8Array(32)));
+  return { key, keyHash: await hashApiKey(key), keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH) };
+};
+
+// Only known resources with a real access level are stored
+export const normalizeScopes = (scopes = {}) => Object.fromEntries(
+  API_KEY_RESOURCES
+    .map(({ id }) => [id, scopes[id]])
+    .filter(([, access]) => access === 'read' || access === 'write')
+);
+
+export const hasScope = (scopes, resource, access = 'read') => {
+  const granted = scopes?.[resource];
+  return access === 'read' ? granted === 'read' || granted === 'write' : granted === 'write';
+};
+
+// 'active', 'expiring' (rotated, still inside its overlap window), 'expired' or 'revoked'
+export const getApiKeyStatus = (apiKey, now = new Date()) => {
+  if (!apiKey.is_active) return 'revoked';
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= now) return 'expired';
+  if (apiKey.replaced_by) return 'expiring';
+  return 'active';
+};
+
+export const listApiKeys = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    // A key another key was rotated from is on its way out
+    const replacedBy = Object.fromEntries((data || []).filter(key => key.rotated_from).map(key => [key.rotated_from, key.id]));
+    return { success: true, data: (data || []).map(key => ({ ...key, replaced_by: replacedBy[key.id] || null })) };
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Returns the new key once, in `key`; it cannot be read back later
+export const createApiKey = async ({ organizationId, createdBy, name, scopes, expiresAt = null, rotatedFrom = null }) => {
+  try {
+    const normalized = normalizeScopes(scopes);
+    if (Object.keys(normalized).length === 0) throw new Error('Give the key access to at least one resource');
+
+    const { key, keyHash, keyPrefix } = await issueKey();
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        organization_id: organizationId,
+        created_by: createdBy,
+        name: name.trim(),
+        key_hash: keyHash,
+        key_prefix: keyPrefix,
+        permissions: normalized,
+        expires_at: expiresAt,
+        rotated_from: rotatedFrom
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data, key };
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Issue a replacement and let the old key run for `overlapHours` more (never past its own expiry)
+export const rotateApiKey = async ({ apiKey, createdBy, overlapHours }) => {
+  try {
+    const result = await createApiKey({
+      organizationId: apiKey.organization_id,
+      createdBy,
+      name: apiKey.name,
+      scopes: apiKey.permissions,
+      expiresAt: apiKey.expires_at,
+      rotatedFrom: apiKey.id
+    });
+    if (!result.success) throw new Error(result.error);
+
+    const overlapEnd = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+    const retireAt = apiKey.expires_at && new Date(apiKey.expires_at) < overlapEnd ? new Date(apiKey.expires_at) : overlapEnd;
+
+    const { error } = await supabase
+      .from('api_keys')
+      .update(overlapHours > 0
+        ? { expires_at: retireAt.toISOString() }
+        : { is_active: false, revoked_at: new Date().toISOString() })
+      .eq('id', apiKey.id);
+
+    if (error) throw error;
+    return result;
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const revokeApiKey = async (keyId) => {
+  try {
+    const { error } = await supabase
+      .from('api_keys')
+      .update({ is_active: false, revoked_at: new Date().toISOString() })
+      .eq('id', keyId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Requests per day over the last `days` days (oldest first), plus the most recent requests
+export const getApiKeyUsage = async (keyId, days = 14) => {
+  try {
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - (days - 1));
+
+    const { data, error } = await supabase
+      .from('api_key_usage')
+      .select('method, path, created_at')
+      .eq('api_key_id', keyId)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(5000);
+
+    if (error) throw error;
+
+    const daily = Array.from({ length: days }, (_, index) => {
+      const day = new Date(since);
+      day.setDate(since.getDate() + index);
+      return { date: day.toDateString(), label: day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }), count: 0 };
+    });
+    (data || []).forEach(request => {
+      const bucket = daily.find(entry => entry.date === new Date(request.created_at).toDateString());
+      if (bucket) bucket.count += 1;
+    });
+
+    return { success: true, data: { daily, recent: (data || []).slice(0, 20) } };
+  } catch (error) {
+    console.error('Error loading API key usage:', error);
+    return { success: false, error: error.message };
+  }
+};
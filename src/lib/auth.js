@@ -1,7 +1,13 @@
 // src/lib/auth.js
 import { supabase, isSupabaseConfigured, clearInvalidSession } from './supabase';
+import { acceptInvitation } from './invitations';
 import toast from 'react-hot-toast';
 
+// Mirrors record_failed_login(): the account locks for 15 minutes after this many failures in a row
+export const MAX_FAILED_ATTEMPTS = 5;
+
+const LAST_ACTIVITY_KEY = 'wg_last_activity';
+
 // ✅ Get the current user session with error handling
 export const getCurrentUser = async () => {
   if (!isSupabaseConfigured()) {
@@ -47,7 +53,8 @@ export const getCurrentProfile = async () => {
       .from('profiles')
       .select(`
         *,
-        organization:organizations(*)
+        organization:organizations(*),
+        custom_role:custom_roles(*)
       `)
       .eq('id', user.id)
       .single();
@@ -80,7 +87,8 @@ export const getCurrentProfile = async () => {
           .from('profiles')
           .select(`
             *,
-            organization:organizations(*)
+            organization:organizations(*),
+            custom_role:custom_roles(*)
           `)
           .eq('id', user.id)
           .single();
@@ -104,8 +112,72 @@ export const getCurrentProfile = async () => {
   }
 };
 
+const getSessionClaims = (session) => {
+  try {
+    const payload = session.access_token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch {
+    return {};
+  }
+};
+
+// ✅ When the session's user signed in (ms), from the first authentication method in the token
+export const getSessionStartedAt = (session) => {
+  const timestamp = getSessionClaims(session).amr?.[0]?.timestamp;
+  if (timestamp) return timestamp * 1000;
+  return session?.user?.last_sign_in_at ? new Date(session.user.last_sign_in_at).getTime() : null;
+};
+
+// ✅ Last user activity across tabs, for organizations with an idle timeout
+export const recordActivity = () => {
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
+};
+
+export const getLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || null;
+
+const getLockoutMessage = (lockedUntil) =>
+  `Too many failed sign-in attempts. Try again after ${new Date(lockedUntil).toLocaleTimeString()}.`;
+
+// Password sign-in and second-factor checks run in the account-security Edge Function, which holds
+// the authenticator secrets and counts failed attempts. Resolves to its reply, with `error` set on failure.
+export const invokeAccountSecurity = async (action, body = {}) => {
+  const { data, error } = await supabase.functions.invoke('account-security', { body: { action, ...body } });
+  if (!error) return data;
+  // Non-2xx replies carry the reason in their JSON body
+  const reply = await error.context?.json?.().catch(() => null);
+  return { ...(reply || {}), error: reply?.error || error.message };
+};
+
+// ✅ Whether the session still has to pass the second factor before the app treats it as signed in.
+// The database decides (two_factor_satisfied()), and refuses the session any data until it has.
+export const isSecondFactorPending = async (session) => {
+  if (!session?.user) return false;
+
+  const { data, error } = await supabase.rpc('two_factor_satisfied');
+  if (error) throw error;
+  return data !== true;
+};
+
+// Update the last login once every factor has passed
+const completeSignIn = async (user) => {
+  try {
+    await supabase
+      .from('profiles')
+      .update({ 
+        last_login: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+  } catch (updateError) {
+    console.warn('Could not update last login:', updateError);
+    // Don't fail the login for this
+  }
+};
+
 // ✅ Sign in user with improved error handling
-export const signIn = async ({ email, password }) => {
+// Accounts with two-factor authentication return `requiresTwoFactor` until `code` (or a later
+// verifySecondFactor call) passes
+export const signIn = async ({ email, password, code }) => {
   if (!isSupabaseConfigured()) {
     return { success: false, error: 'Authentication service not configured. Please check your Supabase configuration.' };
   }
@@ -116,47 +188,50 @@ export const signIn = async ({ email, password }) => {
 
     console.log('Attempting login for:', email);
 
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email: email.trim(),
-      password
-    });
+    // A new session starts active, whatever the last one did
+    recordActivity();
+
+    const reply = await invokeAccountSecurity('sign_in', { email: email.trim(), password });
     
-    if (error) {
-      console.error('Sign in error:', error);
+    if (reply.error) {
+      console.error('Sign in error:', reply.error);
+
+      if (reply.locked_until) {
+        return { success: false, error: getLockoutMessage(reply.locked_until), lockedUntil: reply.locked_until };
+      }
       
       // Handle specific database errors
-      if (error.message?.includes('Database error granting user')) {
+      if (reply.error.includes('Database error granting user')) {
         return { 
           success: false, 
           error: 'Database connection issue. Please try again later or contact support if the problem persists.' 
         };
       }
       
-      if (error.message?.includes('Invalid login credentials')) {
+      if (reply.error.includes('Invalid login credentials')) {
         return { success: false, error: 'Invalid email or password. Please check your credentials and try again.' };
       }
       
-      return { success: false, error: error.message || 'Login failed. Please try again.' };
+      return { success: false, error: reply.error || 'Login failed. Please try again.' };
     }
+
+    const { data, error } = await supabase.auth.setSession(reply.session);
+    if (error) throw error;
     
     console.log('Auth successful, user:', data.user?.email);
 
-    // Update last login timestamp
-    if (data.user) {
-      try {
-        await supabase
-          .from('profiles')
-          .update({ 
-            last_login: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', data.user.id);
-      } catch (updateError) {
-        console.warn('Could not update last login:', updateError);
-        // Don't fail the login for this
-      }
+    // The auth store signs the session straight out when the organization's settings refuse it
+    const { data: { session: activeSession } = {} } = await supabase.auth.getSession();
+    if (!activeSession) {
+      return { success: false, error: 'Your organization\'s security settings do not allow this sign-in.' };
     }
-    
+
+    if (reply.requires_two_factor) {
+      if (!code) return { success: true, data, requiresTwoFactor: true };
+      return verifySecondFactor(code);
+    }
+
+    await completeSignIn(data.user);
     return { success: true, data };
   } catch (error) {
     console.error('Sign in error:', error);
@@ -164,8 +239,39 @@ export const signIn = async ({ email, password }) => {
   }
 };
 
+// ✅ Check an authenticator or backup code for the signed-in session. Backup codes work once.
+// Failures count towards the lockout; the session is signed out when the account locks.
+export const verifySecondFactor = async (code) => {
+  try {
+    const { data: { session } = {} } = await supabase.auth.getSession();
+    if (!session?.user) {
+      return { success: false, error: 'Your sign-in has expired. Please sign in again.' };
+    }
+
+    const reply = await invokeAccountSecurity('verify', { code });
+    if (reply.locked_until) {
+      await signOut();
+      return { success: false, error: getLockoutMessage(reply.locked_until), lockedUntil: reply.locked_until };
+    }
+    if (reply.error) return { success: false, error: reply.error };
+
+    await completeSignIn(session.user);
+
+    return {
+      success: true,
+      data: { session, user: session.user },
+      usedBackupCode: reply.used_backup_code,
+      remainingBackupCodes: reply.remaining_backup_codes
+    };
+  } catch (error) {
+    console.error('Second factor error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // ✅ Sign up user with improved organization handling
-export const signUp = async ({ email, password, firstName, lastName, organizationName, industry, companySize }) => {
+// With `inviteToken` the user joins the inviting organization instead of creating one
+export const signUp = async ({ email, password, firstName, lastName, organizationName, industry, companySize, inviteToken }) => {
   if (!isSupabaseConfigured()) {
     return { success: false, error: 'Authentication service not configured. Please check your Supabase configuration.' };
   }
@@ -202,7 +308,7 @@ export const signUp = async ({ email, password, firstName, lastName, organizatio
     if (authData.user) {
       // Create organization if provided
       let organizationId = null;
-      if (organizationName?.trim()) {
+      if (organizationName?.trim() && !inviteToken) {
         try {
           const { data: orgData, error: orgError } = await supabase
             .from('organizations')
@@ -260,6 +366,14 @@ export const signUp = async ({ email, password, firstName, lastName, organizatio
       } catch (profileError) {
         console.warn('Could not update profile:', profileError);
       }
+
+      // After the profile write above, which would otherwise clear the organization again
+      if (inviteToken) {
+        const accepted = await acceptInvitation(inviteToken, authData.session ? null : authData.user.id);
+        if (!accepted.success) {
+          return { success: true, data: authData, inviteError: accepted.error };
+        }
+      }
     }
     
     return { success: true, data: authData };
@@ -0,0 +1,100 @@
+// Subscription plans
+// `billing_subscriptions.plan_name` holds a plan's name ("Professional"); older rows may hold its id.
+// Paid plans are sold through Stripe with the price in the STRIPE_PRICE_<ID> secret (see stripe.js).
+// A limit of -1 means unlimited. The database enforces the same limits (plan_limits() in the
+// plan_limits migration), so change both together. Team members and integrations are counted and
+// enforced like the rest, but every plan currently allows unlimited of both.
+
+export const PLANS = [
+  {
+    id: 'starter',
+    name: 'Starter',
+    price: 0,
+    period: 'month',
+    features: ['5 workflows', '1,000 executions a month', 'Unlimited team members', 'Unlimited integrations', 'Basic support'],
+    limits: { workflows: 5, executions: 1000, seats: -1, integrations: -1 }
+  },
+  {
+    id: 'professional',
+    name: 'Professional',
+    price: 200,
+    period: 'month',
+    features: ['50 workflows', '10,000 executions a month', 'Unlimited team members', 'Unlimited integrations', 'Priority support'],
+    limits: { workflows: 50, executions: 10000, seats: -1, integrations: -1 }
+  },
+  {
+    id: 'enterprise',
+    name: 'Enterprise',
+    price: 'custom',
+    period: 'month',
+    features: ['Unlimited workflows', 'Unlimited executions', 'Unlimited team members', 'Unlimited integrations', 'Dedicated support'],
+    limits: { workflows: -1, executions: -1, seats: -1, integrations: -1 }
+  }
+];
+
+export const DEFAULT_PLAN = PLANS[0];
+
+// Days of free trial on the first paid subscription
+export const TRIAL_DAYS = 14;
+
+// What each limit counts. Executions are metered per calendar month (UTC); the others are counts
+// at any moment: workflows that are not archived, active members plus open invitations, and
+// installed integrations.
+export const LIMIT_METRICS = {
+  workflows: { label: 'Workflows', unit: 'workflows' },
+  executions: { label: 'Executions this month', unit: 'workflow runs a month' },
+  seats: { label: 'Team members', unit: 'team members' },
+  integrations: { label: 'Integrations', unit: 'integrations' }
+};
+
+// Organization admins are notified once a month when usage reaches this share of a limit
+export const SOFT_LIMIT_RATIO = 0.8;
+
+// Errors raised by the database when a limit blocks a change carry this hint
+export const PLAN_LIMIT_HINT = 'plan_limit';
+
+export const isPlanLimitError = (error) => error?.hint === PLAN_LIMIT_HINT;
+
+// Plans that can be bought with Checkout
+export const isSelfServePlan = (plan) => typeof plan?.price === 'number' && plan.price > 0;
+
+// The plan for a `plan_name` or plan id, falling back to Starter
+export const getPlan = (planName) => {
+  const key = String(planName || '').toLowerCase();
+  return PLANS.find(plan => plan.id === key || plan.name.toLowerCase() === key) || DEFAULT_PLAN;
+};
+
+// The plan an organization's newest subscription row gives it; canceled and unpaid (incomplete)
+// subscriptions fall back to Starter
+export const getSubscriptionPlan = (subscription) =>
+  (subscription && !['canceled', 'incomplete'].includes(subscription.status) ? getPlan(subscription.plan_name) : DEFAULT_PLAN);
+
+export const isUnlimited = (limit) => limit === -1;
+
+// 'ok', 'warning' from SOFT_LIMIT_RATIO of the limit, or 'reached'
+export const getLimitStatus = (used, limit) => {
+  if (isUnlimited(limit)) return 'ok';
+  if (used >= limit) return 'reached';
+  return used >= Math.ceil(limit * SOFT_LIMIT_RATIO) ? 'warning' : 'ok';
+};
+
+// Whether `additional` more fit in the plan
+export const hasRoomFor = (plan, metric, used, additional = 1) =>
+  isUnlimited(plan.limits[metric]) || used + additional <= plan.limits[metric];
+
+// The error shown when a limit blocks a change; plan_limit_message() in the database says the same
+export const getLimitMessage = (plan, metric) => {
+  const limit = plan.limits[metric].toLocaleString('en-US');
+  switch (metric) {
+    case 'workflows':
+      return `Your ${plan.name} plan includes ${limit} workflows. Archive one or upgrade your plan to add more.`;
+    case 'executions':
+      return `Your ${plan.name} plan includes ${limit} workflow runs a month and this month's are used up. Upgrade your plan to keep workflows running.`;
+    case 'seats':
+      return `Your ${plan.name} plan includes ${limit} team members, counting open invitations. Remove a member, revoke an invitation or upgrade your plan to add more.`;
+    case 'integrations':
+      return `Your ${plan.name} plan includes ${limit} integrations. Uninstall one or upgrade your plan to add more.`;
+    default:
+      return `Your ${plan.name} plan limit has been reached.`;
+  }
+};
@@ -0,0 +1,319 @@
+// Stripe billing
+// Paid plans are Stripe subscriptions. The dashboard starts Checkout to subscribe and the Stripe customer
+// portal to change plan, cancel or update the card; Stripe then sends webhook events, and
+// `handleStripeEvent` copies the subscription's plan, status, periods and `cancel_at_period_end` into the
+// organization's `billing_subscriptions` row. Only the server writes that row.
+// Events can arrive late or out of order, so every event re-reads the subscription from Stripe instead of
+// trusting the copy inside it; handling the same event twice is harmless.
+// `createStripeClient({ apiBase })` can point at stripe-mock (http://localhost:12111) for local testing.
+// Checkout and the portal return to the Billing tab of the app at `appUrl` (the APP_URL setting), never
+// to an address the browser chose.
+
+import { verifySignature } from '../workflow/webhooks.js';
+import { PLANS, TRIAL_DAYS, getPlan, isSelfServePlan } from './plans.js';
+
+export const STRIPE_API_BASE = 'https://api.stripe.com';
+
+export const BILLING_RETURN_PATH = '/dashboard/settings?tab=billing';
+
+// How old a webhook signature may be, against replays
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Stripe statuses the `subscription_status` enum has no value for
+const STATUS_MAP = {
+  unpaid: 'past_due',
+  paused: 'past_due',
+  incomplete_expired: 'canceled'
+};
+
+const SUBSCRIPTION_EVENTS = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'customer.subscription.paused',
+  'customer.subscription.resumed'
+];
+
+const INVOICE_EVENTS = ['invoice.paid', 'invoice.payment_failed'];
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+const toIso = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value) || null;
+
+// Stripe's form encoding, with nested objects and lists as `a[b][0]=c`
+export const encodeStripeParams = (params = {}, prefix = '') =>
+  Object.entries(params).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) {
+      return value.flatMap((item, index) => (item !== null && typeof item === 'object'
+        ? encodeStripeParams(item, `${name}[${index}]`)
+        : [[`${name}[${index}]`, String(item)]]));
+    }
+    if (typeof value === 'object') return encodeStripeParams(value, name);
+    return [[name, String(value)]];
+  });
+
+// A small client for the Stripe REST API. Errors carry `status` and Stripe's error `code`, and 4xx
+// errors other than 429 are not retried.
+export const createStripeClient = ({ secretKey, apiBase = STRIPE_API_BASE, fetch = globalThis.fetch }) => {
+  const request = async (method, path, params = {}) => {
+    if (!secretKey) throw permanentError('Billing is not configured on this server');
+
+    const url = new URL(`${apiBase.replace(/\/$/, '')}${path}`);
+    const body = new URLSearchParams(encodeStripeParams(params));
+    if (method === 'GET') body.forEach((value, key) => url.searchParams.append(key, value));
+
+    const response = await fetch(url.toString(), {
+      method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: method === 'GET' ? undefined : body.toString()
+    });
+    const result = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const error = new Error(result?.error?.message || `Stripe returned ${response.status}`);
+      error.status = response.status;
+      error.code = result?.error?.code || null;
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) error.retryable = false;
+      throw error;
+    }
+    return result;
+  };
+
+  return {
+    get: (path, params) => request('GET', path, params),
+    post: (path, params) => request('POST', path, params)
+  };
+};
+
+// Check the `Stripe-Signature` header (`t=<seconds>,v1=<hex>,...`) of a webhook's raw body
+export const verifyStripeSignature = async (secret, payload, header, {
+  now = new Date(),
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS
+} = {}) => {
+  if (!secret || !header) return false;
+  const parts = String(header).split(',').map(part => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) return false;
+  if (Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const results = await Promise.all(signatures.map(signature => verifySignature(secret, `${timestamp}.${payload}`, signature)));
+  return results.includes(true);
+};
+
+// The plan a Stripe price belongs to. `priceIds` maps plan ids to price ids.
+export const getPlanForPrice = (priceIds = {}, priceId) => {
+  const planId = Object.keys(priceIds).find(id => priceIds[id] === priceId);
+  return planId ? getPlan(planId) : null;
+};
+
+// The organization's subscription row, newest first if there are several
+export const loadSubscription = async (client, organizationId) => {
+  const { data, error } = await client
+    .from('billing_subscriptions')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Where Stripe sends the browser back to. `checkout` is 'success' or 'canceled' for Checkout.
+export const getBillingReturnUrl = (appUrl, checkout = null) => {
+  if (!appUrl) throw permanentError('Billing is not configured on this server');
+  const url = `${String(appUrl).replace(/\/$/, '')}${BILLING_RETURN_PATH}`;
+  return checkout ? `${url}&checkout=${checkout}` : url;
+};
+
+// A subscription is live until Stripe cancels it
+const isLive = (row) => !!row?.stripe_subscription_id && row.status !== 'canceled';
+
+// Start Checkout for a paid plan. The first paid subscription of an organization gets a free trial.
+// Returns `{ id, url }`; send the browser to `url`.
+export const createCheckoutSession = async ({
+  stripe,
+  client,
+  organizationId,
+  email,
+  planId,
+  priceIds = {},
+  appUrl
+}) => {
+  try {
+    const plan = PLANS.find(item => item.id === planId);
+    if (!isSelfServePlan(plan)) throw permanentError('That plan cannot be bought online');
+    if (!priceIds[plan.id]) throw permanentError(`No Stripe price is configured for ${plan.name}`);
+
+    const current = await loadSubscription(client, organizationId);
+    if (isLive(current)) throw permanentError('This organization already has a subscription; change it from the billing portal');
+    const firstSubscription = !current?.stripe_subscription_id && !current?.trial_end;
+
+    const session = await stripe.post('/v1/checkout/sessions', {
+      mode: 'subscription',
+      line_items: [{ price: priceIds[plan.id], quantity: 1 }],
+      success_url: getBillingReturnUrl(appUrl, 'success'),
+      cancel_url: getBillingReturnUrl(appUrl, 'canceled'),
+      client_reference_id: organizationId,
+      ...(current?.stripe_customer_id ? { customer: current.stripe_customer_id } : { customer_email: email }),
+      allow_promotion_codes: true,
+      metadata: { organization_id: organizationId },
+      subscription_data: {
+        metadata: { organization_id: organizationId },
+        ...(firstSubscription ? { trial_period_days: TRIAL_DAYS } : {})
+      }
+    });
+    return { success: true, data: { id: session.id, url: session.url } };
+  } catch (error) {
+    console.error('Error creating checkout session:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// A customer portal session for managing the plan, payment methods and cancellation
+export const createPortalSession = async ({ stripe, client, organizationId, appUrl }) => {
+  try {
+    const current = await loadSubscription(client, organizationId);
+    if (!current?.stripe_customer_id) throw permanentError('This organization has no billing account yet; choose a plan first');
+
+    const session = await stripe.post('/v1/billing_portal/sessions', {
+      customer: current.stripe_customer_id,
+      return_url: getBillingReturnUrl(appUrl)
+    });
+    return { success: true, data: { url: session.url } };
+  } catch (error) {
+    console.error('Error creating portal session:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const toInvoice = (invoice) => ({
+  id: invoice.id,
+  number: invoice.number || null,
+  created_at: toIso(invoice.created),
+  period_start: toIso(invoice.period_start),
+  period_end: toIso(invoice.period_end),
+  amount: (invoice.total ?? invoice.amount_due ?? 0) / 100,
+  currency: String(invoice.currency || 'usd').toUpperCase(),
+  status: invoice.status,
+  pdf_url: invoice.invoice_pdf || null,
+  hosted_url: invoice.hosted_invoice_url || null
+});
+
+// The organization's Stripe invoices, newest first
+export const listInvoices = async ({ stripe, client, organizationId, limit = 24 }) => {
+  try {
+    const current = await loadSubscription(client, organizationId);
+    if (!current?.stripe_customer_id) return { success: true, data: [] };
+
+    const { data } = await stripe.get('/v1/invoices', { customer: current.stripe_customer_id, limit });
+    return { success: true, data: (data || []).filter(invoice => invoice.status !== 'draft').map(toInvoice) };
+  } catch (error) {
+    console.error('Error listing invoices:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// The `billing_subscriptions` columns for a Stripe subscription. Recent API versions keep the billing
+// period on the subscription item rather than the subscription.
+export const toSubscriptionRow = (subscription, priceIds = {}) => {
+  const item = subscription.items?.data?.[0];
+  const priceId = idOf(item?.price);
+  const plan = getPlanForPrice(priceIds, priceId) || getPlan(subscription.metadata?.plan);
+  return {
+    stripe_subscription_id: subscription.id,
+    stripe_customer_id: idOf(subscription.customer),
+    plan_name: plan.name,
+    status: STATUS_MAP[subscription.status] || subscription.status,
+    current_period_start: toIso(subscription.current_period_start ?? item?.current_period_start),
+    current_period_end: toIso(subscription.current_period_end ?? item?.current_period_end),
+    trial_end: toIso(subscription.trial_end),
+    cancel_at_period_end: !!subscription.cancel_at_period_end
+  };
+};
+
+const findOrganizationId = async (client, subscription, fallback) => {
+  const organizationId = subscription.metadata?.organization_id || fallback;
+  if (organizationId) return organizationId;
+
+  const { data, error } = await client
+    .from('billing_subscriptions')
+    .select('organization_id')
+    .or(`stripe_subscription_id.eq.${subscription.id},stripe_customer_id.eq.${idOf(subscription.customer)}`)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.organization_id || null;
+};
+
+// Copy a Stripe subscription onto the organization's row. A canceled subscription does not overwrite
+// a newer one the organization has since started.
+export const syncSubscription = async ({ client, subscription, priceIds = {}, organizationId = null, now = new Date() }) => {
+  const orgId = await findOrganizationId(client, subscription, organizationId);
+  if (!orgId) return null;
+
+  const row = toSubscriptionRow(subscription, priceIds);
+  const current = await loadSubscription(client, orgId);
+  if (current?.stripe_subscription_id && current.stripe_subscription_id !== row.stripe_subscription_id && row.status === 'canceled') {
+    return current;
+  }
+
+  const values = {
+    ...row,
+    metadata: { ...(current?.metadata || {}), stripe_status: subscription.status, stripe_price_id: idOf(subscription.items?.data?.[0]?.price) },
+    updated_at: now.toISOString()
+  };
+  const query = current
+    ? client.from('billing_subscriptions').update(values).eq('id', current.id)
+    : client.from('billing_subscriptions').insert({ organization_id: orgId, ...values });
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return data;
+};
+
+const fetchSubscription = (stripe, subscriptionId) =>
+  stripe.get(`/v1/subscriptions/${encodeURIComponent(subscriptionId)}`);
+
+// Apply one webhook event. Returns `{ handled, subscription }`; events about anything other than
+// subscriptions are acknowledged and ignored. Throws when Stripe or the database fail, so Stripe
+// delivers the event again.
+export const handleStripeEvent = async ({ stripe, client, event, priceIds = {}, now = new Date() }) => {
+  const object = event?.data?.object || {};
+  let subscriptionId = null;
+  let organizationId = null;
+
+  if (event?.type === 'checkout.session.completed') {
+    if (object.mode !== 'subscription' || !object.subscription) return { handled: false, subscription: null };
+    subscriptionId = idOf(object.subscription);
+    organizationId = object.client_reference_id || object.metadata?.organization_id || null;
+  } else if (SUBSCRIPTION_EVENTS.includes(event?.type)) {
+    subscriptionId = object.id;
+  } else if (INVOICE_EVENTS.includes(event?.type)) {
+    subscriptionId = idOf(object.subscription || object.parent?.subscription_details?.subscription);
+  }
+  if (!subscriptionId) return { handled: false, subscription: null };
+
+  let subscription;
+  try {
+    subscription = await fetchSubscription(stripe, subscriptionId);
+  } catch (error) {
+    // Deleted test data and the like: use the event's own copy when it has one
+    if (error.status !== 404) throw error;
+    if (!SUBSCRIPTION_EVENTS.includes(event.type)) return { handled: false, subscription: null };
+    subscription = object;
+  }
+  const row = await syncSubscription({ client, subscription, priceIds, organizationId, now });
+  return { handled: !!row, subscription: row };
+};
@@ -0,0 +1,278 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createCheckoutSession,
+  createPortalSession,
+  createStripeClient,
+  handleStripeEvent,
+  verifyStripeSignature
+} from './stripe.js';
+import { signPayload } from '../workflow/webhooks.js';
+import { createHttpStandIn } from '../connectors/testing.js';
+
+const PRICE_IDS = { professional: 'price_pro' };
+const APP_URL = 'https://app.example.com/';
+
+// An in-memory stand-in for the Supabase client, covering the billing_subscriptions queries stripe.js makes
+const createFakeClient = (rows = []) => {
+  const db = { billing_subscriptions: rows };
+  let nextId = 1;
+
+  const from = (table) => {
+    const filters = [];
+    let action = { type: 'select' };
+
+    const run = (mode) => {
+      let result = db[table].filter(row => filters.every(filter => filter(row)));
+      if (action.type === 'insert') {
+        result = [{ id: `${table}-${nextId++}`, ...action.values }];
+        db[table].push(...result);
+      } else if (action.type === 'update') {
+        result.forEach(row => Object.assign(row, action.values));
+      } else {
+        result = [...result].sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      }
+      const data = result.map(row => ({ ...row }));
+      return { data: mode === 'many' ? data : data[0] || null, error: null };
+    };
+
+    const query = {
+      select: () => query,
+      insert: (values) => { action = { type: 'insert', values }; return query; },
+      update: (values) => { action = { type: 'update', values }; return query; },
+      eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+      // `or('a.eq.x,b.eq.y')`
+      or: (expression) => {
+        const options = expression.split(',').map(part => part.split('.eq.'));
+        filters.push(row => options.some(([column, value]) => String(row[column]) === value));
+        return query;
+      },
+      order: () => query,
+      limit: () => query,
+      maybeSingle: async () => run('one'),
+      single: async () => run('one'),
+      then: (resolve, reject) => Promise.resolve(run('many')).then(resolve, reject)
+    };
+    return query;
+  };
+
+  return { db, from };
+};
+
+const stripeSubscription = (overrides = {}) => ({
+  id: 'sub_1',
+  customer: 'cus_1',
+  status: 'active',
+  items: { data: [{ price: { id: 'price_pro' }, current_period_start: 1760000000, current_period_end: 1762600000 }] },
+  metadata: { organization_id: 'org-1' },
+  cancel_at_period_end: false,
+  trial_end: null,
+  ...overrides
+});
+
+const createStripe = (routes) => {
+  const standIn = createHttpStandIn(routes);
+  return { stripe: createStripeClient({ secretKey: 'sk_test_1', fetch: standIn.fetch }), requests: standIn.requests };
+};
+
+describe('createStripeClient', () => {
+  it('form-encodes nested parameters and authenticates with the secret key', async () => {
+    const { stripe, requests } = createStripe({ 'POST /v1/checkout/sessions': () => ({ id: 'cs_1' }) });
+
+    await stripe.post('/v1/checkout/sessions', { line_items: [{ price: 'price_pro', quantity: 1 }], metadata: { a: 'b' }, skip: null });
+
+    expect(requests[0].headers.authorization).toBe('Bearer sk_test_1');
+    expect(Object.fromEntries(new URLSearchParams(requests[0].body))).toEqual({
+      'line_items[0][price]': 'price_pro',
+      'line_items[0][quantity]': '1',
+      'metadata[a]': 'b'
+    });
+  });
+
+  it('sends GET parameters in the query', async () => {
+    const { stripe, requests } = createStripe({ 'GET /v1/invoices': () => ({ data: [] }) });
+
+    await stripe.get('/v1/invoices', { customer: 'cus_1', limit: 3 });
+
+    expect(requests[0].query).toEqual({ customer: 'cus_1', limit: '3' });
+    expect(requests[0].body).toBeNull();
+  });
+
+  it('does not retry client errors, but retries rate limits', async () => {
+    const { stripe } = createStripe({
+      'GET /v1/customers/*': () => ({ status: 404, body: { error: { message: 'No such customer', code: 'resource_missing' } } }),
+      'GET /v1/prices': () => ({ status: 429, body: { error: { message: 'Too many requests' } } })
+    });
+
+    await expect(stripe.get('/v1/customers/cus_x')).rejects.toMatchObject({
+      message: 'No such customer', status: 404, code: 'resource_missing', retryable: false
+    });
+    const rateLimited = await stripe.get('/v1/prices').catch(error => error);
+    expect(rateLimited.status).toBe(429);
+    expect(rateLimited.retryable).toBeUndefined();
+  });
+
+  it('refuses to call Stripe without a secret key', async () => {
+    await expect(createStripeClient({ secretKey: '' }).get('/v1/invoices')).rejects.toThrow('Billing is not configured on this server');
+  });
+});
+
+describe('verifyStripeSignature', () => {
+  const now = new Date('2025-10-20T12:00:00Z');
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const payload = JSON.stringify({ id: 'evt_1' });
+
+  it('accepts a current signature made with the secret', async () => {
+    const signature = await signPayload('whsec_1', `${timestamp}.${payload}`);
+    expect(await verifyStripeSignature('whsec_1', payload, `t=${timestamp},v1=bad,v1=${signature}`, { now })).toBe(true);
+  });
+
+  it('rejects other secrets, changed payloads and old signatures', async () => {
+    const signature = await signPayload('whsec_1', `${timestamp}.${payload}`);
+    expect(await verifyStripeSignature('whsec_2', payload, `t=${timestamp},v1=${signature}`, { now })).toBe(false);
+    expect(await verifyStripeSignature('whsec_1', `${payload} `, `t=${timestamp},v1=${signature}`, { now })).toBe(false);
+    expect(await verifyStripeSignature('whsec_1', payload, `t=${timestamp},v1=${signature}`, {
+      now: new Date(now.getTime() + 301 * 1000)
+    })).toBe(false);
+    expect(await verifyStripeSignature('whsec_1', payload, null, { now })).toBe(false);
+  });
+});
+
+describe('createCheckoutSession', () => {
+  it('returns to the configured app and gives the first subscription a trial', async () => {
+    const { stripe, requests } = createStripe({
+      'POST /v1/checkout/sessions': () => ({ id: 'cs_1', url: 'https://checkout.stripe.com/c/cs_1' })
+    });
+
+    const result = await createCheckoutSession({
+      stripe,
+      client: createFakeClient(),
+      organizationId: 'org-1',
+      email: 'owner@example.com',
+      planId: 'professional',
+      priceIds: PRICE_IDS,
+      appUrl: APP_URL
+    });
+
+    expect(result).toEqual({ success: true, data: { id: 'cs_1', url: 'https://checkout.stripe.com/c/cs_1' } });
+    const params = Object.fromEntries(new URLSearchParams(requests[0].body));
+    expect(params).toMatchObject({
+      success_url: 'https://app.example.com/dashboard/settings?tab=billing&checkout=success',
+      cancel_url: 'https://app.example.com/dashboard/settings?tab=billing&checkout=canceled',
+      client_reference_id: 'org-1',
+      customer_email: 'owner@example.com',
+      'subscription_data[trial_period_days]': '14'
+    });
+  });
+
+  it('refuses a second live subscription and plans without a price', async () => {
+    const { stripe, requests } = createStripe({});
+    const client = createFakeClient([{ id: 'row-1', organization_id: 'org-1', stripe_subscription_id: 'sub_1', status: 'active' }]);
+
+    const live = await createCheckoutSession({ stripe, client, organizationId: 'org-1', planId: 'professional', priceIds: PRICE_IDS, appUrl: APP_URL });
+    const free = await createCheckoutSession({ stripe, client: createFakeClient(), organizationId: 'org-1', planId: 'starter', priceIds: PRICE_IDS, appUrl: APP_URL });
+
+    expect(live.error).toMatch(/already has a subscription/);
+    expect(free.error).toBe('That plan cannot be bought online');
+    expect(requests).toHaveLength(0);
+  });
+
+  it('fails without an app address rather than sending Stripe one from the request', async () => {
+    const { stripe, requests } = createStripe({ 'POST /v1/checkout/sessions': () => ({ id: 'cs_1' }) });
+
+    const result = await createCheckoutSession({
+      stripe, client: createFakeClient(), organizationId: 'org-1', planId: 'professional', priceIds: PRICE_IDS
+    });
+
+    expect(result).toEqual({ success: false, error: 'Billing is not configured on this server' });
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('createPortalSession', () => {
+  it("opens the portal for the organization's customer and returns to the app", async () => {
+    const { stripe, requests } = createStripe({ 'POST /v1/billing_portal/sessions': () => ({ url: 'https://billing.stripe.com/p/1' }) });
+    const client = createFakeClient([{ id: 'row-1', organization_id: 'org-1', stripe_customer_id: 'cus_1', status: 'active' }]);
+
+    const result = await createPortalSession({ stripe, client, organizationId: 'org-1', appUrl: 'https://app.example.com' });
+
+    expect(result).toEqual({ success: true, data: { url: 'https://billing.stripe.com/p/1' } });
+    expect(Object.fromEntries(new URLSearchParams(requests[0].body))).toEqual({
+      customer: 'cus_1',
+      return_url: 'https://app.example.com/dashboard/settings?tab=billing'
+    });
+  });
+});
+
+describe('handleStripeEvent', () => {
+  const now = new Date('2025-10-20T12:00:00Z');
+
+  it('records the subscription a completed checkout started, read back from Stripe', async () => {
+    const { stripe, requests } = createStripe({ 'GET /v1/subscriptions/*': () => stripeSubscription({ metadata: {} }) });
+    const client = createFakeClient();
+
+    const result = await handleStripeEvent({
+      stripe,
+      client,
+      priceIds: PRICE_IDS,
+      now,
+      event: { type: 'checkout.session.completed', data: { object: { mode: 'subscription', subscription: 'sub_1', client_reference_id: 'org-1' } } }
+    });
+
+    expect(result.handled).toBe(true);
+    expect(requests[0].path).toBe('/v1/subscriptions/sub_1');
+    expect(client.db.billing_subscriptions).toEqual([expect.objectContaining({
+      organization_id: 'org-1',
+      stripe_subscription_id: 'sub_1',
+      stripe_customer_id: 'cus_1',
+      plan_name: 'Professional',
+      status: 'active',
+      current_period_end: new Date(1762600000 * 1000).toISOString()
+    })]);
+  });
+
+  it('trusts Stripe over the copy in a late event', async () => {
+    const { stripe } = createStripe({ 'GET /v1/subscriptions/*': () => stripeSubscription({ status: 'past_due' }) });
+    const client = createFakeClient([{ id: 'row-1', organization_id: 'org-1', stripe_subscription_id: 'sub_1', status: 'active' }]);
+
+    await handleStripeEvent({
+      stripe, client, priceIds: PRICE_IDS, now,
+      event: { type: 'customer.subscription.updated', data: { object: stripeSubscription({ status: 'active' }) } }
+    });
+
+    expect(client.db.billing_subscriptions[0].status).toBe('past_due');
+  });
+
+  it('does not let a canceled old subscription replace a newer one', async () => {
+    const { stripe } = createStripe({ 'GET /v1/subscriptions/*': () => stripeSubscription({ id: 'sub_old', status: 'canceled' }) });
+    const client = createFakeClient([{ id: 'row-1', organization_id: 'org-1', stripe_subscription_id: 'sub_new', status: 'active' }]);
+
+    await handleStripeEvent({
+      stripe, client, priceIds: PRICE_IDS, now,
+      event: { type: 'customer.subscription.deleted', data: { object: { id: 'sub_old' } } }
+    });
+
+    expect(client.db.billing_subscriptions[0]).toMatchObject({ stripe_subscription_id: 'sub_new', status: 'active' });
+  });
+
+  it("uses a deleted subscription's own copy when Stripe no longer has it", async () => {
+    const { stripe } = createStripe({ 'GET /v1/subscriptions/*': () => ({ status: 404, body: { error: { message: 'No such subscription' } } }) });
+    const client = createFakeClient([{ id: 'row-1', organization_id: 'org-1', stripe_subscription_id: 'sub_1', status: 'active' }]);
+
+    const result = await handleStripeEvent({
+      stripe, client, priceIds: PRICE_IDS, now,
+      event: { type: 'customer.subscription.deleted', data: { object: stripeSubscription({ status: 'canceled' }) } }
+    });
+
+    expect(result.handled).toBe(true);
+    expect(client.db.billing_subscriptions[0].status).toBe('canceled');
+  });
+
+  it('acknowledges events about other things without calling Stripe', async () => {
+    const { stripe, requests } = createStripe({});
+
+    const result = await handleStripeEvent({ stripe, client: createFakeClient(), event: { type: 'customer.created', data: { object: { id: 'cus_1' } } } });
+
+    expect(result).toEqual({ handled: false, subscription: null });
+    expect(requests).toHaveLength(0);
+  });
+});
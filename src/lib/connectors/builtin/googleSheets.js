@@ -0,0 +1,91 @@
+// Google Sheets: read and append rows through the Sheets API v4, connected with OAuth 2.0
+import { defineConnector } from '../sdk.js';
+
+const sheetsApi = ({ http, credentials }) =>
+  http({ baseUrl: 'https://sheets.googleapis.com/v4/spreadsheets', headers: { Authorization: `Bearer ${credentials.access_token}` } });
+
+const rangePath = (spreadsheetId, range) => `${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}`;
+
+export default defineConnector({
+  id: 'google-sheets',
+  name: 'Google Sheets',
+  description: 'Read, write, and manipulate spreadsheet data in your automation workflows',
+  category: 'productivity',
+  logo_url: 'https://images.unsplash.com/photo-1586953208448-b95a79798f07?w=64&h=64&fit=crop',
+  website_url: 'https://www.google.com/sheets/about/',
+  documentation_url: 'https://developers.google.com/sheets/api/reference/rest',
+  features: ['Append rows', 'Read ranges', 'Header mapping'],
+  auth: {
+    type: 'oauth2',
+    authorize_url: 'https://accounts.google.com/o/oauth2/v2/auth',
+    token_url: 'https://oauth2.googleapis.com/token',
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+    // Google only issues a refresh token for offline access, and only on the consent screen
+    authorize_params: { access_type: 'offline', prompt: 'consent' },
+    fields: {
+      type: 'object',
+      properties: {
+        access_token: { type: 'string', title: 'Access token' }
+      },
+      required: ['access_token']
+    }
+  },
+  test: async ({ http, credentials }) => {
+    await http().get('https://www.googleapis.com/oauth2/v3/tokeninfo', { query: { access_token: credentials.access_token } });
+    return { account: null };
+  },
+  authorize: ({ credentials }) => ({
+    hosts: ['googleapis.com'],
+    headers: { Authorization: `Bearer ${credentials.access_token}` }
+  }),
+  actions: {
+    append_row: {
+      title: 'Append row',
+      input: {
+        type: 'object',
+        properties: {
+          spreadsheet_id: { type: 'string', title: 'Spreadsheet ID' },
+          range: { type: 'string', title: 'Sheet', description: 'Sheet name or A1 range, e.g. Sheet1', default: 'Sheet1' },
+          values: { type: 'array', title: 'Values', description: 'One cell per item, left to right', items: { type: 'string' } }
+        },
+        required: ['spreadsheet_id', 'range', 'values']
+      },
+      output: {
+        type: 'object',
+        properties: { updated_range: { type: 'string' }, updated_rows: { type: 'integer' } }
+      },
+      run: async ({ input, http, credentials }) => {
+        const result = await sheetsApi({ http, credentials }).post(
+          `${rangePath(input.spreadsheet_id, input.range)}:append`,
+          { values: [input.values] },
+          { query: { valueInputOption: 'USER_ENTERED', insertDataOption: 'INSERT_ROWS' } }
+        );
+        return { updated_range: result.updates?.updatedRange, updated_rows: result.updates?.updatedRows };
+      }
+    },
+    read_range: {
+      title: 'Read range',
+      description: 'Rows as objects keyed by the first row, or as lists of cells',
+      input: {
+        type: 'object',
+        properties: {
+          spreadsheet_id: { type: 'string', title: 'Spreadsheet ID' },
+          range: { type: 'string', title: 'Range', description: 'e.g. Sheet1!A1:D100' },
+          first_row_is_header: { type: 'boolean', title: 'First row is a header', default: true }
+        },
+        required: ['spreadsheet_id', 'range']
+      },
+      output: {
+        type: 'object',
+        properties: { rows: { type: 'array', items: { type: 'object' } } }
+      },
+      run: async ({ input, http, credentials }) => {
+        const { values = [] } = await sheetsApi({ http, credentials }).get(rangePath(input.spreadsheet_id, input.range));
+        if (input.first_row_is_header === false) return { rows: values };
+
+        const [header = [], ...rows] = values;
+        return { rows: rows.map(row => Object.fromEntries(header.map((name, index) => [name, row[index] ?? '']))) };
+      }
+    }
+  }
+});
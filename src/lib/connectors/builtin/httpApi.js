@@ -0,0 +1,72 @@
+// HTTP API: credentials for any REST API, used by HTTP Request steps. It has no actions; the base URL
+// decides which host the credentials may be sent to.
+import { defineConnector } from '../sdk.js';
+
+const permanentError = (message) => Object.assign(new Error(message), { retryable: false });
+
+// The headers or query parameters for the chosen scheme
+const credentialAuth = (credentials) => {
+  const { scheme, token } = credentials;
+  if (scheme === 'basic') {
+    if (!credentials.username) throw permanentError('Enter the username');
+    return { headers: { Authorization: `Basic ${btoa(`${credentials.username}:${credentials.password || ''}`)}` } };
+  }
+  if (!['bearer', 'header', 'query'].includes(scheme)) throw permanentError(`Unknown credential scheme "${scheme}"`);
+  if (!token) throw permanentError('Enter the token or API key');
+  if (scheme === 'bearer') return { headers: { Authorization: `Bearer ${token}` } };
+  if (scheme === 'header') {
+    if (!credentials.header_name) throw permanentError('Enter the header name');
+    return { headers: { [credentials.header_name]: token } };
+  }
+  if (!credentials.query_param) throw permanentError('Enter the query parameter');
+  return { query: { [credentials.query_param]: token } };
+};
+
+export default defineConnector({
+  id: 'http-api',
+  name: 'HTTP API',
+  description: 'Store credentials for any REST API and call it from HTTP Request steps',
+  category: 'productivity',
+  logo_url: 'https://images.unsplash.com/photo-1558494949-ef010cbdcc31?w=64&h=64&fit=crop',
+  features: ['Bearer tokens', 'API key headers or query parameters', 'Basic auth'],
+  auth: {
+    type: 'api_key',
+    fields: {
+      type: 'object',
+      properties: {
+        scheme: {
+          type: 'string',
+          title: 'Send credentials as',
+          enum: ['bearer', 'header', 'query', 'basic'],
+          enumNames: ['Bearer token', 'Custom header', 'Query parameter', 'Username and password'],
+          default: 'bearer'
+        },
+        token: { type: 'string', title: 'Token or API key', format: 'password' },
+        header_name: { type: 'string', title: 'Header name', description: 'For a custom header, e.g. X-API-Key' },
+        query_param: { type: 'string', title: 'Query parameter', description: 'For a query parameter, e.g. api_key' },
+        username: { type: 'string', title: 'Username', description: 'For username and password' },
+        password: { type: 'string', title: 'Password', format: 'password' }
+      },
+      required: ['scheme']
+    }
+  },
+  config: {
+    type: 'object',
+    properties: {
+      base_url: {
+        type: 'string',
+        title: 'Base URL',
+        description: 'e.g. https://api.example.com; requests to this host and its subdomains get the credentials',
+        format: 'uri',
+        pattern: '^https://'
+      }
+    },
+    required: ['base_url']
+  },
+  authorize: ({ config, credentials }) => ({ hosts: [new URL(config.base_url).hostname], ...credentialAuth(credentials) }),
+  // There is no call every API answers; check the credentials are complete for their scheme
+  test: ({ config, credentials }) => {
+    credentialAuth(credentials);
+    return { account: new URL(config.base_url).host };
+  }
+});
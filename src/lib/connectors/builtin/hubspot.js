@@ -0,0 +1,84 @@
+// HubSpot: contacts through the CRM v3 API with a private app token
+import { defineConnector } from '../sdk.js';
+
+const hubspotApi = ({ http, credentials }) =>
+  http({ baseUrl: 'https://api.hubapi.com/crm/v3', headers: { Authorization: `Bearer ${credentials.access_token}` } });
+
+const contactInput = {
+  email: { type: 'string', title: 'Email', format: 'email' },
+  firstname: { type: 'string', title: 'First name' },
+  lastname: { type: 'string', title: 'Last name' },
+  company: { type: 'string', title: 'Company' },
+  properties: {
+    type: 'object',
+    title: 'Other properties',
+    description: 'Any other contact properties by internal name',
+    additionalProperties: { type: 'string' }
+  }
+};
+
+const contactOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    properties: { type: 'object', properties: { email: { type: 'string' }, firstname: { type: 'string' }, lastname: { type: 'string' } } }
+  }
+};
+
+const toProperties = ({ properties = {}, contact_id: contactId, ...fields }) => ({ ...fields, ...properties });
+
+export default defineConnector({
+  id: 'hubspot',
+  name: 'HubSpot',
+  description: 'Inbound marketing and sales platform',
+  category: 'crm',
+  logo_url: 'https://images.unsplash.com/photo-1560472354-b33ff0c44a43?w=64&h=64&fit=crop',
+  website_url: 'https://www.hubspot.com',
+  documentation_url: 'https://developers.hubspot.com/docs/api/crm/contacts',
+  features: ['Contact creation', 'Contact updates', 'Custom properties'],
+  auth: {
+    type: 'api_key',
+    fields: {
+      type: 'object',
+      properties: {
+        access_token: { type: 'string', title: 'Private app token', pattern: '^pat-', format: 'password' }
+      },
+      required: ['access_token']
+    }
+  },
+  test: async ({ http, credentials }) => {
+    const details = await hubspotApi({ http, credentials }).get('https://api.hubapi.com/account-info/v3/details');
+    return { account: `Portal ${details.portalId}` };
+  },
+  authorize: ({ credentials }) => ({
+    hosts: ['api.hubapi.com'],
+    headers: { Authorization: `Bearer ${credentials.access_token}` }
+  }),
+  actions: {
+    create_contact: {
+      title: 'Create contact',
+      input: { type: 'object', properties: contactInput, required: ['email'] },
+      output: contactOutput,
+      run: async ({ input, http, credentials }) => {
+        const contact = await hubspotApi({ http, credentials }).post('objects/contacts', { properties: toProperties(input) });
+        return { id: contact.id, properties: contact.properties };
+      }
+    },
+    update_contact: {
+      title: 'Update contact',
+      input: {
+        type: 'object',
+        properties: { contact_id: { type: 'string', title: 'Contact ID' }, ...contactInput },
+        required: ['contact_id']
+      },
+      output: contactOutput,
+      run: async ({ input, http, credentials }) => {
+        const contact = await hubspotApi({ http, credentials }).patch(
+          `objects/contacts/${encodeURIComponent(input.contact_id)}`,
+          { properties: toProperties(input) }
+        );
+        return { id: contact.id, properties: contact.properties };
+      }
+    }
+  }
+});
@@ -0,0 +1,12 @@
+// Connectors that ship with the app, in the order the marketplace lists them
+import salesforce from './salesforce.js';
+import slack from './slack.js';
+import shopify from './shopify.js';
+import stripe from './stripe.js';
+import googleSheets from './googleSheets.js';
+import mailchimp from './mailchimp.js';
+import hubspot from './hubspot.js';
+import zapier from './zapier.js';
+import httpApi from './httpApi.js';
+
+export default [salesforce, slack, shopify, stripe, googleSheets, mailchimp, hubspot, zapier, httpApi];
@@ -0,0 +1,103 @@
+// Mailchimp: audience members through the Marketing API. The data center comes from the key's suffix.
+import { defineConnector } from '../sdk.js';
+
+const mailchimpApi = ({ http, credentials }) => {
+  const dataCenter = String(credentials.api_key).split('-').pop();
+  return http({
+    baseUrl: `https://${dataCenter}.api.mailchimp.com/3.0`,
+    headers: { Authorization: `Basic ${btoa(`anystring:${credentials.api_key}`)}` }
+  });
+};
+
+// Members are addressed by the MD5 of the lower-cased email; the API also accepts the email itself
+const memberPath = (listId, email) => `lists/${encodeURIComponent(listId)}/members/${encodeURIComponent(email.toLowerCase())}`;
+
+export default defineConnector({
+  id: 'mailchimp',
+  name: 'Mailchimp',
+  description: 'Automate email marketing campaigns and subscriber management',
+  category: 'marketing',
+  logo_url: 'https://images.unsplash.com/photo-1596526131083-e8c633c948d2?w=64&h=64&fit=crop',
+  website_url: 'https://mailchimp.com',
+  documentation_url: 'https://mailchimp.com/developer/marketing/api/',
+  features: ['Subscriber management', 'Tags', 'Audience segmentation'],
+  auth: {
+    type: 'api_key',
+    fields: {
+      type: 'object',
+      properties: {
+        api_key: { type: 'string', title: 'API key', description: 'Ends with your data center, e.g. -us21', pattern: '-[a-z]+[0-9]+$', format: 'password' }
+      },
+      required: ['api_key']
+    }
+  },
+  config: {
+    type: 'object',
+    properties: {
+      default_list_id: { type: 'string', title: 'Default audience ID' }
+    }
+  },
+  test: async ({ http, credentials }) => {
+    const account = await mailchimpApi({ http, credentials }).get('/');
+    return { account: account.account_name };
+  },
+  authorize: ({ credentials }) => ({
+    hosts: [`${String(credentials.api_key).split('-').pop()}.api.mailchimp.com`],
+    headers: { Authorization: `Basic ${btoa(`anystring:${credentials.api_key}`)}` }
+  }),
+  actions: {
+    add_subscriber: {
+      title: 'Add or update subscriber',
+      input: {
+        type: 'object',
+        properties: {
+          list_id: { type: 'string', title: 'Audience ID', description: 'Leave empty to use the default audience' },
+          email: { type: 'string', title: 'Email', format: 'email' },
+          status: { type: 'string', title: 'Status', enum: ['subscribed', 'pending', 'unsubscribed'], default: 'subscribed' },
+          first_name: { type: 'string', title: 'First name' },
+          last_name: { type: 'string', title: 'Last name' },
+          tags: { type: 'array', title: 'Tags', items: { type: 'string' } }
+        },
+        required: ['email']
+      },
+      output: {
+        type: 'object',
+        properties: { id: { type: 'string' }, email_address: { type: 'string' }, status: { type: 'string' } }
+      },
+      run: async ({ input, config, http, credentials }) => {
+        const listId = input.list_id || config.default_list_id;
+        if (!listId) throw Object.assign(new Error('Choose an audience'), { retryable: false });
+
+        const member = await mailchimpApi({ http, credentials }).put(memberPath(listId, input.email), {
+          email_address: input.email,
+          status_if_new: input.status || 'subscribed',
+          merge_fields: { FNAME: input.first_name || '', LNAME: input.last_name || '' },
+          ...(input.tags?.length ? { tags: input.tags } : {})
+        });
+        return { id: member.id, email_address: member.email_address, status: member.status };
+      }
+    },
+    unsubscribe: {
+      title: 'Unsubscribe',
+      input: {
+        type: 'object',
+        properties: {
+          list_id: { type: 'string', title: 'Audience ID', description: 'Leave empty to use the default audience' },
+          email: { type: 'string', title: 'Email', format: 'email' }
+        },
+        required: ['email']
+      },
+      output: {
+        type: 'object',
+        properties: { email_address: { type: 'string' }, status: { type: 'string' } }
+      },
+      run: async ({ input, config, http, credentials }) => {
+        const listId = input.list_id || config.default_list_id;
+        if (!listId) throw Object.assign(new Error('Choose an audience'), { retryable: false });
+
+        const member = await mailchimpApi({ http, credentials }).patch(memberPath(listId, input.email), { status: 'unsubscribed' });
+        return { email_address: member.email_address, status: member.status };
+      }
+    }
+  }
+});
@@ -0,0 +1,114 @@
+// Salesforce: leads and SOQL queries through the REST API, connected with OAuth 2.0
+import { defineConnector } from '../sdk.js';
+
+const API_VERSION = 'v61.0';
+
+const salesforceApi = ({ http, credentials }) => http({
+  baseUrl: `${String(credentials.instance_url).replace(/\/$/, '')}/services/data/${API_VERSION}`,
+  headers: { Authorization: `Bearer ${credentials.access_token}` }
+});
+
+export default defineConnector({
+  id: 'salesforce',
+  name: 'Salesforce',
+  description: 'Sync leads, contacts, and opportunities with your CRM workflows',
+  category: 'crm',
+  logo_url: 'https://images.unsplash.com/photo-1611224923853-80b023f02d71?w=64&h=64&fit=crop',
+  website_url: 'https://www.salesforce.com',
+  documentation_url: 'https://developer.salesforce.com/docs/atlas.en-us.api_rest.meta/api_rest/',
+  features: ['Lead creation', 'Record updates', 'SOQL queries', 'Custom fields'],
+  auth: {
+    type: 'oauth2',
+    authorize_url: 'https://login.salesforce.com/services/oauth2/authorize',
+    token_url: 'https://login.salesforce.com/services/oauth2/token',
+    scopes: ['api', 'refresh_token'],
+    fields: {
+      type: 'object',
+      properties: {
+        access_token: { type: 'string', title: 'Access token' },
+        instance_url: { type: 'string', title: 'Instance URL', format: 'uri' }
+      },
+      required: ['access_token', 'instance_url']
+    }
+  },
+  test: async ({ http, credentials }) => {
+    await salesforceApi({ http, credentials }).get('limits');
+    return { account: new URL(credentials.instance_url).host };
+  },
+  authorize: ({ credentials }) => ({
+    hosts: [new URL(credentials.instance_url).hostname],
+    headers: { Authorization: `Bearer ${credentials.access_token}` }
+  }),
+  actions: {
+    create_lead: {
+      title: 'Create lead',
+      input: {
+        type: 'object',
+        properties: {
+          LastName: { type: 'string', title: 'Last name' },
+          FirstName: { type: 'string', title: 'First name' },
+          Company: { type: 'string', title: 'Company' },
+          Email: { type: 'string', title: 'Email', format: 'email' },
+          LeadSource: { type: 'string', title: 'Lead source' },
+          fields: {
+            type: 'object',
+            title: 'Other fields',
+            description: 'Any other Lead fields by API name, e.g. Industry or a custom field__c',
+            additionalProperties: { type: 'string' }
+          }
+        },
+        required: ['LastName', 'Company']
+      },
+      output: {
+        type: 'object',
+        properties: { id: { type: 'string' }, success: { type: 'boolean' } }
+      },
+      run: async ({ input, http, credentials }) => {
+        const { fields = {}, ...standard } = input;
+        const result = await salesforceApi({ http, credentials }).post('sobjects/Lead', { ...standard, ...fields });
+        return { id: result.id, success: result.success };
+      }
+    },
+    update_record: {
+      title: 'Update record',
+      input: {
+        type: 'object',
+        properties: {
+          object: { type: 'string', title: 'Object', description: 'e.g. Contact or Opportunity' },
+          record_id: { type: 'string', title: 'Record ID' },
+          fields: { type: 'object', title: 'Fields', additionalProperties: { type: 'string' } }
+        },
+        required: ['object', 'record_id', 'fields']
+      },
+      output: {
+        type: 'object',
+        properties: { id: { type: 'string' } }
+      },
+      run: async ({ input, http, credentials }) => {
+        await salesforceApi({ http, credentials }).patch(
+          `sobjects/${encodeURIComponent(input.object)}/${encodeURIComponent(input.record_id)}`,
+          input.fields
+        );
+        return { id: input.record_id };
+      }
+    },
+    query: {
+      title: 'Run SOQL query',
+      input: {
+        type: 'object',
+        properties: {
+          soql: { type: 'string', title: 'Query', description: 'e.g. SELECT Id, Name FROM Account LIMIT 10' }
+        },
+        required: ['soql']
+      },
+      output: {
+        type: 'object',
+        properties: { total_size: { type: 'integer' }, records: { type: 'array', items: { type: 'object' } } }
+      },
+      run: async ({ input, http, credentials }) => {
+        const result = await salesforceApi({ http, credentials }).get('query', { query: { q: input.soql } });
+        return { total_size: result.totalSize, records: result.records || [] };
+      }
+    }
+  }
+});
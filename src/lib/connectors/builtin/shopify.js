@@ -0,0 +1,132 @@
+// Shopify: orders and customers through the Admin REST API with a custom app's access token
+import { defineConnector } from '../sdk.js';
+
+const API_VERSION = '2024-10';
+
+const shopifyApi = ({ http, config, credentials }) => http({
+  baseUrl: `https://${config.shop_domain}/admin/api/${API_VERSION}`,
+  headers: { 'X-Shopify-Access-Token': credentials.access_token }
+});
+
+const orderOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    email: { type: 'string' },
+    total_price: { type: 'string' },
+    currency: { type: 'string' },
+    financial_status: { type: 'string' },
+    fulfillment_status: { type: 'string' }
+  }
+};
+
+const pickOrder = (order) => ({
+  id: order.id,
+  name: order.name,
+  email: order.email,
+  total_price: order.total_price,
+  currency: order.currency,
+  financial_status: order.financial_status,
+  fulfillment_status: order.fulfillment_status
+});
+
+export default defineConnector({
+  id: 'shopify',
+  name: 'Shopify',
+  description: 'Automate order processing, inventory management, and customer communications',
+  category: 'ecommerce',
+  logo_url: 'https://images.unsplash.com/photo-1556742049-0cfed4f6a45d?w=64&h=64&fit=crop',
+  website_url: 'https://www.shopify.com',
+  documentation_url: 'https://shopify.dev/docs/api/admin-rest',
+  features: ['Order lookup', 'Order search', 'Customer creation', 'Order events'],
+  auth: {
+    type: 'api_key',
+    fields: {
+      type: 'object',
+      properties: {
+        access_token: { type: 'string', title: 'Admin API access token', pattern: '^shpat_', format: 'password' }
+      },
+      required: ['access_token']
+    }
+  },
+  config: {
+    type: 'object',
+    properties: {
+      shop_domain: { type: 'string', title: 'Shop domain', description: 'e.g. my-store.myshopify.com', pattern: '^[a-z0-9-]+\\.myshopify\\.com$' }
+    },
+    required: ['shop_domain']
+  },
+  test: async ({ http, config, credentials }) => {
+    const { shop } = await shopifyApi({ http, config, credentials }).get('shop.json');
+    return { account: shop.name };
+  },
+  authorize: ({ config, credentials }) => ({
+    hosts: [config.shop_domain],
+    headers: { 'X-Shopify-Access-Token': credentials.access_token }
+  }),
+  triggers: {
+    order_created: {
+      title: 'Order created',
+      description: 'Shopify sent an `orders/create` webhook',
+      output: orderOutput
+    }
+  },
+  actions: {
+    get_order: {
+      title: 'Get order',
+      input: {
+        type: 'object',
+        properties: { order_id: { type: 'string', title: 'Order ID' } },
+        required: ['order_id']
+      },
+      output: orderOutput,
+      run: async ({ input, http, config, credentials }) => {
+        const { order } = await shopifyApi({ http, config, credentials }).get(`orders/${encodeURIComponent(input.order_id)}.json`);
+        return pickOrder(order);
+      }
+    },
+    list_orders: {
+      title: 'List orders',
+      input: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', title: 'Status', enum: ['open', 'closed', 'cancelled', 'any'], default: 'open' },
+          created_at_min: { type: 'string', title: 'Created after', description: 'ISO 8601 date' },
+          limit: { type: 'integer', title: 'Limit', minimum: 1, maximum: 250, default: 50 }
+        }
+      },
+      output: {
+        type: 'object',
+        properties: { orders: { type: 'array', items: orderOutput } }
+      },
+      run: async ({ input, http, config, credentials }) => {
+        const { orders } = await shopifyApi({ http, config, credentials }).get('orders.json', {
+          query: { status: input.status || 'open', created_at_min: input.created_at_min, limit: input.limit || 50 }
+        });
+        return { orders: (orders || []).map(pickOrder) };
+      }
+    },
+    create_customer: {
+      title: 'Create customer',
+      input: {
+        type: 'object',
+        properties: {
+          email: { type: 'string', title: 'Email', format: 'email' },
+          first_name: { type: 'string', title: 'First name' },
+          last_name: { type: 'string', title: 'Last name' },
+          tags: { type: 'string', title: 'Tags', description: 'Comma-separated' }
+        },
+        required: ['email']
+      },
+      output: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, email: { type: 'string' } }
+      },
+      run: async ({ input, http, config, credentials }) => {
+        const { customer } = await shopifyApi({ http, config, credentials }).post('customers.json', { customer: input });
+        return { id: customer.id, email: customer.email };
+      }
+    }
+  }
+});
@@ -0,0 +1,114 @@
+// Slack: post messages with a bot token (xoxb-...)
+import { defineConnector } from '../sdk.js';
+
+const slackApi = ({ http, credentials }) => {
+  const client = http({ baseUrl: 'https://slack.com/api', headers: { Authorization: `Bearer ${credentials.bot_token}` } });
+  // Slack answers 200 with `ok: false` for most errors
+  return async (method, body) => {
+    const result = await client.post(method, body);
+    if (!result?.ok) {
+      const error = new Error(`Slack ${method} failed: ${result?.error || 'unknown error'}`);
+      error.status = result?.error === 'ratelimited' ? 429 : 400;
+      throw error;
+    }
+    return result;
+  };
+};
+
+export default defineConnector({
+  id: 'slack',
+  name: 'Slack',
+  description: 'Send notifications, create channels, and manage team communications',
+  category: 'communication',
+  logo_url: 'https://images.unsplash.com/photo-1611606063065-ee7946f0787a?w=64&h=64&fit=crop',
+  website_url: 'https://slack.com',
+  documentation_url: 'https://api.slack.com/methods',
+  features: ['Channel messages', 'Threaded replies', 'Channel management', 'Event triggers'],
+  auth: {
+    type: 'api_key',
+    fields: {
+      type: 'object',
+      properties: {
+        bot_token: { type: 'string', title: 'Bot token', description: 'Starts with xoxb-', pattern: '^xox[bp]-', format: 'password' }
+      },
+      required: ['bot_token']
+    }
+  },
+  test: async ({ http, credentials }) => {
+    const result = await slackApi({ http, credentials })('auth.test', {});
+    return { account: `${result.team} (@${result.user})` };
+  },
+  authorize: ({ credentials }) => ({
+    hosts: ['slack.com'],
+    headers: { Authorization: `Bearer ${credentials.bot_token}` }
+  }),
+  triggers: {
+    message_posted: {
+      title: 'Message posted',
+      description: 'A message was posted in a channel the app is in (Events API `message`)',
+      output: {
+        type: 'object',
+        properties: {
+          event: {
+            type: 'object',
+            properties: {
+              channel: { type: 'string' },
+              user: { type: 'string' },
+              text: { type: 'string' },
+              ts: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  actions: {
+    send_message: {
+      title: 'Send message',
+      description: 'Post a message to a channel',
+      input: {
+        type: 'object',
+        properties: {
+          channel: { type: 'string', title: 'Channel', description: 'Channel id or name, e.g. #alerts' },
+          text: { type: 'string', title: 'Message' },
+          thread_ts: { type: 'string', title: 'Reply in thread', description: 'Timestamp of the parent message' }
+        },
+        required: ['channel', 'text']
+      },
+      output: {
+        type: 'object',
+        properties: { channel: { type: 'string' }, ts: { type: 'string' } }
+      },
+      run: async ({ input, http, credentials }) => {
+        const result = await slackApi({ http, credentials })('chat.postMessage', {
+          channel: input.channel,
+          text: input.text,
+          thread_ts: input.thread_ts || undefined
+        });
+        return { channel: result.channel, ts: result.ts };
+      }
+    },
+    create_channel: {
+      title: 'Create channel',
+      input: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', title: 'Name', pattern: '^[a-z0-9_-]{1,80}$' },
+          is_private: { type: 'boolean', title: 'Private', default: false }
+        },
+        required: ['name']
+      },
+      output: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      },
+      run: async ({ input, http, credentials }) => {
+        const result = await slackApi({ http, credentials })('conversations.create', {
+          name: input.name,
+          is_private: !!input.is_private
+        });
+        return { id: result.channel.id, name: result.channel.name };
+      }
+    }
+  }
+});
@@ -0,0 +1,120 @@
+// Stripe: customers and payments with a secret or restricted API key
+import { defineConnector } from '../sdk.js';
+
+const stripeApi = ({ http, credentials }) =>
+  http({ baseUrl: 'https://api.stripe.com/v1', headers: { Authorization: `Bearer ${credentials.secret_key}` } });
+
+const customerOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    email: { type: 'string' },
+    name: { type: 'string' },
+    created: { type: 'integer' }
+  }
+};
+
+export default defineConnector({
+  id: 'stripe',
+  name: 'Stripe',
+  description: 'Process payments, manage subscriptions, and handle financial workflows',
+  category: 'finance',
+  logo_url: 'https://images.unsplash.com/photo-1556740758-90de374c12ad?w=64&h=64&fit=crop',
+  website_url: 'https://stripe.com',
+  documentation_url: 'https://docs.stripe.com/api',
+  features: ['Customer management', 'Payment intents', 'Payment events', 'Refunds'],
+  auth: {
+    type: 'api_key',
+    fields: {
+      type: 'object',
+      properties: {
+        secret_key: { type: 'string', title: 'Secret key', description: 'sk_... or a restricted rk_... key', pattern: '^(sk|rk)_', format: 'password' }
+      },
+      required: ['secret_key']
+    }
+  },
+  test: async ({ http, credentials }) => {
+    const account = await stripeApi({ http, credentials }).get('account');
+    return { account: account.settings?.dashboard?.display_name || account.email || account.id };
+  },
+  authorize: ({ credentials }) => ({
+    hosts: ['api.stripe.com'],
+    headers: { Authorization: `Bearer ${credentials.secret_key}` }
+  }),
+  triggers: {
+    payment_succeeded: {
+      title: 'Payment succeeded',
+      description: 'Stripe sent a `payment_intent.succeeded` event',
+      output: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          data: {
+            type: 'object',
+            properties: {
+              object: {
+                type: 'object',
+                properties: { id: { type: 'string' }, amount: { type: 'integer' }, currency: { type: 'string' }, customer: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  actions: {
+    create_customer: {
+      title: 'Create customer',
+      input: {
+        type: 'object',
+        properties: {
+          email: { type: 'string', title: 'Email', format: 'email' },
+          name: { type: 'string', title: 'Name' },
+          description: { type: 'string', title: 'Description' }
+        },
+        required: ['email']
+      },
+      output: customerOutput,
+      run: async ({ input, http, credentials }) => {
+        const customer = await stripeApi({ http, credentials }).post('customers', undefined, {
+          form: { email: input.email, name: input.name, description: input.description }
+        });
+        return { id: customer.id, email: customer.email, name: customer.name, created: customer.created };
+      }
+    },
+    get_customer: {
+      title: 'Get customer',
+      input: {
+        type: 'object',
+        properties: { customer_id: { type: 'string', title: 'Customer ID' } },
+        required: ['customer_id']
+      },
+      output: customerOutput,
+      run: async ({ input, http, credentials }) => {
+        const customer = await stripeApi({ http, credentials }).get(`customers/${encodeURIComponent(input.customer_id)}`);
+        return { id: customer.id, email: customer.email, name: customer.name, created: customer.created };
+      }
+    },
+    refund_payment: {
+      title: 'Refund payment',
+      input: {
+        type: 'object',
+        properties: {
+          payment_intent: { type: 'string', title: 'Payment intent ID' },
+          amount: { type: 'integer', title: 'Amount', description: 'In the smallest currency unit; leave empty to refund everything', minimum: 1 }
+        },
+        required: ['payment_intent']
+      },
+      output: {
+        type: 'object',
+        properties: { id: { type: 'string' }, amount: { type: 'integer' }, status: { type: 'string' } }
+      },
+      run: async ({ input, http, credentials }) => {
+        const refund = await stripeApi({ http, credentials }).post('refunds', undefined, {
+          form: { payment_intent: input.payment_intent, amount: input.amount }
+        });
+        return { id: refund.id, amount: refund.amount, status: refund.status };
+      }
+    }
+  }
+});
@@ -0,0 +1,41 @@
+// Zapier: hand data to a Zap through a "Catch Hook" URL
+import { defineConnector } from '../sdk.js';
+
+export default defineConnector({
+  id: 'zapier',
+  name: 'Zapier',
+  description: 'Automation platform connector',
+  category: 'productivity',
+  logo_url: 'https://images.unsplash.com/photo-1551434678-e076c223a692?w=64&h=64&fit=crop',
+  website_url: 'https://zapier.com',
+  documentation_url: 'https://help.zapier.com/hc/en-us/articles/8496288690317',
+  features: ['Start Zaps', 'Pass run data'],
+  auth: { type: 'none' },
+  actions: {
+    send_to_zap: {
+      title: 'Send to Zap',
+      input: {
+        type: 'object',
+        properties: {
+          hook_url: { type: 'string', title: 'Catch Hook URL', format: 'uri', pattern: '^https://hooks\\.zapier\\.com/' },
+          payload: {
+            type: 'object',
+            title: 'Fields',
+            description: 'Leave empty to send the data arriving at this step',
+            additionalProperties: { type: 'string' }
+          }
+        },
+        required: ['hook_url']
+      },
+      output: {
+        type: 'object',
+        properties: { id: { type: 'string' }, status: { type: 'string' } }
+      },
+      run: async ({ input, data, http }) => {
+        const payload = Object.keys(input.payload || {}).length > 0 ? input.payload : data;
+        const result = await http().post(input.hook_url, payload ?? {});
+        return { id: result?.id || result?.request_id || null, status: result?.status || 'success' };
+      }
+    }
+  }
+});
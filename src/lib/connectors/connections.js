@@ -0,0 +1,398 @@
+// Integration connections
+// A connection is one named set of credentials for an integration (e.g. "Sales Slack" and "Support
+// Slack"), with the connector's non-secret settings. Rows in `integration_connections` are readable by
+// members; the secrets live encrypted in `integration_connection_secrets` (see vault.js) and are only
+// read here, on the server, with the service role. Nothing in this module returns a secret.
+// Workflow steps pick a connection with `connection_id`; see runConnectionAction and getRequestAuth.
+
+import { authorizeRequest, runConnectorAction, testConnector } from './sdk.js';
+import { decryptCredentials, encryptCredentials } from './vault.js';
+import { buildAuthorizeUrl, createPkcePair, exchangeCode, needsRefresh, randomToken, refreshToken } from './oauth.js';
+
+// The columns a browser may see
+export const CONNECTION_COLUMNS = 'id, organization_id, integration_id, name, auth_type, settings, status, account_label, token_expires_at, last_checked_at, last_error, created_by, created_at, updated_at';
+
+// How long an OAuth sign-in may take between starting and returning to the callback
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+// A connector needs a connection when it has credentials or settings to store
+export const needsConnection = (connector) =>
+  connector.auth.type !== 'none' || Object.keys(connector.config.properties || {}).length > 0;
+
+// Reads, refreshes and writes connection secrets. `key` is the vault key from importVaultKey, or a
+// function resolving to it, so a missing key only fails the runs that need credentials.
+// `oauthClient(connectorId)` returns the app's `{ clientId, clientSecret }` for a provider (see
+// getOAuthClient). Decrypted credentials are kept for the life of the store, which is one request,
+// and concurrent refreshes of a token share one call.
+export const createCredentialStore = ({ client, key, oauthClient = () => null, fetch = globalThis.fetch, now = () => new Date() }) => {
+  const cache = new Map();
+  let vaultKey = null;
+  const getKey = () => {
+    vaultKey = vaultKey || Promise.resolve(typeof key === 'function' ? key() : key);
+    return vaultKey;
+  };
+
+  const save = async (connectionId, credentials) => {
+    const { error } = await client
+      .from('integration_connection_secrets')
+      .upsert({
+        connection_id: connectionId,
+        ciphertext: await encryptCredentials(await getKey(), credentials),
+        updated_at: now().toISOString()
+      }, { onConflict: 'connection_id' });
+    if (error) throw error;
+    cache.set(connectionId, Promise.resolve(credentials));
+  };
+
+  const read = async (connectionId) => {
+    const { data, error } = await client
+      .from('integration_connection_secrets')
+      .select('ciphertext')
+      .eq('connection_id', connectionId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw permanentError('This connection has no stored credentials; reconnect it');
+    return decryptCredentials(await getKey(), data.ciphertext);
+  };
+
+  const refresh = async (connection, connector, credentials) => {
+    const oauth = oauthClient(connector.id);
+    if (!oauth) throw permanentError(`${connector.name} OAuth is not configured on this server`);
+    try {
+      const refreshed = await refreshToken({ connector, client: oauth, token: credentials, fetch, now: now() });
+      await save(connection.id, refreshed);
+      await client
+        .from('integration_connections')
+        .update({ status: 'active', token_expires_at: refreshed.expires_at, last_error: null, updated_at: now().toISOString() })
+        .eq('id', connection.id);
+      return refreshed;
+    } catch (error) {
+      // A rejected refresh token means someone has to sign in again
+      if (error.retryable === false) {
+        error.expired = true;
+        await client
+          .from('integration_connections')
+          .update({ status: 'expired', last_error: error.message, updated_at: now().toISOString() })
+          .eq('id', connection.id);
+      }
+      throw error;
+    }
+  };
+
+  // The connection's credentials, with an OAuth access token refreshed when it is about to expire
+  const get = (connection, connector) => {
+    if (!cache.has(connection.id)) {
+      cache.set(connection.id, (async () => {
+        const credentials = await read(connection.id);
+        if (connector.auth.type === 'oauth2' && needsRefresh(credentials, now())) {
+          return refresh(connection, connector, credentials);
+        }
+        return credentials;
+      })().catch(error => {
+        // Let a retried attempt try again
+        cache.delete(connection.id);
+        throw error;
+      }));
+    }
+    return cache.get(connection.id);
+  };
+
+  return { get, save, refresh };
+};
+
+export const loadConnection = async (client, { organizationId, connectionId }) => {
+  const { data, error } = await client
+    .from('integration_connections')
+    .select(CONNECTION_COLUMNS)
+    .eq('id', connectionId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw permanentError('The connection for this step no longer exists');
+  return data;
+};
+
+const ensureInstalled = async (client, { organizationId, connector }) => {
+  const { data, error } = await client
+    .from('organization_integrations')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .eq('integration_id', connector.id)
+    .eq('is_active', true)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw permanentError(`${connector.name} is not installed for this organization`);
+};
+
+// Run a connector action with a stored connection of the organization
+export const runConnectionAction = async ({
+  client,
+  credentialStore,
+  organizationId,
+  connector,
+  connectionId,
+  actionId,
+  input = {},
+  data = null,
+  fetch = globalThis.fetch,
+  signal
+}) => {
+  if (!needsConnection(connector)) {
+    return runConnectorAction(connector, actionId, { input, data, fetch, signal });
+  }
+  if (!client || !organizationId || !credentialStore) throw new Error(`${connector.name} can only be used from a recorded run`);
+  if (!connectionId) throw permanentError(`Choose a ${connector.name} connection for this step`);
+
+  await ensureInstalled(client, { organizationId, connector });
+  const connection = await loadConnection(client, { organizationId, connectionId });
+  if (connection.integration_id !== connector.id) throw permanentError(`The chosen connection is not a ${connector.name} connection`);
+  if (connection.status === 'expired') throw permanentError(`The ${connector.name} connection "${connection.name}" has expired; reconnect it`);
+
+  const credentials = await credentialStore.get(connection, connector);
+  try {
+    return await runConnectorAction(connector, actionId, {
+      input,
+      config: connection.settings || {},
+      credentials,
+      data,
+      fetch,
+      signal
+    });
+  } catch (error) {
+    // Surface revoked credentials on the connection, not only in the run
+    if (error.status === 401) {
+      await client
+        .from('integration_connections')
+        .update({ status: 'error', last_error: error.message, updated_at: new Date().toISOString() })
+        .eq('id', connection.id);
+    }
+    throw error;
+  }
+};
+
+// The auth an HTTP Request step adds for a stored connection of the organization, as
+// `{ hosts, headers, query }` (see authorizeRequest). `getConnector(id)` looks up its connector.
+export const getRequestAuth = async ({ client, credentialStore, organizationId, connectionId, getConnector }) => {
+  if (!client || !organizationId || !credentialStore) throw new Error('Connections can only be used from a recorded run');
+
+  const connection = await loadConnection(client, { organizationId, connectionId });
+  const connector = getConnector(connection.integration_id);
+  if (!connector) throw permanentError(`The integration of "${connection.name}" is no longer available`);
+  await ensureInstalled(client, { organizationId, connector });
+  if (connection.status === 'expired') throw permanentError(`The ${connector.name} connection "${connection.name}" has expired; reconnect it`);
+
+  const credentials = await credentialStore.get(connection, connector);
+  return authorizeRequest(connector, { config: connection.settings || {}, credentials });
+};
+
+// Record the outcome of a health check on the connection row
+const recordCheck = async ({ client, connectionId, result, error, now }) => {
+  const { data, error: updateError } = await client
+    .from('integration_connections')
+    .update({
+      status: error ? (error.expired ? 'expired' : 'error') : 'active',
+      ...(result ? { account_label: result.account } : {}),
+      last_checked_at: now.toISOString(),
+      last_error: error ? error.message : null,
+      updated_at: now.toISOString()
+    })
+    .eq('id', connectionId)
+    .select(CONNECTION_COLUMNS)
+    .single();
+  if (updateError) throw updateError;
+  return data;
+};
+
+// Create or update an API key, basic auth or settings-only connection. The credentials are tested
+// before anything is stored, so a typo is reported straight away.
+export const saveConnection = async ({
+  client,
+  credentialStore,
+  connector,
+  organizationId,
+  userId,
+  connectionId = null,
+  name,
+  settings = {},
+  credentials = {},
+  fetch = globalThis.fetch,
+  now = new Date()
+}) => {
+  try {
+    if (connector.auth.type === 'oauth2') throw new Error(`${connector.name} connects through OAuth; use "Connect" instead`);
+    if (!name?.trim()) throw new Error('Give the connection a name');
+
+    let storedCredentials = credentials;
+    if (connectionId) {
+      const existing = await loadConnection(client, { organizationId, connectionId });
+      // Leaving the secret fields empty keeps the stored ones
+      if (!Object.values(credentials).some(value => value)) storedCredentials = await credentialStore.get(existing, connector);
+    }
+
+    const { account } = await testConnector(connector, { config: settings, credentials: storedCredentials, fetch });
+    const row = {
+      organization_id: organizationId,
+      integration_id: connector.id,
+      name: name.trim(),
+      auth_type: connector.auth.type,
+      settings,
+      status: 'active',
+      account_label: account,
+      token_expires_at: null,
+      last_checked_at: now.toISOString(),
+      last_error: null,
+      updated_at: now.toISOString()
+    };
+
+    const query = connectionId
+      ? client.from('integration_connections').update(row).eq('id', connectionId).eq('organization_id', organizationId)
+      : client.from('integration_connections').insert({ ...row, created_by: userId });
+    const { data, error } = await query.select(CONNECTION_COLUMNS).single();
+    if (error) throw error.code === '23505' ? new Error(`There is already a ${connector.name} connection named "${row.name}"`) : error;
+
+    await credentialStore.save(data.id, storedCredentials);
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error saving connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Begin an OAuth sign-in. Returns the provider URL to send the browser to; it comes back to
+// `redirectUri` with `code` and `state`, which completeOAuthConnection takes.
+export const startOAuthConnection = async ({
+  client,
+  connector,
+  oauthClient,
+  organizationId,
+  userId,
+  connectionId = null,
+  name,
+  settings = {},
+  redirectUri,
+  now = new Date()
+}) => {
+  try {
+    if (connector.auth.type !== 'oauth2') throw new Error(`${connector.name} does not use OAuth`);
+    if (!oauthClient) throw new Error(`${connector.name} OAuth is not configured on this server`);
+    if (!name?.trim()) throw new Error('Give the connection a name');
+    if (!redirectUri) throw new Error('A redirect URI is required');
+
+    // Sign-ins that were never finished
+    await client.from('integration_oauth_states').delete().lt('expires_at', now.toISOString());
+
+    const state = randomToken();
+    const { verifier, challenge } = await createPkcePair();
+    const { error } = await client.from('integration_oauth_states').insert({
+      state,
+      organization_id: organizationId,
+      integration_id: connector.id,
+      connection_id: connectionId,
+      name: name.trim(),
+      settings,
+      code_verifier: verifier,
+      redirect_uri: redirectUri,
+      created_by: userId,
+      expires_at: new Date(now.getTime() + OAUTH_STATE_TTL_MS).toISOString()
+    });
+    if (error) throw error;
+
+    const url = buildAuthorizeUrl({ connector, clientId: oauthClient.clientId, redirectUri, state, codeChallenge: challenge });
+    return { success: true, data: { url } };
+  } catch (error) {
+    console.error('Error starting OAuth connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Finish an OAuth sign-in: exchange the code, test the token and store the connection.
+// `getConnector(id)` looks up the connector the sign-in was started for.
+export const completeOAuthConnection = async ({
+  client,
+  credentialStore,
+  getConnector,
+  oauthClient,
+  userId,
+  state,
+  code,
+  fetch = globalThis.fetch,
+  now = new Date()
+}) => {
+  try {
+    // One use only: the state is removed whether or not the exchange works
+    const { data: pending, error } = await client
+      .from('integration_oauth_states')
+      .delete()
+      .eq('state', state || '')
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!pending || pending.created_by !== userId) throw new Error('This sign-in link is not valid; start again');
+    if (new Date(pending.expires_at) <= now) throw new Error('The sign-in took too long; start again');
+
+    const connector = getConnector(pending.integration_id);
+    const oauth = connector && oauthClient(connector.id);
+    if (!oauth) throw new Error('This integration can no longer be connected');
+
+    const token = await exchangeCode({
+      connector,
+      client: oauth,
+      code,
+      codeVerifier: pending.code_verifier,
+      redirectUri: pending.redirect_uri,
+      fetch,
+      now
+    });
+    const { account } = await testConnector(connector, { config: pending.settings || {}, credentials: token, fetch });
+
+    const row = {
+      organization_id: pending.organization_id,
+      integration_id: connector.id,
+      name: pending.name,
+      auth_type: connector.auth.type,
+      settings: pending.settings || {},
+      status: 'active',
+      account_label: account,
+      token_expires_at: token.expires_at,
+      last_checked_at: now.toISOString(),
+      last_error: null,
+      updated_at: now.toISOString()
+    };
+    const query = pending.connection_id
+      ? client.from('integration_connections').update(row).eq('id', pending.connection_id).eq('organization_id', pending.organization_id)
+      : client.from('integration_connections').insert({ ...row, created_by: userId });
+    const { data, error: saveError } = await query.select(CONNECTION_COLUMNS).single();
+    if (saveError) throw saveError.code === '23505' ? new Error(`There is already a ${connector.name} connection named "${row.name}"`) : saveError;
+
+    await credentialStore.save(data.id, token);
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error completing OAuth connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Health check: refresh the token if needed and make the connector's test call
+export const checkConnection = async ({ client, credentialStore, connector, connection, fetch = globalThis.fetch, now = new Date() }) => {
+  try {
+    let result = null;
+    let failure = null;
+    try {
+      const credentials = await credentialStore.get(connection, connector);
+      result = await testConnector(connector, { config: connection.settings || {}, credentials, fetch });
+    } catch (error) {
+      failure = error;
+    }
+    const data = await recordCheck({ client, connectionId: connection.id, result, error: failure, now });
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error checking connection:', error);
+    return { success: false, error: error.message };
+  }
+};
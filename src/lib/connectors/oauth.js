@@ -0,0 +1,100 @@
+// OAuth 2.0 authorization code flow with PKCE (RFC 7636) for connectors with `auth.type: 'oauth2'`
+// Each connector's client id and secret come from Edge Function secrets named after it:
+// OAUTH_<ID>_CLIENT_ID and OAUTH_<ID>_CLIENT_SECRET, with the id upper-cased and "-" as "_"
+// (e.g. OAUTH_GOOGLE_SHEETS_CLIENT_ID).
+
+import { createHttpClient } from './sdk.js';
+
+// Refresh tokens this long before they expire, so a step never starts with a token about to lapse
+export const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+export const randomToken = (bytes = 32) => toBase64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+
+export const createPkcePair = async () => {
+  const verifier = randomToken(48);
+  const challenge = toBase64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+  return { verifier, challenge };
+};
+
+const envName = (connectorId, suffix) => `OAUTH_${connectorId.toUpperCase().replace(/-/g, '_')}_${suffix}`;
+
+// `env` is a plain object of environment variables
+export const getOAuthClient = (env, connectorId) => {
+  const clientId = env[envName(connectorId, 'CLIENT_ID')];
+  const clientSecret = env[envName(connectorId, 'CLIENT_SECRET')];
+  return clientId ? { clientId, clientSecret: clientSecret || null } : null;
+};
+
+export const buildAuthorizeUrl = ({ connector, clientId, redirectUri, state, codeChallenge }) => {
+  const url = new URL(connector.auth.authorize_url);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (connector.auth.scopes?.length) url.searchParams.set('scope', connector.auth.scopes.join(' '));
+  // Providers that only issue refresh tokens when asked
+  Object.entries(connector.auth.authorize_params || {}).forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+};
+
+// Keep what the token endpoint returned, with `expires_in` turned into an absolute `expires_at`.
+// A refresh that returns no new refresh token keeps the old one.
+export const toStoredToken = (response, { now = new Date(), previous = {} } = {}) => {
+  const { expires_in: expiresIn, ...token } = response || {};
+  if (!token.access_token) throw new Error('The provider did not return an access token');
+  return {
+    ...previous,
+    ...token,
+    refresh_token: token.refresh_token || previous.refresh_token || null,
+    expires_at: expiresIn ? new Date(now.getTime() + Number(expiresIn) * 1000).toISOString() : null
+  };
+};
+
+const requestToken = async ({ connector, client, form, fetch }) => {
+  try {
+    return await createHttpClient({ fetch }).post(connector.auth.token_url, undefined, {
+      form: { client_id: client.clientId, client_secret: client.clientSecret || undefined, ...form }
+    });
+  } catch (error) {
+    const detail = error.body?.error_description || error.body?.error;
+    if (detail) error.message = `${connector.name} rejected the request: ${detail}`;
+    // A revoked grant will not work on the next attempt either
+    if (error.status === 400 || error.status === 401) error.retryable = false;
+    throw error;
+  }
+};
+
+export const exchangeCode = async ({ connector, client, code, codeVerifier, redirectUri, fetch = globalThis.fetch, now = new Date() }) => {
+  const response = await requestToken({
+    connector,
+    client,
+    fetch,
+    form: { grant_type: 'authorization_code', code, code_verifier: codeVerifier, redirect_uri: redirectUri }
+  });
+  return toStoredToken(response, { now });
+};
+
+export const refreshToken = async ({ connector, client, token, fetch = globalThis.fetch, now = new Date() }) => {
+  if (!token.refresh_token) {
+    const error = new Error(`The ${connector.name} connection has expired; reconnect it`);
+    error.retryable = false;
+    throw error;
+  }
+  const response = await requestToken({
+    connector,
+    client,
+    fetch,
+    form: { grant_type: 'refresh_token', refresh_token: token.refresh_token }
+  });
+  return toStoredToken(response, { now, previous: token });
+};
+
+export const needsRefresh = (token, now = new Date()) =>
+  !!token?.expires_at && new Date(token.expires_at).getTime() - TOKEN_REFRESH_MARGIN_MS <= now.getTime();
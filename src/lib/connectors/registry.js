@@ -0,0 +1,77 @@
+// Connector registry
+// The one list of connectors the app knows about. The workflow builder reads their actions and triggers
+// from here, the engine runs integration steps through it, and `syncIntegrations` seeds the
+// `integrations` table from it (see supabase/functions/sync-integrations).
+// Add a connector by writing a module under ./builtin and listing it in ./builtin/index.js, or register
+// one at run time with `connectorRegistry.register(defineConnector({ ... }))`.
+
+import { defineConnector, describeConnector } from './sdk.js';
+import builtinConnectors from './builtin/index.js';
+
+export const createConnectorRegistry = (connectors = []) => {
+  const registered = new Map();
+
+  const registry = {
+    register: (connector) => {
+      const defined = defineConnector(connector);
+      if (registered.has(defined.id)) throw new Error(`A connector with id "${defined.id}" is already registered`);
+      registered.set(defined.id, defined);
+      return defined;
+    },
+    get: (id) => registered.get(id) || null,
+    has: (id) => registered.has(id),
+    list: () => [...registered.values()],
+    getAction: (id, actionId) => registered.get(id)?.actions[actionId] || null,
+    getTrigger: (id, triggerId) => registered.get(id)?.triggers[triggerId] || null
+  };
+
+  connectors.forEach(registry.register);
+  return registry;
+};
+
+export const connectorRegistry = createConnectorRegistry(builtinConnectors);
+
+// The `integrations` row for a connector
+export const toIntegrationRow = (connector) => ({
+  id: connector.id,
+  name: connector.name,
+  description: connector.description,
+  category: connector.category,
+  logo_url: connector.logo_url || null,
+  website_url: connector.website_url || null,
+  documentation_url: connector.documentation_url || null,
+  features: connector.features,
+  auth_type: connector.auth.type,
+  config_schema: describeConnector(connector),
+  is_active: true
+});
+
+// Give integration rows loaded from the database the registered connector's current schema, so the
+// builder never works from a stale copy. Rows without a connector keep what the table holds.
+export const withConnectorSchemas = (integrations = [], registry = connectorRegistry) =>
+  integrations.map(integration => {
+    const connector = registry.get(integration.id);
+    return connector ? { ...integration, config_schema: describeConnector(connector) } : integration;
+  });
+
+// Upsert every registered connector into `integrations` and deactivate rows no connector provides
+export const syncIntegrations = async (client, registry = connectorRegistry) => {
+  try {
+    const rows = registry.list().map(toIntegrationRow);
+    const { error } = await client.from('integrations').upsert(rows, { onConflict: 'id' });
+    if (error) throw error;
+
+    const { data: retired, error: retireError } = await client
+      .from('integrations')
+      .update({ is_active: false })
+      .not('id', 'in', `(${rows.map(row => `"${row.id}"`).join(',')})`)
+      .eq('is_active', true)
+      .select('id');
+    if (retireError) throw retireError;
+
+    return { success: true, data: { synced: rows.map(row => row.id), deactivated: (retired || []).map(row => row.id) } };
+  } catch (error) {
+    console.error('Error syncing integrations:', error);
+    return { success: false, error: error.message };
+  }
+};
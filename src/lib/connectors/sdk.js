@@ -0,0 +1,203 @@
+// Connector SDK
+// A connector module describes one integration and default-exports `defineConnector({ ... })`:
+//   id, name, description, category, logo_url, website_url, documentation_url, features: [string]
+//   auth:     { type: 'none' | 'api_key' | 'basic' | 'oauth2', fields: <JSON Schema>, ...oauth2 urls and scopes }
+//   config:   <JSON Schema> of non-secret settings chosen with each connection
+//   triggers: { <triggerId>: { title, description, output: <JSON Schema> } }   events the service sends
+//   actions:  { <actionId>: { title, description, input, output, run } }
+// `run({ input, config, credentials, http, data, signal })` performs the action and returns its output.
+// An optional `test({ config, credentials, http })` makes one cheap authenticated call for connection health
+// checks and returns `{ account }`, a label for the connected account.
+// An optional `authorize({ config, credentials })` lets HTTP Request steps use the connection: it returns
+// `{ hosts, headers, query }`, the auth to add and the hosts (and their subdomains) it may be sent to.
+// `http` is a small JSON client over the `fetch` the connector is run with, so tests can pass a local
+// stand-in (see testing.js) instead of the real service.
+
+import { validateSchema } from '../workflow/schema.js';
+
+export const AUTH_TYPES = {
+  none: 'No authentication',
+  api_key: 'API key',
+  basic: 'Username and password',
+  oauth2: 'OAuth 2.0'
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const emptySchema = () => ({ type: 'object', properties: {} });
+
+// Check a connector definition and fill in defaults. Throws on the first problem, so a broken connector
+// fails when it is registered rather than when a workflow runs it.
+export const defineConnector = (definition) => {
+  const { id, name, auth = { type: 'none' }, actions = {}, triggers = {} } = definition || {};
+  if (!id || !ID_PATTERN.test(id)) throw new Error(`Connector id "${id}" must be lower-case letters, digits, "-" or "_"`);
+  if (!name) throw new Error(`Connector "${id}" needs a name`);
+  if (!AUTH_TYPES[auth.type]) throw new Error(`Connector "${id}" has unknown auth type "${auth.type}"`);
+  if (auth.type === 'oauth2' && (!auth.authorize_url || !auth.token_url)) {
+    throw new Error(`Connector "${id}" needs authorize_url and token_url for OAuth 2.0`);
+  }
+  if (definition.test !== undefined && typeof definition.test !== 'function') {
+    throw new Error(`Connector "${id}" has a test that is not a function`);
+  }
+  if (definition.authorize !== undefined && typeof definition.authorize !== 'function') {
+    throw new Error(`Connector "${id}" has an authorize that is not a function`);
+  }
+
+  Object.entries(actions).forEach(([actionId, action]) => {
+    if (!ID_PATTERN.test(actionId)) throw new Error(`Action id "${actionId}" of "${id}" is not valid`);
+    if (typeof action.run !== 'function') throw new Error(`Action "${actionId}" of "${id}" has no run function`);
+  });
+  Object.keys(triggers).forEach(triggerId => {
+    if (!ID_PATTERN.test(triggerId)) throw new Error(`Trigger id "${triggerId}" of "${id}" is not valid`);
+  });
+
+  return {
+    description: '',
+    category: 'productivity',
+    features: [],
+    config: emptySchema(),
+    ...definition,
+    auth: { fields: emptySchema(), ...auth },
+    actions,
+    triggers
+  };
+};
+
+// The serializable part of a connector, stored in `integrations.config_schema` and read by the builder.
+// Run functions stay in code.
+export const describeConnector = (connector) => ({
+  auth: {
+    type: connector.auth.type,
+    fields: connector.auth.fields,
+    ...(connector.auth.type === 'oauth2' ? {
+      authorize_url: connector.auth.authorize_url,
+      token_url: connector.auth.token_url,
+      scopes: connector.auth.scopes || []
+    } : {})
+  },
+  config: connector.config,
+  testable: typeof connector.test === 'function',
+  request_auth: typeof connector.authorize === 'function',
+  triggers: connector.triggers,
+  actions: Object.fromEntries(Object.entries(connector.actions).map(([actionId, { run, ...action }]) => [actionId, action]))
+});
+
+const joinUrl = (baseUrl, path) =>
+  /^https?:\/\//i.test(path) ? path : `${String(baseUrl || '').replace(/\/$/, '')}/${String(path).replace(/^\//, '')}`;
+
+// JSON over `fetch`. Non-2xx responses throw an error with `status` and the parsed `body`, which
+// retry.js uses to decide whether the step is retried.
+export const createHttpClient = ({ baseUrl = '', headers = {}, fetch = globalThis.fetch, signal } = {}) => {
+  const request = async (method, path, { query, body, form, headers: extraHeaders = {} } = {}) => {
+    const url = new URL(joinUrl(baseUrl, path));
+    Object.entries(query || {})
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .forEach(([key, value]) => url.searchParams.set(key, String(value)));
+
+    const requestHeaders = { Accept: 'application/json', ...headers, ...extraHeaders };
+    let requestBody;
+    if (form) {
+      requestHeaders['Content-Type'] = 'application/x-www-form-urlencoded';
+      requestBody = new URLSearchParams(
+        Object.entries(form).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])
+      ).toString();
+    } else if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+      requestBody = JSON.stringify(body);
+    }
+
+    const response = await fetch(url.toString(), { method, headers: requestHeaders, body: requestBody, signal });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      // Keep non-JSON bodies as text
+    }
+
+    if (!response.ok) {
+      const detail = parsed?.message || parsed?.error?.message || parsed?.error || parsed?.detail;
+      const error = new Error(`${method} ${url.pathname} failed with ${response.status}${typeof detail === 'string' ? `: ${detail}` : ''}`);
+      error.status = response.status;
+      error.body = parsed;
+      throw error;
+    }
+    return parsed;
+  };
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    put: (path, body, options) => request('PUT', path, { ...options, body }),
+    patch: (path, body, options) => request('PATCH', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options)
+  };
+};
+
+const describeErrors = (errors) => Object.values(errors).join('; ');
+
+const assertValid = (schema, value, message) => {
+  const { valid, errors } = validateSchema(schema, value);
+  if (!valid) {
+    const error = new Error(`${message}: ${describeErrors(errors)}`);
+    // Bad settings fail the same way on every attempt
+    error.retryable = false;
+    throw error;
+  }
+};
+
+// Run one action of a connector. `config` is the connection's settings and `credentials` the secrets
+// its auth type needs; both are checked against the connector's schemas first, and so is `input`.
+export const runConnectorAction = async (connector, actionId, {
+  input = {},
+  config = {},
+  credentials = {},
+  data = null,
+  fetch = globalThis.fetch,
+  signal
+} = {}) => {
+  const action = connector.actions[actionId];
+  if (!action) throw new Error(`${connector.name} has no action "${actionId || 'unset'}"`);
+
+  const checks = [
+    [connector.auth.fields, credentials, `${connector.name} is not connected`],
+    [connector.config, config, `${connector.name} is not set up`],
+    [action.input, input, `${action.title || actionId} settings are invalid`]
+  ];
+  checks.forEach(([schema, value, message]) => assertValid(schema, value, message));
+
+  const http = (options = {}) => createHttpClient({ fetch, signal, ...options });
+  return action.run({ input, config, credentials, http, data, signal });
+};
+
+// Check that `credentials` still work. Connectors without a `test` only get their schemas checked.
+export const testConnector = async (connector, { config = {}, credentials = {}, fetch = globalThis.fetch, signal } = {}) => {
+  assertValid(connector.auth.fields, credentials, `${connector.name} is not connected`);
+  assertValid(connector.config, config, `${connector.name} is not set up`);
+  if (!connector.test) return { account: null };
+
+  const http = (options = {}) => createHttpClient({ fetch, signal, ...options });
+  const result = await connector.test({ config, credentials, http, signal });
+  return { account: result?.account || null };
+};
+
+// The auth an HTTP Request step adds when it uses a connection of this connector
+export const authorizeRequest = async (connector, { config = {}, credentials = {} } = {}) => {
+  if (!connector.authorize) {
+    const error = new Error(`${connector.name} connections cannot be used by HTTP Request steps`);
+    error.retryable = false;
+    throw error;
+  }
+  assertValid(connector.auth.fields, credentials, `${connector.name} is not connected`);
+  assertValid(connector.config, config, `${connector.name} is not set up`);
+
+  const auth = await connector.authorize({ config, credentials });
+  const hosts = (auth?.hosts || []).map(host => String(host).toLowerCase()).filter(Boolean);
+  if (!hosts.length) {
+    const error = new Error(`${connector.name} did not say which hosts its credentials are for`);
+    error.retryable = false;
+    throw error;
+  }
+  return { hosts, headers: auth.headers || {}, query: auth.query || {} };
+};
@@ -0,0 +1,60 @@
+// Local HTTP stand-in for connector tests
+// `createHttpStandIn(routes)` returns a `fetch` that answers from `routes` instead of the network and
+// records every request, so a connector can be run with `runConnectorAction(connector, action, { fetch })`.
+// Routes are keyed `'<METHOD> <path>'` (path without host or query, `*` matching one segment) and return
+// `{ status, body, headers }` with a numeric status, or just a body, given
+// `{ method, url, path, query, headers, body, json }`.
+
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split('/');
+  const pathParts = path.split('/');
+  return patternParts.length === pathParts.length
+    && patternParts.every((part, index) => part === '*' || part === pathParts[index]);
+};
+
+export const createHttpStandIn = (routes = {}) => {
+  const requests = [];
+
+  const fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = Object.fromEntries(
+      Object.entries(init.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    let json = null;
+    try {
+      json = init.body ? JSON.parse(init.body) : null;
+    } catch {
+      // Form and text bodies stay in `body`
+    }
+
+    const request = {
+      method,
+      url: url.toString(),
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers,
+      body: init.body ?? null,
+      json
+    };
+    requests.push(request);
+
+    const key = Object.keys(routes).find(route => {
+      const [routeMethod, routePath] = route.split(' ');
+      return routeMethod.toUpperCase() === method && matchPath(routePath, url.pathname);
+    });
+    if (!key) {
+      return new Response(JSON.stringify({ error: `No stand-in route for ${method} ${url.pathname}` }), { status: 404 });
+    }
+
+    const result = await routes[key](request);
+    // A numeric `status` marks a full reply; anything else is the body of a 200
+    const reply = typeof result?.status === 'number' ? result : { status: 200, body: result };
+    return new Response(reply.body === undefined ? null : JSON.stringify(reply.body), {
+      status: reply.status,
+      headers: { 'Content-Type': 'application/json', ...(reply.headers || {}) }
+    });
+  };
+
+  return { fetch, requests };
+};
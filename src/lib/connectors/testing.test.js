@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { createHttpStandIn } from './testing.js';
+import { runConnectorAction } from './sdk.js';
+import slack from './builtin/slack.js';
+
+describe('createHttpStandIn', () => {
+  it('answers from the matching route and records the request', async () => {
+    const { fetch, requests } = createHttpStandIn({
+      'POST /v1/items': ({ json }) => ({ id: 'item-1', name: json.name })
+    });
+
+    const response = await fetch('https://api.example.com/v1/items?draft=true', {
+      method: 'post',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' },
+      body: JSON.stringify({ name: 'First' })
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ id: 'item-1', name: 'First' });
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({
+      method: 'POST',
+      url: 'https://api.example.com/v1/items?draft=true',
+      path: '/v1/items',
+      query: { draft: 'true' },
+      headers: { 'content-type': 'application/json', authorization: 'Bearer secret' },
+      json: { name: 'First' }
+    });
+  });
+
+  it('matches one path segment with *', async () => {
+    const { fetch } = createHttpStandIn({ 'GET /users/*': ({ path }) => ({ path }) });
+
+    expect(await (await fetch('https://api.example.com/users/42')).json()).toEqual({ path: '/users/42' });
+    expect((await fetch('https://api.example.com/users/42/posts')).status).toBe(404);
+  });
+
+  it('uses a numeric status and headers as the full reply', async () => {
+    const { fetch } = createHttpStandIn({
+      'DELETE /items/*': () => ({ status: 429, body: { error: 'slow down' }, headers: { 'Retry-After': '5' } })
+    });
+
+    const response = await fetch('https://api.example.com/items/1', { method: 'DELETE' });
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('5');
+    expect(await response.json()).toEqual({ error: 'slow down' });
+  });
+
+  it('answers 404 for requests without a route and still records them', async () => {
+    const { fetch, requests } = createHttpStandIn({ 'GET /items': () => [] });
+
+    const response = await fetch('https://api.example.com/items', { method: 'POST', body: 'a=1' });
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error).toBe('No stand-in route for POST /items');
+    expect(requests[0]).toMatchObject({ body: 'a=1', json: null });
+  });
+
+  it('runs a connector action without the network', async () => {
+    const { fetch, requests } = createHttpStandIn({
+      'POST /api/chat.postMessage': ({ json }) => ({ ok: true, channel: json.channel, ts: '1700000000.000100' })
+    });
+
+    const result = await runConnectorAction(slack, 'send_message', {
+      input: { channel: 'C123', text: 'Deploy finished' },
+      credentials: { bot_token: 'xoxb-test' },
+      fetch
+    });
+
+    expect(result).toEqual({ channel: 'C123', ts: '1700000000.000100' });
+    expect(requests[0].headers.authorization).toBe('Bearer xoxb-test');
+    expect(requests[0].json).toEqual({ channel: 'C123', text: 'Deploy finished' });
+  });
+});
@@ -0,0 +1,47 @@
+// Credential vault
+// Connection secrets (API keys, passwords, OAuth tokens) are encrypted with AES-256-GCM before they are
+// stored in `integration_connection_secrets`, a table only the service role can read. The key is the
+// base64 of 32 random bytes in the CREDENTIALS_ENCRYPTION_KEY secret of the Edge Functions, so the
+// database alone never holds a usable credential and nothing here runs in the browser.
+// Stored values look like `v1.<base64 iv>.<base64 ciphertext>`.
+
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+export const generateVaultKey = () => toBase64(crypto.getRandomValues(new Uint8Array(32)));
+
+export const importVaultKey = async (base64Key) => {
+  if (!base64Key) throw new Error('CREDENTIALS_ENCRYPTION_KEY is not set');
+  const raw = fromBase64(base64Key);
+  if (raw.length !== 32) throw new Error('CREDENTIALS_ENCRYPTION_KEY must be 32 bytes, base64-encoded');
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+};
+
+export const encryptCredentials = async (key, credentials) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    encoder.encode(JSON.stringify(credentials || {}))
+  );
+  return `${VERSION}.${toBase64(iv)}.${toBase64(ciphertext)}`;
+};
+
+// Throws when the value was encrypted with another key or has been tampered with
+export const decryptCredentials = async (key, stored) => {
+  const [version, iv, ciphertext] = String(stored || '').split('.');
+  if (version !== VERSION || !iv || !ciphertext) throw new Error('Stored credentials are not in a known format');
+
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext));
+    return JSON.parse(decoder.decode(plaintext));
+  } catch {
+    throw new Error('Stored credentials could not be decrypted');
+  }
+};
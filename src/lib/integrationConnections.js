@@ -0,0 +1,191 @@
+// src/lib/integrationConnections.js
+// Named connections to installed integrations. Members with read access see the connection rows;
+// credentials only ever travel from the browser to the integration-connections Edge Function, which
+// tests, encrypts and stores them (see src/lib/connectors/connections.js). OAuth providers send the
+// browser back to the Integrations page with `code` and `state`.
+import { supabase } from './supabase';
+import { isPlanLimitError } from './billing/plans';
+
+export const CONNECTION_STATUS_LABELS = {
+  active: 'Connected',
+  error: 'Failing',
+  expired: 'Reconnect needed'
+};
+
+export const OAUTH_REDIRECT_PATH = '/dashboard/integrations';
+
+const invoke = async (action, body = {}) => {
+  const { data, error } = await supabase.functions.invoke('integration-connections', { body: { action, ...body } });
+  if (error) {
+    // Non-2xx replies carry the reason in their JSON body
+    const reply = await error.context?.json?.().catch(() => null);
+    const failure = new Error(reply?.error || error.message);
+    if (reply?.status) failure.status = reply.status;
+    if (reply?.retryable !== undefined) failure.retryable = reply.retryable;
+    throw failure;
+  }
+  return data;
+};
+
+export const installIntegration = async ({ organizationId, integrationId, installedBy }) => {
+  try {
+    const { error } = await supabase
+      .from('organization_integrations')
+      .upsert({
+        organization_id: organizationId,
+        integration_id: integrationId,
+        installed_by: installedBy,
+        is_active: true
+      }, { onConflict: 'organization_id,integration_id' });
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error installing integration:', error);
+    return { success: false, error: error.message, planLimit: isPlanLimitError(error) };
+  }
+};
+
+// Connections are kept, so reinstalling picks them up again
+export const uninstallIntegration = async ({ organizationId, integrationId }) => {
+  try {
+    const { error } = await supabase
+      .from('organization_integrations')
+      .update({ is_active: false })
+      .eq('organization_id', organizationId)
+      .eq('integration_id', integrationId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error uninstalling integration:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const listInstalledIntegrations = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_integrations')
+      .select('integration_id')
+      .eq('organization_id', organizationId)
+      .eq('is_active', true);
+
+    if (error) throw error;
+    return { success: true, data: (data || []).map(row => row.integration_id) };
+  } catch (error) {
+    console.error('Error listing installed integrations:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// All of the organization's connections, or one integration's when `integrationId` is given
+export const listConnections = async (organizationId, integrationId = null) => {
+  try {
+    let query = supabase
+      .from('integration_connections')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('name');
+    if (integrationId) query = query.eq('integration_id', integrationId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Error listing connections:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create, or update when `connectionId` is given, an API key or username and password connection.
+// Empty `credentials` on an update keep the stored ones.
+export const saveConnection = async ({ connectionId = null, integrationId, name, settings = {}, credentials = {} }) => {
+  try {
+    const data = await invoke('save', {
+      connection_id: connectionId,
+      integration_id: integrationId,
+      name,
+      settings,
+      credentials
+    });
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error saving connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Returns the provider's sign-in URL; send the browser there
+export const startOAuthConnection = async ({ connectionId = null, integrationId, name, settings = {} }) => {
+  try {
+    const data = await invoke('oauth_start', {
+      connection_id: connectionId,
+      integration_id: integrationId,
+      name,
+      settings,
+      redirect_uri: `${window.location.origin}${OAUTH_REDIRECT_PATH}`
+    });
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error starting OAuth connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const completeOAuthConnection = async ({ state, code }) => {
+  try {
+    const data = await invoke('oauth_complete', { state, code });
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error completing OAuth connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Health check; returns the connection with its new status
+export const checkConnection = async (connectionId) => {
+  try {
+    const data = await invoke('check', { connection_id: connectionId });
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error checking connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Removes the stored credentials with it. Steps using the connection fail until another is chosen.
+export const deleteConnection = async (connectionId) => {
+  try {
+    const { error } = await supabase
+      .from('integration_connections')
+      .delete()
+      .eq('id', connectionId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting connection:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// `connectorRunner` for workflow runs started in the browser: integration steps run on the server,
+// where the credentials are. Errors keep the status and retryability the engine's retries look at.
+export const runConnectorRemotely = async ({ connector, connectionId, actionId, input, data }) => {
+  const result = await invoke('run', {
+    integration_id: connector.id,
+    connection_id: connectionId,
+    action_id: actionId,
+    input,
+    data
+  });
+  return result.output;
+};
+
+// `requestRunner` for workflow runs started in the browser: HTTP Request steps are sent from the
+// server, which holds connection credentials and is not limited by CORS
+export const runHttpRequestRemotely = async ({ request }) => {
+  const result = await invoke('http', { request });
+  return result.response;
+};
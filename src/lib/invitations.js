@@ -0,0 +1,177 @@
+// src/lib/invitations.js
+// Team invitations. An invite link carries `<invitation id>.<secret>`; the database keeps only the
+// SHA-256 hash of the secret, so a leaked table does not leak working links. Links expire after
+// INVITATION_TTL_DAYS, and resending one replaces its secret.
+import { supabase } from './supabase';
+import { sendEmail } from './resend';
+
+export const INVITATION_TTL_DAYS = 7;
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const hashSecret = async (secret) =>
+  toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret))));
+
+const issueSecret = async () => {
+  const secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+  return {
+    secret,
+    tokenHash: await hashSecret(secret),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+};
+
+const parseToken = (token) => {
+  const [id, secret] = String(token || '').split('.');
+  if (!id || !secret) throw new Error('This invite link is not valid');
+  return { id, secret };
+};
+
+export const getInviteUrl = (token) => `${window.location.origin}/accept-invite/${encodeURIComponent(token)}`;
+
+// 'pending', 'accepted', 'revoked' or 'expired'
+export const getInvitationStatus = (invitation) => {
+  if (invitation.status === 'pending' && new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return invitation.status;
+};
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const formatRole = (role) => role?.replace('_', ' ')?.replace(/\b\w/g, l => l.toUpperCase());
+
+const sendInvitationEmail = ({ invitation, token, organization, inviter }) => {
+  const inviterName = [inviter?.first_name, inviter?.last_name].filter(Boolean).join(' ') || inviter?.email || 'A teammate';
+  const url = getInviteUrl(token);
+  const organizationName = escapeHtml(organization.name);
+
+  return sendEmail({
+    to: invitation.email,
+    subject: `${inviterName} invited you to join ${organization.name} on WorkflowGene Cloud`,
+    html: `
+      <p>Hi${invitation.first_name ? ` ${escapeHtml(invitation.first_name)}` : ''},</p>
+      <p>${escapeHtml(inviterName)} invited you to join <strong>${organizationName}</strong> on WorkflowGene Cloud as ${formatRole(invitation.role)}.</p>
+      <p><a href="${url}">Accept the invitation</a></p>
+      <p>This link expires on ${new Date(invitation.expires_at).toLocaleDateString()}. If you weren't expecting it, you can ignore this email.</p>
+    `
+  });
+};
+
+// Create an invitation and email its link. The link is also returned, to share by hand when email
+// is not configured.
+export const createInvitation = async ({ email, firstName, lastName, role, organization, inviter }) => {
+  try {
+    const { secret, tokenHash, expiresAt } = await issueSecret();
+
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .insert({
+        organization_id: organization.id,
+        email: email.trim().toLowerCase(),
+        first_name: firstName || null,
+        last_name: lastName || null,
+        role,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        invited_by: inviter.id,
+        last_sent_at: new Date().toISOString(),
+        send_count: 1
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') throw new Error('This address already has a pending invitation');
+      throw error;
+    }
+
+    const token = `${invitation.id}.${secret}`;
+    const sent = await sendInvitationEmail({ invitation, token, organization, inviter });
+    return { success: true, data: invitation, inviteUrl: getInviteUrl(token), emailError: sent.success ? null : sent.error };
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Issue a fresh link (the old one stops working) with a new expiry, and email it again
+export const resendInvitation = async ({ invitation, organization, inviter }) => {
+  try {
+    const { secret, tokenHash, expiresAt } = await issueSecret();
+
+    const { data, error } = await supabase
+      .from('invitations')
+      .update({
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        last_sent_at: new Date().toISOString(),
+        send_count: (invitation.send_count || 0) + 1
+      })
+      .eq('id', invitation.id)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const token = `${data.id}.${secret}`;
+    const sent = await sendInvitationEmail({ invitation: data, token, organization, inviter });
+    return { success: true, data, inviteUrl: getInviteUrl(token), emailError: sent.success ? null : sent.error };
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const revokeInvitation = async (invitationId) => {
+  try {
+    const { error } = await supabase
+      .from('invitations')
+      .update({ status: 'revoked' })
+      .eq('id', invitationId)
+      .eq('status', 'pending');
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// What an invite link is for: email, names, role, status, expiry and organization name
+export const lookupInvitation = async (token) => {
+  try {
+    const { id, secret } = parseToken(token);
+    const { data, error } = await supabase.rpc('get_invitation', {
+      p_invitation_id: id,
+      p_token_hash: await hashSecret(secret)
+    });
+
+    if (error) throw error;
+    if (!data?.length) throw new Error('This invite link is not valid');
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error('Error looking up invitation:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Join the signed-in user to the inviting organization. Sign-up without a session passes the new
+// account's `userId`, which the server accepts only for an account that has never signed in.
+export const acceptInvitation = async (token, userId = null) => {
+  try {
+    const { id, secret } = parseToken(token);
+    const params = { p_invitation_id: id, p_token_hash: await hashSecret(secret) };
+    const { data, error } = userId
+      ? await supabase.rpc('accept_invitation_at_signup', { ...params, p_user_id: userId })
+      : await supabase.rpc('accept_invitation', params);
+
+    if (error) throw error;
+    return { success: true, data: { organizationId: data } };
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    return { success: false, error: error.message };
+  }
+};
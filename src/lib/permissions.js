@@ -0,0 +1,115 @@
+// src/lib/permissions.js
+// Role permissions. Every member has one of the four built-in roles; an organization can also give
+// a member a custom role, which replaces the built-in one's permissions. A role is made of:
+// - capabilities: the yes/no switches the app has always used (canManageUsers, canViewAnalytics, ...)
+// - workflows: an access level per workflow folder, with '*' for every folder not listed
+// - integrations: an access level per installed integration id, with '*' for the rest
+// Access levels are cumulative: 'execute' includes 'read', and 'edit' includes both.
+//
+// The database mirrors these rules in its policies (see the custom_roles migration), so keep the
+// built-in map below in step with `builtin_role_permissions` there.
+
+export const ACCESS_LEVELS = ['none', 'read', 'execute', 'edit'];
+
+export const ACCESS_LEVEL_OPTIONS = [
+  { value: 'none', label: 'No access' },
+  { value: 'read', label: 'View' },
+  { value: 'execute', label: 'View and run' },
+  { value: 'edit', label: 'Full edit' }
+];
+
+export const ALL_RESOURCES = '*';
+
+// Capabilities a custom role can grant. Platform-wide ones (organizations, system) stay with super admins.
+export const CAPABILITIES = [
+  { key: 'canManageWorkflows', label: 'Create workflows', description: 'Create and import workflows in folders the role can edit' },
+  { key: 'canViewAnalytics', label: 'View analytics', description: 'See workflow and usage analytics' },
+  { key: 'canManageUsers', label: 'Manage team', description: 'Invite members, change their roles and edit custom roles' },
+  { key: 'canManageIntegrations', label: 'Manage integrations', description: 'Open the integrations page and install new integrations' },
+  { key: 'canManageSettings', label: 'Manage settings', description: 'Change organization settings, security policy, API keys and webhooks' },
+  { key: 'canManageBilling', label: 'Manage billing', description: 'View invoices and change the plan' }
+];
+
+const PLATFORM_CAPABILITIES = ['canManageOrganizations', 'canAccessAllData', 'canAccessCMS', 'canManageSystem', 'canViewSystemHealth', 'canManageErrorLogs'];
+
+const capabilities = (granted) => Object.fromEntries(
+  [...CAPABILITIES.map(capability => capability.key), ...PLATFORM_CAPABILITIES]
+    .map(key => [key, granted === true || granted.includes(key)])
+);
+
+export const BUILT_IN_ROLES = {
+  super_admin: {
+    capabilities: capabilities(true),
+    workflows: { [ALL_RESOURCES]: 'edit' },
+    integrations: { [ALL_RESOURCES]: 'edit' }
+  },
+  org_admin: {
+    capabilities: capabilities(['canManageUsers', 'canManageWorkflows', 'canViewAnalytics', 'canManageBilling', 'canManageSettings', 'canManageIntegrations']),
+    workflows: { [ALL_RESOURCES]: 'edit' },
+    integrations: { [ALL_RESOURCES]: 'edit' }
+  },
+  manager: {
+    capabilities: capabilities(['canManageWorkflows', 'canViewAnalytics', 'canManageIntegrations']),
+    workflows: { [ALL_RESOURCES]: 'edit' },
+    integrations: { [ALL_RESOURCES]: 'edit' }
+  },
+  user: {
+    capabilities: capabilities([]),
+    workflows: { [ALL_RESOURCES]: 'read' },
+    integrations: { [ALL_RESOURCES]: 'read' }
+  }
+};
+
+export const hasAccessLevel = (granted, required) =>
+  ACCESS_LEVELS.indexOf(granted || 'none') >= ACCESS_LEVELS.indexOf(required);
+
+// Only known levels survive, so a malformed grant means no access rather than an error
+const cleanGrants = (grants) => Object.fromEntries(
+  Object.entries(grants || {}).filter(([key, level]) => key && ACCESS_LEVELS.includes(level))
+);
+
+// The stored shape of a custom role's `permissions` column, with unknown keys dropped
+export const normalizeRolePermissions = (permissions = {}) => ({
+  capabilities: Object.fromEntries(CAPABILITIES.map(({ key }) => [key, permissions.capabilities?.[key] === true])),
+  workflows: { [ALL_RESOURCES]: 'none', ...cleanGrants(permissions.workflows) },
+  integrations: { [ALL_RESOURCES]: 'none', ...cleanGrants(permissions.integrations) }
+});
+
+// Effective permissions for a profile (with its `custom_role` joined). The result keeps the flat
+// capability booleans callers already read, plus the workflow and integration grants.
+export const resolvePermissions = (profile) => {
+  if (!profile?.role) return {};
+
+  const builtIn = BUILT_IN_ROLES[profile.role] || BUILT_IN_ROLES.user;
+  // Super admins manage the platform; a custom role never narrows them
+  if (!profile.custom_role || profile.role === 'super_admin') {
+    return { ...builtIn.capabilities, workflows: builtIn.workflows, integrations: builtIn.integrations, roleName: null };
+  }
+
+  const custom = normalizeRolePermissions(profile.custom_role.permissions);
+  return {
+    ...BUILT_IN_ROLES.user.capabilities,
+    ...custom.capabilities,
+    workflows: custom.workflows,
+    integrations: custom.integrations,
+    roleName: profile.custom_role.name
+  };
+};
+
+// Workflows without a folder fall under the '*' grant
+export const getWorkflowAccess = (permissions, workflow) => {
+  const grants = permissions?.workflows || {};
+  const folder = workflow?.folder?.trim();
+  return (folder && grants[folder]) || grants[ALL_RESOURCES] || 'none';
+};
+
+export const canAccessWorkflow = (permissions, workflow, level = 'read') =>
+  hasAccessLevel(getWorkflowAccess(permissions, workflow), level);
+
+export const getIntegrationAccess = (permissions, integrationId) => {
+  const grants = permissions?.integrations || {};
+  return (integrationId && grants[integrationId]) || grants[ALL_RESOURCES] || 'none';
+};
+
+export const canAccessIntegration = (permissions, integrationId, level = 'read') =>
+  hasAccessLevel(getIntegrationAccess(permissions, integrationId), level);
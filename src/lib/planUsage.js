@@ -0,0 +1,106 @@
+// src/lib/planUsage.js
+// An organization's plan and how much of it is used. The database enforces the limits (see
+// src/lib/billing/plans.js); these reads let the dashboard warn and block before a change is refused.
+// Executions come from the monthly `usage_ledger`; the other metrics are counted live.
+import { supabase } from './supabase';
+import { getSubscriptionPlan } from './billing/plans';
+import { getSubscription } from './stripeBilling';
+
+// Ledger periods are calendar months in UTC, e.g. '2025-10-01'
+export const getCurrentPeriodStart = (now = new Date()) => `${now.toISOString().slice(0, 7)}-01`;
+
+const count = async (query) => {
+  const { count: total, error } = await query;
+  if (error) throw error;
+  return total || 0;
+};
+
+// `{ plan, subscription, usage: { workflows, executions, seats, integrations } }`. Seats count
+// open invitations, which only members who manage the team can see.
+export const getPlanUsage = async (organizationId) => {
+  try {
+    const subscription = await getSubscription(organizationId);
+    if (!subscription.success) throw new Error(subscription.error);
+
+    const [workflows, members, invitations, integrations, ledger] = await Promise.all([
+      count(supabase
+        .from('workflows')
+        .select('id', { count: 'exact', head: true })
+        .eq('organization_id', organizationId)
+        .neq('status', 'archived')),
+      count(supabase
+        .from('profiles')
+        .select('id', { count: 'exact', head: true })
+        .eq('organization_id', organizationId)
+        .eq('is_active', true)
+        .neq('role', 'super_admin')),
+      count(supabase
+        .from('invitations')
+        .select('id', { count: 'exact', head: true })
+        .eq('organization_id', organizationId)
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString())),
+      count(supabase
+        .from('organization_integrations')
+        .select('id', { count: 'exact', head: true })
+        .eq('organization_id', organizationId)
+        .eq('is_active', true)),
+      supabase
+        .from('usage_ledger')
+        .select('quantity')
+        .eq('organization_id', organizationId)
+        .eq('period_start', getCurrentPeriodStart())
+        .eq('metric', 'executions')
+        .maybeSingle()
+    ]);
+
+    if (ledger.error) throw ledger.error;
+
+    return {
+      success: true,
+      data: {
+        plan: getSubscriptionPlan(subscription.data),
+        subscription: subscription.data,
+        usage: {
+          workflows,
+          executions: ledger.data?.quantity || 0,
+          seats: members + invitations,
+          integrations
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching plan usage:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// The ledger's last `months` months, newest first: `[{ period_start, plan_name, executions, workflows, ... }]`
+export const getUsageHistory = async (organizationId, months = 6) => {
+  try {
+    const since = new Date();
+    since.setUTCDate(1);
+    since.setUTCMonth(since.getUTCMonth() - (months - 1));
+
+    const { data, error } = await supabase
+      .from('usage_ledger')
+      .select('period_start, metric, quantity, plan_name, usage_limit')
+      .eq('organization_id', organizationId)
+      .gte('period_start', getCurrentPeriodStart(since))
+      .order('period_start', { ascending: false });
+
+    if (error) throw error;
+
+    const periods = new Map();
+    (data || []).forEach(entry => {
+      const period = periods.get(entry.period_start) || { period_start: entry.period_start, plan_name: null };
+      period[entry.metric] = entry.quantity;
+      if (entry.metric === 'executions' || !period.plan_name) period.plan_name = entry.plan_name;
+      periods.set(entry.period_start, period);
+    });
+    return { success: true, data: [...periods.values()] };
+  } catch (error) {
+    console.error('Error fetching usage history:', error);
+    return { success: false, error: error.message };
+  }
+};
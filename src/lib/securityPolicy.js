@@ -0,0 +1,82 @@
+// src/lib/securityPolicy.js
+// Organization security settings, stored in `organizations.settings.security`, and the checks that
+// apply them to a member's session. Everything here is pure so the auth store, ProtectedRoute and
+// the Team page all reach the same answer.
+
+export const DEFAULT_SECURITY_SETTINGS = {
+  require_two_factor: false,
+  // When the requirement was switched on; the grace period runs from here (or from when a member
+  // joined, if later)
+  require_two_factor_since: null,
+  two_factor_grace_days: 7,
+  // Empty means no limit
+  max_session_hours: null,
+  idle_timeout_minutes: null,
+  allowed_email_domains: []
+};
+
+export const TWO_FACTOR_STATUS = {
+  NOT_REQUIRED: 'not_required',
+  ENABLED: 'enabled',
+  GRACE: 'grace',
+  OVERDUE: 'overdue'
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const getSecuritySettings = (organization) => ({
+  ...DEFAULT_SECURITY_SETTINGS,
+  ...(organization?.settings?.security || {})
+});
+
+// Lower-cased domains without a leading `@`, e.g. from "Acme.com, @acme.io"
+export const parseEmailDomains = (text) => String(text || '')
+  .split(/[\s,]+/)
+  .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
+
+export const getEmailDomain = (email) => String(email || '').split('@').pop().trim().toLowerCase();
+
+export const isEmailDomainAllowed = (settings, email) => {
+  const domains = settings?.allowed_email_domains || [];
+  return domains.length === 0 || domains.includes(getEmailDomain(email));
+};
+
+// When `member` has to have two-factor authentication turned on by, or null when it is not required
+export const getTwoFactorDeadline = (settings, member) => {
+  if (!settings?.require_two_factor) return null;
+  const since = Math.max(
+    new Date(settings.require_two_factor_since || 0).getTime(),
+    new Date(member?.created_at || 0).getTime()
+  );
+  return new Date(since + (Number(settings.two_factor_grace_days) || 0) * DAY);
+};
+
+export const getTwoFactorStatus = (settings, member, twoFactorEnabled, now = Date.now()) => {
+  if (!settings?.require_two_factor) return TWO_FACTOR_STATUS.NOT_REQUIRED;
+  if (twoFactorEnabled) return TWO_FACTOR_STATUS.ENABLED;
+  return now < getTwoFactorDeadline(settings, member).getTime()
+    ? TWO_FACTOR_STATUS.GRACE
+    : TWO_FACTOR_STATUS.OVERDUE;
+};
+
+// Why the session has to end, or null. `signedInAt` and `lastActiveAt` are timestamps in ms.
+export const getSessionViolation = (settings, { email, signedInAt, lastActiveAt }, now = Date.now()) => {
+  if (!settings) return null;
+  if (email && !isEmailDomainAllowed(settings, email)) {
+    return 'Your organization only allows sign-ins from approved email domains.';
+  }
+
+  const maxHours = Number(settings.max_session_hours);
+  if (maxHours > 0 && signedInAt && now - signedInAt > maxHours * HOUR) {
+    return `Your organization limits sessions to ${maxHours} hour${maxHours === 1 ? '' : 's'}. Please sign in again.`;
+  }
+
+  const idleMinutes = Number(settings.idle_timeout_minutes);
+  if (idleMinutes > 0 && lastActiveAt && now - lastActiveAt > idleMinutes * 60 * 1000) {
+    return `You were signed out after ${idleMinutes} minutes of inactivity.`;
+  }
+
+  return null;
+};
@@ -0,0 +1,74 @@
+// src/lib/stripeBilling.js
+// Plans are bought and changed in Stripe: Checkout for a new subscription, the customer portal for
+// plan changes, cancellation and payment methods. Both go through the billing Edge Function, which
+// needs the canManageBilling capability; Stripe webhooks then update `billing_subscriptions`.
+import { supabase } from './supabase';
+
+export const SUBSCRIPTION_STATUS_LABELS = {
+  active: 'Active',
+  trialing: 'Trial',
+  past_due: 'Past due',
+  incomplete: 'Incomplete',
+  canceled: 'Canceled'
+};
+
+const invoke = async (action, body = {}) => {
+  const { data, error } = await supabase.functions.invoke('billing', { body: { action, ...body } });
+  if (error) {
+    // Non-2xx replies carry the reason in their JSON body
+    const reply = await error.context?.json?.().catch(() => null);
+    throw new Error(reply?.error || error.message);
+  }
+  return data;
+};
+
+export const getSubscription = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('billing_subscriptions')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Returns the Checkout URL; send the browser there. Stripe brings it back to the Billing tab, at the
+// address the billing function is configured with.
+export const startCheckout = async (planId) => {
+  try {
+    const data = await invoke('checkout', { plan_id: planId });
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error starting checkout:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Returns the customer portal URL
+export const openBillingPortal = async () => {
+  try {
+    const data = await invoke('portal');
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error opening billing portal:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const listInvoices = async () => {
+  try {
+    const data = await invoke('invoices');
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Error listing invoices:', error);
+    return { success: false, error: error.message };
+  }
+};
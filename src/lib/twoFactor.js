@@ -0,0 +1,124 @@
+// src/lib/twoFactor.js
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps) and backup codes.
+// Secrets are base32 strings as authenticator apps expect them. Backup codes are only ever stored as
+// SHA-256 hashes; each one works once.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Backup code characters, without ones that are easy to misread (0/O, 1/I/L)
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+// Codes from one step either side of the current one are accepted, to allow for clock skew
+export const TOTP_WINDOW = 1;
+export const BACKUP_CODE_COUNT = 10;
+export const ISSUER = 'WorkflowGene Cloud';
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+export const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  bytes.forEach(byte => {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+export const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+// A new 160-bit secret, the key length RFC 4226 recommends
+export const generateSecret = () => base32Encode(randomBytes(20));
+
+// The `otpauth://` URI authenticator apps read from the QR code
+export const getOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+// The HOTP value (RFC 4226) of `secret` for `counter`
+export const generateHOTP = async (secret, counter) => {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter % 2 ** 32);
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+export const generateTOTP = (secret, time = Date.now()) => generateHOTP(secret, getTimeStep(time));
+
+// Check `code` against the steps around `time`. Returns the matching time step, or null.
+// Steps up to `lastUsedStep` are refused so a code cannot be replayed.
+export const verifyTOTP = async (secret, code, { time = Date.now(), window = TOTP_WINDOW, lastUsedStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized) || !secret) return null;
+
+  const current = getTimeStep(time);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+    if (await generateHOTP(secret, step) === normalized) return step;
+  }
+  return null;
+};
+
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Backup codes as shown to the user, e.g. `K7QMR-2XWHP`
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const chars = Array.from(randomBytes(10), byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+
+export const hashBackupCode = async (code) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeBackupCode(code)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Index of the stored hash `code` matches, or -1
+export const findBackupCode = async (hashes = [], code) => {
+  if (!normalizeBackupCode(code)) return -1;
+  return (hashes || []).indexOf(await hashBackupCode(code));
+};
+
+// Whether `code` looks like a backup code rather than an authenticator code
+export const isBackupCode = (code) => /[A-Za-z]/.test(String(code || ''));
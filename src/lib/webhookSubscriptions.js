@@ -0,0 +1,120 @@
+// src/lib/webhookSubscriptions.js
+// Organization webhook subscriptions: endpoints that receive events such as `execution.failed` as
+// signed POST requests. The database queues deliveries when events happen and the webhook-dispatcher
+// Edge Function sends them (see src/lib/webhooks/dispatcher.js); every delivery is logged with its
+// attempts and response codes.
+import { supabase } from './supabase';
+import { WEBHOOK_EVENTS } from './webhooks/dispatcher.js';
+import { isPrivateHost } from './workflow/network.js';
+
+export { WEBHOOK_EVENTS };
+
+const knownEvents = new Set(WEBHOOK_EVENTS.map(event => event.id));
+
+export const listWebhookSubscriptions = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Creates the subscription when `id` is not given. New subscriptions get a signing secret from the database.
+export const saveWebhookSubscription = async ({ id = null, organizationId, createdBy, name, url, events, isActive = true }) => {
+  try {
+    const selected = (events || []).filter(event => knownEvents.has(event));
+    if (selected.length === 0) throw new Error('Choose at least one event');
+    if (!/^https?:\/\/\S+$/i.test(url.trim())) throw new Error('Enter a URL starting with https://');
+    // The dispatcher refuses these too, including names that resolve to them
+    if (isPrivateHost(new URL(url.trim()).hostname)) throw new Error('Webhooks cannot be sent to private or local addresses');
+
+    const fields = {
+      name: name.trim(),
+      url: url.trim(),
+      events: selected,
+      is_active: isActive,
+      updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = id
+      ? await supabase.from('webhook_subscriptions').update(fields).eq('id', id).select().single()
+      : await supabase
+        .from('webhook_subscriptions')
+        .insert({ ...fields, organization_id: organizationId, created_by: createdBy })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error saving webhook subscription:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const deleteWebhookSubscription = async (subscriptionId) => {
+  try {
+    const { error } = await supabase
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', subscriptionId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const listWebhookDeliveries = async (subscriptionId, limit = 50) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_event_deliveries')
+      .select('*')
+      .eq('subscription_id', subscriptionId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Queue a `webhook.test` event and send it now. Returns the delivery as logged after the attempt.
+export const sendTestWebhookEvent = async (subscriptionId) => {
+  try {
+    const { data: deliveryId, error } = await supabase.rpc('send_test_webhook_event', {
+      p_subscription_id: subscriptionId
+    });
+    if (error) throw error;
+
+    const { error: dispatchError } = await supabase.functions.invoke('webhook-dispatcher', {
+      body: { delivery_id: deliveryId }
+    });
+    if (dispatchError) throw dispatchError;
+
+    const { data: delivery, error: fetchError } = await supabase
+      .from('webhook_event_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .single();
+
+    if (fetchError) throw fetchError;
+    return { success: true, data: delivery };
+  } catch (error) {
+    console.error('Error sending test webhook event:', error);
+    return { success: false, error: error.message };
+  }
+};
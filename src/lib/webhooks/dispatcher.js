@@ -0,0 +1,184 @@
+// Outbound webhook delivery
+// Database triggers queue a `webhook_event_deliveries` row per subscription when an event happens
+// (see the outbound_webhooks migration). `dispatchWebhookDeliveries` sends the due ones, called about
+// once a minute by supabase/functions/webhook-dispatcher. Each request is a POST of the event as JSON,
+// signed like inbound webhook triggers: `X-Signature-256: sha256=<hex HMAC-SHA256 of the body>`.
+// Timeouts, network errors, 429s and 5xx responses are retried with backoff; other 4xx responses, and
+// deliveries that run out of attempts, are marked failed. Endpoints on private addresses, or that
+// redirect to one, are refused like HTTP Request steps (see ../workflow/network.js).
+
+import { signPayload, DEFAULT_SIGNATURE_HEADER } from '../workflow/webhooks.js';
+import { getRetryPolicy, getBackoffMs, shouldRetry, withTimeout } from '../workflow/retry.js';
+import { defaultResolve, fetchPublic } from '../workflow/network.js';
+
+export const WEBHOOK_EVENTS = [
+  { id: 'execution.completed', label: 'Execution completed', description: 'A workflow run finished successfully' },
+  { id: 'execution.failed', label: 'Execution failed', description: 'A workflow run failed' },
+  { id: 'workflow.published', label: 'Workflow published', description: 'A workflow version went live' },
+  { id: 'member.joined', label: 'Member joined', description: 'Someone joined the organization' }
+];
+
+export const TEST_EVENT = 'webhook.test';
+
+// 1, 3, 9, 27 and 81 minutes between the six attempts
+export const DELIVERY_RETRY_POLICY = getRetryPolicy({
+  retry: { max_attempts: 6, backoff_seconds: 60, backoff_multiplier: 3, max_backoff_seconds: 6 * 60 * 60 }
+});
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// A claimed delivery is left alone this long, so overlapping dispatcher calls never send it twice
+const CLAIM_MS = 5 * 60 * 1000;
+
+// Only the first part of an endpoint's response is kept in the log
+const MAX_LOGGED_RESPONSE_LENGTH = 2000;
+
+const DEFAULT_BATCH_SIZE = 50;
+
+// Send one event. Resolves with `{ responseStatus, responseBody }`; rejects with an error carrying
+// `status` for non-2xx responses, so retry.js can classify it.
+export const sendWebhookEvent = async ({ url, secret, delivery, fetch = globalThis.fetch, resolve = defaultResolve }) => {
+  const body = JSON.stringify(delivery.payload);
+  const signature = await signPayload(secret, body);
+
+  const response = await withTimeout(
+    (signal) => fetchPublic(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WorkflowGene-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': delivery.id,
+        [DEFAULT_SIGNATURE_HEADER]: `sha256=${signature}`
+      },
+      body,
+      signal
+    }, { fetch, resolve }),
+    REQUEST_TIMEOUT_MS,
+    `No response from ${url} after ${REQUEST_TIMEOUT_MS / 1000} seconds`
+  );
+
+  const responseBody = (await response.text().catch(() => '')).slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+  if (!response.ok) {
+    const error = new Error(`Endpoint responded with ${response.status}`);
+    error.status = response.status;
+    error.responseBody = responseBody;
+    throw error;
+  }
+  return { responseStatus: response.status, responseBody };
+};
+
+const claimDelivery = async (client, delivery, until) => {
+  const { data, error } = await client
+    .from('webhook_event_deliveries')
+    .update({ next_attempt_at: until.toISOString() })
+    .eq('id', delivery.id)
+    .eq('status', 'pending')
+    .eq('next_attempt_at', delivery.next_attempt_at)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+};
+
+// Make one attempt at `delivery` (with its `subscription` joined) and record the outcome
+const attemptDelivery = async ({ client, delivery, now, fetch, resolve }) => {
+  const attempt = delivery.attempt_count + 1;
+  const attemptedAt = now();
+  const subscription = delivery.subscription;
+
+  let outcome;
+  if (!subscription?.is_active) {
+    outcome = { status: 'failed', error: 'The webhook is disabled' };
+  } else {
+    try {
+      const { responseStatus } = await sendWebhookEvent({ url: subscription.url, secret: subscription.secret, delivery, fetch, resolve });
+      outcome = { status: 'delivered', responseStatus };
+    } catch (error) {
+      // Test events report straight back to Settings, so they get a single attempt
+      const retry = delivery.event_type !== TEST_EVENT && shouldRetry(DELIVERY_RETRY_POLICY, error, attempt);
+      outcome = {
+        status: retry ? 'pending' : 'failed',
+        responseStatus: error.status || null,
+        error: error.responseBody ? `${error.message}: ${error.responseBody}` : error.message,
+        retryAt: retry ? new Date(attemptedAt.getTime() + getBackoffMs(DELIVERY_RETRY_POLICY, attempt)) : null
+      };
+    }
+  }
+
+  const finishedAt = now();
+  const updates = {
+    status: outcome.status,
+    attempt_count: attempt,
+    attempts: [
+      ...(delivery.attempts || []),
+      {
+        attempt,
+        attempted_at: attemptedAt.toISOString(),
+        response_status: outcome.responseStatus || null,
+        error: outcome.error || null,
+        duration_ms: finishedAt.getTime() - attemptedAt.getTime()
+      }
+    ],
+    response_status: outcome.responseStatus || null,
+    error: outcome.error || null,
+    next_attempt_at: outcome.retryAt ? outcome.retryAt.toISOString() : null,
+    delivered_at: outcome.status === 'delivered' ? finishedAt.toISOString() : null
+  };
+
+  const { error } = await client.from('webhook_event_deliveries').update(updates).eq('id', delivery.id);
+  if (error) console.error('Error recording webhook event delivery:', error);
+
+  return { ...delivery, ...updates };
+};
+
+// Send every pending delivery that is due, or only `deliveryId` (whenever it is due) when given
+export const dispatchWebhookDeliveries = async ({
+  client,
+  deliveryId = null,
+  now = () => new Date(),
+  fetch = globalThis.fetch,
+  resolve = defaultResolve,
+  limit = DEFAULT_BATCH_SIZE
+}) => {
+  if (!client) throw new Error('A database client is required to send webhooks');
+
+  const current = now();
+  let query = client
+    .from('webhook_event_deliveries')
+    .select('*, subscription:webhook_subscriptions(id, url, secret, is_active)')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', current.toISOString());
+  // A single delivery is sent only once it is due too, so asking for it again never skips its backoff
+  query = deliveryId ? query.eq('id', deliveryId) : query.order('next_attempt_at').limit(limit);
+
+  const { data: deliveries, error } = await query;
+  if (error) {
+    console.error('Error loading webhook event deliveries:', error);
+    return { success: false, error: error.message };
+  }
+
+  const sent = [];
+  const skipped = [];
+
+  for (const delivery of deliveries || []) {
+    try {
+      if (!(await claimDelivery(client, delivery, new Date(current.getTime() + CLAIM_MS)))) {
+        skipped.push(delivery.id);
+        continue;
+      }
+      const result = await attemptDelivery({ client, delivery, now, fetch, resolve });
+      sent.push({
+        delivery_id: result.id,
+        status: result.status,
+        response_status: result.response_status,
+        error: result.error
+      });
+    } catch (sendError) {
+      console.error(`Error sending webhook event delivery ${delivery.id}:`, sendError);
+      skipped.push(delivery.id);
+    }
+  }
+
+  return { success: true, data: { sent, skipped } };
+};
@@ -0,0 +1,106 @@
+// Approval steps
+// An approval step pauses its run until someone it is assigned to approves or rejects it. The engine
+// records the paused step as `waiting` and the run as `waiting`; `requestApprovals` opens a
+// `workflow_approvals` task for the step and notifies its assignees. `decideApproval` in engine.js
+// records the decision and continues the run along the step's `true` (approved) or `false` (rejected) branch.
+// Approvals are only opened and decided on the server (the workflow-runs Edge Function and other
+// service-role callers); assignees always come from the step in the workflow version the run uses.
+
+import { normalizeGraph } from './graph.js';
+
+export const APPROVAL_ROLES = {
+  org_admin: 'Organization admins',
+  manager: 'Managers',
+  user: 'Members'
+};
+
+export const APPROVAL_DECISIONS = ['approved', 'rejected'];
+
+export const getApprovalUrl = (approvalId) => `/dashboard/approvals/${approvalId}`;
+
+// Whether `profile` may decide `approval`: assigned directly, through their role, or a super admin
+export const canDecide = (approval, profile) =>
+  approval?.status === 'pending' && !!profile && (
+    profile.role === 'super_admin'
+    || (approval.assignee_ids || []).includes(profile.id)
+    || (approval.assignee_roles || []).includes(profile.role)
+  );
+
+// Ids of the organization's profiles an approval is assigned to, directly or through their role
+const getAssigneeIds = async (client, organizationId, { assignee_ids: ids = [], assignee_roles: roles = [] }) => {
+  const filters = [
+    ids.length > 0 && `id.in.(${ids.join(',')})`,
+    roles.length > 0 && `role.in.(${roles.join(',')})`
+  ].filter(Boolean);
+  if (filters.length === 0) return [];
+
+  const { data, error } = await client
+    .from('profiles')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .or(filters.join(','));
+
+  if (error) throw error;
+  return (data || []).map(profile => profile.id);
+};
+
+// Open an approval task for each waiting trace entry that does not have one yet, and notify its assignees.
+// `workflow` is the version the run uses.
+export const requestApprovals = async (client, { execution, workflow, entries, now = () => new Date() }) => {
+  const approvalSteps = new Map(normalizeGraph(workflow.config).nodes
+    .filter(node => node.type === 'approval')
+    .map(node => [node.id, node.config || {}]));
+
+  const { data: open, error: openError } = await client
+    .from('workflow_approvals')
+    .select('step_id')
+    .eq('execution_id', execution.id)
+    .eq('status', 'pending');
+
+  if (openError) throw openError;
+  const requested = new Set((open || []).map(approval => approval.step_id));
+
+  for (const entry of entries.filter(item => approvalSteps.has(item.step_id) && !requested.has(item.step_id))) {
+    const config = entry.input_data?.config || {};
+    const assignees = {
+      assignee_ids: approvalSteps.get(entry.step_id).assignee_ids || [],
+      assignee_roles: approvalSteps.get(entry.step_id).assignee_roles || []
+    };
+    const dueHours = Number(config.due_in_hours);
+
+    const { data: approval, error } = await client
+      .from('workflow_approvals')
+      .insert({
+        execution_id: execution.id,
+        workflow_id: workflow.id,
+        organization_id: workflow.organization_id,
+        step_id: entry.step_id,
+        step_name: entry.step_name,
+        instructions: config.instructions || null,
+        ...assignees,
+        payload: entry.input_data?.data ?? {},
+        status: 'pending',
+        due_at: dueHours > 0 ? new Date(now().getTime() + dueHours * 60 * 60 * 1000).toISOString() : null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const assigneeIds = await getAssigneeIds(client, workflow.organization_id, assignees);
+    if (assigneeIds.length === 0) continue;
+
+    const { error: notifyError } = await client
+      .from('notifications')
+      .insert(assigneeIds.map(userId => ({
+        user_id: userId,
+        title: `Approval needed: ${entry.step_name || 'Approval'}`,
+        message: `${workflow.name} is waiting for your decision`,
+        type: 'approval',
+        action_url: getApprovalUrl(approval.id),
+        metadata: { approval_id: approval.id, execution_id: execution.id, workflow_id: workflow.id }
+      })));
+
+    if (notifyError) console.error('Error notifying approvers:', notifyError);
+  }
+};
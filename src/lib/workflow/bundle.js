@@ -0,0 +1,218 @@
+// Portable workflow bundles
+// A bundle carries one version of a workflow between organizations or into version control.
+// It is written as JSON or YAML with the same structure:
+//
+//   format: workflowgene/workflow-bundle
+//   format_version: 1
+//   exported_at: ISO timestamp
+//   workflow:      { name, description, tags }
+//   version:       { number, status: published | draft, created_at, published_at }
+//   definition:    { nodes, edges, settings }   the graph as stored in workflow_versions.config
+//   integrations:  [{ id, name, category }]     every integration an integration step references
+//
+// Webhook secrets and run history are never exported. On import, webhook triggers get new ids
+// (and so new URLs), integration references are remapped to integrations the target
+// organization has installed, integration and HTTP request steps lose their connection, and
+// sub-workflow steps lose the workflow they call.
+
+import YAML from 'yaml';
+import { normalizeGraph, validateGraph } from './graph.js';
+import { STEP_TYPES } from './engine.js';
+import { isWebhookTrigger } from './webhooks.js';
+import { createVersion } from './versions.js';
+
+export const BUNDLE_FORMAT = 'workflowgene/workflow-bundle';
+export const BUNDLE_FORMAT_VERSION = 1;
+export const BUNDLE_FILE_TYPES = { json: 'application/json', yaml: 'application/yaml' };
+
+const getIntegrationIds = (nodes = []) => [...new Set(
+  nodes
+    .filter(node => node.type === 'integration' && node.config?.integration_id)
+    .map(node => node.config.integration_id)
+)];
+
+// `version` is a workflow_versions row; `integrations` are catalog rows used to describe references
+export const createBundle = ({ workflow, version, integrations = [], now = new Date() }) => {
+  const { nodes, edges } = normalizeGraph(version.config);
+
+  return {
+    format: BUNDLE_FORMAT,
+    format_version: BUNDLE_FORMAT_VERSION,
+    exported_at: now.toISOString(),
+    workflow: {
+      name: workflow.name,
+      description: workflow.description || '',
+      tags: workflow.tags || []
+    },
+    version: {
+      number: version.version,
+      status: version.version === workflow.published_version ? 'published' : 'draft',
+      created_at: version.created_at || null,
+      published_at: version.published_at || null
+    },
+    definition: {
+      nodes,
+      edges,
+      settings: version.config?.settings || {}
+    },
+    integrations: getIntegrationIds(nodes).map(id => {
+      const integration = integrations.find(item => item.id === id);
+      return { id, name: integration?.name || id, category: integration?.category || null };
+    })
+  };
+};
+
+export const serializeBundle = (bundle, format = 'json') =>
+  format === 'yaml' ? YAML.stringify(bundle) : `${JSON.stringify(bundle, null, 2)}\n`;
+
+export const getBundleFileName = (bundle, format = 'json') => {
+  const slug = String(bundle.workflow?.name || 'workflow')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'workflow';
+  return `${slug}.v${bundle.version?.number || 1}.${format === 'yaml' ? 'yaml' : 'json'}`;
+};
+
+// Check a parsed bundle for problems that would stop it from importing. Returns a list of messages.
+export const validateBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) return ['File does not contain a workflow bundle'];
+  if (bundle.format !== BUNDLE_FORMAT) return [`Unknown format "${bundle.format ?? ''}"; expected "${BUNDLE_FORMAT}"`];
+  if (bundle.format_version > BUNDLE_FORMAT_VERSION) {
+    return [`Bundle format version ${bundle.format_version} is newer than this app supports (${BUNDLE_FORMAT_VERSION})`];
+  }
+
+  const errors = [];
+  if (!bundle.workflow?.name || typeof bundle.workflow.name !== 'string') errors.push('Workflow name is missing');
+
+  const { nodes, edges, settings } = bundle.definition || {};
+  if (!Array.isArray(nodes)) errors.push('definition.nodes must be a list of steps');
+  if (edges !== undefined && !Array.isArray(edges)) errors.push('definition.edges must be a list of connections');
+  if (settings !== undefined && (typeof settings !== 'object' || Array.isArray(settings))) {
+    errors.push('definition.settings must be an object');
+  }
+  if (errors.length > 0) return errors;
+
+  nodes.forEach((node, index) => {
+    const label = node?.name || node?.id || `#${index + 1}`;
+    if (!node?.id) errors.push(`Step ${label} has no id`);
+    if (!STEP_TYPES.includes(node?.type)) errors.push(`Step ${label} has unknown type "${node?.type}"`);
+    if (node?.config !== undefined && (typeof node.config !== 'object' || Array.isArray(node.config))) {
+      errors.push(`Step ${label} config must be an object`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  const listed = new Set((bundle.integrations || []).map(integration => integration.id));
+  getIntegrationIds(nodes)
+    .filter(id => !listed.has(id))
+    .forEach(id => errors.push(`Integration "${id}" is used by a step but not listed under integrations`));
+
+  return [...errors, ...validateGraph({ nodes, edges: edges || [] })];
+};
+
+// Parse JSON or YAML text into a validated bundle
+export const parseBundle = (text) => {
+  let bundle;
+  try {
+    const source = String(text || '').trim();
+    bundle = source.startsWith('{') ? JSON.parse(source) : YAML.parse(source);
+  } catch (error) {
+    return { success: false, error: `Could not read file: ${error.message}`, errors: [] };
+  }
+
+  const errors = validateBundle(bundle);
+  return errors.length > 0
+    ? { success: false, error: errors[0], errors }
+    : { success: true, data: bundle };
+};
+
+// Pick a target for each integration the bundle references: the same integration when the
+// organization has it installed, otherwise nothing. `installed` holds catalog rows.
+export const suggestIntegrationMap = (bundle, installed = []) =>
+  Object.fromEntries((bundle.integrations || []).map(integration => [
+    integration.id,
+    installed.some(item => item.id === integration.id) ? integration.id : null
+  ]));
+
+// Build the config to import: integration ids remapped through `integrationMap` and fresh webhook ids
+export const getImportConfig = (bundle, integrationMap = {}) => {
+  const { nodes, edges } = normalizeGraph(bundle.definition);
+
+  return {
+    nodes: nodes.map(node => {
+      if (node.type === 'integration' && node.config?.integration_id) {
+        const integrationId = integrationMap[node.config.integration_id] || node.config.integration_id;
+        // Connections hold the exporting organization's credentials and are picked again after import
+        const { connection_id: connectionId, ...config } = node.config;
+        return { ...node, config: { ...config, integration_id: integrationId } };
+      }
+      if (node.type === 'http_request' && node.config?.connection_id) {
+        const { connection_id: connectionId, ...config } = node.config;
+        return { ...node, config };
+      }
+      if (isWebhookTrigger(node)) {
+        return { ...node, config: { ...node.config, webhook_id: crypto.randomUUID() } };
+      }
+      // Called workflows belong to the exporting organization and are picked again after import
+      if (node.type === 'sub_workflow') {
+        const config = { ...node.config };
+        delete config.workflow_id;
+        return { ...node, config };
+      }
+      return node;
+    }),
+    edges,
+    settings: bundle.definition.settings || {}
+  };
+};
+
+// Import a bundle into an organization. With `targetWorkflow` the bundle becomes a new draft version of
+// that workflow; otherwise a new draft workflow called `name` is created.
+export const importBundle = async ({
+  client,
+  bundle,
+  organizationId,
+  userId = null,
+  integrationMap = {},
+  name = bundle.workflow.name,
+  targetWorkflow = null
+}) => {
+  const unmapped = (bundle.integrations || []).filter(integration => !integrationMap[integration.id]);
+  if (unmapped.length > 0) {
+    return { success: false, error: `Choose an installed integration for ${unmapped.map(item => item.name).join(', ')}` };
+  }
+
+  try {
+    let workflow = targetWorkflow;
+    if (!workflow) {
+      const { data, error } = await client
+        .from('workflows')
+        .insert({
+          name,
+          description: bundle.workflow.description || '',
+          tags: bundle.workflow.tags || [],
+          organization_id: organizationId,
+          created_by: userId,
+          status: 'draft'
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      workflow = data;
+    }
+
+    const result = await createVersion({
+      client,
+      workflow,
+      config: getImportConfig(bundle, integrationMap),
+      createdBy: userId
+    });
+    if (!result.success) throw new Error(result.error);
+
+    return { success: true, data: { workflow, version: result.data } };
+  } catch (error) {
+    console.error('Error importing workflow bundle:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,902 @@
+// Workflow execution engine
+// Interprets the workflow graph in `workflows.config` and records every run in `workflow_executions`.
+// The database client is passed in so the engine can run against Supabase or a local stand-in.
+
+import {
+  normalizeGraph,
+  validateGraph,
+  getIncomingEdges,
+  selectOutgoingEdges,
+  getStepKey,
+  getDescendants,
+  isBranchingStep,
+  splitLoops
+} from './graph.js';
+import { evaluateCondition, resolveConfig } from './expressions.js';
+import {
+  classifyError,
+  createTimeoutError,
+  getBackoffMs,
+  getRetryPolicy,
+  shouldRetry,
+  withTimeout
+} from './retry.js';
+import { APPROVAL_DECISIONS, canDecide, requestApprovals } from './approvals.js';
+import { connectorRegistry } from '../connectors/registry.js';
+import { getRequestAuth, runConnectionAction } from '../connectors/connections.js';
+import { performHttpRequest } from './http.js';
+
+export const STEP_TYPES = ['trigger', 'action', 'condition', 'delay', 'integration', 'http_request', 'approval', 'for_each', 'sub_workflow'];
+
+// How deep workflows may call each other through sub-workflow steps
+export const MAX_CALL_DEPTH = 5;
+
+const DELAY_UNITS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+// Longer delays pause the run with a `resume_at` time instead of holding it open; the scheduler
+// continues it (see resumeDueExecutions in scheduler.js)
+export const MAX_INLINE_DELAY_MS = 60 * 1000;
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const getDelayMs = (config = {}) => {
+  const duration = Number(config.duration ?? 0);
+  const unit = DELAY_UNITS[config.unit || 'seconds'];
+  if (!unit) throw new Error(`Unsupported delay unit: ${config.unit}`);
+  if (Number.isNaN(duration) || duration < 0) throw new Error(`Invalid delay duration: ${config.duration}`);
+  return duration * unit;
+};
+
+// Config fields that hold a bare expression evaluated by the handler rather than a template
+const EXPRESSION_FIELDS = {
+  condition: ['condition'],
+  // The response mapping needs the response, so it is resolved by the handler
+  http_request: ['output']
+};
+
+// Data visible to expressions: the current payload, the run input, every completed step's output
+// and, inside a for-each loop, the current `loop.item` and `loop.index`
+const getScope = (data, context) => ({ data, input: context.input, steps: context.steps, loop: context.loop });
+
+// Resolve `{{ }}` templates in a step's config against the run so far
+const resolveStepConfig = (node, data, context, runOptions) => {
+  const config = node.config || {};
+  const raw = EXPRESSION_FIELDS[node.type] || [];
+  const resolved = resolveConfig(
+    Object.fromEntries(Object.entries(config).filter(([key]) => !raw.includes(key))),
+    getScope(data, context),
+    { now: runOptions.now }
+  );
+  raw.forEach(key => {
+    if (key in config) resolved[key] = config[key];
+  });
+  return resolved;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Built-in step handlers. Each receives the step, the current payload and the run context,
+// and returns `{ output, halt }` where `output` becomes the payload for the next step.
+// Branching handlers also return `passed`, which picks the branch to follow, and a handler
+// returns `waiting` to pause the run at its step.
+// `signal` is aborted when the step times out.
+const defaultHandlers = {
+  trigger: async ({ data }) => ({ output: data }),
+
+  action: async ({ step, data }) => ({
+    output: { ...data, ...(step.config?.set || {}) }
+  }),
+
+  condition: async ({ step, data, context, options }) => {
+    const passed = evaluateCondition(step.config?.condition, getScope(data, context), { now: options.now });
+    return { output: data, passed };
+  },
+
+  // A continued run passes the time each paused delay is due through `options.delays`
+  delay: async ({ step, data, options }) => {
+    const due = options.delays?.[step.id];
+    if (due) {
+      const resumeAt = new Date(due);
+      return resumeAt.getTime() <= options.now().getTime() ? { output: data } : { output: data, waiting: true, resumeAt };
+    }
+
+    const ms = getDelayMs(step.config);
+    if (ms > MAX_INLINE_DELAY_MS) return { output: data, waiting: true, resumeAt: new Date(options.now().getTime() + ms) };
+    if (ms > 0) await options.sleep(ms);
+    return { output: data };
+  },
+
+  // Handlers passed in `options.integrations` win; otherwise the step runs the registered connector's
+  // action with the connection named by `connection_id`. Runs in the browser have no access to secrets
+  // and pass `options.connectorRunner`, which runs the action on the server instead.
+  integration: async ({ step, data, context, options, signal }) => {
+    const integrationId = step.config?.integration_id;
+    const handler = integrationId && options.integrations?.[integrationId];
+    if (handler) {
+      const output = await handler({ step, data, context, signal });
+      return { output: output ?? data };
+    }
+
+    const connector = integrationId && (options.connectors || connectorRegistry).get(integrationId);
+    if (!connector) {
+      throw new Error(`No handler registered for integration "${integrationId || 'unset'}"`);
+    }
+    const request = {
+      connector,
+      connectionId: step.config.connection_id || null,
+      actionId: step.config.action,
+      input: step.config.params || {},
+      data,
+      signal
+    };
+    const output = options.connectorRunner
+      ? await options.connectorRunner(request)
+      : await runConnectionAction({
+        ...request,
+        client: options.client,
+        credentialStore: options.credentialStore,
+        organizationId: options.execution?.organization_id,
+        fetch: options.fetch
+      });
+    return { output: output ?? data };
+  },
+
+  // Sends the request in its config (see http.js) and passes on `{ status, headers, body }`, or the
+  // step's `output` mapping resolved with `response` in scope. A JSON request without body fields sends
+  // the current payload. Runs in the browser pass `options.requestRunner`, which sends the request from
+  // the server, where connection credentials are.
+  http_request: async ({ step, data, context, options, signal }) => {
+    const { output: mapping, ...config } = step.config;
+    const hasBody = isPlainObject(config.body) ? Object.keys(config.body).length > 0 : config.body != null;
+    const request = config.body_type === 'json' && !hasBody ? { ...config, body: data ?? {} } : config;
+
+    const response = options.requestRunner
+      ? await options.requestRunner({ request, signal })
+      : await performHttpRequest(request, {
+        fetch: options.fetch,
+        signal,
+        authorize: (connectionId) => getRequestAuth({
+          client: options.client,
+          credentialStore: options.credentialStore,
+          organizationId: options.execution?.organization_id,
+          connectionId,
+          getConnector: (id) => (options.connectors || connectorRegistry).get(id)
+        })
+      });
+
+    if (!isPlainObject(mapping) || Object.keys(mapping).length === 0) return { output: response };
+    return { output: resolveConfig(mapping, { ...getScope(data, context), response }, { now: options.now }) };
+  },
+
+  // Pauses until a decision for the step is passed in through `options.decisions`
+  approval: async ({ step, data, options }) => {
+    const decision = options.decisions?.[step.id];
+    if (!decision) return { output: data, waiting: true };
+    return {
+      output: isPlainObject(data) ? { ...data, approval: decision } : data,
+      passed: decision.decision === 'approved'
+    };
+  },
+
+  // Runs its loop body once per item, `concurrency` items at a time, and passes on the body's outputs.
+  // The first item to fail stops the loop; items already running finish first.
+  for_each: async ({ step, data, context, options }) => {
+    const items = step.config.items;
+    if (!Array.isArray(items)) throw new Error('Items must be a list');
+
+    const body = options.loops[step.id];
+    const results = new Array(items.length).fill(null);
+    const trace = [];
+    const concurrency = Math.min(Math.max(1, Math.floor(Number(step.config.concurrency) || 1)), items.length);
+    let next = 0;
+    let failure = null;
+
+    const runItems = async () => {
+      while (next < items.length && !failure) {
+        const index = next;
+        next += 1;
+        try {
+          const run = await runGraph(body, items[index], { ...options, context: { ...context, loop: { item: items[index], index } } });
+          trace.push(...run.trace.map(entry => ({ ...entry, iteration: index })));
+          if (run.waiting.length > 0) {
+            const error = new Error(`Steps inside a loop cannot pause; delays there can be at most ${MAX_INLINE_DELAY_MS / 1000}s`);
+            error.retryable = false;
+            throw error;
+          }
+          results[index] = run.data;
+        } catch (error) {
+          trace.push(...(error.trace || []).map(entry => ({ ...entry, iteration: index })));
+          error.message = `Item ${index + 1}: ${error.message}`;
+          failure = failure || error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, runItems));
+    if (failure) {
+      failure.loopTrace = trace;
+      throw failure;
+    }
+    return { output: { results }, trace };
+  },
+
+  // Runs another published workflow of the organization as a child run and passes on its result
+  sub_workflow: async ({ step, data, options }) => {
+    const { client, execution, callStack = [] } = options;
+    const workflowId = step.config.workflow_id;
+    if (!client || !execution) throw new Error('Sub-workflows can only be called from a recorded run');
+    if (callStack.includes(workflowId)) throw new Error('A workflow cannot call itself, directly or through another workflow');
+    if (callStack.length >= MAX_CALL_DEPTH) throw new Error(`Workflows can call each other at most ${MAX_CALL_DEPTH} levels deep`);
+
+    const { data: workflow, error } = await client
+      .from('workflows')
+      .select('*')
+      .eq('id', workflowId)
+      .eq('organization_id', execution.organization_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!workflow) throw new Error('The called workflow no longer exists');
+    if (!workflow.published_version) throw new Error(`"${workflow.name}" has not been published`);
+
+    const mapping = step.config.input || {};
+    const result = await executeWorkflow({
+      client,
+      workflow,
+      inputData: Object.keys(mapping).length > 0 ? mapping : data,
+      triggeredBy: execution.triggered_by,
+      triggerType: 'workflow',
+      parentExecutionId: execution.id,
+      parentStepId: step.id,
+      now: options.now,
+      sleep: options.sleep,
+      handlers: options.handlers,
+      integrations: options.integrations,
+      connectors: options.connectors,
+      connectorRunner: options.connectorRunner,
+      requestRunner: options.requestRunner,
+      credentialStore: options.credentialStore,
+      fetch: options.fetch,
+      callStack
+    });
+
+    if (result.data?.status === 'waiting') throw new Error(`"${workflow.name}" paused at an approval or a long delay; called workflows cannot pause`);
+    if (!result.success) throw new Error(`"${workflow.name}" failed: ${result.error}`);
+    return { output: result.data.output_data?.result ?? null };
+  }
+};
+
+// Combine the outputs arriving at a merge node
+const mergeInputs = (outputs) => {
+  if (outputs.length === 1) return outputs[0];
+  const allObjects = outputs.every(output => output && typeof output === 'object' && !Array.isArray(output));
+  return allObjects ? Object.assign({}, ...outputs) : outputs;
+};
+
+// Call a step's handler, retrying failed attempts according to the step's retry policy.
+// Each attempt is bounded by the step timeout and by whatever is left of the workflow timeout.
+const runAttempts = async (handler, args, entry, runOptions) => {
+  const { now } = runOptions;
+  const policy = getRetryPolicy(args.step.config);
+  const stepTimeoutMs = Number(args.step.config.timeout_seconds) * 1000 || Infinity;
+
+  for (let attempt = 1; ; attempt += 1) {
+    entry.attempts = attempt;
+    const remainingMs = runOptions.deadline ? runOptions.deadline - now().getTime() : Infinity;
+    if (remainingMs <= 0) throw runOptions.workflowTimeoutError();
+
+    try {
+      const limitedByWorkflow = remainingMs < stepTimeoutMs;
+      return await withTimeout(
+        (signal) => handler({ ...args, signal }),
+        Math.min(stepTimeoutMs, remainingMs),
+        limitedByWorkflow ? runOptions.workflowTimeoutError().message : `Step timed out after ${stepTimeoutMs / 1000}s`
+      );
+    } catch (error) {
+      if (runOptions.deadline && now().getTime() >= runOptions.deadline) error.retryable = false;
+      const retry = shouldRetry(policy, error, attempt);
+      const delayMs = retry ? getBackoffMs(policy, attempt) : 0;
+      entry.attempt_errors.push({
+        attempt,
+        error: error.message,
+        error_class: classifyError(error),
+        at: now().toISOString(),
+        retry_in_ms: retry ? delayMs : null
+      });
+
+      if (!retry || (runOptions.deadline && now().getTime() + delayMs >= runOptions.deadline)) throw error;
+      if (delayMs > 0) await runOptions.sleep(delayMs);
+    }
+  }
+};
+
+// Run a single node and append it to the trace
+const runNode = async (node, data, sequence, context, trace, runOptions) => {
+  const now = runOptions.now;
+  const startedAt = now();
+  const entry = {
+    step_id: node.id,
+    step_type: node.type,
+    step_name: node.name || null,
+    sequence,
+    input_data: { data, config: node.config || {} },
+    attempts: 0,
+    attempt_errors: [],
+    reused: false,
+    started_at: startedAt.toISOString()
+  };
+  trace.push(entry);
+
+  let result;
+  try {
+    const handler = runOptions.handlers[node.type];
+    if (!handler) throw new Error(`Unknown step type "${node.type}"`);
+    const config = resolveStepConfig(node, data, context, runOptions);
+    entry.input_data = { data, config };
+    result = await runAttempts(handler, { step: { ...node, config }, data, context, options: runOptions }, entry, runOptions);
+  } catch (error) {
+    Object.assign(entry, {
+      status: 'failed',
+      output_data: {},
+      error_message: error.message,
+      duration_ms: now().getTime() - startedAt.getTime()
+    });
+    // Loop bodies record their steps after the loop's own entry
+    if (error.loopTrace) trace.push(...error.loopTrace);
+    error.stepId = error.stepId || node.id;
+    throw error;
+  }
+
+  if (result?.waiting) {
+    Object.assign(entry, {
+      status: 'waiting',
+      output_data: result.resumeAt ? { resume_at: result.resumeAt.toISOString() } : {},
+      error_message: null,
+      duration_ms: now().getTime() - startedAt.getTime()
+    });
+    return result;
+  }
+
+  const output = result?.output ?? data;
+  context.steps[node.id] = { output };
+  context.steps[getStepKey(node)] = context.steps[node.id];
+  Object.assign(entry, {
+    status: 'completed',
+    output_data: result?.passed === undefined ? output : { passed: result.passed, data: output },
+    error_message: null,
+    duration_ms: now().getTime() - startedAt.getTime()
+  });
+  if (result?.trace) trace.push(...result.trace);
+
+  return { ...result, output };
+};
+
+// Carry a step's result over from an earlier run instead of running it again
+const reuseNode = (node, previous, sequence, context, trace, runOptions) => {
+  const isBranching = isBranchingStep(node);
+  const output = isBranching ? previous.output_data?.data : previous.output_data;
+  context.steps[node.id] = { output };
+  context.steps[getStepKey(node)] = context.steps[node.id];
+  trace.push({
+    step_id: node.id,
+    step_type: node.type,
+    step_name: node.name || null,
+    sequence,
+    input_data: previous.input_data,
+    output_data: previous.output_data,
+    status: 'completed',
+    error_message: null,
+    attempts: 0,
+    attempt_errors: [],
+    reused: true,
+    started_at: runOptions.now().toISOString(),
+    duration_ms: 0
+  });
+  return isBranching ? { output, passed: !!previous.output_data?.passed } : { output };
+};
+
+// Walk a workflow graph without touching the database.
+// Nodes run as soon as all of their sources have settled, so parallel branches run concurrently.
+// A node whose incoming connections were all skipped (e.g. the untaken side of a condition) is skipped too.
+// Every node that runs is appended to `trace` so failed runs can be inspected step by step.
+// `options.timeoutMs` bounds the whole run; `options.resume` maps step ids to trace entries from an
+// earlier run whose results are reused rather than run again.
+// A step that waits (an approval without a decision) holds back everything downstream of it; the other
+// branches still run, and its id is returned in `waiting`.
+// Loop bodies run through a nested `runGraph` that shares the run's `context` and sequence numbers.
+export const runGraph = async (graph, inputData = {}, options = {}) => {
+  const { timeoutMs, resume = {}, context: parentContext, ...rest } = options;
+  let sequence = 0;
+  const runOptions = {
+    sleep: defaultSleep,
+    now: () => new Date(),
+    nextSequence: () => sequence++,
+    ...rest,
+    handlers: { ...defaultHandlers, ...(options.handlers || {}) }
+  };
+  if (timeoutMs) {
+    runOptions.deadline = runOptions.now().getTime() + timeoutMs;
+    runOptions.workflowTimeoutError = () => {
+      const error = createTimeoutError(`Workflow timed out after ${timeoutMs / 1000}s`);
+      error.retryable = false;
+      return error;
+    };
+  }
+
+  const errors = validateGraph(graph);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid workflow: ${errors[0]}`);
+    error.trace = [];
+    throw error;
+  }
+
+  const { graph: runnable, bodies } = splitLoops(graph);
+  runOptions.loops = bodies;
+
+  const context = parentContext ? { ...parentContext, steps: { ...parentContext.steps } } : { input: inputData, steps: {} };
+  const trace = [];
+  const settled = new Map();
+  const activeEdges = new Set();
+  const terminal = [];
+  const skipped = [];
+  const waiting = [];
+  let remaining = [...runnable.nodes];
+
+  while (remaining.length > 0) {
+    if (runOptions.deadline && runOptions.now().getTime() >= runOptions.deadline) {
+      const error = runOptions.workflowTimeoutError();
+      error.trace = trace;
+      throw error;
+    }
+
+    const ready = remaining.filter(node =>
+      getIncomingEdges(runnable, node.id).every(edge => settled.has(edge.source))
+    );
+    // Only steps behind a waiting step are left
+    if (ready.length === 0) break;
+    remaining = remaining.filter(node => !ready.includes(node));
+
+    const results = await Promise.allSettled(ready.map(async (node) => {
+      const incoming = getIncomingEdges(runnable, node.id);
+      const active = incoming.filter(edge => activeEdges.has(edge.id));
+
+      if (incoming.length > 0 && active.length === 0) {
+        settled.set(node.id, { ran: false });
+        skipped.push(node.id);
+        return;
+      }
+
+      const data = incoming.length === 0
+        ? inputData
+        : mergeInputs(active.map(edge => settled.get(edge.source).output));
+
+      const result = resume[node.id]
+        ? reuseNode(node, resume[node.id], runOptions.nextSequence(), context, trace, runOptions)
+        : await runNode(node, data, runOptions.nextSequence(), context, trace, runOptions);
+      if (result.waiting) {
+        waiting.push(node.id);
+        return;
+      }
+      const next = selectOutgoingEdges(runnable, node, result);
+      next.forEach(edge => activeEdges.add(edge.id));
+      if (next.length === 0) terminal.push({ id: node.id, output: result.output });
+      settled.set(node.id, { ran: true, output: result.output });
+    }));
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      failure.reason.trace = trace;
+      throw failure.reason;
+    }
+  }
+
+  let data = inputData;
+  if (terminal.length === 1) {
+    data = terminal[0].output;
+  } else if (terminal.length > 1) {
+    data = Object.fromEntries(terminal.map(({ id, output }) => [id, output]));
+  }
+
+  return { data, skipped, trace, waiting };
+};
+
+// Persist a run's step trace to `workflow_execution_steps`
+const recordTrace = async (client, executionId, trace = []) => {
+  if (trace.length === 0) return;
+
+  const { error } = await client
+    .from('workflow_execution_steps')
+    .insert(trace.map(entry => ({ ...entry, execution_id: executionId })));
+
+  if (error) {
+    console.error('Error recording execution trace:', error);
+  }
+};
+
+// Persist the steps a continued run added. Steps recorded by earlier passes are reused rather than
+// recorded again; a step that was waiting has its row updated in place.
+const recordContinuedTrace = async (client, executionId, trace, previousSteps) => {
+  const waitingIds = new Set(previousSteps.filter(step => step.status === 'waiting').map(step => step.step_id));
+  const nextSequence = previousSteps.reduce((max, step) => Math.max(max, step.sequence + 1), 0);
+  const fresh = trace.filter(entry => !entry.reused);
+
+  for (const entry of fresh.filter(item => waitingIds.has(item.step_id))) {
+    const { sequence, ...updates } = entry;
+    const { error } = await client
+      .from('workflow_execution_steps')
+      .update(updates)
+      .eq('execution_id', executionId)
+      .eq('step_id', entry.step_id)
+      .eq('status', 'waiting');
+
+    if (error) console.error('Error recording execution trace:', error);
+  }
+
+  await recordTrace(
+    client,
+    executionId,
+    fresh
+      .filter(entry => !waitingIds.has(entry.step_id))
+      .map((entry, index) => ({ ...entry, sequence: nextSequence + index }))
+  );
+};
+
+// Run the graph for an execution row and record the outcome. `previousSteps` is set when a paused
+// run continues, and holds the steps its earlier passes recorded.
+const runExecution = async ({ client, workflow, execution, startedAt, previousSteps = null, ...options }) => {
+  const now = options.now || (() => new Date());
+
+  let status = 'completed';
+  let outputData = {};
+  let errorMessage = null;
+  let trace = [];
+  let failedStepId = null;
+
+  try {
+    const timeoutSeconds = Number(workflow.config?.settings?.timeout_seconds);
+    const run = await runGraph(normalizeGraph(workflow.config), execution.input_data || {}, {
+      ...options,
+      now,
+      timeoutMs: timeoutSeconds > 0 ? timeoutSeconds * 1000 : undefined,
+      // Sub-workflow steps start child runs of their own
+      client,
+      execution,
+      callStack: [...(options.callStack || []), workflow.id]
+    });
+    trace = run.trace;
+    if (run.waiting.length > 0) {
+      status = 'waiting';
+      outputData = { waiting_steps: run.waiting };
+    } else {
+      outputData = run.skipped.length > 0 ? { result: run.data, skipped: run.skipped } : { result: run.data };
+    }
+  } catch (error) {
+    console.error('Workflow execution error:', error);
+    status = 'failed';
+    trace = error.trace || [];
+    errorMessage = error.stepId ? `Step ${error.stepId}: ${error.message}` : error.message;
+    outputData = error.stepId ? { failed_step: error.stepId } : {};
+    failedStepId = error.stepId || null;
+  }
+
+  if (previousSteps) {
+    await recordContinuedTrace(client, execution.id, trace, previousSteps);
+  } else {
+    await recordTrace(client, execution.id, trace);
+  }
+
+  const completedAt = now();
+  // A paused delay is picked up again by the scheduler at the earliest `resume_at`
+  const resumeTimes = trace
+    .filter(entry => entry.status === 'waiting' && entry.output_data?.resume_at)
+    .map(entry => entry.output_data.resume_at)
+    .sort();
+  const updates = status === 'waiting'
+    ? { status, output_data: outputData, resume_at: resumeTimes[0] || null }
+    : {
+      status,
+      output_data: outputData,
+      resume_at: null,
+      error_message: errorMessage,
+      failed_step_id: failedStepId,
+      // A step that failed after its last attempt leaves the run on the dead-letter list until retried or dismissed
+      dead_lettered: !!failedStepId,
+      execution_time_ms: completedAt.getTime() - startedAt.getTime(),
+      completed_at: completedAt.toISOString()
+    };
+
+  const { error: updateError } = await client
+    .from('workflow_executions')
+    .update(updates)
+    .eq('id', execution.id);
+
+  if (updateError) {
+    console.error('Error recording execution result:', updateError);
+  }
+
+  const result = { ...execution, ...updates };
+
+  if (status === 'waiting') {
+    try {
+      await requestApprovals(client, {
+        execution,
+        workflow,
+        entries: trace.filter(entry => entry.status === 'waiting' && entry.step_type === 'approval'),
+        now
+      });
+    } catch (error) {
+      console.error('Error requesting approvals:', error);
+    }
+    return { success: true, data: result };
+  }
+
+  // Bump workflow run counters
+  try {
+    const { data: current, error: fetchError } = await client
+      .from('workflows')
+      .select('execution_count')
+      .eq('id', workflow.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const { error: counterError } = await client
+      .from('workflows')
+      .update({
+        execution_count: (current?.execution_count || 0) + 1,
+        last_executed: completedAt.toISOString()
+      })
+      .eq('id', workflow.id);
+
+    if (counterError) throw counterError;
+  } catch (error) {
+    console.warn('Could not update workflow execution count:', error);
+  }
+
+  return status === 'completed'
+    ? { success: true, data: result }
+    : { success: false, data: result, error: errorMessage };
+};
+
+// Execute a saved workflow and record the run.
+// A run that reaches an approval step, or a delay longer than MAX_INLINE_DELAY_MS, resolves with status
+// `waiting`; `decideApproval` and `resumeExecution` continue it.
+// Runs started by a sub-workflow step link to the run and step that called them.
+export const executeWorkflow = async ({
+  client,
+  workflow,
+  inputData = {},
+  triggeredBy = null,
+  triggerType = 'manual',
+  retryOf = null,
+  parentExecutionId = null,
+  parentStepId = null,
+  ...options
+}) => {
+  if (!client) throw new Error('A database client is required to execute workflows');
+  if (!workflow?.id) throw new Error('A saved workflow is required');
+
+  const now = options.now || (() => new Date());
+  const startedAt = now();
+
+  const { data: execution, error: insertError } = await client
+    .from('workflow_executions')
+    .insert({
+      workflow_id: workflow.id,
+      organization_id: workflow.organization_id,
+      triggered_by: triggeredBy,
+      trigger_type: triggerType,
+      retry_of: retryOf,
+      parent_execution_id: parentExecutionId,
+      parent_step_id: parentStepId,
+      workflow_version: workflow.published_version ?? null,
+      status: 'running',
+      input_data: inputData,
+      started_at: startedAt.toISOString()
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    console.error('Error creating execution:', insertError);
+    return { success: false, error: insertError.message };
+  }
+
+  return runExecution({ client, workflow, execution, startedAt, ...options, now });
+};
+
+// The workflow definition an execution ran, even if a newer version has been published since
+const getPinnedWorkflow = async (client, execution, workflow) => {
+  if (!execution.workflow_version || execution.workflow_version === workflow.published_version) {
+    return { success: true, data: workflow };
+  }
+
+  const { data: version, error } = await client
+    .from('workflow_versions')
+    .select('config')
+    .eq('workflow_id', workflow.id)
+    .eq('version', execution.workflow_version)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading workflow version:', error);
+    return { success: false, error: error.message };
+  }
+  if (!version) return { success: false, error: `Version ${execution.workflow_version} of this workflow no longer exists` };
+  return { success: true, data: { ...workflow, config: version.config, published_version: execution.workflow_version } };
+};
+
+const loadExecutionSteps = (client, executionId) => client
+  .from('workflow_execution_steps')
+  .select('*')
+  .eq('execution_id', executionId)
+  .order('sequence', { ascending: true });
+
+// Run a failed execution again from `fromStepId` (by default the step that failed).
+// Steps that completed before it, and are not downstream of it, keep their recorded results.
+// The new run is linked through `retry_of`; once it has started, the original leaves the dead-letter list
+// and links to it through `retried_by`.
+export const retryExecution = async ({
+  client,
+  execution,
+  workflow,
+  fromStepId = execution?.failed_step_id || execution?.output_data?.failed_step,
+  ...options
+}) => {
+  if (!fromStepId) return { success: false, error: 'This run has no failed step to retry from' };
+
+  const { data: steps, error } = await loadExecutionSteps(client, execution.id);
+
+  if (error) {
+    console.error('Error loading execution trace:', error);
+    return { success: false, error: error.message };
+  }
+
+  // Retry the definition the failed run used
+  const pinned = await getPinnedWorkflow(client, execution, workflow);
+  if (!pinned.success) return pinned;
+
+  const rerun = new Set([fromStepId, ...getDescendants(normalizeGraph(pinned.data.config), fromStepId)]);
+  const resume = Object.fromEntries(
+    (steps || [])
+      .filter(step => step.status === 'completed' && !rerun.has(step.step_id))
+      .map(step => [step.step_id, step])
+  );
+
+  const result = await executeWorkflow({
+    client,
+    workflow: pinned.data,
+    inputData: execution.input_data || {},
+    triggerType: 'retry',
+    retryOf: execution.id,
+    resume,
+    ...options
+  });
+
+  // No run was recorded, so the original stays on the dead-letter list
+  if (!result.data?.id) return result;
+
+  const { error: resolveError } = await client
+    .from('workflow_executions')
+    .update({ resolved_at: (options.now || (() => new Date()))().toISOString(), retried_by: result.data.id })
+    .eq('id', execution.id);
+
+  if (resolveError) {
+    console.error('Error resolving retried execution:', resolveError);
+  }
+
+  return result;
+};
+
+// Continue a paused run. Completed steps keep their results, decided approvals follow their `true` or
+// `false` branch and delays that are due carry on; steps still waiting pause the run again.
+const continueExecution = async ({ client, executionId, ...options }) => {
+  const now = options.now || (() => new Date());
+
+  const [
+    { data: execution, error: executionError },
+    { data: steps, error: stepsError },
+    { data: decided, error: decidedError }
+  ] = await Promise.all([
+    client.from('workflow_executions').select('*, workflow:workflows(*)').eq('id', executionId).single(),
+    loadExecutionSteps(client, executionId),
+    client.from('workflow_approvals').select('*').eq('execution_id', executionId).neq('status', 'pending')
+  ]);
+
+  const loadError = executionError || stepsError || decidedError;
+  if (loadError) {
+    console.error('Error loading paused execution:', loadError);
+    return { success: false, error: loadError.message };
+  }
+
+  const pinned = await getPinnedWorkflow(client, execution, execution.workflow);
+  if (!pinned.success) return pinned;
+
+  // Only decisions on the approval steps of the version the run uses count
+  const approvalSteps = new Set(normalizeGraph(pinned.data.config).nodes
+    .filter(node => node.type === 'approval')
+    .map(node => node.id));
+  const decisions = Object.fromEntries((decided || []).filter(item => approvalSteps.has(item.step_id)).map(item => [item.step_id, {
+    decision: item.status,
+    comment: item.comment,
+    decided_by: item.decided_by,
+    decided_at: item.decided_at
+  }]));
+  const delays = Object.fromEntries(
+    (steps || [])
+      .filter(step => step.status === 'waiting' && step.output_data?.resume_at)
+      .map(step => [step.step_id, step.output_data.resume_at])
+  );
+  const resume = Object.fromEntries(
+    (steps || []).filter(step => step.status === 'completed').map(step => [step.step_id, step])
+  );
+
+  const { workflow, ...row } = execution;
+  const { error: runningError } = await client
+    .from('workflow_executions')
+    .update({ status: 'running', resume_at: null })
+    .eq('id', execution.id);
+
+  if (runningError) console.error('Error resuming execution:', runningError);
+
+  return runExecution({
+    client,
+    workflow: pinned.data,
+    execution: row,
+    startedAt: new Date(execution.started_at),
+    previousSteps: steps || [],
+    ...options,
+    resume,
+    decisions,
+    delays,
+    now
+  });
+};
+
+// Record `decision` ('approved' or 'rejected') on a pending approval and continue its run
+export const decideApproval = async ({ client, approval, decision, profile, comment = null, ...options }) => {
+  if (!APPROVAL_DECISIONS.includes(decision)) return { success: false, error: `Unknown decision "${decision}"` };
+  if (!canDecide(approval, profile)) return { success: false, error: 'You cannot decide this approval' };
+
+  const now = options.now || (() => new Date());
+
+  const { data: claimed, error: claimError } = await client
+    .from('workflow_approvals')
+    .update({ status: decision, decided_by: profile.id, decided_at: now().toISOString(), comment })
+    .eq('id', approval.id)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (claimError) {
+    console.error('Error recording approval decision:', claimError);
+    return { success: false, error: claimError.message };
+  }
+  if (!claimed?.length) return { success: false, error: 'This approval has already been decided' };
+
+  return continueExecution({ client, executionId: approval.execution_id, ...options, now });
+};
+
+// Continue a run paused by a delay once its `resume_at` has passed. The run is claimed by clearing
+// `resume_at`, so overlapping scheduler calls resume it once.
+export const resumeExecution = async ({ client, execution, ...options }) => {
+  const { data: claimed, error: claimError } = await client
+    .from('workflow_executions')
+    .update({ status: 'running', resume_at: null })
+    .eq('id', execution.id)
+    .eq('status', 'waiting')
+    .eq('resume_at', execution.resume_at)
+    .select('id');
+
+  if (claimError) {
+    console.error('Error claiming paused execution:', claimError);
+    return { success: false, error: claimError.message };
+  }
+  if (!claimed?.length) return { success: false, error: 'This run has already been resumed' };
+
+  return continueExecution({ client, executionId: execution.id, ...options });
+};
@@ -0,0 +1,394 @@
+import { describe, expect, it } from 'vitest';
+import { decideApproval, executeWorkflow, resumeExecution, retryExecution, runGraph } from './engine.js';
+import { createEdge } from './graph.js';
+import { runTest } from './testRun.js';
+
+// An in-memory stand-in for the Supabase client, covering the queries the engine makes
+const createFakeClient = (tables = {}) => {
+  const db = { workflows: [], workflow_versions: [], workflow_executions: [], workflow_execution_steps: [], workflow_approvals: [], notifications: [], profiles: [], ...tables };
+  let nextId = 1;
+
+  const from = (table) => {
+    const filters = [];
+    let action = { type: 'select' };
+    let embed = null;
+    let returning = false;
+    let mode = 'many';
+
+    const matches = (row) => filters.every(filter => filter(row));
+    const shape = (row) => (embed ? { ...row, workflow: db.workflows.find(item => item.id === row.workflow_id) || null } : { ...row });
+
+    const run = () => {
+      const rows = db[table];
+      let result;
+      if (action.type === 'insert') {
+        const inserted = action.rows.map(row => ({ id: `${table}-${nextId++}`, ...row }));
+        rows.push(...inserted);
+        result = inserted;
+      } else if (action.type === 'update') {
+        result = rows.filter(matches);
+        result.forEach(row => Object.assign(row, action.values));
+      } else {
+        result = rows.filter(matches);
+      }
+
+      if (action.type !== 'select' && !returning) return { data: null, error: null };
+      const data = result.map(shape);
+      if (mode === 'single') return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { message: 'Row not found' } };
+      if (mode === 'maybeSingle') return { data: data[0] || null, error: null };
+      return { data, error: null };
+    };
+
+    const builder = {
+      select: (columns = '*') => {
+        if (action.type === 'select') embed = columns.includes('workflow:workflows');
+        else returning = true;
+        return builder;
+      },
+      insert: (rows) => { action = { type: 'insert', rows: Array.isArray(rows) ? rows : [rows] }; return builder; },
+      update: (values) => { action = { type: 'update', values }; return builder; },
+      eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+      neq: (column, value) => { filters.push(row => row[column] !== value); return builder; },
+      lte: (column, value) => { filters.push(row => row[column] != null && row[column] <= value); return builder; },
+      in: (column, values) => { filters.push(row => values.includes(row[column])); return builder; },
+      or: () => builder,
+      order: () => builder,
+      limit: () => builder,
+      single: () => { mode = 'single'; return builder; },
+      maybeSingle: () => { mode = 'maybeSingle'; return builder; },
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { db, from };
+};
+
+// A clock the tests move forward by hand
+const createClock = (start = '2025-10-20T09:00:00.000Z') => {
+  let time = new Date(start).getTime();
+  return {
+    now: () => new Date(time),
+    advance: (ms) => { time += ms; }
+  };
+};
+
+const node = (id, type, config = {}) => ({ id, type, name: id, config });
+
+const createWorkflow = (nodes, edges, settings = {}) => ({
+  id: 'workflow-1',
+  organization_id: 'org-1',
+  name: 'Test workflow',
+  published_version: null,
+  execution_count: 0,
+  config: { nodes, edges, settings }
+});
+
+describe('runGraph', () => {
+  it('follows the branch a condition picks and skips the other', async () => {
+    const graph = {
+      nodes: [
+        node('start', 'trigger'),
+        node('check', 'condition', { condition: 'data.amount > 100' }),
+        node('large', 'action', { set: { size: 'large' } }),
+        node('small', 'action', { set: { size: 'small' } })
+      ],
+      edges: [
+        createEdge('start', 'check'),
+        createEdge('check', 'large', 'true'),
+        createEdge('check', 'small', 'false')
+      ]
+    };
+
+    const large = await runGraph(graph, { amount: 500 });
+    expect(large.data).toEqual({ amount: 500, size: 'large' });
+    expect(large.skipped).toEqual(['small']);
+
+    const small = await runGraph(graph, { amount: 5 });
+    expect(small.data).toEqual({ amount: 5, size: 'small' });
+    expect(small.skipped).toEqual(['large']);
+  });
+
+  it('runs a loop body once per item and passes on the results', async () => {
+    const graph = {
+      nodes: [
+        node('start', 'trigger'),
+        node('each', 'for_each', { items: [1, 2, 3], concurrency: 2 }),
+        node('double', 'action', { set: { doubled: '{{ loop.item * 2 }}' } }),
+        node('after', 'action', { set: { done: true } })
+      ],
+      edges: [
+        createEdge('start', 'each'),
+        createEdge('each', 'double', 'each'),
+        createEdge('each', 'after')
+      ]
+    };
+
+    const run = await runGraph(graph, {});
+    expect(run.data.results.map(result => result.doubled)).toEqual([2, 4, 6]);
+    expect(run.data.done).toBe(true);
+    expect(run.trace.filter(entry => entry.step_id === 'double').map(entry => entry.iteration).sort()).toEqual([0, 1, 2]);
+  });
+
+  it('retries failed attempts with backoff until one succeeds', async () => {
+    const waits = [];
+    let calls = 0;
+    const graph = {
+      nodes: [node('flaky', 'flaky', { retry: { max_attempts: 3, backoff_seconds: 2, backoff_multiplier: 3 } })],
+      edges: []
+    };
+    const handlers = {
+      flaky: async ({ data }) => {
+        calls += 1;
+        if (calls < 3) throw Object.assign(new Error('Service unavailable'), { status: 503 });
+        return { output: { ...data, ok: true } };
+      }
+    };
+
+    const run = await runGraph(graph, {}, { handlers, sleep: async (ms) => { waits.push(ms); } });
+    expect(run.data).toEqual({ ok: true });
+    expect(waits).toEqual([2000, 6000]);
+    expect(run.trace[0].attempts).toBe(3);
+    expect(run.trace[0].attempt_errors.map(error => error.error_class)).toEqual(['server', 'server']);
+  });
+
+  it('does not retry errors outside the policy', async () => {
+    const graph = {
+      nodes: [node('bad', 'bad', { retry: { max_attempts: 3 } })],
+      edges: []
+    };
+    const handlers = { bad: async () => { throw Object.assign(new Error('Not found'), { status: 404 }); } };
+
+    await expect(runGraph(graph, {}, { handlers, sleep: async () => {} })).rejects.toMatchObject({
+      message: 'Not found',
+      stepId: 'bad'
+    });
+  });
+
+  it('fails a step that runs past its timeout', async () => {
+    const graph = {
+      nodes: [node('slow', 'slow', { timeout_seconds: 0.01 })],
+      edges: []
+    };
+    const handlers = { slow: () => new Promise(resolve => setTimeout(() => resolve({ output: {} }), 1000)) };
+
+    const error = await runGraph(graph, {}, { handlers }).catch(caught => caught);
+    expect(error.name).toBe('TimeoutError');
+    expect(error.message).toBe('Step timed out after 0.01s');
+    expect(error.trace[0].status).toBe('failed');
+  });
+
+  it('stops a run that outlasts the workflow timeout', async () => {
+    const clock = createClock();
+    const graph = {
+      nodes: [node('first', 'tick'), node('second', 'tick')],
+      edges: [createEdge('first', 'second')]
+    };
+    const handlers = { tick: async ({ data }) => { clock.advance(6000); return { output: data }; } };
+
+    await expect(runGraph(graph, {}, { handlers, now: clock.now, timeoutMs: 5000 })).rejects.toThrow('Workflow timed out after 5s');
+  });
+
+  it('rejects delays inside a loop that would pause the run', async () => {
+    const graph = {
+      nodes: [
+        node('each', 'for_each', { items: [1] }),
+        node('wait', 'delay', { duration: 2, unit: 'hours' })
+      ],
+      edges: [createEdge('each', 'wait', 'each')]
+    };
+
+    await expect(runGraph(graph, {})).rejects.toThrow('Item 1: Steps inside a loop cannot pause');
+  });
+});
+
+describe('executeWorkflow', () => {
+  it('records a completed run and its steps', async () => {
+    const client = createFakeClient();
+    const workflow = createWorkflow(
+      [node('start', 'trigger'), node('tag', 'action', { set: { tagged: true } })],
+      [createEdge('start', 'tag')]
+    );
+    client.db.workflows.push(workflow);
+
+    const result = await executeWorkflow({ client, workflow, inputData: { id: 7 } });
+    expect(result.success).toBe(true);
+    expect(result.data.status).toBe('completed');
+    expect(client.db.workflow_executions[0].output_data).toEqual({ result: { id: 7, tagged: true } });
+    expect(client.db.workflow_execution_steps.map(step => step.step_id)).toEqual(['start', 'tag']);
+    expect(client.db.workflows[0].execution_count).toBe(1);
+  });
+
+  it('puts a run whose step fails after its last attempt on the dead-letter list', async () => {
+    const client = createFakeClient();
+    const workflow = createWorkflow([node('boom', 'boom')], []);
+    client.db.workflows.push(workflow);
+
+    const result = await executeWorkflow({
+      client,
+      workflow,
+      handlers: { boom: async () => { throw new Error('Exploded'); } }
+    });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Step boom: Exploded');
+    expect(client.db.workflow_executions[0]).toMatchObject({ status: 'failed', failed_step_id: 'boom', dead_lettered: true });
+  });
+
+  it('pauses a long delay and resumes it once due', async () => {
+    const clock = createClock();
+    const client = createFakeClient();
+    const workflow = createWorkflow(
+      [
+        node('start', 'trigger'),
+        node('wait', 'delay', { duration: 2, unit: 'hours' }),
+        node('after', 'action', { set: { resumed: true } })
+      ],
+      [createEdge('start', 'wait'), createEdge('wait', 'after')]
+    );
+    client.db.workflows.push(workflow);
+    const sleep = async () => { throw new Error('Long delays must not sleep'); };
+
+    const paused = await executeWorkflow({ client, workflow, inputData: { id: 1 }, now: clock.now, sleep });
+    expect(paused.data.status).toBe('waiting');
+    expect(paused.data.resume_at).toBe('2025-10-20T11:00:00.000Z');
+
+    const execution = client.db.workflow_executions[0];
+    clock.advance(30 * 60 * 1000);
+    const early = await resumeExecution({ client, execution: { ...execution }, now: clock.now, sleep });
+    expect(early.data.status).toBe('waiting');
+    expect(execution.resume_at).toBe('2025-10-20T11:00:00.000Z');
+
+    clock.advance(90 * 60 * 1000);
+    const resumed = await resumeExecution({ client, execution: { ...execution }, now: clock.now, sleep });
+    expect(resumed.success).toBe(true);
+    expect(execution).toMatchObject({ status: 'completed', resume_at: null, output_data: { result: { id: 1, resumed: true } } });
+
+    const steps = client.db.workflow_execution_steps;
+    expect(steps.map(step => [step.step_id, step.status])).toEqual([
+      ['start', 'completed'],
+      ['wait', 'completed'],
+      ['after', 'completed']
+    ]);
+    expect(client.db.workflows[0].execution_count).toBe(1);
+  });
+
+  it('resumes a paused run once when the scheduler overlaps', async () => {
+    const clock = createClock();
+    const client = createFakeClient();
+    const workflow = createWorkflow([node('wait', 'delay', { duration: 5, unit: 'minutes' })], []);
+    client.db.workflows.push(workflow);
+
+    await executeWorkflow({ client, workflow, now: clock.now });
+    const snapshot = { ...client.db.workflow_executions[0] };
+    clock.advance(10 * 60 * 1000);
+
+    const first = await resumeExecution({ client, execution: snapshot, now: clock.now });
+    const second = await resumeExecution({ client, execution: snapshot, now: clock.now });
+    expect(first.data.status).toBe('completed');
+    expect(second).toEqual({ success: false, error: 'This run has already been resumed' });
+  });
+
+  it('continues an approved run along its true branch', async () => {
+    const client = createFakeClient();
+    const workflow = createWorkflow(
+      [
+        node('start', 'trigger'),
+        node('review', 'approval', { assignee_roles: ['manager'] }),
+        node('approved', 'action', { set: { outcome: 'approved' } }),
+        node('rejected', 'action', { set: { outcome: 'rejected' } })
+      ],
+      [
+        createEdge('start', 'review'),
+        createEdge('review', 'approved', 'true'),
+        createEdge('review', 'rejected', 'false')
+      ]
+    );
+    client.db.workflows.push(workflow);
+
+    const paused = await executeWorkflow({ client, workflow, inputData: { id: 3 } });
+    expect(paused.data.status).toBe('waiting');
+    expect(paused.data.resume_at).toBe(null);
+
+    const [approval] = client.db.workflow_approvals;
+    expect(approval).toMatchObject({ step_id: 'review', status: 'pending', assignee_roles: ['manager'] });
+
+    const result = await decideApproval({
+      client,
+      approval,
+      decision: 'approved',
+      profile: { id: 'user-2', role: 'manager' }
+    });
+    expect(result.data.status).toBe('completed');
+    expect(client.db.workflow_executions[0].output_data.result).toMatchObject({ id: 3, outcome: 'approved' });
+  });
+
+  it('retries a failed run from its failed step and links the two runs', async () => {
+    const client = createFakeClient();
+    const workflow = createWorkflow(
+      [node('start', 'count'), node('send', 'send')],
+      [createEdge('start', 'send')]
+    );
+    client.db.workflows.push(workflow);
+    let counted = 0;
+    let failing = true;
+    const handlers = {
+      count: async ({ data }) => { counted += 1; return { output: data }; },
+      send: async ({ data }) => {
+        if (failing) throw new Error('Mail server down');
+        return { output: { ...data, sent: true } };
+      }
+    };
+
+    await executeWorkflow({ client, workflow, handlers });
+    const original = client.db.workflow_executions[0];
+    failing = false;
+
+    const result = await retryExecution({ client, execution: { ...original }, workflow, handlers });
+    expect(result.data).toMatchObject({ status: 'completed', retry_of: original.id });
+    expect(counted).toBe(1);
+    expect(original.retried_by).toBe(result.data.id);
+    expect(original.resolved_at).toEqual(expect.any(String));
+  });
+
+  it('keeps a failed run on the dead-letter list when its retry cannot start', async () => {
+    const client = createFakeClient();
+    const workflow = createWorkflow([node('boom', 'boom')], []);
+    client.db.workflows.push(workflow);
+    const handlers = { boom: async () => { throw new Error('Exploded'); } };
+
+    await executeWorkflow({ client, workflow, handlers });
+    const original = client.db.workflow_executions[0];
+
+    const from = client.from;
+    client.from = (table) => {
+      const builder = from(table);
+      if (table !== 'workflow_executions') return builder;
+      return { ...builder, insert: () => ({ select: () => ({ single: async () => ({ data: null, error: { message: 'Plan limit reached' } }) }) }) };
+    };
+
+    const result = await retryExecution({ client, execution: { ...original }, workflow, handlers });
+    expect(result).toEqual({ success: false, error: 'Plan limit reached' });
+    expect(original.resolved_at).toBeUndefined();
+    expect(original.retried_by).toBeUndefined();
+  });
+});
+
+describe('runTest', () => {
+  it('passes long delays straight through without pausing', async () => {
+    const graph = {
+      nodes: [node('wait', 'delay', { duration: 2, unit: 'hours' }), node('after', 'action', { set: { done: true } })],
+      edges: [createEdge('wait', 'after')]
+    };
+
+    const result = await runTest(graph, { id: 1 });
+    expect(result.success).toBe(true);
+    expect(result.data.output).toEqual({ id: 1, done: true });
+  });
+
+  it('fails on a delay the real run would refuse', async () => {
+    const graph = { nodes: [node('wait', 'delay', { duration: 5, unit: 'fortnights' })], edges: [] };
+
+    const result = await runTest(graph, {});
+    expect(result).toMatchObject({ success: false, error: 'Unsupported delay unit: fortnights', failedStepId: 'wait' });
+  });
+});
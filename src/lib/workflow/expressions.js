@@ -0,0 +1,434 @@
+// Workflow expression language
+// Expressions reference run data (`input`, `data`, `steps.<key>.output...`), compare values and call
+// a fixed set of string/number/date helpers. They are parsed and interpreted here, never passed to
+// `eval` or `Function`, and property access is limited to own data properties.
+//
+// Templates embed expressions in config strings: `Hello {{ upper(steps.lookup.output.name) }}`.
+// A string that is a single `{{ ... }}` resolves to the raw value, so numbers and objects keep their type.
+
+const TEMPLATE_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const SINGLE_TEMPLATE_PATTERN = /^\s*\{\{([\s\S]*?)\}\}\s*$/;
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const expressionError = (message, position) =>
+  new Error(position == null ? message : `${message} at position ${position + 1}`);
+
+// ---------------------------------------------------------------------------
+// Helpers available to expressions
+// ---------------------------------------------------------------------------
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) throw expressionError(`Invalid date: ${value}`);
+  return date;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EXPRESSION_HELPERS = {
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  trim: (value) => String(value ?? '').trim(),
+  length: (value) => (value == null ? 0 : (Array.isArray(value) || typeof value === 'string' ? value.length : Object.keys(value).length)),
+  concat: (...values) => values.map(value => value ?? '').join(''),
+  contains: (haystack, needle) => containsValue(haystack, needle),
+  startsWith: (value, prefix) => String(value ?? '').startsWith(String(prefix)),
+  endsWith: (value, suffix) => String(value ?? '').endsWith(String(suffix)),
+  replace: (value, search, replacement = '') => String(value ?? '').split(String(search)).join(String(replacement)),
+  split: (value, separator = ',') => String(value ?? '').split(String(separator)),
+  join: (values, separator = ',') => (Array.isArray(values) ? values.join(String(separator)) : String(values ?? '')),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  isEmpty: (value) => value == null || value === '' || (typeof value === 'object' && Object.keys(value).length === 0),
+  toNumber: (value) => Number(value),
+  toString: (value) => (value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value)),
+  round: (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+  },
+  floor: (value) => Math.floor(Number(value)),
+  ceil: (value) => Math.ceil(Number(value)),
+  abs: (value) => Math.abs(Number(value)),
+  min: (...values) => Math.min(...values.flat().map(Number)),
+  max: (...values) => Math.max(...values.flat().map(Number)),
+  now: (_, options) => options.now().toISOString(),
+  today: (_, options) => options.now().toISOString().slice(0, 10),
+  // Format a date in UTC with YYYY, MM, DD, HH, mm and ss tokens
+  formatDate: (value, pattern = 'YYYY-MM-DD') => {
+    const date = toDate(value);
+    return String(pattern).replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => ({
+      YYYY: date.getUTCFullYear(),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds())
+    })[token]);
+  },
+  addDays: (value, days) => new Date(toDate(value).getTime() + Number(days) * DAY_MS).toISOString(),
+  addHours: (value, hours) => new Date(toDate(value).getTime() + Number(hours) * 60 * 60 * 1000).toISOString(),
+  diffDays: (later, earlier) => Math.floor((toDate(later).getTime() - toDate(earlier).getTime()) / DAY_MS)
+};
+
+// Helpers that read the clock receive the evaluation options instead of arguments
+const CLOCK_HELPERS = new Set(['now', 'today']);
+
+function containsValue(haystack, needle) {
+  if (Array.isArray(haystack)) return haystack.some(item => looseEquals(item, needle));
+  if (haystack && typeof haystack === 'object') return Object.prototype.hasOwnProperty.call(haystack, needle);
+  return String(haystack ?? '').includes(String(needle));
+}
+
+function looseEquals(left, right) {
+  if (left === right) return true;
+  if (left == null || right == null) return false;
+  return String(left) === String(right);
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+const OPERATORS = ['==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '+', '-', '*', '/', '%', '?', ':', '(', ')', '[', ']', '.', ','];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      const match = source.slice(index).match(/^\d+(\.\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let cursor = index + 1;
+      while (cursor < source.length && source[cursor] !== char) {
+        if (source[cursor] === '\\' && cursor + 1 < source.length) {
+          cursor += 1;
+          value += { n: '\n', t: '\t' }[source[cursor]] ?? source[cursor];
+        } else {
+          value += source[cursor];
+        }
+        cursor += 1;
+      }
+      if (cursor >= source.length) throw expressionError('Unterminated string', index);
+      tokens.push({ type: 'string', value, position: index });
+      index = cursor + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = source.slice(index).match(/^[A-Za-z_$][\w$]*/);
+      tokens.push({ type: 'identifier', value: match[0], position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, index));
+    if (!operator) throw expressionError(`Unexpected character "${char}"`, index);
+    tokens.push({ type: 'operator', value: operator, position: index });
+    index += operator.length;
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['>', '>=', '<', '<=', 'contains'],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const parseTokens = (tokens) => {
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const isOperator = (value) => {
+    const token = peek();
+    if (value === 'contains') return token.type === 'identifier' && token.value === 'contains';
+    return token.type === 'operator' && token.value === value;
+  };
+  const expect = (value) => {
+    if (!isOperator(value)) throw expressionError(`Expected "${value}"`, peek().position);
+    current += 1;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      current += 1;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      current += 1;
+      if (token.value === 'true') return { type: 'literal', value: true };
+      if (token.value === 'false') return { type: 'literal', value: false };
+      if (token.value === 'null') return { type: 'literal', value: null };
+
+      if (isOperator('(')) {
+        if (!Object.prototype.hasOwnProperty.call(EXPRESSION_HELPERS, token.value)) {
+          throw expressionError(`Unknown function "${token.value}"`, token.position);
+        }
+        current += 1;
+        const args = [];
+        if (!isOperator(')')) {
+          do {
+            args.push(parseExpression());
+          } while (isOperator(',') && ++current);
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (isOperator('(')) {
+      current += 1;
+      const expression = parseExpression();
+      expect(')');
+      return expression;
+    }
+
+    if (token.type === 'end') throw expressionError('Unexpected end of expression', token.position);
+    throw expressionError(`Unexpected "${token.value}"`, token.position);
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+
+    while (isOperator('.') || isOperator('[')) {
+      if (isOperator('.')) {
+        current += 1;
+        const token = peek();
+        if (token.type !== 'identifier' && token.type !== 'number') {
+          throw expressionError('Expected a property name', token.position);
+        }
+        current += 1;
+        node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+      } else {
+        current += 1;
+        const property = parseExpression();
+        expect(']');
+        node = { type: 'member', object: node, property };
+      }
+    }
+
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!') || isOperator('-')) {
+      const operator = peek().value;
+      current += 1;
+      return { type: 'unary', operator, argument: parseUnary() };
+    }
+    return parsePostfix();
+  };
+
+  const parseBinary = (level) => {
+    if (level >= BINARY_PRECEDENCE.length) return parseUnary();
+
+    let left = parseBinary(level + 1);
+    let operator = BINARY_PRECEDENCE[level].find(isOperator);
+    while (operator) {
+      current += 1;
+      const right = parseBinary(level + 1);
+      left = { type: 'binary', operator, left, right };
+      operator = BINARY_PRECEDENCE[level].find(isOperator);
+    }
+    return left;
+  };
+
+  const parseExpression = () => {
+    const test = parseBinary(0);
+    if (!isOperator('?')) return test;
+
+    current += 1;
+    const consequent = parseExpression();
+    expect(':');
+    const alternate = parseExpression();
+    return { type: 'conditional', test, consequent, alternate };
+  };
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') {
+    throw expressionError(`Unexpected "${peek().value}"`, peek().position);
+  }
+  return ast;
+};
+
+const astCache = new Map();
+
+export const parseExpression = (source) => {
+  const key = String(source);
+  if (!astCache.has(key)) {
+    if (key.trim() === '') throw expressionError('Expression is empty');
+    astCache.set(key, parseTokens(tokenize(key)));
+  }
+  return astCache.get(key);
+};
+
+// ---------------------------------------------------------------------------
+// Interpreter
+// ---------------------------------------------------------------------------
+
+const readProperty = (object, key) => {
+  if (object == null) return undefined;
+  const name = String(key);
+  if (BLOCKED_PROPERTIES.has(name)) throw expressionError(`Access to "${name}" is not allowed`);
+  if (name === 'length' && (Array.isArray(object) || typeof object === 'string')) return object.length;
+  if (typeof object !== 'object') return undefined;
+  return Object.prototype.hasOwnProperty.call(object, name) ? object[name] : undefined;
+};
+
+const evaluateNode = (node, scope, options) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'identifier':
+      return readProperty(scope, node.name);
+
+    case 'member':
+      return readProperty(evaluateNode(node.object, scope, options), evaluateNode(node.property, scope, options));
+
+    case 'call': {
+      const helper = EXPRESSION_HELPERS[node.name];
+      if (CLOCK_HELPERS.has(node.name)) return helper(null, options);
+      return helper(...node.args.map(arg => evaluateNode(arg, scope, options)));
+    }
+
+    case 'unary': {
+      const value = evaluateNode(node.argument, scope, options);
+      return node.operator === '!' ? !value : -Number(value);
+    }
+
+    case 'conditional':
+      return evaluateNode(node.test, scope, options)
+        ? evaluateNode(node.consequent, scope, options)
+        : evaluateNode(node.alternate, scope, options);
+
+    case 'binary': {
+      if (node.operator === '&&') {
+        const left = evaluateNode(node.left, scope, options);
+        return left ? evaluateNode(node.right, scope, options) : left;
+      }
+      if (node.operator === '||') {
+        const left = evaluateNode(node.left, scope, options);
+        return left ? left : evaluateNode(node.right, scope, options);
+      }
+
+      const left = evaluateNode(node.left, scope, options);
+      const right = evaluateNode(node.right, scope, options);
+
+      switch (node.operator) {
+        case '==': return looseEquals(left, right);
+        case '!=': return !looseEquals(left, right);
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case 'contains': return containsValue(left, right);
+        case '+':
+          return typeof left === 'string' || typeof right === 'string'
+            ? `${left ?? ''}${right ?? ''}`
+            : Number(left) + Number(right);
+        case '-': return Number(left) - Number(right);
+        case '*': return Number(left) * Number(right);
+        case '/': return Number(left) / Number(right);
+        case '%': return Number(left) % Number(right);
+        default:
+          throw expressionError(`Unsupported operator "${node.operator}"`);
+      }
+    }
+
+    default:
+      throw expressionError(`Unsupported expression "${node.type}"`);
+  }
+};
+
+export const evaluateExpression = (source, scope = {}, options = {}) =>
+  evaluateNode(parseExpression(source), scope, { now: () => new Date(), ...options });
+
+// Evaluate a condition written either as a bare expression or wrapped in `{{ }}`
+export const evaluateCondition = (condition, scope = {}, options = {}) => {
+  if (condition == null || String(condition).trim() === '') return true;
+  const match = String(condition).match(SINGLE_TEMPLATE_PATTERN);
+  return !!evaluateExpression(match ? match[1] : condition, scope, options);
+};
+
+// ---------------------------------------------------------------------------
+// Templates
+// ---------------------------------------------------------------------------
+
+export const isTemplate = (value) => typeof value === 'string' && value.includes('{{');
+
+export const resolveTemplate = (template, scope = {}, options = {}) => {
+  if (!isTemplate(template)) return template;
+
+  const single = template.match(SINGLE_TEMPLATE_PATTERN);
+  if (single) return evaluateExpression(single[1], scope, options);
+
+  return template.replace(TEMPLATE_PATTERN, (_, source) => {
+    const value = evaluateExpression(source, scope, options);
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+};
+
+// Resolve every template string inside a config value
+export const resolveConfig = (value, scope = {}, options = {}) => {
+  if (typeof value === 'string') return resolveTemplate(value, scope, options);
+  if (Array.isArray(value)) return value.map(item => resolveConfig(item, scope, options));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveConfig(item, scope, options)])
+    );
+  }
+  return value;
+};
+
+// Syntax check without evaluating. Returns an error message or null.
+export const validateExpression = (source) => {
+  try {
+    parseExpression(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+export const validateTemplate = (template) => {
+  if (!isTemplate(template)) return null;
+  if ((template.match(/\{\{/g) || []).length !== (template.match(/\}\}/g) || []).length) {
+    return 'Unclosed {{ }} placeholder';
+  }
+  for (const [, source] of template.matchAll(TEMPLATE_PATTERN)) {
+    const error = validateExpression(source);
+    if (error) return error;
+  }
+  return null;
+};
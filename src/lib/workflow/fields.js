@@ -0,0 +1,143 @@
+// Fields a step can map from earlier in the run
+// Used by the builder to suggest expression paths. Field names come from what is known before a run
+// (action `set` keys, integration output schemas) and from sample data captured in the latest run.
+
+import { EACH_LABEL, getAncestors, getIncomingEdges, getLoopBody, getStepKey, isLoopStep } from './graph.js';
+import { getIntegrationActions, getIntegrationTriggers } from './stepSchemas.js';
+
+const MAX_DEPTH = 3;
+
+const APPROVAL_FIELDS = ['decision', 'comment', 'decided_by', 'decided_at'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// List dotted paths inside a sample value
+const collectPaths = (value, prefix, depth = 0) => {
+  if (!isObject(value) || depth >= MAX_DEPTH) return [];
+  return Object.entries(value).flatMap(([key, item]) => {
+    const path = `${prefix}.${key}`;
+    return [path, ...collectPaths(item, path, depth + 1)];
+  });
+};
+
+const collectSchemaPaths = (schema, prefix, depth = 0) => {
+  if (!schema?.properties || depth >= MAX_DEPTH) return [];
+  return Object.entries(schema.properties).flatMap(([key, propertySchema]) => {
+    const path = `${prefix}.${key}`;
+    return [path, ...collectSchemaPaths(propertySchema, path, depth + 1)];
+  });
+};
+
+const getResponsePaths = (node, prefix) => [
+  `${prefix}.status`,
+  `${prefix}.headers`,
+  `${prefix}.body`,
+  ...((node.config?.pagination?.type || 'none') !== 'none' ? [`${prefix}.items`, `${prefix}.pages`] : [])
+];
+
+// Output fields of a single step, relative to its output
+const getOutputPaths = (node, { integrations = [], samples = {} }) => {
+  const paths = collectPaths(samples[node.id], '');
+
+  if (node.type === 'action') {
+    paths.push(...Object.keys(node.config?.set || {}).map(key => `.${key}`));
+  }
+
+  // Approval steps add the decision to the data they pass on
+  if (node.type === 'approval') {
+    paths.push('.approval', ...APPROVAL_FIELDS.map(field => `.approval.${field}`));
+  }
+
+  if (node.type === 'for_each') paths.push('.results');
+
+  // HTTP requests pass on their output mapping, or the response when there is none
+  if (node.type === 'http_request') {
+    const mapping = Object.keys(node.config?.output || {});
+    paths.push(...(mapping.length > 0 ? mapping.map(key => `.${key}`) : getResponsePaths(node, '')));
+  }
+
+  if (node.type === 'integration') {
+    const integration = integrations.find(item => item.id === node.config?.integration_id);
+    const action = getIntegrationActions(integration)[node.config?.action];
+    paths.push(...collectSchemaPaths(action?.output, ''));
+  }
+
+  return [...new Set(paths)];
+};
+
+// Step types whose output replaces the data they received rather than adding to it
+const REPLACING_STEP_TYPES = ['integration', 'http_request', 'for_each', 'sub_workflow'];
+
+// Paths of the payload arriving at a step. Most built-in steps pass their incoming data through,
+// so fields carry over from further upstream.
+const getDataPaths = (graph, nodeId, options) => {
+  // A loop body starts from the current item, not from the for-each step's output
+  const paths = getIncomingEdges(graph, nodeId)
+    .filter(edge => edge.label !== EACH_LABEL)
+    .map(edge => graph.nodes.find(node => node.id === edge.source))
+    .filter(Boolean)
+    .flatMap(node => [
+      ...getOutputPaths(node, options),
+      ...(REPLACING_STEP_TYPES.includes(node.type) ? [] : getDataPaths(graph, node.id, options))
+    ]);
+  return [...new Set(paths)];
+};
+
+// Suggestions for a step's expression fields: `{ path, label, group }`
+// `samples` maps step ids to the output they produced in a recent run; `samples.input` is the run input.
+export const getAvailableFields = (graph, nodeId, options = {}) => {
+  const { samples = {} } = options;
+  const node = graph.nodes.find(item => item.id === nodeId);
+
+  // Webhook input mappings read from the incoming request. Without a mapping the last run's
+  // input was the request body, so it doubles as a sample of the body's fields.
+  // An integration event source describes the body's fields before any delivery arrives.
+  if (node?.type === 'trigger' && node.config?.kind === 'webhook') {
+    const bodySample = Object.keys(node.config.mapping || {}).length === 0 ? samples.input : null;
+    const eventSource = getIntegrationTriggers(options.integrations).find(source => source.id === node.config.event_source);
+    const bodyPaths = [...new Set([...collectSchemaPaths(eventSource?.output, 'body'), ...collectPaths(bodySample, 'body')])];
+    return [
+      { path: 'body', label: 'Request body', group: 'Request' },
+      ...bodyPaths.map(path => ({ path, label: path, group: 'Request' })),
+      { path: 'headers', label: 'Request headers', group: 'Request' },
+      { path: 'query', label: 'Query parameters', group: 'Request' }
+    ];
+  }
+
+  const fields = [
+    { path: 'input', label: 'Run input', group: 'Run' },
+    ...collectPaths(samples.input, 'input').map(path => ({ path, label: path, group: 'Run' })),
+    { path: 'data', label: 'Current data', group: 'Run' }
+  ];
+
+  getDataPaths(graph, nodeId, options).forEach(path => {
+    fields.push({ path: `data${path}`, label: `data${path}`, group: 'Run' });
+  });
+
+  // Inside nested loops `loop` is the innermost one
+  const loop = getAncestors(graph, nodeId)
+    .find(ancestor => isLoopStep(ancestor) && getLoopBody(graph, ancestor.id).nodes.some(item => item.id === nodeId));
+  if (loop) {
+    const group = loop.name || getStepKey(loop);
+    fields.push({ path: 'loop.item', label: 'Current item', group }, { path: 'loop.index', label: 'Item index', group });
+  }
+
+  // The output mapping of an HTTP request reads its response
+  if (node?.type === 'http_request') {
+    fields.push(
+      { path: 'response', label: 'Response', group: 'Response' },
+      ...getResponsePaths(node, 'response').map(path => ({ path, label: path, group: 'Response' }))
+    );
+  }
+
+  getAncestors(graph, nodeId).forEach(node => {
+    const base = `steps.${getStepKey(node)}.output`;
+    const group = node.name || getStepKey(node);
+    fields.push({ path: base, label: 'Output', group });
+    getOutputPaths(node, options).forEach(path => {
+      fields.push({ path: `${base}${path}`, label: path.slice(1), group });
+    });
+  });
+
+  return fields;
+};
@@ -0,0 +1,245 @@
+// Workflow graph model
+// A workflow config is a directed acyclic graph: `{ nodes, edges }`. Nodes keep the step shape
+// (`id`, `type`, `name`, `config`, `position`); edges connect a source node to a target node and
+// may carry a branch label (`true`/`false` for condition and approval nodes).
+// A for-each node's `each` edges lead into its loop body: the steps reachable from them, which run once
+// per item and are left out of the surrounding graph. Its other edges continue once every item is done.
+// A node's optional `key` is the name expressions use to reach its output: `steps.<key>.output`.
+
+export const BRANCH_LABELS = ['true', 'false'];
+
+// Step types that pick between their `true` and `false` branches
+export const BRANCHING_STEP_TYPES = ['condition', 'approval'];
+
+export const isBranchingStep = (node) => BRANCHING_STEP_TYPES.includes(node?.type);
+
+export const EACH_LABEL = 'each';
+
+export const isLoopStep = (node) => node?.type === 'for_each';
+
+// Step types that cannot run inside a loop body
+const LOOP_EXCLUDED_STEP_TYPES = ['trigger', 'approval'];
+
+export const getDefaultPosition = (index) => ({ x: 100, y: 100 + (index * 120) });
+
+const STEP_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const getStepKey = (node) => node.key || node.id;
+
+// Derive a unique expression key from a step name, e.g. "Validate Data" -> "validate_data"
+export const createStepKey = (name, nodes = []) => {
+  const base = String(name || 'step')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .replace(/^(\d)/, 'step_$1') || 'step';
+  const taken = new Set(nodes.map(getStepKey));
+  let key = base;
+  for (let suffix = 2; taken.has(key); suffix += 1) key = `${base}_${suffix}`;
+  return key;
+};
+
+// Give every node without a key one derived from its name
+export const assignStepKeys = (nodes = []) =>
+  nodes.reduce((keyed, node) => [
+    ...keyed,
+    node.key ? node : { ...node, key: createStepKey(node.name, [...keyed, ...nodes.filter(item => item.key)]) }
+  ], []);
+
+export const createEdge = (source, target, label = null) => ({
+  id: `${source}->${target}${label ? `:${label}` : ''}`,
+  source,
+  target,
+  label
+});
+
+// Convert a legacy flat `steps` list into a linear graph
+export const stepsToGraph = (steps = []) => ({
+  nodes: steps.map((step, index) => ({
+    ...step,
+    config: step.config || {},
+    position: step.position || getDefaultPosition(index)
+  })),
+  edges: steps.slice(1).map((step, index) => {
+    const previous = steps[index];
+    // A failed condition used to halt a flat list, so only its `true` branch continues
+    return createEdge(previous.id, step.id, previous.type === 'condition' ? 'true' : null);
+  })
+});
+
+// Read a stored workflow config, accepting both graph and legacy flat-list shapes
+export const normalizeGraph = (config = {}) => {
+  if (Array.isArray(config?.nodes)) {
+    return { nodes: config.nodes, edges: config.edges || [] };
+  }
+  return stepsToGraph(config?.steps || []);
+};
+
+export const getIncomingEdges = (graph, nodeId) => graph.edges.filter(edge => edge.target === nodeId);
+
+export const getOutgoingEdges = (graph, nodeId) => graph.edges.filter(edge => edge.source === nodeId);
+
+export const getEntryNodes = (graph) => graph.nodes.filter(node => getIncomingEdges(graph, node.id).length === 0);
+
+// Nodes upstream of `nodeId`, nearest first
+export const getAncestors = (graph, nodeId) => {
+  const ancestors = [];
+  const queue = [nodeId];
+  while (queue.length > 0) {
+    getIncomingEdges(graph, queue.shift()).forEach(edge => {
+      const source = graph.nodes.find(node => node.id === edge.source);
+      if (source && !ancestors.includes(source) && source.id !== nodeId) {
+        ancestors.push(source);
+        queue.push(source.id);
+      }
+    });
+  }
+  return ancestors;
+};
+
+// Nodes downstream of `nodeId`
+export const getDescendants = (graph, nodeId) => {
+  const descendants = [];
+  const queue = [nodeId];
+  while (queue.length > 0) {
+    getOutgoingEdges(graph, queue.shift()).forEach(edge => {
+      if (edge.target !== nodeId && !descendants.includes(edge.target)) {
+        descendants.push(edge.target);
+        queue.push(edge.target);
+      }
+    });
+  }
+  return descendants;
+};
+
+// The steps a for-each node runs per item: everything reachable from its `each` edges
+export const getLoopBody = (graph, nodeId) => {
+  const starts = getOutgoingEdges(graph, nodeId)
+    .filter(edge => edge.label === EACH_LABEL)
+    .map(edge => edge.target);
+  const bodyIds = new Set(starts.flatMap(target => [target, ...getDescendants(graph, target)]));
+  return {
+    nodes: graph.nodes.filter(node => bodyIds.has(node.id)),
+    edges: graph.edges.filter(edge => bodyIds.has(edge.source) && bodyIds.has(edge.target))
+  };
+};
+
+// Separate the loop bodies of the outermost for-each nodes from the rest of the graph.
+// Returns the remaining graph and `{ [loopId]: body }`; nested loops stay inside their body.
+export const splitLoops = (graph) => {
+  const bodies = {};
+  const inBody = new Set();
+  (topologicalSort(graph) || []).forEach(nodeId => {
+    const node = graph.nodes.find(item => item.id === nodeId);
+    if (!isLoopStep(node) || inBody.has(nodeId)) return;
+    bodies[nodeId] = getLoopBody(graph, nodeId);
+    bodies[nodeId].nodes.forEach(item => inBody.add(item.id));
+  });
+
+  return {
+    graph: {
+      nodes: graph.nodes.filter(node => !inBody.has(node.id)),
+      edges: graph.edges.filter(edge => edge.label !== EACH_LABEL && !inBody.has(edge.source) && !inBody.has(edge.target))
+    },
+    bodies
+  };
+};
+
+// Order nodes so every node comes after all of its sources. Returns null when the graph has a cycle.
+export const topologicalSort = (graph) => {
+  const inDegree = new Map(graph.nodes.map(node => [node.id, 0]));
+  graph.edges.forEach(edge => {
+    if (inDegree.has(edge.target)) inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+  });
+
+  const queue = graph.nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    order.push(nodeId);
+    getOutgoingEdges(graph, nodeId).forEach(edge => {
+      if (!inDegree.has(edge.target)) return;
+      inDegree.set(edge.target, inDegree.get(edge.target) - 1);
+      if (inDegree.get(edge.target) === 0) queue.push(edge.target);
+    });
+  }
+
+  return order.length === graph.nodes.length ? order : null;
+};
+
+// Check a graph for structural problems. Returns a list of human-readable errors.
+export const validateGraph = (graph) => {
+  const errors = [];
+  const nodeIds = new Set();
+  const stepKeys = new Set();
+
+  graph.nodes.forEach(node => {
+    if (nodeIds.has(node.id)) errors.push(`Duplicate step id "${node.id}"`);
+    nodeIds.add(node.id);
+
+    if (node.key) {
+      if (!STEP_KEY_PATTERN.test(node.key)) {
+        errors.push(`Step key "${node.key}" may only contain letters, numbers and underscores`);
+      } else if (stepKeys.has(node.key)) {
+        errors.push(`Duplicate step key "${node.key}"`);
+      }
+      stepKeys.add(node.key);
+    }
+  });
+
+  const edgeKeys = new Set();
+  graph.edges.forEach(edge => {
+    if (!nodeIds.has(edge.source)) errors.push(`Connection starts at missing step "${edge.source}"`);
+    if (!nodeIds.has(edge.target)) errors.push(`Connection ends at missing step "${edge.target}"`);
+    if (edge.source === edge.target) errors.push(`Step "${edge.source}" cannot connect to itself`);
+    const source = graph.nodes.find(node => node.id === edge.source);
+    const isEachEdge = edge.label === EACH_LABEL && isLoopStep(source);
+    if (edge.label && !BRANCH_LABELS.includes(edge.label) && !isEachEdge) {
+      errors.push(`Unknown branch label "${edge.label}" on connection from "${edge.source}"`);
+    }
+
+    const key = `${edge.source}|${edge.target}|${edge.label || ''}`;
+    if (edgeKeys.has(key)) errors.push(`Duplicate connection from "${edge.source}" to "${edge.target}"`);
+    edgeKeys.add(key);
+  });
+
+  if (errors.length === 0 && !topologicalSort(graph)) {
+    errors.push('Workflow contains a loop; connections must not lead back to an earlier step');
+  }
+
+  // A loop body is entered only through its for-each step
+  if (errors.length === 0) {
+    graph.nodes.filter(isLoopStep).forEach(loop => {
+      const body = getLoopBody(graph, loop.id);
+      const bodyIds = new Set(body.nodes.map(node => node.id));
+      const name = loop.name || loop.id;
+
+      if (graph.edges.some(edge => bodyIds.has(edge.target) && !bodyIds.has(edge.source) && edge.source !== loop.id)) {
+        errors.push(`Steps inside "${name}" can only be reached through its "Each item" branch`);
+      }
+      if (graph.edges.some(edge => edge.source === loop.id && edge.label !== EACH_LABEL && bodyIds.has(edge.target))) {
+        errors.push(`"${name}" must continue to steps outside its loop`);
+      }
+      body.nodes.filter(node => LOOP_EXCLUDED_STEP_TYPES.includes(node.type)).forEach(node => {
+        errors.push(`${node.type === 'trigger' ? 'Trigger' : 'Approval'} step "${node.name || node.id}" cannot run inside "${name}"`);
+      });
+    });
+  }
+
+  return errors;
+};
+
+// Edges a node continues along after it runs. Branching nodes follow the branch matching
+// their result; their unlabeled edges are treated as the `true` branch.
+export const selectOutgoingEdges = (graph, node, result = {}) => {
+  if (result.halt && !isBranchingStep(node)) return [];
+  const outgoing = getOutgoingEdges(graph, node.id);
+
+  if (isBranchingStep(node)) {
+    const branch = result.passed ? 'true' : 'false';
+    return outgoing.filter(edge => (edge.label || 'true') === branch);
+  }
+
+  return outgoing;
+};
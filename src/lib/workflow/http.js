@@ -0,0 +1,248 @@
+// HTTP Request steps
+// `performHttpRequest(config)` sends the request a step describes and returns
+// `{ status, headers, body }`, plus `items` and `pages` when it follows pagination:
+//   method, url, query, headers      query and header values are strings after templating
+//   body_type: none | json | form | multipart, body: { field: value }
+//   success_statuses: e.g. "2xx, 404"; any other status fails the step with `error.status` set,
+//                     so the step's retry policy treats 429 and 5xx as transient
+//   response_type: auto | json | text
+//   pagination: { type: none | link_header | cursor | offset, items_path, cursor_path, cursor_param,
+//                 offset_param, limit_param, page_size, max_pages }
+// Authentication comes from `authorize()`, which returns `{ hosts, headers, query }` for the step's
+// connection; its credentials are only ever sent to `hosts`. Private addresses are refused, redirects
+// included (see network.js).
+
+import { defaultResolve, fetchPublic, isPrivateHost } from './network.js';
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+
+export const BODY_TYPES = {
+  none: 'No body',
+  json: 'JSON',
+  form: 'Form (URL-encoded)',
+  multipart: 'Multipart form'
+};
+
+export const PAGINATION_TYPES = {
+  none: 'None',
+  link_header: 'Link header (rel="next")',
+  cursor: 'Cursor in the response',
+  offset: 'Offset and limit'
+};
+
+export const DEFAULT_MAX_PAGES = 10;
+export const MAX_PAGES = 100;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+// Read a dotted path such as `data.items` or `meta.next_cursor`; an empty path is the value itself
+export const getPath = (value, path) => {
+  if (!path) return value;
+  return String(path).split('.').filter(Boolean).reduce((current, key) => (current == null ? undefined : current[key]), value);
+};
+
+// "2xx, 404, 500-503" -> predicate on a status code. An empty spec accepts 2xx.
+export const parseStatusSpec = (spec) => {
+  const parts = String(spec || '2xx').split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+  const matchers = parts.map(part => {
+    const family = part.match(/^([1-5])xx$/);
+    if (family) return (status) => Math.floor(status / 100) === Number(family[1]);
+    const range = part.match(/^(\d{3})\s*-\s*(\d{3})$/);
+    if (range) return (status) => status >= Number(range[1]) && status <= Number(range[2]);
+    if (/^\d{3}$/.test(part)) return (status) => status === Number(part);
+    throw permanentError(`"${part}" is not a status code, range or family like 2xx`);
+  });
+  return (status) => matchers.some(matches => matches(status));
+};
+
+// The `rel="next"` URL of a Link header
+export const getNextLink = (header) => {
+  if (!header) return null;
+  const next = String(header).split(',').find(part => /rel="?next"?/i.test(part));
+  return next?.match(/<([^>]+)>/)?.[1] || null;
+};
+
+const hostAllowed = (hostname, hosts = []) =>
+  hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+const toQueryValue = (value) => (isPlainObject(value) || Array.isArray(value) ? JSON.stringify(value) : String(value));
+
+const buildBody = (config) => {
+  const method = (config.method || 'GET').toUpperCase();
+  const type = config.body_type || 'none';
+  if (type === 'none' || method === 'GET' || method === 'HEAD') return { body: undefined, contentType: null };
+
+  const fields = config.body ?? {};
+  if (type === 'json') return { body: JSON.stringify(fields), contentType: 'application/json' };
+
+  const entries = Object.entries(isPlainObject(fields) ? fields : {})
+    .filter(([, value]) => value !== undefined && value !== null);
+  if (type === 'form') {
+    return {
+      body: new URLSearchParams(entries.map(([key, value]) => [key, toQueryValue(value)])).toString(),
+      contentType: 'application/x-www-form-urlencoded'
+    };
+  }
+  if (type === 'multipart') {
+    const form = new FormData();
+    entries.forEach(([key, value]) => form.append(key, toQueryValue(value)));
+    // fetch sets the boundary
+    return { body: form, contentType: null };
+  }
+  throw permanentError(`Unknown body type "${type}"`);
+};
+
+const readBody = async (response, responseType) => {
+  const text = await response.text();
+  if (responseType === 'text') return text;
+  if (!text) return null;
+  const isJson = /json/i.test(response.headers.get('content-type') || '');
+  if (responseType === 'json' || isJson) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      if (responseType === 'json') throw permanentError('The response is not valid JSON');
+    }
+  }
+  return text;
+};
+
+const sendOnce = async ({ url, method, headers, body, responseType, isSuccess, fetch, signal, guard }) => {
+  const response = await fetchPublic(url, { method, headers, body, signal }, { fetch, ...guard });
+  const parsed = method === 'HEAD' ? null : await readBody(response, responseType);
+  const result = {
+    status: response.status,
+    headers: Object.fromEntries([...response.headers].map(([name, value]) => [name.toLowerCase(), value])),
+    body: parsed
+  };
+
+  if (!isSuccess(response.status)) {
+    const detail = isPlainObject(parsed) ? parsed.message || parsed.error?.message || parsed.error : null;
+    const error = new Error(`${method} ${url.host}${url.pathname} returned ${response.status}${typeof detail === 'string' ? `: ${detail}` : ''}`);
+    error.status = response.status;
+    error.body = parsed;
+    throw error;
+  }
+  return result;
+};
+
+// Send the request in `config` (already templated). `authorize` is only called when the step names a
+// connection. Requests to private addresses are refused unless `allowPrivateNetwork` is set; `resolve`
+// replaces the DNS lookup behind that check.
+export const performHttpRequest = async (config = {}, {
+  fetch = globalThis.fetch,
+  signal,
+  authorize,
+  allowPrivateNetwork = false,
+  resolve = defaultResolve
+} = {}) => {
+  const method = (config.method || 'GET').toUpperCase();
+  if (!HTTP_METHODS.includes(method)) throw permanentError(`Unsupported method "${config.method}"`);
+
+  let url;
+  try {
+    url = new URL(String(config.url || '').trim());
+  } catch {
+    throw permanentError(`"${config.url || ''}" is not a valid URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw permanentError('Only http and https URLs can be requested');
+  if (!allowPrivateNetwork && isPrivateHost(url.hostname)) throw permanentError(`Requests to ${url.hostname} are not allowed`);
+
+  Object.entries(config.query || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([key, value]) => url.searchParams.set(key, toQueryValue(value)));
+
+  const { body, contentType } = buildBody(config);
+  const headers = { Accept: 'application/json, text/plain, */*' };
+  if (contentType) headers['Content-Type'] = contentType;
+  Object.entries(config.headers || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .forEach(([name, value]) => { headers[name] = String(value); });
+
+  let auth = null;
+  if (config.connection_id) {
+    if (!authorize) throw new Error('This request needs a connection and can only run from a recorded run');
+    auth = await authorize(config.connection_id);
+    Object.assign(headers, auth.headers || {});
+  }
+  // Checked for every page and redirect, since both can lead to other hosts
+  const prepare = (target) => {
+    if (auth && !hostAllowed(target.hostname, auth.hosts)) {
+      throw permanentError(`The chosen connection cannot be used with ${target.hostname}`);
+    }
+    Object.entries(auth?.query || {}).forEach(([key, value]) => target.searchParams.set(key, value));
+    return target;
+  };
+  const guard = { allowPrivateNetwork, prepare, resolve };
+
+  const isSuccess = parseStatusSpec(config.success_statuses);
+  const send = (target) => sendOnce({
+    url: target,
+    method,
+    headers,
+    body,
+    responseType: config.response_type || 'auto',
+    isSuccess,
+    fetch,
+    signal,
+    guard
+  });
+
+  const pagination = config.pagination || {};
+  const type = pagination.type || 'none';
+  if (type === 'none') return send(url);
+  if (!PAGINATION_TYPES[type]) throw permanentError(`Unknown pagination type "${type}"`);
+
+  const maxPages = Math.min(Math.max(1, Number(pagination.max_pages) || DEFAULT_MAX_PAGES), MAX_PAGES);
+  const pageSize = Number(pagination.page_size) || null;
+  const pageItems = (page) => {
+    const items = getPath(page.body, pagination.items_path);
+    if (!Array.isArray(items)) {
+      throw permanentError(`The response has no list at "${pagination.items_path || '(body)'}" to paginate`);
+    }
+    return items;
+  };
+
+  const items = [];
+  let target = new URL(url);
+  let offset = Number(target.searchParams.get(pagination.offset_param || 'offset')) || 0;
+  if (type === 'offset') {
+    target.searchParams.set(pagination.offset_param || 'offset', String(offset));
+    if (pageSize) target.searchParams.set(pagination.limit_param || 'limit', String(pageSize));
+  }
+
+  let page = null;
+  let pages = 0;
+  while (pages < maxPages) {
+    page = await send(target);
+    pages += 1;
+    const received = pageItems(page);
+    items.push(...received);
+
+    let next = null;
+    if (type === 'link_header') {
+      const link = getNextLink(page.headers.link);
+      next = link ? new URL(link, target) : null;
+    } else if (type === 'cursor') {
+      const cursor = getPath(page.body, pagination.cursor_path);
+      if (cursor !== undefined && cursor !== null && cursor !== '' && cursor !== false) {
+        next = new URL(target);
+        next.searchParams.set(pagination.cursor_param || 'cursor', String(cursor));
+      }
+    } else if (type === 'offset' && received.length > 0 && (!pageSize || received.length >= pageSize)) {
+      offset += received.length;
+      next = new URL(target);
+      next.searchParams.set(pagination.offset_param || 'offset', String(offset));
+    }
+    if (!next) break;
+    target = next;
+  }
+
+  return { ...page, items, pages };
+};
@@ -0,0 +1,154 @@
+// Private network guard
+// The server sends requests to addresses members choose (HTTP Request steps, outbound webhooks), so
+// those must not reach loopback, private ranges or cloud metadata. `fetchPublic` checks the host name,
+// the addresses it resolves to and every redirect before following it. Host names are resolved with
+// `Deno.resolveDns` on the server; in the browser only the name itself can be checked.
+
+export const MAX_REDIRECTS = 5;
+
+const PRIVATE_NAME_PATTERNS = [/^localhost$/, /\.localhost$/, /\.internal$/, /\.local$/];
+
+// [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+// Dotted-quad IPv4 as a 32-bit number, or null
+const parseIPv4 = (text) => {
+  const parts = String(text).split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+};
+
+// IPv6 as its eight 16-bit groups, or null. Accepts brackets, `::` and a trailing dotted IPv4.
+const parseIPv6 = (text) => {
+  let address = String(text).replace(/^\[|\]$/g, '').split('%')[0];
+  if (!address.includes(':')) return null;
+
+  const embedded = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const ipv4 = parseIPv4(embedded[2]);
+    if (ipv4 === null) return null;
+    address = `${embedded[1]}${(ipv4 >>> 16).toString(16)}:${(ipv4 & 0xffff).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+  const toGroups = (half) => (half ? half.split(':') : []);
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+  return groups.map(group => parseInt(group, 16));
+};
+
+const isPrivateIPv4 = (value) => PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+  const size = 2 ** (32 - bits);
+  return Math.floor(value / size) === Math.floor(parseIPv4(network) / size);
+});
+
+const isPrivateIPv6 = (groups) => {
+  const embeddedIPv4 = (high, low) => isPrivateIPv4(groups[high] * 65536 + groups[low]);
+  const zeroUntil = (end) => groups.slice(0, end).every(group => group === 0);
+
+  // Unspecified, loopback, and IPv4-compatible or IPv4-mapped addresses
+  if (zeroUntil(7) && groups[7] <= 1) return true;
+  if (zeroUntil(6) || (zeroUntil(5) && groups[5] === 0xffff)) return embeddedIPv4(6, 7);
+  // NAT64 (64:ff9b::/96) and 6to4 (2002::/16) carry an IPv4 address too
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) return embeddedIPv4(6, 7);
+  if (groups[0] === 0x2002) return embeddedIPv4(1, 2);
+  // Unique local (fc00::/7), link-local and site-local (fe80::/10, fec0::/10), multicast (ff00::/8)
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80
+    || (groups[0] & 0xffc0) === 0xfec0 || (groups[0] & 0xff00) === 0xff00;
+};
+
+export const isIpAddress = (text) => parseIPv4(text) !== null || parseIPv6(text) !== null;
+
+// Whether an IPv4 or IPv6 address (with or without brackets) is loopback, private or otherwise not
+// on the public internet. Anything that is not an address is not private by itself.
+export const isPrivateAddress = (text) => {
+  const ipv4 = parseIPv4(text);
+  if (ipv4 !== null) return isPrivateIPv4(ipv4);
+  const ipv6 = parseIPv6(text);
+  return ipv6 !== null && isPrivateIPv6(ipv6);
+};
+
+export const isPrivateHost = (hostname) => {
+  const host = String(hostname).toLowerCase().replace(/\.$/, '');
+  return PRIVATE_NAME_PATTERNS.some(pattern => pattern.test(host)) || isPrivateAddress(host);
+};
+
+// Every A and AAAA address of `hostname`; names that do not resolve give none, and fetch reports them
+const resolveWithDeno = async (hostname) => {
+  const results = await Promise.allSettled(['A', 'AAAA'].map(type => globalThis.Deno.resolveDns(hostname, type)));
+  return results.flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+};
+
+export const defaultResolve = globalThis.Deno?.resolveDns ? resolveWithDeno : null;
+
+// Refuse `url` when its host is private or resolves to a private address
+export const assertPublicUrl = async (url, { resolve = defaultResolve } = {}) => {
+  const { hostname } = url;
+  if (isPrivateHost(hostname)) throw permanentError(`Requests to ${hostname} are not allowed`);
+  if (!resolve || isIpAddress(hostname)) return;
+
+  const addresses = await resolve(hostname.replace(/\.$/, ''));
+  if (addresses.some(isPrivateAddress)) throw permanentError(`Requests to ${hostname} are not allowed`);
+};
+
+const withoutBody = (headers = {}) => Object.fromEntries(
+  Object.entries(headers).filter(([name]) => !['content-type', 'content-length'].includes(name.toLowerCase()))
+);
+
+// `fetch` that follows redirects itself (up to MAX_REDIRECTS), checking each URL with
+// `assertPublicUrl` unless `allowPrivateNetwork` is set. `prepare(url)` runs before every request
+// and returns the URL to send, so callers can check and decorate each hop as well.
+export const fetchPublic = async (url, init = {}, {
+  fetch = globalThis.fetch,
+  resolve = defaultResolve,
+  allowPrivateNetwork = false,
+  prepare = (target) => target,
+  maxRedirects = MAX_REDIRECTS
+} = {}) => {
+  let target = new URL(url);
+  let request = { ...init };
+
+  for (let redirects = 0; ; redirects += 1) {
+    if (!['http:', 'https:'].includes(target.protocol)) throw permanentError('Only http and https URLs can be requested');
+    target = prepare(target);
+    if (!allowPrivateNetwork) await assertPublicUrl(target, { resolve });
+
+    const response = await fetch(target.toString(), { ...request, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status > 399 || !location) return response;
+
+    await response.body?.cancel();
+    if (redirects >= maxRedirects) throw permanentError(`Stopped after ${maxRedirects} redirects`);
+
+    // Like browsers: 303, and 301/302 after a POST, continue as a GET without the body
+    const method = (request.method || 'GET').toUpperCase();
+    if (response.status === 303 || ([301, 302].includes(response.status) && method === 'POST')) {
+      request = { ...request, method: method === 'HEAD' ? 'HEAD' : 'GET', body: undefined, headers: withoutBody(request.headers) };
+    }
+    target = new URL(location, target);
+  }
+};
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { fetchPublic, isPrivateAddress, isPrivateHost } from './network.js';
+
+const redirect = (location, status = 302) => new Response(null, { status, headers: { Location: location } });
+
+describe('isPrivateHost', () => {
+  it('refuses local names, private ranges and metadata addresses', () => {
+    ['localhost', 'app.localhost', 'metadata.google.internal', '127.0.0.1', '10.1.2.3', '172.20.0.1',
+      '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '[::1]', '[::]', '[fd00::1]', '[fe80::1]']
+      .forEach(host => expect(isPrivateHost(host), host).toBe(true));
+  });
+
+  it('refuses IPv6 addresses that carry a private IPv4 address', () => {
+    // What `new URL('http://[::ffff:127.0.0.1]/').hostname` gives
+    expect(isPrivateHost(new URL('http://[::ffff:127.0.0.1]/').hostname)).toBe(true);
+    expect(isPrivateHost('[::ffff:7f00:1]')).toBe(true);
+    expect(isPrivateHost('[::ffff:a9fe:a9fe]')).toBe(true);
+    expect(isPrivateHost('[64:ff9b::a00:1]')).toBe(true);
+    expect(isPrivateHost('[2002:c0a8:101::1]')).toBe(true);
+  });
+
+  it('allows public names and addresses', () => {
+    ['api.example.com', '8.8.8.8', '172.32.0.1', '[2606:4700::1111]', '[::ffff:808:808]']
+      .forEach(host => expect(isPrivateHost(host), host).toBe(false));
+  });
+
+  it('reads the forms URL parsing normalizes other IPv4 spellings to', () => {
+    expect(isPrivateHost(new URL('http://2130706433/').hostname)).toBe(true);
+    expect(isPrivateHost(new URL('http://0x7f.1/').hostname)).toBe(true);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('leaves names to the resolver', () => {
+    expect(isPrivateAddress('example.com')).toBe(false);
+  });
+});
+
+describe('fetchPublic', () => {
+  it('refuses names that resolve to private addresses', async () => {
+    const calls = [];
+    const fetch = async (url) => { calls.push(url); return new Response('ok'); };
+
+    await expect(fetchPublic('https://rebind.example.com/', {}, { fetch, resolve: async () => ['93.184.216.34', '10.0.0.5'] }))
+      .rejects.toMatchObject({ message: 'Requests to rebind.example.com are not allowed', retryable: false });
+    expect(calls).toHaveLength(0);
+  });
+
+  it('checks every redirect before following it', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, redirect: init.redirect });
+      return redirect('http://169.254.169.254/latest/meta-data/');
+    };
+
+    await expect(fetchPublic('https://api.example.com/start', {}, { fetch, resolve: async () => ['93.184.216.34'] }))
+      .rejects.toThrow('Requests to 169.254.169.254 are not allowed');
+    expect(calls).toEqual([{ url: 'https://api.example.com/start', redirect: 'manual' }]);
+  });
+
+  it('follows public redirects and turns a POST into a GET after a 303', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, method: init.method, body: init.body, headers: init.headers });
+      return calls.length === 1 ? redirect('/done', 303) : new Response('ok');
+    };
+
+    const response = await fetchPublic('https://api.example.com/submit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Trace': '1' },
+      body: '{}'
+    }, { fetch, resolve: null });
+
+    expect(await response.text()).toBe('ok');
+    expect(calls[1]).toEqual({ url: 'https://api.example.com/done', method: 'GET', body: undefined, headers: { 'X-Trace': '1' } });
+  });
+
+  it('stops after too many redirects', async () => {
+    const fetch = async () => redirect('https://api.example.com/again');
+
+    await expect(fetchPublic('https://api.example.com/', {}, { fetch, resolve: null, maxRedirects: 2 }))
+      .rejects.toThrow('Stopped after 2 redirects');
+  });
+});
@@ -0,0 +1,76 @@
+// Step retry policies and timeouts
+// A step's config may carry `timeout_seconds` and a `retry` policy:
+//   { max_attempts, backoff_seconds, backoff_multiplier, max_backoff_seconds, retry_on: [errorClass] }
+// Failed attempts are retried with exponential backoff when their error class is listed in `retry_on`.
+
+export const ERROR_CLASSES = {
+  timeout: 'Timeouts',
+  network: 'Network errors',
+  rate_limit: 'Rate limiting (429)',
+  server: 'Server errors (5xx)',
+  client: 'Client errors (4xx)',
+  other: 'Any other error'
+};
+
+export const DEFAULT_RETRY_ON = ['timeout', 'network', 'rate_limit', 'server'];
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+// Sort an error into one of the ERROR_CLASSES. Handlers can set `error.errorClass` or `error.status` to steer this.
+export const classifyError = (error) => {
+  if (error?.errorClass && ERROR_CLASSES[error.errorClass]) return error.errorClass;
+
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (status === 429) return 'rate_limit';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'client';
+
+  if (error?.name === 'TimeoutError') return 'timeout';
+  if (NETWORK_ERROR_CODES.has(error?.code)) return 'network';
+  if (error?.name === 'TypeError' && /fetch|network/i.test(error.message)) return 'network';
+  return 'other';
+};
+
+export const createTimeoutError = (message) => {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  error.errorClass = 'timeout';
+  return error;
+};
+
+export const getRetryPolicy = (config = {}) => {
+  const retry = config.retry || {};
+  return {
+    maxAttempts: Math.max(1, Math.floor(Number(retry.max_attempts) || 1)),
+    initialDelayMs: Number(retry.backoff_seconds ?? 1) * 1000,
+    multiplier: Number(retry.backoff_multiplier ?? 2),
+    maxDelayMs: Number(retry.max_backoff_seconds ?? 300) * 1000,
+    retryOn: retry.retry_on?.length ? retry.retry_on : DEFAULT_RETRY_ON
+  };
+};
+
+// Wait before attempt `attempt + 1`
+export const getBackoffMs = (policy, attempt) =>
+  Math.min(policy.initialDelayMs * policy.multiplier ** (attempt - 1), policy.maxDelayMs);
+
+export const shouldRetry = (policy, error, attempt) =>
+  attempt < policy.maxAttempts
+  && error?.retryable !== false
+  && policy.retryOn.includes(classifyError(error));
+
+// Run `task(signal)` and reject with a timeout error after `ms`. The signal is aborted on timeout so
+// handlers that pass it to `fetch` stop their work too.
+export const withTimeout = (task, ms, message) => {
+  const controller = new AbortController();
+  if (!ms || ms === Infinity) return task(controller.signal);
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(createTimeoutError(message));
+    }, ms);
+  });
+
+  return Promise.race([task(controller.signal), timeout]).finally(() => clearTimeout(timer));
+};
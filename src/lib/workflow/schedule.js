@@ -0,0 +1,234 @@
+// Schedule triggers
+// A trigger step with `kind: 'schedule'` starts its workflow either on a five-field cron expression
+// (`minute hour day-of-month month day-of-week`, evaluated in the trigger's timezone) or at a fixed interval.
+
+import { normalizeGraph } from './graph.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export const INTERVAL_UNITS = {
+  minutes: MINUTE_MS,
+  hours: 60 * MINUTE_MS,
+  days: 24 * 60 * MINUTE_MS
+};
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Give up looking for a matching time after this many steps (several years of day-sized jumps)
+const MAX_SEARCH_STEPS = 5000;
+
+const parseValue = (raw, field) => {
+  const upper = raw.toUpperCase();
+  const named = field.names?.indexOf(upper) ?? -1;
+  if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${field.name} "${raw}"`);
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+};
+
+const parseField = (source, field) => {
+  const values = new Set();
+
+  source.split(',').forEach(part => {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepRaw}" in ${field.name}`);
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to === undefined ? (stepRaw === undefined ? start : field.max) : parseValue(to, field);
+      if (end < start) throw new Error(`Invalid range "${range}" in ${field.name}`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+
+  // Sunday may be written as 0 or 7
+  if (field.name === 'day of week' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return values;
+};
+
+// Parse a cron expression. Throws on invalid input.
+export const parseCron = (expression) => {
+  const source = CRON_MACROS[String(expression || '').trim().toLowerCase()] || String(expression || '').trim();
+  const parts = source.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day month weekday');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, a time matches if either does
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+};
+
+export const validateCron = (expression) => {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// IANA timezone names, with UTC first (it is not always included in the runtime's list)
+export const getTimezones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'Europe/London', 'Europe/Paris', 'Asia/Tokyo', 'Australia/Sydney'];
+  return ['UTC', ...zones.filter(zone => zone !== 'UTC')];
+};
+
+// Wall-clock fields of `date` in `timeZone`
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+const matchesDay = (cron, parts) => {
+  const dayMatch = cron.days.has(parts.day);
+  const weekdayMatch = cron.weekdays.has(parts.weekday);
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+};
+
+// First minute strictly after `after` that matches the cron expression
+export const getNextCronRun = (expression, after = new Date(), timeZone = 'UTC') => {
+  const cron = parseCron(expression);
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step += 1) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+
+    if (!cron.months.has(parts.month) || !matchesDay(cron, parts)) {
+      time += (24 * 60 - minuteOfDay) * MINUTE_MS;
+    } else if (!cron.hours.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!cron.minutes.has(parts.minute)) {
+      const nextMinute = [...cron.minutes].sort((a, b) => a - b).find(minute => minute > parts.minute);
+      time += ((nextMinute ?? 60) - parts.minute) * MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+};
+
+export const getIntervalMs = (config = {}) => {
+  const interval = Number(config.interval);
+  const unit = INTERVAL_UNITS[config.interval_unit || 'hours'];
+  if (!unit) throw new Error(`Unsupported interval unit: ${config.interval_unit}`);
+  if (!Number.isFinite(interval) || interval <= 0) throw new Error('Interval must be greater than zero');
+  return interval * unit;
+};
+
+export const isScheduleTrigger = (node) => node?.type === 'trigger' && node.config?.kind === 'schedule';
+
+// The schedule trigger of a workflow config, if it has one
+export const getScheduleTrigger = (config) => normalizeGraph(config).nodes.find(isScheduleTrigger) || null;
+
+// Next time a schedule is due after `after`. Intervals count from `lastRun` when there is one.
+export const getNextRun = (schedule = {}, after = new Date(), lastRun = null) => {
+  if (schedule.schedule_type === 'cron') {
+    return getNextCronRun(schedule.cron, after, schedule.timezone || 'UTC');
+  }
+
+  const intervalMs = getIntervalMs(schedule);
+  const anchor = lastRun ? new Date(lastRun).getTime() : after.getTime();
+  const elapsed = Math.max(0, after.getTime() - anchor);
+  return new Date(anchor + (Math.floor(elapsed / intervalMs) + 1) * intervalMs);
+};
+
+// When a workflow should next run on its schedule trigger, as stored in `workflows.next_run_at`
+export const getWorkflowNextRun = (config, after = new Date()) => {
+  const trigger = getScheduleTrigger(config);
+  if (!trigger) return null;
+  try {
+    return getNextRun(trigger.config, after)?.toISOString() || null;
+  } catch (error) {
+    console.warn('Invalid workflow schedule:', error);
+    return null;
+  }
+};
+
+// Upcoming run times, for previews
+export const getNextRuns = (schedule, count = 5, after = new Date()) => {
+  const runs = [];
+  let cursor = after;
+  while (runs.length < count) {
+    const next = getNextRun(schedule, cursor, runs.length > 0 ? cursor : null);
+    if (!next) break;
+    runs.push(next);
+    cursor = next;
+  }
+  return runs;
+};
+
+export const describeSchedule = (schedule = {}) => {
+  if (schedule.schedule_type === 'cron') {
+    return `Cron "${schedule.cron || ''}" (${schedule.timezone || 'UTC'})`;
+  }
+  const unit = schedule.interval_unit || 'hours';
+  return `Every ${schedule.interval} ${Number(schedule.interval) === 1 ? unit.replace(/s$/, '') : unit}`;
+};
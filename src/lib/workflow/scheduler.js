@@ -0,0 +1,129 @@
+// Workflow scheduler
+// Starts active workflows whose schedule trigger is due, and continues runs paused by a delay once
+// their `resume_at` has passed. Meant to be called about once a minute (see
+// supabase/functions/workflow-scheduler). Each due workflow is claimed by moving its `next_run_at`
+// forward before it runs, so overlapping scheduler calls never start the same run twice.
+
+import { executeWorkflow, resumeExecution } from './engine.js';
+import { getScheduleTrigger, getNextRun } from './schedule.js';
+
+// Move a workflow's `next_run_at` from `expected` to `next`. Returns false if another call got there first.
+const claimRun = async (client, workflow, next) => {
+  const { data, error } = await client
+    .from('workflows')
+    .update({ next_run_at: next })
+    .eq('id', workflow.id)
+    .eq('next_run_at', workflow.next_run_at)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+};
+
+// Start every run at once rather than one after another. With `dispatch` each run's promise is handed
+// to the caller (the Edge Function passes EdgeRuntime.waitUntil so it can respond before runs finish)
+// and nothing is awaited here; otherwise the runs are awaited and their outcomes returned.
+const startRuns = async (runs, dispatch) => {
+  const pending = runs.map(run => run());
+  if (dispatch) {
+    pending.forEach(promise => dispatch(promise));
+    return null;
+  }
+  return Promise.all(pending);
+};
+
+export const runDueWorkflows = async ({ client, now = () => new Date(), dispatch = null, ...options }) => {
+  if (!client) throw new Error('A database client is required to run scheduled workflows');
+
+  const current = now();
+
+  // Paused and archived workflows keep their `next_run_at` but are never picked up here
+  const { data: workflows, error } = await client
+    .from('workflows')
+    .select('*')
+    .eq('status', 'active')
+    .lte('next_run_at', current.toISOString());
+
+  if (error) {
+    console.error('Error loading scheduled workflows:', error);
+    return { success: false, error: error.message };
+  }
+
+  const claimed = [];
+  const skipped = [];
+
+  for (const workflow of workflows || []) {
+    try {
+      const trigger = getScheduleTrigger(workflow.config);
+      // Missed runs are not replayed: the next run is the first slot after now
+      const next = trigger ? getNextRun(trigger.config, current, workflow.next_run_at)?.toISOString() || null : null;
+
+      if (!(await claimRun(client, workflow, next)) || !trigger) {
+        skipped.push(workflow.id);
+        continue;
+      }
+      claimed.push(workflow);
+    } catch (claimError) {
+      console.error(`Error claiming scheduled workflow ${workflow.id}:`, claimError);
+      skipped.push(workflow.id);
+    }
+  }
+
+  const outcomes = await startRuns(claimed.map(workflow => async () => {
+    try {
+      const result = await executeWorkflow({
+        client,
+        workflow,
+        inputData: { scheduled_for: workflow.next_run_at },
+        triggerType: 'schedule',
+        now,
+        ...options
+      });
+      return { workflow_id: workflow.id, execution_id: result.data?.id, status: result.data?.status };
+    } catch (runError) {
+      console.error(`Error running scheduled workflow ${workflow.id}:`, runError);
+      return { workflow_id: workflow.id, execution_id: null, status: 'failed' };
+    }
+  }), dispatch);
+
+  const started = outcomes || claimed.map(workflow => ({ workflow_id: workflow.id }));
+  return { success: true, data: { started, skipped } };
+};
+
+// Continue runs paused by a delay whose `resume_at` has passed. Each run is claimed by
+// resumeExecution, so a run two overlapping calls both pick up is continued once.
+export const resumeDueExecutions = async ({ client, now = () => new Date(), dispatch = null, ...options }) => {
+  if (!client) throw new Error('A database client is required to resume workflow runs');
+
+  const { data: executions, error } = await client
+    .from('workflow_executions')
+    .select('*')
+    .eq('status', 'waiting')
+    .lte('resume_at', now().toISOString());
+
+  if (error) {
+    console.error('Error loading paused runs:', error);
+    return { success: false, error: error.message };
+  }
+
+  const outcomes = await startRuns((executions || []).map(execution => async () => {
+    try {
+      const result = await resumeExecution({ client, execution, now, ...options });
+      return { execution_id: execution.id, status: result.data?.id ? result.data.status : null };
+    } catch (resumeError) {
+      console.error(`Error resuming run ${execution.id}:`, resumeError);
+      return { execution_id: execution.id, status: null };
+    }
+  }), dispatch);
+
+  if (!outcomes) {
+    return { success: true, data: { resumed: (executions || []).map(execution => ({ execution_id: execution.id })), skipped: [] } };
+  }
+  return {
+    success: true,
+    data: {
+      resumed: outcomes.filter(outcome => outcome.status),
+      skipped: outcomes.filter(outcome => !outcome.status).map(outcome => outcome.execution_id)
+    }
+  };
+};
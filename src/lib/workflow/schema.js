@@ -0,0 +1,140 @@
+// Minimal JSON Schema support for step configuration
+// Covers the subset used by step and integration schemas: object/string/number/integer/boolean/array
+// types, `required`, `enum`, `default`, `minimum`/`maximum`, `minLength`/`maxLength`, `pattern`,
+// `format` (email, uri, expression, cron) and `additionalProperties` for key/value maps.
+// String values containing `{{ }}` templates are resolved at run time, so only their syntax is checked here.
+
+import { isTemplate, validateTemplate, validateExpression } from './expressions.js';
+import { validateCron } from './schedule.js';
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const checkType = (schema, value) => {
+  switch (schema.type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+};
+
+const validateValue = (schema = {}, value, path, errors) => {
+  const label = schema.title || path;
+
+  if (isEmpty(value)) {
+    // Still report required fields of a nested object that has not been filled in yet
+    if (schema.type === 'object' && schema.required?.length) validateObject(schema, {}, path, errors);
+    return;
+  }
+
+  if (isTemplate(value) && schema.format !== 'expression') {
+    const templateError = validateTemplate(value);
+    if (templateError) errors[path] = `${label}: ${templateError}`;
+    return;
+  }
+
+  if (!checkType(schema, value)) {
+    errors[path] = `${label} must be ${schema.type === 'integer' ? 'a whole number' : `a ${schema.type}`}`;
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors[path] = schema.enum.length > 10
+      ? `${label} must be one of the listed options`
+      : `${label} must be one of: ${schema.enum.join(', ')}`;
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors[path] = `${label} must be at least ${schema.minLength} characters`;
+    } else if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors[path] = `${label} must be at most ${schema.maxLength} characters`;
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors[path] = `${label} is not in the expected format`;
+    } else if (schema.format === 'expression') {
+      const expressionError = validateExpression(value.replace(/^\s*\{\{([\s\S]*)\}\}\s*$/, '$1'));
+      if (expressionError) errors[path] = `${label}: ${expressionError}`;
+    } else if (schema.format === 'cron') {
+      const cronError = validateCron(value);
+      if (cronError) errors[path] = `${label}: ${cronError}`;
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors[path] = `${label} must be a valid ${schema.format}`;
+    }
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors[path] = `${label} must be at least ${schema.minimum}`;
+    } else if (schema.maximum != null && value > schema.maximum) {
+      errors[path] = `${label} must be at most ${schema.maximum}`;
+    }
+    return;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(schema.items, item, joinPath(path, index), errors));
+    return;
+  }
+
+  if (schema.type === 'object') {
+    validateObject(schema, value, path, errors);
+  }
+};
+
+const validateObject = (schema, value = {}, path, errors) => {
+  (schema.required || []).forEach(key => {
+    if (isEmpty(value?.[key])) {
+      errors[joinPath(path, key)] = `${schema.properties?.[key]?.title || key} is required`;
+    }
+  });
+
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    validateValue(propertySchema, value?.[key], joinPath(path, key), errors);
+  });
+
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    Object.entries(value || {})
+      .filter(([key]) => !schema.properties?.[key])
+      .forEach(([key, item]) => validateValue(schema.additionalProperties, item, joinPath(path, key), errors));
+  }
+};
+
+// Validate a value against a schema. Errors are keyed by dotted field path.
+export const validateSchema = (schema, value) => {
+  const errors = {};
+  if (!schema) return { valid: true, errors };
+
+  if (schema.type === 'object' || schema.properties) {
+    validateObject(schema, value || {}, '', errors);
+  } else {
+    validateValue(schema, value, '', errors);
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+// Build an initial value from the schema's defaults
+export const getSchemaDefaults = (schema = {}) => {
+  if (schema.default !== undefined) return schema.default;
+  if (schema.type !== 'object' && !schema.properties) return undefined;
+
+  return Object.entries(schema.properties || {}).reduce((defaults, [key, propertySchema]) => {
+    const value = getSchemaDefaults(propertySchema);
+    return value === undefined ? defaults : { ...defaults, [key]: value };
+  }, {});
+};
+
+export const isRequired = (schema, key) => (schema?.required || []).includes(key);
@@ -0,0 +1,574 @@
+// Configuration schemas for each step type
+// Built-in step types have fixed schemas; integration steps are assembled from the
+// `integrations.config_schema` column, which lists the actions an integration offers:
+//   { actions: { <actionId>: { title, description, input: <JSON Schema>, output: <JSON Schema> } } }
+// An integration whose schema has no `actions` is treated as a single action whose input is the schema itself.
+
+import { validateSchema } from './schema.js';
+import { getTimezones } from './schedule.js';
+import { ERROR_CLASSES, DEFAULT_RETRY_ON } from './retry.js';
+import { APPROVAL_ROLES } from './approvals.js';
+import { HTTP_METHODS, BODY_TYPES, PAGINATION_TYPES, DEFAULT_MAX_PAGES, MAX_PAGES } from './http.js';
+
+export const MAX_LOOP_CONCURRENCY = 20;
+
+export const stepSchemas = {
+  trigger: {
+    type: 'object',
+    properties: {
+      kind: {
+        type: 'string',
+        title: 'Trigger type',
+        enum: ['manual', 'schedule', 'webhook'],
+        enumNames: ['Manual', 'Schedule', 'Webhook'],
+        default: 'manual'
+      }
+    }
+  },
+  action: {
+    type: 'object',
+    properties: {
+      set: {
+        type: 'object',
+        title: 'Fields to set',
+        description: 'Values merged into the data passed to the next step. Use {{ }} to map fields from earlier steps.',
+        additionalProperties: { type: 'string' }
+      }
+    }
+  },
+  condition: {
+    type: 'object',
+    properties: {
+      condition: {
+        type: 'string',
+        title: 'Condition',
+        format: 'expression',
+        description: 'e.g. data.amount > 1000 && upper(steps.lookup.output.country) == "US"'
+      }
+    },
+    required: ['condition']
+  },
+  delay: {
+    type: 'object',
+    properties: {
+      duration: {
+        type: 'number',
+        title: 'Duration',
+        minimum: 0
+      },
+      unit: {
+        type: 'string',
+        title: 'Unit',
+        enum: ['seconds', 'minutes', 'hours', 'days'],
+        enumNames: ['Seconds', 'Minutes', 'Hours', 'Days'],
+        default: 'minutes'
+      }
+    },
+    required: ['duration', 'unit']
+  },
+  http_request: {
+    type: 'object',
+    properties: {
+      method: {
+        type: 'string',
+        title: 'Method',
+        enum: HTTP_METHODS,
+        default: 'GET'
+      },
+      url: {
+        type: 'string',
+        title: 'URL',
+        format: 'uri',
+        description: 'e.g. https://api.example.com/orders/{{ data.order_id }}'
+      },
+      query: {
+        type: 'object',
+        title: 'Query parameters',
+        additionalProperties: { type: 'string' }
+      },
+      headers: {
+        type: 'object',
+        title: 'Headers',
+        additionalProperties: { type: 'string' }
+      },
+      body_type: {
+        type: 'string',
+        title: 'Body',
+        enum: Object.keys(BODY_TYPES),
+        enumNames: Object.values(BODY_TYPES),
+        default: 'none'
+      },
+      body: {
+        type: 'object',
+        title: 'Body fields',
+        description: 'Ignored for GET and HEAD. A JSON body without fields sends the current data.',
+        additionalProperties: { type: 'string' }
+      },
+      success_statuses: {
+        type: 'string',
+        title: 'Successful statuses',
+        description: 'e.g. 2xx, 404. Other statuses fail the step; 429 and 5xx are retried like other transient errors.',
+        default: '2xx'
+      },
+      response_type: {
+        type: 'string',
+        title: 'Read response as',
+        enum: ['auto', 'json', 'text'],
+        enumNames: ['From Content-Type', 'JSON', 'Text'],
+        default: 'auto'
+      },
+      pagination: {
+        type: 'object',
+        title: 'Pagination',
+        description: 'Follow pages and collect their items into output.items',
+        properties: {
+          type: {
+            type: 'string',
+            title: 'Pages by',
+            enum: Object.keys(PAGINATION_TYPES),
+            enumNames: Object.values(PAGINATION_TYPES),
+            default: 'none'
+          },
+          items_path: {
+            type: 'string',
+            title: 'Items path',
+            description: 'Where each page lists its items, e.g. data.results. Empty when the body is the list.'
+          },
+          cursor_path: {
+            type: 'string',
+            title: 'Next cursor path',
+            description: 'For cursors: where the response gives the next cursor, e.g. meta.next_cursor'
+          },
+          cursor_param: {
+            type: 'string',
+            title: 'Cursor parameter',
+            default: 'cursor'
+          },
+          offset_param: {
+            type: 'string',
+            title: 'Offset parameter',
+            default: 'offset'
+          },
+          limit_param: {
+            type: 'string',
+            title: 'Limit parameter',
+            default: 'limit'
+          },
+          page_size: {
+            type: 'integer',
+            title: 'Page size',
+            description: 'For offsets: sent as the limit; a shorter page is the last',
+            minimum: 1
+          },
+          max_pages: {
+            type: 'integer',
+            title: 'Max pages',
+            minimum: 1,
+            maximum: MAX_PAGES,
+            default: DEFAULT_MAX_PAGES
+          }
+        }
+      },
+      output: {
+        type: 'object',
+        title: 'Output',
+        description: 'Fields to pass on, e.g. total: {{ response.body.total }}. Leave empty to pass on status, headers and body.',
+        additionalProperties: { type: 'string' }
+      }
+    },
+    required: ['method', 'url']
+  },
+  approval: {
+    type: 'object',
+    properties: {
+      instructions: {
+        type: 'string',
+        title: 'Instructions',
+        description: 'Shown to approvers with the data waiting on their decision. Use {{ }} to include fields.'
+      },
+      assignee_roles: {
+        type: 'array',
+        title: 'Assign to roles',
+        items: {
+          type: 'string',
+          enum: Object.keys(APPROVAL_ROLES),
+          enumNames: Object.values(APPROVAL_ROLES)
+        },
+        default: ['org_admin', 'manager']
+      },
+      assignee_ids: {
+        type: 'array',
+        title: 'Assign to people',
+        items: { type: 'string' }
+      },
+      due_in_hours: {
+        type: 'number',
+        title: 'Due within (hours)',
+        description: 'Shown to approvers; the run keeps waiting after this',
+        minimum: 1
+      }
+    }
+  },
+  for_each: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'string',
+        title: 'Items',
+        description: 'The list to loop over, e.g. {{ data.line_items }}. Steps on the "Each item" branch read the current item as loop.item.'
+      },
+      concurrency: {
+        type: 'integer',
+        title: 'Items at a time',
+        minimum: 1,
+        maximum: MAX_LOOP_CONCURRENCY,
+        default: 1
+      }
+    },
+    required: ['items']
+  },
+  sub_workflow: {
+    type: 'object',
+    properties: {
+      workflow_id: {
+        type: 'string',
+        title: 'Workflow'
+      },
+      input: {
+        type: 'object',
+        title: 'Input',
+        description: 'Input fields for the called workflow. Leave empty to pass the current data.',
+        additionalProperties: { type: 'string' }
+      }
+    },
+    required: ['workflow_id']
+  }
+};
+
+// Sub-workflow steps pick from the organization's other workflows when they are known
+const getSubWorkflowSchema = (workflows = []) => {
+  const schema = stepSchemas.sub_workflow;
+  if (workflows.length === 0) return schema;
+
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      workflow_id: {
+        ...schema.properties.workflow_id,
+        enum: workflows.map(workflow => workflow.id),
+        enumNames: workflows.map(workflow => workflow.name)
+      }
+    }
+  };
+};
+
+// Approvers can be picked from the organization's members when they are known
+const getApprovalSchema = (users = []) => {
+  const schema = stepSchemas.approval;
+  if (users.length === 0) return schema;
+
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      assignee_ids: {
+        ...schema.properties.assignee_ids,
+        items: {
+          type: 'string',
+          enum: users.map(user => user.id),
+          enumNames: users.map(user => user.full_name || user.email)
+        }
+      }
+    }
+  };
+};
+
+// Events integrations send, as `<integrationId>.<triggerId>`, read from each integration's `config_schema.triggers`
+export const getIntegrationTriggers = (integrations = []) =>
+  integrations.flatMap(integration => Object.entries(integration.config_schema?.triggers || {})
+    .map(([triggerId, trigger]) => ({
+      ...trigger,
+      id: `${integration.id}.${triggerId}`,
+      title: `${integration.name}: ${trigger.title || triggerId}`
+    })));
+
+const getWebhookTriggerSchema = (config = {}, integrations = []) => {
+  const eventSources = getIntegrationTriggers(integrations);
+  const properties = {
+    ...stepSchemas.trigger.properties,
+    // Issued by the builder; identifies the trigger's URL
+    webhook_id: {
+      type: 'string',
+      title: 'Webhook ID',
+      readOnly: true
+    },
+    ...(eventSources.length > 0 ? {
+      event_source: {
+        type: 'string',
+        title: 'Sent by',
+        description: 'The integration event this URL receives, so its fields can be mapped',
+        enum: eventSources.map(source => source.id),
+        enumNames: eventSources.map(source => source.title)
+      }
+    } : {}),
+    verify_signature: {
+      type: 'boolean',
+      title: 'Require signature',
+      description: 'Reject deliveries without a valid HMAC-SHA256 signature of the body',
+      default: false
+    },
+    mapping: {
+      type: 'object',
+      title: 'Input mapping',
+      description: 'Run input fields built from the request, e.g. order_id = {{ body.id }}. Leave empty to use the body as-is.',
+      additionalProperties: { type: 'string' }
+    }
+  };
+
+  if (config.verify_signature) {
+    properties.signature_header = {
+      type: 'string',
+      title: 'Signature header',
+      default: 'X-Signature-256'
+    };
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: config.verify_signature ? ['webhook_id', 'signature_header'] : ['webhook_id']
+  };
+};
+
+// Schedule and webhook triggers add fields for their kind
+const getTriggerSchema = (config = {}, integrations = []) => {
+  const schema = stepSchemas.trigger;
+  if (config.kind === 'webhook') return getWebhookTriggerSchema(config, integrations);
+  if (config.kind !== 'schedule') return schema;
+
+  const properties = {
+    ...schema.properties,
+    schedule_type: {
+      type: 'string',
+      title: 'Repeat',
+      enum: ['interval', 'cron'],
+      enumNames: ['At a fixed interval', 'On a cron schedule'],
+      default: 'interval'
+    }
+  };
+
+  if (config.schedule_type === 'cron') {
+    return {
+      type: 'object',
+      properties: {
+        ...properties,
+        cron: {
+          type: 'string',
+          title: 'Cron expression',
+          format: 'cron',
+          description: 'minute hour day-of-month month day-of-week, e.g. 0 9 * * 1-5'
+        },
+        timezone: {
+          type: 'string',
+          title: 'Timezone',
+          enum: getTimezones(),
+          default: 'UTC'
+        }
+      },
+      required: ['schedule_type', 'cron', 'timezone']
+    };
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      interval: {
+        type: 'integer',
+        title: 'Every',
+        minimum: 1,
+        default: 1
+      },
+      interval_unit: {
+        type: 'string',
+        title: 'Unit',
+        enum: ['minutes', 'hours', 'days'],
+        enumNames: ['Minutes', 'Hours', 'Days'],
+        default: 'hours'
+      }
+    },
+    required: ['schedule_type', 'interval', 'interval_unit']
+  };
+};
+
+// Step types that call out to other systems and can fail transiently
+export const RETRYABLE_STEP_TYPES = ['action', 'integration', 'http_request'];
+
+const errorHandlingProperties = {
+  timeout_seconds: {
+    type: 'number',
+    title: 'Timeout (seconds)',
+    description: 'Fail an attempt that runs longer than this',
+    minimum: 1
+  },
+  retry: {
+    type: 'object',
+    title: 'Retries',
+    properties: {
+      max_attempts: {
+        type: 'integer',
+        title: 'Max attempts',
+        minimum: 1,
+        maximum: 10,
+        default: 1
+      },
+      backoff_seconds: {
+        type: 'number',
+        title: 'First retry after (seconds)',
+        minimum: 0,
+        default: 1
+      },
+      backoff_multiplier: {
+        type: 'number',
+        title: 'Backoff multiplier',
+        description: 'Each further retry waits this many times longer',
+        minimum: 1,
+        default: 2
+      },
+      retry_on: {
+        type: 'array',
+        title: 'Retry on',
+        description: 'With nothing selected, timeouts, network, rate limit and server errors are retried',
+        items: {
+          type: 'string',
+          enum: Object.keys(ERROR_CLASSES),
+          enumNames: Object.values(ERROR_CLASSES)
+        },
+        default: DEFAULT_RETRY_ON
+      }
+    }
+  }
+};
+
+const withErrorHandling = (schema) => ({
+  ...schema,
+  properties: { ...schema.properties, ...errorHandlingProperties }
+});
+
+export const DEFAULT_ACTION = 'default';
+
+// Actions an integration offers, read from its `config_schema`
+export const getIntegrationActions = (integration) => {
+  const configSchema = integration?.config_schema || {};
+  if (configSchema.actions) return configSchema.actions;
+  if (configSchema.properties) {
+    return { [DEFAULT_ACTION]: { title: integration.name, input: configSchema } };
+  }
+  return {};
+};
+
+// Integrations with credentials or settings run with one of the organization's stored connections
+export const integrationNeedsConnection = (integration) => {
+  const configSchema = integration?.config_schema || {};
+  return (!!configSchema.auth && configSchema.auth.type !== 'none')
+    || Object.keys(configSchema.config?.properties || {}).length > 0;
+};
+
+const connectionLabel = (connection) =>
+  (connection.status === 'active' ? connection.name : `${connection.name} (${connection.status})`);
+
+const getIntegrationSchema = (config = {}, integrations = [], connections = []) => {
+  const integration = integrations.find(item => item.id === config.integration_id);
+  const actions = getIntegrationActions(integration);
+  const actionIds = Object.keys(actions);
+  // Credential-only integrations, such as HTTP API, are used by HTTP Request steps instead
+  const runnable = integrations.filter(item => item.id === config.integration_id || Object.keys(getIntegrationActions(item)).length > 0);
+
+  const properties = {
+    integration_id: {
+      type: 'string',
+      title: 'Integration',
+      enum: runnable.map(item => item.id),
+      enumNames: runnable.map(item => item.name)
+    }
+  };
+  const required = ['integration_id'];
+
+  if (integrationNeedsConnection(integration)) {
+    const available = connections.filter(connection => connection.integration_id === integration.id);
+    properties.connection_id = {
+      type: 'string',
+      title: 'Connection',
+      description: available.length === 0 ? `Connect ${integration.name} under Integrations first` : undefined,
+      enum: available.map(connection => connection.id),
+      enumNames: available.map(connectionLabel),
+      default: available.length === 1 ? available[0].id : undefined
+    };
+    required.push('connection_id');
+  }
+
+  if (actionIds.length > 0) {
+    properties.action = {
+      type: 'string',
+      title: 'Action',
+      enum: actionIds,
+      enumNames: actionIds.map(id => actions[id].title || id),
+      default: actionIds.length === 1 ? actionIds[0] : undefined
+    };
+    required.push('action');
+  }
+
+  const action = actions[config.action];
+  if (action?.input) {
+    properties.params = { title: 'Settings', ...action.input, type: 'object' };
+  }
+
+  return { type: 'object', properties, required };
+};
+
+// HTTP Request steps can authenticate with a connection of any integration whose connector supports it
+const getHttpRequestSchema = (integrations = [], connections = []) => {
+  const names = Object.fromEntries(integrations
+    .filter(integration => integration.config_schema?.request_auth)
+    .map(integration => [integration.id, integration.name]));
+  const available = connections.filter(connection => names[connection.integration_id]);
+  const { properties, required } = stepSchemas.http_request;
+  return {
+    type: 'object',
+    properties: {
+      connection_id: {
+        type: 'string',
+        title: 'Authentication',
+        description: available.length === 0
+          ? 'Add an HTTP API connection, or one of a supported integration, under Integrations to send credentials'
+          : 'Credentials are only sent to the connection\'s own hosts',
+        enum: ['', ...available.map(connection => connection.id)],
+        enumNames: ['None', ...available.map(connection => `${names[connection.integration_id]}: ${connectionLabel(connection)}`)],
+        default: ''
+      },
+      ...properties
+    },
+    required
+  };
+};
+
+// Schema for a step's `config`, given the integrations available to the organization and, for
+// integration, HTTP request, approval and sub-workflow steps, its integration connections (`connections`), members
+// (`users`) and other workflows (`workflows`)
+export const getStepSchema = (step, integrations = [], { users = [], workflows = [], connections = [] } = {}) => {
+  let schema = stepSchemas[step.type] || { type: 'object', properties: {} };
+  if (step.type === 'integration') schema = getIntegrationSchema(step.config, integrations, connections);
+  if (step.type === 'http_request') schema = getHttpRequestSchema(integrations, connections);
+  if (step.type === 'trigger') schema = getTriggerSchema(step.config, integrations);
+  if (step.type === 'approval') schema = getApprovalSchema(users);
+  if (step.type === 'sub_workflow') schema = getSubWorkflowSchema(workflows);
+  return RETRYABLE_STEP_TYPES.includes(step.type) ? withErrorHandling(schema) : schema;
+};
+
+// Validate every step in a graph. Returns `{ [stepId]: errors }` for steps with problems.
+export const validateSteps = (nodes = [], integrations = [], options = {}) =>
+  nodes.reduce((invalid, node) => {
+    const { valid, errors } = validateSchema(getStepSchema(node, integrations, options), node.config || {});
+    return valid ? invalid : { ...invalid, [node.id]: errors };
+  }, {});
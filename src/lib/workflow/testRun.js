@@ -0,0 +1,80 @@
+// Test runs
+// Run a workflow graph from the builder without recording anything in `workflow_executions`.
+// Steps with side effects are stubbed: they return a mock response, recorded from an earlier run or
+// entered by the user, instead of calling out or starting another workflow. A stubbed step without a mock passes its input through.
+// Delays and retry backoff do not wait, and approval steps take the decision picked for the test
+// (approved unless told otherwise) instead of pausing.
+
+import { getDelayMs, runGraph } from './engine.js';
+
+// Step types whose handlers reach other systems or start other runs
+export const MOCKED_STEP_TYPES = ['integration', 'http_request', 'sub_workflow'];
+
+export const isMockedStep = (node) => MOCKED_STEP_TYPES.includes(node?.type);
+
+const mockHandler = (mocks) => async ({ step, data }) => ({
+  output: mocks[step.id] === undefined ? data : mocks[step.id]
+});
+
+const getTestDecisions = (graph, decisions) => Object.fromEntries(
+  graph.nodes
+    .filter(node => node.type === 'approval')
+    .map(node => [node.id, { decision: decisions[node.id] || 'approved', comment: null, decided_by: null, decided_at: null }])
+);
+
+// Run `graph` against `input`. `mocks` maps step ids to the output their stubbed step returns, and
+// `decisions` maps approval step ids to 'approved' or 'rejected'.
+// Resolves to `{ success, data: { output, trace, skipped, duration_ms }, error, failedStepId }`.
+export const runTest = async (graph, input = {}, { mocks = {}, decisions = {}, ...options } = {}) => {
+  const handlers = {
+    ...Object.fromEntries(MOCKED_STEP_TYPES.map(type => [type, mockHandler(mocks)])),
+    // Long delays would otherwise pause the run until the scheduler picks it up. The delay is still
+    // checked, so a test run fails on a delay the real run would fail on.
+    delay: async ({ step, data }) => {
+      getDelayMs(step.config);
+      return { output: data };
+    }
+  };
+  const markMocked = (trace = []) => trace.map(entry => ({ ...entry, mocked: MOCKED_STEP_TYPES.includes(entry.step_type) }));
+  const startedAt = Date.now();
+
+  try {
+    const run = await runGraph(graph, input, {
+      ...options,
+      handlers,
+      decisions: getTestDecisions(graph, decisions),
+      sleep: async () => {}
+    });
+    return {
+      success: true,
+      data: {
+        output: run.data,
+        trace: markMocked(run.trace),
+        skipped: run.skipped,
+        duration_ms: Date.now() - startedAt
+      }
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      failedStepId: error.stepId || null,
+      data: {
+        output: null,
+        trace: markMocked(error.trace),
+        skipped: [],
+        duration_ms: Date.now() - startedAt
+      }
+    };
+  }
+};
+
+// The latest completed output of each stubbed step across `steps` (workflow_execution_steps rows, newest first)
+export const getRecordedMocks = (graph, steps = []) => {
+  const mockedIds = new Set(graph.nodes.filter(isMockedStep).map(node => node.id));
+  return steps.reduce((mocks, step) => (
+    mockedIds.has(step.step_id) && step.status === 'completed' && !(step.step_id in mocks)
+      ? { ...mocks, [step.step_id]: step.output_data }
+      : mocks
+  ), {});
+};
@@ -0,0 +1,176 @@
+// Workflow version history
+// Every save from the builder that changes the definition adds an immutable row to `workflow_versions`.
+// New versions start as drafts. Publishing a version copies its config to `workflows.config`, which is
+// what the engine, scheduler and webhooks run, and records its number in `workflows.published_version`.
+// Restoring an old version adds a new draft with its config rather than rewriting history.
+
+import { normalizeGraph } from './graph.js';
+import { getWorkflowNextRun } from './schedule.js';
+import { syncWebhooks } from './webhooks.js';
+
+// The versioned part of a workflow; name, description and status are not versioned
+export const getVersionConfig = ({ nodes = [], edges = [], settings = {} }, version) => ({
+  nodes,
+  edges,
+  settings,
+  version
+});
+
+const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isEqual(a[key], b[key]));
+};
+
+// Whether two configs define different workflows. The version number itself is ignored.
+export const hasChanges = (fromConfig, toConfig) => {
+  const from = normalizeGraph(fromConfig);
+  const to = normalizeGraph(toConfig);
+  return !isEqual(from.nodes, to.nodes)
+    || !isEqual(from.edges, to.edges)
+    || !isEqual(fromConfig?.settings || {}, toConfig?.settings || {});
+};
+
+const diffFields = (before = {}, after = {}, prefix = '') =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !isEqual(before[key], after[key]))
+    .map(key => ({ field: `${prefix}${key}`, before: before[key], after: after[key] }));
+
+// Canvas position is layout only, so moving a step is not reported as a change
+const diffStep = (before, after) => [
+  ...diffFields(
+    { name: before.name, key: before.key, type: before.type },
+    { name: after.name, key: after.key, type: after.type }
+  ),
+  ...diffFields(before.config, after.config, 'config.')
+];
+
+// Step-by-step differences between two configs. Steps are matched by id and listed in the order of
+// `fromConfig`, followed by steps only `toConfig` has.
+export const diffVersions = (fromConfig, toConfig) => {
+  const from = normalizeGraph(fromConfig);
+  const to = normalizeGraph(toConfig);
+  const fromIds = new Set(from.nodes.map(node => node.id));
+  const toNodes = new Map(to.nodes.map(node => [node.id, node]));
+
+  const steps = [
+    ...from.nodes.map(node => {
+      const after = toNodes.get(node.id);
+      if (!after) return { id: node.id, status: 'removed', before: node, after: null, changes: [] };
+      const changes = diffStep(node, after);
+      return { id: node.id, status: changes.length > 0 ? 'changed' : 'unchanged', before: node, after, changes };
+    }),
+    ...to.nodes
+      .filter(node => !fromIds.has(node.id))
+      .map(node => ({ id: node.id, status: 'added', before: null, after: node, changes: [] }))
+  ];
+
+  const fromEdgeIds = new Set(from.edges.map(edge => edge.id));
+  const toEdgeIds = new Set(to.edges.map(edge => edge.id));
+  const connections = {
+    added: to.edges.filter(edge => !fromEdgeIds.has(edge.id)),
+    removed: from.edges.filter(edge => !toEdgeIds.has(edge.id))
+  };
+  const settings = diffFields(fromConfig?.settings, toConfig?.settings);
+
+  return {
+    steps,
+    connections,
+    settings,
+    hasChanges: steps.some(step => step.status !== 'unchanged')
+      || connections.added.length > 0
+      || connections.removed.length > 0
+      || settings.length > 0
+  };
+};
+
+// Webhook rows are kept for the live version and every draft saved on top of it
+const syncVersionWebhooks = async (client, workflow) => {
+  const { data, error } = await client
+    .from('workflow_versions')
+    .select('config')
+    .eq('workflow_id', workflow.id)
+    .gte('version', workflow.published_version || 0);
+
+  if (error) throw error;
+  await syncWebhooks(client, {
+    workflowId: workflow.id,
+    organizationId: workflow.organization_id,
+    configs: (data || []).map(version => version.config)
+  });
+};
+
+// Add a draft version with `config`. `restoredFrom` records the version number a restore copied.
+export const createVersion = async ({ client, workflow, config, createdBy = null, restoredFrom = null }) => {
+  try {
+    const { data: latest, error: latestError } = await client
+      .from('workflow_versions')
+      .select('version')
+      .eq('workflow_id', workflow.id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) throw latestError;
+
+    const version = (latest?.version || 0) + 1;
+    const { data, error } = await client
+      .from('workflow_versions')
+      .insert({
+        workflow_id: workflow.id,
+        organization_id: workflow.organization_id,
+        version,
+        config: { ...config, version },
+        created_by: createdBy,
+        restored_from: restoredFrom
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    await syncVersionWebhooks(client, workflow);
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error creating workflow version:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const restoreVersion = ({ client, workflow, version, createdBy = null }) =>
+  createVersion({ client, workflow, config: version.config, createdBy, restoredFrom: version.version });
+
+// Make `version` the live definition of `workflow`. Runs already in progress keep the version they started on.
+export const publishVersion = async ({ client, workflow, version, publishedBy = null, now = new Date() }) => {
+  try {
+    const config = { ...version.config, version: version.version };
+    const updates = {
+      config,
+      published_version: version.version,
+      next_run_at: getWorkflowNextRun(config, now),
+      updated_at: now.toISOString()
+    };
+
+    const { error } = await client
+      .from('workflows')
+      .update(updates)
+      .eq('id', workflow.id);
+
+    if (error) throw error;
+
+    const { error: versionError } = await client
+      .from('workflow_versions')
+      .update({ published_at: now.toISOString(), published_by: publishedBy })
+      .eq('id', version.id);
+
+    if (versionError) throw versionError;
+
+    const published = { ...workflow, ...updates };
+    await syncVersionWebhooks(client, published);
+    return { success: true, data: published };
+  } catch (error) {
+    console.error('Error publishing workflow version:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,232 @@
+// Inbound webhook triggers
+// A trigger step with `kind: 'webhook'` gets a unique URL (`.../workflow-webhook/<webhook_id>`).
+// Deliveries can be signed with HMAC-SHA256 over the raw body using the per-trigger secret stored in
+// `workflow_webhooks`. Every delivery, accepted or rejected, is logged to `webhook_deliveries` with
+// credentials in its headers redacted. An accepted delivery is answered with 202 before its run starts;
+// senders that retry can set a delivery id header so a repeated delivery starts no second run.
+
+import { normalizeGraph } from './graph.js';
+import { resolveConfig } from './expressions.js';
+import { executeWorkflow } from './engine.js';
+
+export const DEFAULT_SIGNATURE_HEADER = 'X-Signature-256';
+
+// Only the first part of a large body is kept in the delivery log
+const MAX_LOGGED_BODY_LENGTH = 10000;
+
+// Headers senders use to identify a delivery across retries, in order of preference
+export const DELIVERY_ID_HEADERS = ['x-delivery-id', 'idempotency-key', 'x-github-delivery', 'x-webhook-id'];
+
+// Headers whose values are never written to the delivery log
+const SENSITIVE_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'api-key']);
+const SENSITIVE_HEADER_PATTERN = /token|secret|signature|password|api[-_]?key/i;
+
+export const REDACTED = '[redacted]';
+
+export const redactHeaders = (headers = {}, extra = []) => {
+  const names = new Set([...SENSITIVE_HEADERS, ...extra.map(name => name.toLowerCase())]);
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    names.has(name.toLowerCase()) || SENSITIVE_HEADER_PATTERN.test(name) ? REDACTED : value
+  ]));
+};
+
+export const getDeliveryId = (headers = {}) => {
+  const name = DELIVERY_ID_HEADERS.find(header => headers[header]);
+  return name ? String(headers[name]).slice(0, 200) : null;
+};
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+export const generateSecret = () => toHex(crypto.getRandomValues(new Uint8Array(32)));
+
+export const getWebhookUrl = (webhookId, baseUrl) =>
+  `${String(baseUrl || '').replace(/\/$/, '')}/functions/v1/workflow-webhook/${webhookId}`;
+
+// Hex HMAC-SHA256 of `payload`
+export const signPayload = async (secret, payload) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(payload)));
+};
+
+// Compare without returning early, so timing does not reveal how much of a signature matched
+const timingSafeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    difference |= a.charCodeAt(index) ^ b.charCodeAt(index);
+  }
+  return difference === 0;
+};
+
+// Accepts `<hex>` or `sha256=<hex>`, the format used by GitHub and many other senders
+export const verifySignature = async (secret, payload, signature) => {
+  if (!secret || !signature) return false;
+  const provided = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+  return timingSafeEqual(provided, await signPayload(secret, payload));
+};
+
+export const isWebhookTrigger = (node) => node?.type === 'trigger' && node.config?.kind === 'webhook';
+
+export const getWebhookTriggers = (config) => normalizeGraph(config).nodes.filter(isWebhookTrigger);
+
+// Parse a request body by content type. Throws when a JSON body is malformed.
+export const parseWebhookBody = (rawBody, contentType = '') => {
+  if (!rawBody) return {};
+  if (contentType.includes('application/json')) return JSON.parse(rawBody);
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(rawBody));
+  }
+  try {
+    return JSON.parse(rawBody);
+  } catch {
+    return { raw: rawBody };
+  }
+};
+
+// Build the execution input. With no mapping the parsed body is used as-is; otherwise each
+// mapped field is a template over `body`, `headers` and `query`.
+export const mapWebhookInput = (mapping, request) => {
+  if (!mapping || Object.keys(mapping).length === 0) return request.body;
+  return resolveConfig(mapping, request);
+};
+
+// Log a delivery and return the new row's id. Fails with code 23505 when an accepted delivery with the
+// same delivery id was logged before.
+const recordDelivery = async (client, delivery) => {
+  const { data, error } = await client
+    .from('webhook_deliveries')
+    .insert({
+      ...delivery,
+      body: delivery.body?.length > MAX_LOGGED_BODY_LENGTH
+        ? delivery.body.slice(0, MAX_LOGGED_BODY_LENGTH)
+        : delivery.body
+    })
+    .select('id')
+    .single();
+
+  if (error && error.code !== '23505') console.error('Error recording webhook delivery:', error);
+  return { id: data?.id || null, error };
+};
+
+// Start the run for an accepted delivery and link it to the delivery log
+const runDelivery = async ({ client, workflow, inputData, deliveryId, ...options }) => {
+  let update;
+  try {
+    const result = await executeWorkflow({ client, workflow, inputData, triggerType: 'webhook', ...options });
+    update = { execution_id: result.data?.id || null, reason: result.error || null };
+  } catch (runError) {
+    console.error('Error running webhook workflow:', runError);
+    update = { reason: runError.message };
+  }
+
+  const { error } = await client.from('webhook_deliveries').update(update).eq('id', deliveryId);
+  if (error) console.error('Error recording webhook delivery:', error);
+};
+
+// Handle a delivery to `webhookId`. `request` is `{ method, headers, query, body }` with `body` as raw text
+// and lower-cased header names. Returns `{ status, body }` for the HTTP response.
+// `dispatch` receives the run's promise so the caller can respond first (the Edge Function passes
+// EdgeRuntime.waitUntil); without it the run is awaited before returning.
+export const handleWebhookDelivery = async ({ client, webhookId, request, dispatch = null, ...options }) => {
+  const { data: webhook, error } = await client
+    .from('workflow_webhooks')
+    .select('id, secret, workflow_id, organization_id, workflow:workflows(*)')
+    .eq('id', webhookId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading webhook:', error);
+    return { status: 500, body: { error: 'Could not load webhook' } };
+  }
+  if (!webhook) return { status: 404, body: { error: 'Unknown webhook' } };
+
+  const workflow = webhook.workflow;
+  const trigger = getWebhookTriggers(workflow?.config).find(node => node.config.webhook_id === webhook.id);
+  const signatureHeader = (trigger?.config.signature_header || DEFAULT_SIGNATURE_HEADER).toLowerCase();
+
+  const delivery = {
+    webhook_id: webhook.id,
+    workflow_id: webhook.workflow_id,
+    organization_id: webhook.organization_id,
+    delivery_id: getDeliveryId(request.headers),
+    method: request.method,
+    headers: redactHeaders(request.headers, [signatureHeader]),
+    body: request.body
+  };
+
+  const reject = async (status, reason) => {
+    await recordDelivery(client, { ...delivery, status: 'rejected', response_status: status, reason });
+    return { status, body: { error: reason } };
+  };
+
+  if (!trigger) return reject(410, 'This webhook is no longer used by the workflow');
+  if (workflow.status !== 'active') return reject(409, `Workflow is ${workflow.status}`);
+
+  if (trigger.config.verify_signature) {
+    const signature = request.headers[signatureHeader];
+    if (!signature) return reject(401, `Missing signature header ${signatureHeader}`);
+    if (!(await verifySignature(webhook.secret, request.body || '', signature))) {
+      return reject(401, 'Signature does not match');
+    }
+  }
+
+  let inputData;
+  try {
+    const body = parseWebhookBody(request.body, request.headers['content-type']);
+    inputData = mapWebhookInput(trigger.config.mapping, { body, headers: request.headers, query: request.query || {} });
+  } catch (parseError) {
+    return reject(400, `Could not read request: ${parseError.message}`);
+  }
+
+  const logged = await recordDelivery(client, { ...delivery, status: 'accepted', response_status: 202 });
+  if (logged.error?.code === '23505') {
+    return { status: 200, body: { delivery_id: delivery.delivery_id, duplicate: true } };
+  }
+  if (logged.error) return { status: 500, body: { error: 'Could not record delivery' } };
+
+  const run = runDelivery({ client, workflow, inputData, deliveryId: logged.id, ...options });
+  if (dispatch) {
+    dispatch(run);
+  } else {
+    await run;
+  }
+
+  return { status: 202, body: { delivery_id: delivery.delivery_id || logged.id, status: 'accepted' } };
+};
+
+// Keep `workflow_webhooks` in step with the webhook triggers in `configs`.
+// Existing rows keep their secret; rows no config uses any more are deleted.
+export const syncWebhooks = async (client, { workflowId, organizationId, configs }) => {
+  const webhookIds = [...new Set(configs.flatMap(config => getWebhookTriggers(config).map(node => node.config.webhook_id)))];
+
+  if (webhookIds.length > 0) {
+    const { error } = await client
+      .from('workflow_webhooks')
+      .upsert(
+        webhookIds.map(webhookId => ({
+          id: webhookId,
+          workflow_id: workflowId,
+          organization_id: organizationId,
+          secret: generateSecret()
+        })),
+        { onConflict: 'id', ignoreDuplicates: true }
+      );
+    if (error) throw error;
+  }
+
+  let staleQuery = client.from('workflow_webhooks').delete().eq('workflow_id', workflowId);
+  if (webhookIds.length > 0) staleQuery = staleQuery.not('id', 'in', `(${webhookIds.join(',')})`);
+  const { error: deleteError } = await staleQuery;
+  if (deleteError) throw deleteError;
+};
@@ -0,0 +1,31 @@
+// src/lib/workflowRuns.js
+// Starting, retrying and continuing workflow runs from the dashboard. Runs execute in the
+// workflow-runs Edge Function, which checks the member's access and records the run with the
+// service role. Each call resolves to the engine's `{ success, data, error }` for the run.
+import { supabase } from './supabase';
+
+const invoke = async (action, body) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('workflow-runs', { body: { action, ...body } });
+    if (error) {
+      // Non-2xx replies carry the reason in their JSON body
+      const reply = await error.context?.json?.().catch(() => null);
+      throw new Error(reply?.error || error.message);
+    }
+    return data;
+  } catch (error) {
+    console.error(`Error with workflow run (${action}):`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const runWorkflow = (workflowId, inputData = {}) =>
+  invoke('run', { workflow_id: workflowId, input_data: inputData });
+
+// Retries from the failed step unless `fromStepId` names another
+export const retryRun = (executionId, fromStepId = null) =>
+  invoke('retry', { execution_id: executionId, from_step_id: fromStepId });
+
+// `decision` is 'approved' or 'rejected'; the run continues once it is recorded
+export const decideRunApproval = (approvalId, decision, comment = null) =>
+  invoke('decide', { approval_id: approvalId, decision, comment });
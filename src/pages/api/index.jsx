@@ -1,42 +1,49 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet';
+import { useNavigate } from 'react-router-dom';
 import Header from '../../components/ui/Header';
 import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
+import {
+  API_RESOURCES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  RATE_LIMIT_PER_MINUTE,
+  buildOpenApiDocument,
+  getApiEndpoints,
+  getExampleResponse
+} from '../../lib/api/definitions';
+
+// Where the API Edge Function is deployed
+const API_SERVER_URL = `${import.meta.env.VITE_SUPABASE_URL || ''}/functions/v1/api/v1`;
+
+const methodStyles = {
+  GET: 'bg-success/10 text-success',
+  POST: 'bg-primary/10 text-primary',
+  PUT: 'bg-warning/10 text-warning',
+  DELETE: 'bg-error/10 text-error'
+};
 
 const APIDocumentation = () => {
   const [activeEndpoint, setActiveEndpoint] = useState('workflows');
+  const navigate = useNavigate();
 
   useEffect(() => {
     window.scrollTo(0, 0);
   }, []);
 
-  const endpoints = [
-    {
-      id: 'workflows',
-      name: 'Workflows',
-      description: 'Create and manage automation workflows',
-      methods: ['GET', 'POST', 'PUT', 'DELETE']
-    },
-    {
-      id: 'executions',
-      name: 'Executions',
-      description: 'Monitor workflow executions and results',
-      methods: ['GET', 'POST']
-    },
-    {
-      id: 'integrations',
-      name: 'Integrations',
-      description: 'Manage third-party integrations',
-      methods: ['GET', 'POST', 'DELETE']
-    },
-    {
-      id: 'users',
-      name: 'Users',
-      description: 'User and team management',
-      methods: ['GET', 'POST', 'PUT']
-    }
-  ];
+  const resource = API_RESOURCES.find(item => item.id === activeEndpoint);
+  const resourceEndpoints = getApiEndpoints().filter(endpoint => endpoint.resource.id === activeEndpoint);
+
+  const downloadOpenApi = () => {
+    const document = buildOpenApiDocument({ serverUrl: API_SERVER_URL });
+    const url = URL.createObjectURL(new Blob([JSON.stringify(document, null, 2)], { type: 'application/json' }));
+    const link = window.document.createElement('a');
+    link.href = url;
+    link.download = 'workflowgene-openapi.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
   return (
     <>
@@ -62,11 +69,11 @@ const APIDocumentation = () => {
                 Build powerful integrations with our comprehensive REST API
               </p>
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
-                <Button variant="default" size="lg" iconName="Play" iconPosition="left">
-                  Quick Start Guide
+                <Button variant="default" size="lg" iconName="Key" iconPosition="left" onClick={() => navigate('/dashboard/settings')}>
+                  Get an API Key
                 </Button>
-                <Button variant="outline" size="lg" iconName="Download" iconPosition="left">
-                  Download SDK
+                <Button variant="outline" size="lg" iconName="Download" iconPosition="left" onClick={downloadOpenApi}>
+                  Download OpenAPI Spec
                 </Button>
               </div>
             </div>
@@ -81,7 +88,7 @@ const APIDocumentation = () => {
                   <div className="bg-card rounded-genetic-lg p-6 sticky top-24">
                     <h3 className="font-semibold text-text-primary mb-4">Endpoints</h3>
                     <nav className="space-y-2">
-                      {endpoints?.map((endpoint) => (
+                      {API_RESOURCES.map((endpoint) => (
                         <button
                           key={endpoint?.id}
                           onClick={() => setActiveEndpoint(endpoint?.id)}
@@ -105,49 +112,89 @@ const APIDocumentation = () => {
                 {/* Content */}
                 <div className="lg:col-span-3">
                   <div className="bg-card rounded-genetic-lg p-8 shadow-organic-sm">
-                    <h2 className="text-2xl font-bold text-text-primary mb-6">
-                      {endpoints?.find(e => e?.id === activeEndpoint)?.name} API
+                    <h2 className="text-2xl font-bold text-text-primary mb-2">
+                      {resource?.name} API
                     </h2>
-                    
+                    <p className="text-text-secondary mb-6">
+                      Base URL <code className="text-sm">{API_SERVER_URL}</code>
+                    </p>
+
                     <div className="space-y-8">
-                      <div className="bg-secondary rounded-genetic-md p-4">
-                        <div className="text-white font-mono text-sm">
-                          GET /api/v1/{activeEndpoint}
-                        </div>
-                      </div>
-                      
                       <div>
                         <h3 className="text-lg font-semibold text-text-primary mb-3">Authentication</h3>
                         <p className="text-text-secondary mb-4">
                           All API requests require authentication using your API key in the Authorization header.
+                          Reading needs the key's <code>{activeEndpoint}:read</code> scope; creating, changing and
+                          deleting need <code>{activeEndpoint}:write</code>.
                         </p>
                         <div className="bg-muted rounded-genetic-md p-4">
                           <code className="text-sm">Authorization: Bearer YOUR_API_KEY</code>
                         </div>
+                        <p className="text-sm text-text-secondary mt-3">
+                          Each key can make {RATE_LIMIT_PER_MINUTE} requests a minute; responses carry
+                          X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset headers. Lists take
+                          <code> page</code> and <code>per_page</code> (default {DEFAULT_PAGE_SIZE}, up to {MAX_PAGE_SIZE}).
+                          Errors look like <code>{'{ "error": { "code": "not_found", "message": "..." } }'}</code>.
+                        </p>
                       </div>
 
-                      <div>
-                        <h3 className="text-lg font-semibold text-text-primary mb-3">Example Response</h3>
-                        <div className="bg-secondary rounded-genetic-md p-4">
-                          <pre className="text-white text-sm overflow-x-auto">
-{`{
-  "data": [
-    {
-      "id": "wf_123",
-      "name": "Order Processing",
-      "status": "active",
-      "created_at": "2024-01-01T00:00:00Z"
-    }
-  ],
-  "meta": {
-    "total": 1,
-    "page": 1,
-    "per_page": 10
-  }
-}`}
-                          </pre>
-                        </div>
-                      </div>
+                      {resourceEndpoints.map(endpoint => {
+                        const example = getExampleResponse(endpoint);
+                        return (
+                          <div key={endpoint.id} className="border-t border-border pt-8">
+                            <div className="flex items-center space-x-3 mb-2">
+                              <span className={`px-2 py-1 rounded text-xs font-bold ${methodStyles[endpoint.method]}`}>
+                                {endpoint.method}
+                              </span>
+                              <code className="text-sm text-text-primary">{endpoint.path}</code>
+                            </div>
+                            <h3 className="text-lg font-semibold text-text-primary">{endpoint.summary}</h3>
+                            {endpoint.description && <p className="text-text-secondary">{endpoint.description}</p>}
+                            <p className="text-xs text-text-secondary mt-1">Scope: {endpoint.scope}</p>
+
+                            {endpoint.filters?.length > 0 && (
+                              <div className="mt-4">
+                                <h4 className="text-sm font-semibold text-text-primary mb-2">Query parameters</h4>
+                                <ul className="space-y-1 text-sm text-text-secondary">
+                                  {endpoint.filters.map(filter => (
+                                    <li key={filter.name}>
+                                      <code className="text-text-primary">{filter.name}</code> - {filter.description}
+                                      {filter.enum && ` (${filter.enum.join(', ')})`}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+
+                            {endpoint.body && (
+                              <div className="mt-4">
+                                <h4 className="text-sm font-semibold text-text-primary mb-2">Body</h4>
+                                <ul className="space-y-1 text-sm text-text-secondary">
+                                  {Object.entries(endpoint.body.properties).map(([name, property]) => (
+                                    <li key={name}>
+                                      <code className="text-text-primary">{name}</code> {property.type}
+                                      {endpoint.body.required?.includes(name) && ' (required)'}
+                                      {property.enum && ` - ${property.enum.join(', ')}`}
+                                      {property.description && ` - ${property.description}`}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+
+                            <div className="mt-4">
+                              <h4 className="text-sm font-semibold text-text-primary mb-2">
+                                Example Response ({endpoint.successStatus || 200})
+                              </h4>
+                              <div className="bg-secondary rounded-genetic-md p-4">
+                                <pre className="text-white text-sm overflow-x-auto">
+                                  {example ? JSON.stringify(example, null, 2) : 'No content'}
+                                </pre>
+                              </div>
+                            </div>
+                          </div>
+                        );
+                      })}
                     </div>
                   </div>
                 </div>
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import { useAuth } from '../../components/auth/AuthProvider';
+import { signOut } from '../../lib/auth';
+import { lookupInvitation, acceptInvitation, getInvitationStatus } from '../../lib/invitations';
+import toast from 'react-hot-toast';
+
+const closedMessages = {
+  accepted: 'This invitation has already been accepted.',
+  revoked: 'This invitation has been withdrawn. Ask your team admin for a new one.',
+  expired: 'This invitation has expired. Ask your team admin to send it again.'
+};
+
+// Landing page for invite links: new users sign up through it, existing users sign in and accept
+const AcceptInvite = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated, user, profile, refreshProfile, initialized } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      const result = await lookupInvitation(token);
+      if (result.success) {
+        setInvitation(result.data);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+    load();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    try {
+      const result = await acceptInvitation(token);
+      if (!result.success) throw new Error(result.error);
+
+      await refreshProfile();
+      toast.success(`Welcome to ${invitation.organization_name}!`);
+      navigate('/dashboard', { replace: true });
+    } catch (error) {
+      console.error('Error accepting invitation:', error);
+      toast.error(error.message || 'Failed to accept invitation');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  const status = invitation ? getInvitationStatus(invitation) : null;
+  const emailMatches = user?.email?.toLowerCase() === invitation?.email?.toLowerCase();
+
+  const renderContent = () => {
+    if (loading || !initialized) {
+      return <Icon name="Loader2" size={32} className="animate-spin text-primary mx-auto" />;
+    }
+
+    if (error || closedMessages[status]) {
+      return (
+        <div className="text-center">
+          <Icon name="MailX" size={48} className="text-error mx-auto mb-4" />
+          <p className="text-text-primary mb-6">{closedMessages[status] || error}</p>
+          <Link to="/login" className="text-primary hover:underline font-medium">Go to sign in</Link>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-6">
+        <div className="text-center">
+          <Icon name="MailOpen" size={48} className="text-primary mx-auto mb-4" />
+          <p className="text-text-primary">
+            You've been invited to join <span className="font-semibold">{invitation.organization_name}</span> as{' '}
+            <span className="font-semibold">{invitation.role.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}</span>.
+          </p>
+          <p className="text-sm text-text-secondary mt-1">
+            Invitation for {invitation.email} · expires {new Date(invitation.expires_at).toLocaleDateString()}
+          </p>
+        </div>
+
+        {isAuthenticated ? (
+          emailMatches ? (
+            <div className="space-y-3">
+              {profile?.organization_id && profile.organization?.name !== invitation.organization_name && (
+                <p className="text-sm text-warning text-center">
+                  Accepting moves your account out of {profile.organization?.name || 'your current organization'}.
+                </p>
+              )}
+              <Button
+                variant="default"
+                size="lg"
+                fullWidth
+                loading={accepting}
+                onClick={handleAccept}
+                iconName="Check"
+                iconPosition="right"
+              >
+                Join {invitation.organization_name}
+              </Button>
+            </div>
+          ) : (
+            <div className="space-y-3 text-center">
+              <p className="text-sm text-text-secondary">
+                You're signed in as {user.email}. Sign in as {invitation.email} to accept this invitation.
+              </p>
+              <Button variant="outline" fullWidth onClick={signOut} iconName="LogOut" iconPosition="left">
+                Sign Out
+              </Button>
+            </div>
+          )
+        ) : (
+          <div className="space-y-3">
+            <Button
+              variant="default"
+              size="lg"
+              fullWidth
+              onClick={() => navigate(`/signup?invite=${encodeURIComponent(token)}`)}
+              iconName="UserPlus"
+              iconPosition="right"
+            >
+              Create Account
+            </Button>
+            <Button
+              variant="outline"
+              fullWidth
+              onClick={() => navigate('/login', { state: { from: { pathname: `/accept-invite/${token}` } } })}
+            >
+              I already have an account
+            </Button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Accept Invitation - WorkflowGene Cloud</title>
+        <meta name="description" content="Join your team on WorkflowGene Cloud." />
+      </Helmet>
+
+      <div className="min-h-screen bg-gradient-to-br from-primary/5 via-background to-accent/5 flex items-center justify-center p-4">
+        <div className="w-full max-w-md">
+          <div className="text-center mb-8">
+            <Link to="/homepage" className="inline-block mb-6">
+              <img src="/assets/logos/WorkflowGene Logo.png" alt="WorkflowGene Cloud" className="h-12 mx-auto" />
+            </Link>
+            <h1 className="text-3xl font-bold text-text-primary mb-2">Join Your Team</h1>
+          </div>
+
+          <div className="bg-card rounded-genetic-xl shadow-organic-lg p-8">
+            {renderContent()}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AcceptInvite;
@@ -4,7 +4,7 @@ import { Helmet } from 'react-helmet';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Icon from '../../components/AppIcon';
-import { signIn } from '../../lib/auth';
+import { signIn, signOut, verifySecondFactor } from '../../lib/auth';
 import { useAuth } from '../../components/auth/AuthProvider';
 import { testConnection } from '../../lib/supabase';
 import toast from 'react-hot-toast';
@@ -16,10 +16,15 @@ const Login = () => {
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [awaitingCode, setAwaitingCode] = useState(false);
+  const [code, setCode] = useState('');
   
   const navigate = useNavigate();
   const location = useLocation();
-  const { isAuthenticated, user } = useAuth();
+  const { isAuthenticated, user, twoFactorPending, completeTwoFactor } = useAuth();
+
+  // A session that passed the password but not the code, including after a reload
+  const showCodeStep = awaitingCode || twoFactorPending;
 
   const from = location.state?.from?.pathname || '/dashboard';
 
@@ -55,7 +60,9 @@ const Login = () => {
 
       const result = await signIn(formData);
       
-      if (result.success) {
+      if (result.requiresTwoFactor) {
+        setAwaitingCode(true);
+      } else if (result.success) {
         toast.success('Login successful!');
         console.log('Login successful for:', formData.email);
         // Small delay to allow auth state to update
@@ -79,6 +86,43 @@ const Login = () => {
     }
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const result = await verifySecondFactor(code.trim());
+
+      if (result.success) {
+        await completeTwoFactor();
+        toast.success('Login successful!');
+        if (result.usedBackupCode) {
+          toast(`Backup code used. ${result.remainingBackupCodes} left.`, { icon: '🔑' });
+        }
+        navigate(from, { replace: true });
+      } else {
+        toast.error(result.error || 'Invalid verification code');
+        if (result.lockedUntil) {
+          setAwaitingCode(false);
+          setFormData(prev => ({ ...prev, password: '' }));
+        }
+      }
+    } catch (error) {
+      console.error('Verification error:', error);
+      toast.error(error.message || 'Verification failed');
+    } finally {
+      setCode('');
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancelCode = async () => {
+    await signOut();
+    setAwaitingCode(false);
+    setCode('');
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
   return (
     <>
       <Helmet>
@@ -112,63 +156,108 @@ const Login = () => {
               </div>
             )}
 
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <Input
-                label="Email Address"
-                type="email"
-                value={formData.email}
-                onChange={(e) => handleInputChange('email', e.target.value)}
-                placeholder="Enter your email"
-                required
-                autoComplete="email"
-              />
-
-              <div className="relative">
+            {showCodeStep ? (
+              <form onSubmit={handleVerifyCode} className="space-y-6">
+                <div className="text-center">
+                  <Icon name="ShieldCheck" size={32} className="text-primary mx-auto mb-2" />
+                  <h2 className="text-lg font-semibold text-text-primary">Two-Factor Authentication</h2>
+                  <p className="text-sm text-text-secondary">
+                    Enter the 6-digit code from your authenticator app, or one of your backup codes
+                  </p>
+                </div>
+
                 <Input
-                  label="Password"
-                  type={showPassword ? 'text' : 'password'}
-                  value={formData.password}
-                  onChange={(e) => handleInputChange('password', e.target.value)}
-                  placeholder="Enter your password"
+                  label="Authentication Code"
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.slice(0, 11))}
+                  placeholder="123456 or XXXXX-XXXXX"
                   required
-                  autoComplete="current-password"
+                  autoFocus
+                  autoComplete="one-time-code"
                 />
+
+                <Button
+                  type="submit"
+                  variant="default"
+                  size="lg"
+                  fullWidth
+                  loading={isSubmitting}
+                  disabled={!code.trim()}
+                  iconName="Check"
+                  iconPosition="right"
+                  className="btn-organic"
+                >
+                  {isSubmitting ? 'Verifying...' : 'Verify'}
+                </Button>
+
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute right-3 top-9 text-text-secondary hover:text-text-primary"
+                  onClick={handleCancelCode}
+                  className="w-full text-sm text-text-secondary hover:text-text-primary"
                 >
-                  <Icon name={showPassword ? 'EyeOff' : 'Eye'} size={20} />
+                  Sign in with a different account
                 </button>
-              </div>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <Input
+                  label="Email Address"
+                  type="email"
+                  value={formData.email}
+                  onChange={(e) => handleInputChange('email', e.target.value)}
+                  placeholder="Enter your email"
+                  required
+                  autoComplete="email"
+                />
 
-              <div className="flex items-center justify-between">
-                <label className="flex items-center space-x-2">
-                  <input type="checkbox" className="rounded border-border" />
-                  <span className="text-sm text-text-secondary">Remember me</span>
-                </label>
-                <Link 
-                  to="/forgot-password" 
-                  className="text-sm text-primary hover:underline"
-                >
-                  Forgot password?
-                </Link>
-              </div>
+                <div className="relative">
+                  <Input
+                    label="Password"
+                    type={showPassword ? 'text' : 'password'}
+                    value={formData.password}
+                    onChange={(e) => handleInputChange('password', e.target.value)}
+                    placeholder="Enter your password"
+                    required
+                    autoComplete="current-password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-9 text-text-secondary hover:text-text-primary"
+                  >
+                    <Icon name={showPassword ? 'EyeOff' : 'Eye'} size={20} />
+                  </button>
+                </div>
 
-              <Button
-                type="submit"
-                variant="default"
-                size="lg"
-                fullWidth
-                loading={isSubmitting}
-                disabled={!import.meta.env.VITE_SUPABASE_URL || !import.meta.env.VITE_SUPABASE_ANON_KEY}
-                iconName="LogIn"
-                iconPosition="right"
-                className="btn-organic"
-              >
-                {isSubmitting ? 'Signing In...' : 'Sign In'}
-              </Button>
-            </form>
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center space-x-2">
+                    <input type="checkbox" className="rounded border-border" />
+                    <span className="text-sm text-text-secondary">Remember me</span>
+                  </label>
+                  <Link 
+                    to="/forgot-password" 
+                    className="text-sm text-primary hover:underline"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+
+                <Button
+                  type="submit"
+                  variant="default"
+                  size="lg"
+                  fullWidth
+                  loading={isSubmitting}
+                  disabled={!import.meta.env.VITE_SUPABASE_URL || !import.meta.env.VITE_SUPABASE_ANON_KEY}
+                  iconName="LogIn"
+                  iconPosition="right"
+                  className="btn-organic"
+                >
+                  {isSubmitting ? 'Signing In...' : 'Sign In'}
+                </Button>
+              </form>
+            )}
 
             <div className="mt-6 text-center">
               <p className="text-text-secondary">
@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Select from '../../components/ui/Select';
 import Icon from '../../components/AppIcon';
 import { signUp } from '../../lib/auth';
+import { lookupInvitation, getInvitationStatus } from '../../lib/invitations';
 import { useAuth } from '../../components/auth/AuthProvider';
 import toast from 'react-hot-toast';
 
@@ -25,7 +26,11 @@ const Signup = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState(0);
+  // Set when signing up from an invite link; the user joins that organization instead of creating one
+  const [invitation, setInvitation] = useState(null);
   
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const navigate = useNavigate();
   const { isAuthenticated, user } = useAuth();
 
@@ -54,6 +59,28 @@ const Signup = () => {
     }
   }, [isAuthenticated, user, navigate]);
 
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    const loadInvitation = async () => {
+      const result = await lookupInvitation(inviteToken);
+      if (!result.success || getInvitationStatus(result.data) !== 'pending') {
+        toast.error('This invitation is no longer valid');
+        navigate(`/accept-invite/${encodeURIComponent(inviteToken)}`, { replace: true });
+        return;
+      }
+
+      setInvitation(result.data);
+      setFormData(prev => ({
+        ...prev,
+        email: result.data.email,
+        firstName: prev.firstName || result.data.first_name || '',
+        lastName: prev.lastName || result.data.last_name || ''
+      }));
+    };
+    loadInvitation();
+  }, [inviteToken]);
+
   useEffect(() => {
     // Calculate password strength
     const password = formData.password;
@@ -110,11 +137,17 @@ const Signup = () => {
         lastName: formData.lastName,
         organizationName: formData.organizationName,
         industry: formData.industry,
-        companySize: formData.companySize
+        companySize: formData.companySize,
+        inviteToken: invitation ? inviteToken : null
       });
       
       if (result.success) {
-        toast.success('Account created successfully!');
+        toast.success(invitation && !result.inviteError
+          ? `Account created! You've joined ${invitation.organization_name}.`
+          : 'Account created successfully!');
+        if (result.inviteError) {
+          toast.error(`Could not join ${invitation.organization_name}: ${result.inviteError}`);
+        }
         // Small delay to allow auth state to update
         setTimeout(() => {
           // Role-based redirect
@@ -151,7 +184,11 @@ const Signup = () => {
               <img src="/assets/logos/WorkflowGene Logo.png" alt="WorkflowGene Cloud" className="h-12 mx-auto" />
             </Link>
             <h1 className="text-3xl font-bold text-text-primary mb-2">Create Your Account</h1>
-            <p className="text-text-secondary">Start your 14-day free trial today</p>
+            <p className="text-text-secondary">
+              {invitation
+                ? `Join ${invitation.organization_name} on WorkflowGene Cloud`
+                : 'Start your 14-day free trial today'}
+            </p>
           </div>
 
           {/* Signup Form */}
@@ -188,6 +225,8 @@ const Signup = () => {
                 placeholder="john@company.com"
                 required
                 autoComplete="email"
+                disabled={!!invitation}
+                description={invitation ? 'The address your invitation was sent to' : undefined}
               />
 
               {/* Password Fields */}
@@ -254,41 +293,43 @@ const Signup = () => {
               </div>
 
               {/* Organization Information */}
-              <div className="border-t border-border pt-6">
-                <h3 className="text-lg font-semibold text-text-primary mb-4">Organization Details</h3>
-                
-                <div className="space-y-4">
-                  <Input
-                    label="Organization Name"
-                    type="text"
-                    value={formData.organizationName}
-                    onChange={(e) => handleInputChange('organizationName', e.target.value)}
-                    placeholder="Your Company Name"
-                    required
-                    autoComplete="organization"
-                  />
-
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <Select
-                      label="Industry"
-                      options={industryOptions}
-                      value={formData.industry}
-                      onChange={(value) => handleInputChange('industry', value)}
-                      placeholder="Select industry"
-                      required
-                    />
-                    
-                    <Select
-                      label="Company Size"
-                      options={companySizeOptions}
-                      value={formData.companySize}
-                      onChange={(value) => handleInputChange('companySize', value)}
-                      placeholder="Select size"
+              {!invitation && (
+                <div className="border-t border-border pt-6">
+                  <h3 className="text-lg font-semibold text-text-primary mb-4">Organization Details</h3>
+                  
+                  <div className="space-y-4">
+                    <Input
+                      label="Organization Name"
+                      type="text"
+                      value={formData.organizationName}
+                      onChange={(e) => handleInputChange('organizationName', e.target.value)}
+                      placeholder="Your Company Name"
                       required
+                      autoComplete="organization"
                     />
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <Select
+                        label="Industry"
+                        options={industryOptions}
+                        value={formData.industry}
+                        onChange={(value) => handleInputChange('industry', value)}
+                        placeholder="Select industry"
+                        required
+                      />
+                      
+                      <Select
+                        label="Company Size"
+                        options={companySizeOptions}
+                        value={formData.companySize}
+                        onChange={(value) => handleInputChange('companySize', value)}
+                        placeholder="Select size"
+                        required
+                      />
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
 
               {/* Terms Agreement */}
               <div className="flex items-start space-x-3">
@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { useNavigate, useParams } from 'react-router-dom';
+import DashboardLayout from '../../components/dashboard/DashboardLayout';
+import Button from '../../components/ui/Button';
+import Select from '../../components/ui/Select';
+import Icon from '../../components/AppIcon';
+import { useAuth } from '../../components/auth/AuthProvider';
+import { supabase } from '../../lib/supabase';
+import { APPROVAL_ROLES, canDecide, getApprovalUrl } from '../../lib/workflow/approvals';
+import { decideRunApproval } from '../../lib/workflowRuns';
+import toast from 'react-hot-toast';
+
+const filterOptions = [
+  { value: 'mine', label: 'Waiting for me' },
+  { value: 'pending', label: 'All pending' },
+  { value: 'decided', label: 'Decided' }
+];
+
+const statusColors = {
+  pending: 'text-warning bg-warning/10',
+  approved: 'text-success bg-success/10',
+  rejected: 'text-error bg-error/10'
+};
+
+// Approval tasks opened by paused workflow runs, and the decisions made on them
+const Approvals = () => {
+  const navigate = useNavigate();
+  const { approvalId } = useParams();
+  const { profile } = useAuth();
+  const [approvals, setApprovals] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [filter, setFilter] = useState('mine');
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [deciding, setDeciding] = useState(null);
+
+  useEffect(() => {
+    if (profile?.organization_id) fetchApprovals();
+  }, [profile, filter]);
+
+  // A linked approval is opened even when the current filter hides it
+  useEffect(() => {
+    if (!approvalId) {
+      setSelected(null);
+      return;
+    }
+    fetchApproval(approvalId);
+  }, [approvalId]);
+
+  const fetchApprovals = async () => {
+    setLoading(true);
+    try {
+      let query = supabase
+        .from('workflow_approvals')
+        .select('*, workflow:workflows(id, name)')
+        .eq('organization_id', profile.organization_id);
+
+      query = filter === 'decided'
+        ? query.neq('status', 'pending').order('decided_at', { ascending: false }).limit(50)
+        : query.eq('status', 'pending').order('created_at', { ascending: true });
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setApprovals(filter === 'mine' ? (data || []).filter(item => canDecide(item, profile)) : data || []);
+    } catch (error) {
+      console.error('Error fetching approvals:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchApproval = async (id) => {
+    try {
+      const { data, error } = await supabase
+        .from('workflow_approvals')
+        .select('*, workflow:workflows(id, name), decider:profiles!decided_by(full_name, email)')
+        .eq('id', id)
+        .single();
+
+      if (error) throw error;
+      setSelected(data);
+      setComment('');
+    } catch (error) {
+      console.error('Error fetching approval:', error);
+      toast.error('Approval not found');
+    }
+  };
+
+  const handleDecide = async (decision) => {
+    setDeciding(decision);
+    try {
+      const result = await decideRunApproval(selected.id, decision, comment.trim() || null);
+
+      if (!result.data) throw new Error(result.error);
+      if (result.data.status === 'waiting') {
+        toast.success(`${decision === 'approved' ? 'Approved' : 'Rejected'}; the run is waiting on another approval or a delay`);
+      } else if (result.success) {
+        toast.success(`${decision === 'approved' ? 'Approved' : 'Rejected'}; the run finished`);
+      } else {
+        toast.error(`Decision recorded, but the run failed: ${result.error}`);
+      }
+      await Promise.all([fetchApprovals(), fetchApproval(selected.id)]);
+    } catch (error) {
+      console.error('Error deciding approval:', error);
+      toast.error(`Failed to record decision: ${error.message}`);
+      fetchApproval(selected.id);
+    } finally {
+      setDeciding(null);
+    }
+  };
+
+  const getAssigneeLabel = (approval) => [
+    ...(approval.assignee_roles || []).map(role => APPROVAL_ROLES[role] || role),
+    ...((approval.assignee_ids || []).includes(profile?.id) ? ['You'] : [])
+  ].join(', ') || 'super admins';
+
+  const formatJson = (value) => JSON.stringify(value ?? {}, null, 2);
+
+  return (
+    <>
+      <Helmet>
+        <title>Approvals - WorkflowGene Cloud Dashboard</title>
+        <meta name="description" content="Approve or reject workflow steps waiting on a decision." />
+      </Helmet>
+
+      <DashboardLayout>
+        <div className="space-y-6">
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-text-primary">Approvals</h1>
+              <p className="text-text-secondary">Workflow runs paused until someone approves or rejects a step</p>
+            </div>
+            <Select options={filterOptions} value={filter} onChange={setFilter} className="w-48" />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Inbox */}
+            <div className="bg-card rounded-genetic-lg shadow-organic-sm overflow-hidden">
+              {loading ? (
+                <div className="p-8 text-center">
+                  <Icon name="Loader2" size={24} className="animate-spin text-text-secondary mx-auto" />
+                </div>
+              ) : approvals.length === 0 ? (
+                <div className="p-12 text-center">
+                  <Icon name="Inbox" size={48} className="text-text-secondary mx-auto mb-4" />
+                  <h3 className="text-lg font-semibold text-text-primary mb-2">Nothing here</h3>
+                  <p className="text-text-secondary">Approval steps in your workflows open tasks here</p>
+                </div>
+              ) : (
+                <div className="divide-y divide-border">
+                  {approvals.map(approval => (
+                    <button
+                      key={approval.id}
+                      type="button"
+                      onClick={() => navigate(getApprovalUrl(approval.id))}
+                      className={`w-full text-left p-4 hover:bg-muted transition-colors ${selected?.id === approval.id ? 'bg-muted' : ''}`}
+                    >
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-medium text-text-primary truncate">{approval.step_name || 'Approval'}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${statusColors[approval.status]}`}>
+                          {approval.status}
+                        </span>
+                      </div>
+                      <p className="text-sm text-text-secondary truncate">{approval.workflow?.name || 'Deleted workflow'}</p>
+                      <p className="text-xs text-text-secondary">
+                        {new Date(approval.created_at).toLocaleString()}
+                        {approval.due_at && approval.status === 'pending' && ` · due ${new Date(approval.due_at).toLocaleString()}`}
+                      </p>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Detail */}
+            <div className="lg:col-span-2 bg-card rounded-genetic-lg shadow-organic-sm p-6">
+              {!selected ? (
+                <div className="py-12 text-center text-text-secondary">
+                  <Icon name="UserCheck" size={32} className="mx-auto mb-2" />
+                  <p>Select an approval to review it</p>
+                </div>
+              ) : (
+                <div className="space-y-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <h2 className="text-xl font-semibold text-text-primary">{selected.step_name || 'Approval'}</h2>
+                      <p className="text-sm text-text-secondary">
+                        {selected.workflow?.name || 'Deleted workflow'} · assigned to {getAssigneeLabel(selected)}
+                      </p>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      iconName="History"
+                      onClick={() => navigate(`/dashboard/workflows/${selected.workflow_id}/runs/${selected.execution_id}`)}
+                    >
+                      View run
+                    </Button>
+                  </div>
+
+                  {selected.instructions && (
+                    <p className="text-text-primary whitespace-pre-wrap">{selected.instructions}</p>
+                  )}
+
+                  <div>
+                    <p className="text-sm font-medium text-text-secondary mb-1">Data waiting on this decision</p>
+                    <pre className="text-xs bg-muted rounded-genetic-md p-3 whitespace-pre-wrap break-all max-h-80 overflow-y-auto">
+                      {formatJson(selected.payload)}
+                    </pre>
+                  </div>
+
+                  {selected.status === 'pending' ? (
+                    canDecide(selected, profile) ? (
+                      <div className="space-y-3">
+                        <textarea
+                          value={comment}
+                          onChange={(e) => setComment(e.target.value)}
+                          rows={3}
+                          placeholder="Comment (optional)"
+                          className="w-full px-3 py-2 border border-border rounded-genetic-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                        />
+                        <div className="flex items-center justify-end space-x-3">
+                          <Button
+                            variant="outline"
+                            iconName="X"
+                            iconPosition="left"
+                            loading={deciding === 'rejected'}
+                            disabled={!!deciding}
+                            onClick={() => handleDecide('rejected')}
+                          >
+                            Reject
+                          </Button>
+                          <Button
+                            variant="default"
+                            iconName="Check"
+                            iconPosition="left"
+                            loading={deciding === 'approved'}
+                            disabled={!!deciding}
+                            onClick={() => handleDecide('approved')}
+                          >
+                            Approve
+                          </Button>
+                        </div>
+                      </div>
+                    ) : (
+                      <p className="text-sm text-text-secondary">This approval is assigned to someone else.</p>
+                    )
+                  ) : (
+                    <div className="bg-muted rounded-genetic-md p-3 text-sm">
+                      <p className="text-text-primary">
+                        <span className="font-medium capitalize">{selected.status}</span>
+                        {' by '}
+                        {selected.decider?.full_name || selected.decider?.email || 'a former member'}
+                        {selected.decided_at && ` on ${new Date(selected.decided_at).toLocaleString()}`}
+                      </p>
+                      {selected.comment && <p className="text-text-secondary mt-1">{selected.comment}</p>}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </DashboardLayout>
+    </>
+  );
+};
+
+export default Approvals;
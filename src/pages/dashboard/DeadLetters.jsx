@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { Link, useNavigate } from 'react-router-dom';
+import DashboardLayout from '../../components/dashboard/DashboardLayout';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import { useAuth } from '../../components/auth/AuthProvider';
+import { supabase } from '../../lib/supabase';
+import { normalizeGraph } from '../../lib/workflow/graph';
+import { retryRun } from '../../lib/workflowRuns';
+import toast from 'react-hot-toast';
+
+// Failed runs whose failing step used up its attempts and that nobody has retried or dismissed yet
+const DeadLetters = () => {
+  const navigate = useNavigate();
+  const { profile, getPermissions } = useAuth();
+  const permissions = getPermissions();
+  const [executions, setExecutions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (profile?.organization_id) fetchDeadLetters();
+  }, [profile]);
+
+  const fetchDeadLetters = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('workflow_executions')
+        .select('*, workflow:workflows(*)')
+        .eq('organization_id', profile.organization_id)
+        .eq('dead_lettered', true)
+        .is('resolved_at', null)
+        .order('started_at', { ascending: false });
+
+      if (error) throw error;
+      setExecutions(data || []);
+    } catch (error) {
+      console.error('Error fetching dead letters:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getStepName = (execution) => {
+    const node = normalizeGraph(execution.workflow?.config).nodes.find(item => item.id === execution.failed_step_id);
+    return node?.name || execution.failed_step_id;
+  };
+
+  const handleRetry = async (execution) => {
+    setBusyId(execution.id);
+    try {
+      const result = await retryRun(execution.id);
+
+      if (result.success) {
+        toast.success(`${execution.workflow?.name} retried successfully`);
+      } else {
+        toast.error(`Retry failed: ${result.error}`);
+      }
+      await fetchDeadLetters();
+    } catch (error) {
+      console.error('Error retrying execution:', error);
+      toast.error('Failed to retry run');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDismiss = async (execution) => {
+    setBusyId(execution.id);
+    try {
+      const { error } = await supabase
+        .from('workflow_executions')
+        .update({ resolved_at: new Date().toISOString() })
+        .eq('id', execution.id);
+
+      if (error) throw error;
+      setExecutions(prev => prev.filter(item => item.id !== execution.id));
+    } catch (error) {
+      console.error('Error dismissing dead letter:', error);
+      toast.error('Failed to dismiss run');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Dead Letters - WorkflowGene Cloud Dashboard</title>
+        <meta name="description" content="Failed workflow runs waiting for a retry." />
+      </Helmet>
+
+      <DashboardLayout>
+        <div className="space-y-6">
+          <div>
+            <Link to="/dashboard/workflows" className="inline-flex items-center space-x-1 text-sm text-text-secondary hover:text-primary mb-2">
+              <Icon name="ArrowLeft" size={14} />
+              <span>Back to workflows</span>
+            </Link>
+            <h1 className="text-3xl font-bold text-text-primary">Dead Letters</h1>
+            <p className="text-text-secondary">
+              Runs that failed after exhausting their retries. Retry them from the failed step or dismiss them.
+            </p>
+          </div>
+
+          <div className="bg-card rounded-genetic-lg shadow-organic-sm overflow-hidden">
+            {loading ? (
+              <div className="p-8 text-center">
+                <Icon name="Loader2" size={24} className="animate-spin text-text-secondary mx-auto" />
+              </div>
+            ) : executions.length === 0 ? (
+              <div className="p-12 text-center">
+                <Icon name="Inbox" size={48} className="text-text-secondary mx-auto mb-4" />
+                <h3 className="text-lg font-semibold text-text-primary mb-2">Nothing to retry</h3>
+                <p className="text-text-secondary">Failed runs appear here until they are retried or dismissed</p>
+              </div>
+            ) : (
+              <div className="divide-y divide-border">
+                {executions.map(execution => (
+                  <div key={execution.id} className="p-6 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+                    <div className="min-w-0">
+                      <h3 className="font-semibold text-text-primary">{execution.workflow?.name || 'Deleted workflow'}</h3>
+                      <p className="text-sm text-text-secondary">
+                        Failed at <span className="font-medium">{getStepName(execution)}</span>
+                        {' · '}
+                        {new Date(execution.started_at).toLocaleString()}
+                        {' · '}
+                        <span className="capitalize">{execution.trigger_type || 'manual'} run</span>
+                      </p>
+                      {execution.error_message && (
+                        <p className="text-sm text-error mt-1 truncate">{execution.error_message}</p>
+                      )}
+                    </div>
+
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        iconName="History"
+                        onClick={() => navigate(`/dashboard/workflows/${execution.workflow_id}/runs/${execution.id}`)}
+                      >
+                        Inspect
+                      </Button>
+                      {permissions.canManageWorkflows && (
+                        <>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            iconName="RotateCcw"
+                            loading={busyId === execution.id}
+                            disabled={!execution.workflow}
+                            onClick={() => handleRetry(execution)}
+                          >
+                            Retry
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            iconName="X"
+                            disabled={busyId === execution.id}
+                            onClick={() => handleDismiss(execution)}
+                          >
+                            Dismiss
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </DashboardLayout>
+    </>
+  );
+};
+
+export default DeadLetters;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Helmet } from 'react-helmet';
+import { useLocation } from 'react-router-dom';
 import DashboardLayout from '../../components/dashboard/DashboardLayout';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
@@ -7,11 +8,13 @@ import Icon from '../../components/AppIcon';
 import TwoFactorAuth from '../../components/auth/TwoFactorAuth';
 import { useAuth } from '../../components/auth/AuthProvider';
 import { updateProfile, updatePassword } from '../../lib/auth';
+import { TWO_FACTOR_STATUS } from '../../lib/securityPolicy';
 import toast from 'react-hot-toast';
 
 const Profile = () => {
-  const { profile, refreshProfile } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  const { profile, refreshProfile, twoFactorStatus, twoFactorDeadline } = useAuth();
+  const location = useLocation();
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'profile');
   const [isSubmitting, setIsSubmitting] = useState(false);
   
   const [profileData, setProfileData] = useState({
@@ -113,7 +116,7 @@ const Profile = () => {
                     {profile?.first_name} {profile?.last_name}
                   </h3>
                   <p className="text-sm text-text-secondary">
-                    {profile?.role?.replace('_', ' ')?.replace(/\b\w/g, l => l.toUpperCase())}
+                    {profile?.custom_role?.name || profile?.role?.replace('_', ' ')?.replace(/\b\w/g, l => l.toUpperCase())}
                   </p>
                 </div>
 
@@ -248,7 +251,17 @@ const Profile = () => {
                       </div>
 
                       {/* Two-Factor Authentication */}
-                      <div className="border-t border-border pt-8">
+                      <div className="border-t border-border pt-8 space-y-4">
+                        {(twoFactorStatus === TWO_FACTOR_STATUS.GRACE || twoFactorStatus === TWO_FACTOR_STATUS.OVERDUE) && (
+                          <div className="flex items-start space-x-3 p-4 bg-warning/10 border border-warning/20 rounded-genetic-md">
+                            <Icon name="ShieldAlert" size={20} className="text-warning mt-0.5" />
+                            <p className="text-sm text-text-primary">
+                              {twoFactorStatus === TWO_FACTOR_STATUS.OVERDUE
+                                ? 'Your organization requires two-factor authentication. Set it up to keep using the dashboard.'
+                                : `Your organization requires two-factor authentication. Set it up by ${new Date(twoFactorDeadline).toLocaleDateString()}.`}
+                            </p>
+                          </div>
+                        )}
                         <TwoFactorAuth />
                       </div>
                     </div>
@@ -1,21 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet';
+import { useSearchParams } from 'react-router-dom';
 import DashboardLayout from '../../components/dashboard/DashboardLayout';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Select from '../../components/ui/Select';
+import { Checkbox } from '../../components/ui/Checkbox';
 import Icon from '../../components/AppIcon';
 import BillingDashboard from '../../components/billing/BillingDashboard';
 import IntegrationMarketplace from '../../components/marketplace/IntegrationMarketplace';
+import RoleManager from '../../components/team/RoleManager';
+import ApiKeyManager from '../../components/api/ApiKeyManager';
+import WebhookManager from '../../components/api/WebhookManager';
 import { useAuth } from '../../components/auth/AuthProvider';
 import { supabase } from '../../lib/supabase';
+import { getSecuritySettings, parseEmailDomains, isEmailDomainAllowed } from '../../lib/securityPolicy';
 import toast from 'react-hot-toast';
 
 const Settings = () => {
-  const { profile, getPermissions } = useAuth();
-  const [activeTab, setActiveTab] = useState('organization');
+  const { profile, getPermissions, refreshProfile } = useAuth();
+  const [searchParams] = useSearchParams();
+  // Stripe Checkout and the billing portal return to ?tab=billing
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'organization');
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [apiKeys, setApiKeys] = useState([]);
   
   const [orgData, setOrgData] = useState({
     name: '',
@@ -24,6 +31,14 @@ const Settings = () => {
     companySize: ''
   });
 
+  const [securityData, setSecurityData] = useState({
+    requireTwoFactor: false,
+    graceDays: '',
+    maxSessionHours: '',
+    idleTimeoutMinutes: '',
+    allowedDomains: ''
+  });
+
   const permissions = getPermissions();
 
   const tabs = [
@@ -33,17 +48,35 @@ const Settings = () => {
       icon: 'Building2',
       roles: ['super_admin', 'org_admin']
     },
+    {
+      id: 'security',
+      name: 'Security',
+      icon: 'ShieldCheck',
+      roles: ['super_admin', 'org_admin']
+    },
+    {
+      id: 'roles',
+      name: 'Roles',
+      icon: 'UserCog',
+      permission: 'canManageUsers'
+    },
     { 
       id: 'api', 
       name: 'API Keys', 
       icon: 'Key',
-      roles: ['super_admin', 'org_admin', 'manager']
+      permission: 'canManageSettings'
+    },
+    {
+      id: 'webhooks',
+      name: 'Webhooks',
+      icon: 'Webhook',
+      permission: 'canManageSettings'
     },
     { 
       id: 'billing', 
       name: 'Billing', 
       icon: 'CreditCard',
-      roles: ['super_admin', 'org_admin']
+      permission: 'canManageBilling'
     },
     { 
       id: 'integrations', 
@@ -54,7 +87,7 @@ const Settings = () => {
   ];
 
   const filteredTabs = tabs.filter(tab => 
-    tab.roles.includes(profile?.role)
+    tab.permission ? permissions[tab.permission] : tab.roles.includes(profile?.role)
   );
 
   useEffect(() => {
@@ -65,30 +98,17 @@ const Settings = () => {
         website: profile.organization.website || '',
         companySize: profile.organization.company_size || ''
       });
-    }
-    
-    if (activeTab === 'api') {
-      fetchApiKeys();
-    }
-  }, [profile, activeTab]);
-
-  const fetchApiKeys = async () => {
-    if (!profile?.organization_id) return;
-    
-    try {
-      const { data, error } = await supabase
-        .from('api_keys')
-        .select('*')
-        .eq('organization_id', profile.organization_id)
-        .eq('revoked', false)
-        .order('created_at', { ascending: false });
 
-      if (error) throw error;
-      setApiKeys(data || []);
-    } catch (error) {
-      console.error('Error fetching API keys:', error);
+      const security = getSecuritySettings(profile.organization);
+      setSecurityData({
+        requireTwoFactor: !!security.require_two_factor,
+        graceDays: String(security.two_factor_grace_days ?? ''),
+        maxSessionHours: security.max_session_hours ? String(security.max_session_hours) : '',
+        idleTimeoutMinutes: security.idle_timeout_minutes ? String(security.idle_timeout_minutes) : '',
+        allowedDomains: (security.allowed_email_domains || []).join(', ')
+      });
     }
-  };
+  }, [profile]);
 
   const handleOrgSubmit = async (e) => {
     e.preventDefault();
@@ -117,50 +137,47 @@ const Settings = () => {
     }
   };
 
-  const generateApiKey = async () => {
-    try {
-      // Generate a random API key
-      const keyPrefix = 'wfg_';
-      const keyBody = Array.from(crypto.getRandomValues(new Uint8Array(32)))
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('');
-      const fullKey = keyPrefix + keyBody;
+  const handleSecuritySubmit = async (e) => {
+    e.preventDefault();
 
-      const { error } = await supabase
-        .from('api_keys')
-        .insert([{
-          organization_id: profile.organization_id,
-          created_by: profile.id,
-          name: `API Key ${apiKeys.length + 1}`,
-          key_hash: fullKey, // In production, this should be hashed
-          key_prefix: keyPrefix,
-          permissions: { read: true, write: true }
-        }]);
+    const current = getSecuritySettings(profile.organization);
+    const toLimit = (value) => (Number(value) > 0 ? Number(value) : null);
+    const security = {
+      require_two_factor: securityData.requireTwoFactor,
+      // Keep the original start so saving again does not extend the grace period
+      require_two_factor_since: securityData.requireTwoFactor
+        ? (current.require_two_factor && current.require_two_factor_since) || new Date().toISOString()
+        : null,
+      two_factor_grace_days: Math.max(0, Number(securityData.graceDays) || 0),
+      max_session_hours: toLimit(securityData.maxSessionHours),
+      idle_timeout_minutes: toLimit(securityData.idleTimeoutMinutes),
+      allowed_email_domains: parseEmailDomains(securityData.allowedDomains)
+    };
 
-      if (error) throw error;
-      
-      await fetchApiKeys();
-      toast.success('API key generated successfully');
-    } catch (error) {
-      console.error('Error generating API key:', error);
-      toast.error('Failed to generate API key');
+    if (!isEmailDomainAllowed(security, profile.email)) {
+      toast.error('Allowed domains must include your own email domain, or you would be signed out');
+      return;
     }
-  };
 
-  const revokeApiKey = async (keyId) => {
+    setIsSubmitting(true);
     try {
       const { error } = await supabase
-        .from('api_keys')
-        .update({ revoked: true })
-        .eq('id', keyId);
+        .from('organizations')
+        .update({
+          settings: { ...(profile.organization?.settings || {}), security },
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', profile.organization_id);
 
       if (error) throw error;
-      
-      await fetchApiKeys();
-      toast.success('API key revoked');
+
+      await refreshProfile();
+      toast.success('Security settings updated');
     } catch (error) {
-      console.error('Error revoking API key:', error);
-      toast.error('Failed to revoke API key');
+      console.error('Security settings update error:', error);
+      toast.error('Failed to update security settings');
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -210,6 +227,12 @@ const Settings = () => {
                 <BillingDashboard />
               ) : activeTab === 'integrations' ? (
                 <IntegrationMarketplace />
+              ) : activeTab === 'roles' ? (
+                <RoleManager />
+              ) : activeTab === 'api' ? (
+                <ApiKeyManager />
+              ) : activeTab === 'webhooks' ? (
+                <WebhookManager />
               ) : (
                 <div className="bg-card rounded-genetic-lg p-8 shadow-organic-sm">
                 {activeTab === 'organization' && (
@@ -280,60 +303,79 @@ const Settings = () => {
                   </div>
                 )}
 
-                {activeTab === 'api' && (
+                {activeTab === 'security' && (
                   <div>
-                    <div className="flex items-center justify-between mb-6">
-                      <div>
-                        <h2 className="text-2xl font-semibold text-text-primary">API Keys</h2>
-                        <p className="text-text-secondary">
-                          Manage API keys for programmatic access
-                        </p>
+                    <h2 className="text-2xl font-semibold text-text-primary mb-2">
+                      Security Settings
+                    </h2>
+                    <p className="text-text-secondary mb-6">
+                      Apply to every member of your organization
+                    </p>
+
+                    <form onSubmit={handleSecuritySubmit} className="space-y-6">
+                      <div className="space-y-4">
+                        <Checkbox
+                          label="Require two-factor authentication"
+                          description="Members without it are sent to set it up once the grace period ends"
+                          checked={securityData.requireTwoFactor}
+                          onChange={(e) => setSecurityData(prev => ({ ...prev, requireTwoFactor: e.target.checked }))}
+                        />
+
+                        {securityData.requireTwoFactor && (
+                          <Input
+                            label="Grace Period (days)"
+                            type="number"
+                            min="0"
+                            value={securityData.graceDays}
+                            onChange={(e) => setSecurityData(prev => ({ ...prev, graceDays: e.target.value }))}
+                            description="Counted from when the requirement is turned on, or from when a member joins"
+                          />
+                        )}
                       </div>
-                      <Button
-                        variant="default"
-                        iconName="Plus"
-                        iconPosition="left"
-                        onClick={generateApiKey}
-                      >
-                        Generate Key
-                      </Button>
-                    </div>
 
-                    <div className="space-y-4">
-                      {apiKeys.length === 0 ? (
-                        <div className="text-center py-8">
-                          <Icon name="Key" size={48} className="text-text-secondary mx-auto mb-4" />
-                          <h3 className="text-lg font-semibold text-text-primary mb-2">
-                            No API Keys
-                          </h3>
-                          <p className="text-text-secondary">
-                            Generate your first API key to start using our API
-                          </p>
-                        </div>
-                      ) : (
-                        apiKeys.map((key) => (
-                          <div key={key.id} className="flex items-center justify-between p-4 border border-border rounded-genetic-md">
-                            <div>
-                              <h4 className="font-medium text-text-primary">{key.name}</h4>
-                              <p className="text-sm text-text-secondary">
-                                {key.key_prefix}••••••••••••••••
-                              </p>
-                              <p className="text-xs text-text-secondary">
-                                Created {new Date(key.created_at).toLocaleDateString()}
-                              </p>
-                            </div>
-                            <Button
-                              variant="outline"
-                              size="sm"
-                              iconName="Trash2"
-                              onClick={() => revokeApiKey(key.id)}
-                            >
-                              Revoke
-                            </Button>
-                          </div>
-                        ))
-                      )}
-                    </div>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <Input
+                          label="Maximum Session Age (hours)"
+                          type="number"
+                          min="1"
+                          value={securityData.maxSessionHours}
+                          onChange={(e) => setSecurityData(prev => ({ ...prev, maxSessionHours: e.target.value }))}
+                          placeholder="No limit"
+                          description="Members sign in again after this long"
+                        />
+
+                        <Input
+                          label="Idle Timeout (minutes)"
+                          type="number"
+                          min="1"
+                          value={securityData.idleTimeoutMinutes}
+                          onChange={(e) => setSecurityData(prev => ({ ...prev, idleTimeoutMinutes: e.target.value }))}
+                          placeholder="No limit"
+                          description="Members are signed out after this long without activity"
+                        />
+                      </div>
+
+                      <Input
+                        label="Allowed Email Domains"
+                        type="text"
+                        value={securityData.allowedDomains}
+                        onChange={(e) => setSecurityData(prev => ({ ...prev, allowedDomains: e.target.value }))}
+                        placeholder="yourcompany.com, subsidiary.com"
+                        description="Only members with these email domains can sign in. Leave empty to allow any."
+                      />
+
+                      <div className="flex justify-end">
+                        <Button
+                          type="submit"
+                          variant="default"
+                          loading={isSubmitting}
+                          iconName="Save"
+                          iconPosition="left"
+                        >
+                          Save Changes
+                        </Button>
+                      </div>
+                    </form>
                   </div>
                 )}
 
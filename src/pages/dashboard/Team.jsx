@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet';
+import { useNavigate } from 'react-router-dom';
 import DashboardLayout from '../../components/dashboard/DashboardLayout';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
@@ -7,12 +8,35 @@ import Select from '../../components/ui/Select';
 import Icon from '../../components/AppIcon';
 import { useAuth } from '../../components/auth/AuthProvider';
 import { supabase } from '../../lib/supabase';
+import {
+  getSecuritySettings,
+  getTwoFactorStatus,
+  getTwoFactorDeadline,
+  isEmailDomainAllowed,
+  TWO_FACTOR_STATUS
+} from '../../lib/securityPolicy';
+import {
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationStatus
+} from '../../lib/invitations';
+import { getLimitMessage, getSubscriptionPlan, hasRoomFor, isUnlimited } from '../../lib/billing/plans';
+import { getSubscription } from '../../lib/stripeBilling';
 import toast from 'react-hot-toast';
 
 const Team = () => {
   const [teamMembers, setTeamMembers] = useState([]);
+  // Member id -> whether they have two-factor authentication turned on
+  const [twoFactorByMember, setTwoFactorByMember] = useState({});
+  const [invitations, setInvitations] = useState([]);
+  const [customRoles, setCustomRoles] = useState([]);
+  const [plan, setPlan] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showInviteModal, setShowInviteModal] = useState(false);
+  const [isInviting, setIsInviting] = useState(false);
+  // Shown when the invite email could not be sent, so the link can be shared by hand
+  const [inviteLink, setInviteLink] = useState(null);
   const [inviteData, setInviteData] = useState({
     email: '',
     firstName: '',
@@ -20,7 +44,9 @@ const Team = () => {
     role: 'user'
   });
   const { profile, getPermissions } = useAuth();
+  const navigate = useNavigate();
   const permissions = getPermissions();
+  const securitySettings = getSecuritySettings(profile?.organization);
 
   const roleOptions = [
     { value: 'user', label: 'User - Basic workflow access' },
@@ -28,8 +54,23 @@ const Team = () => {
     { value: 'org_admin', label: 'Organization Admin - Full org access' }
   ];
 
+  // Custom roles are offered alongside the built-in ones as `custom:<role id>`
+  const memberRoleOptions = [
+    ...roleOptions,
+    ...customRoles.map(role => ({ value: `custom:${role.id}`, label: `${role.name} - Custom role` }))
+  ];
+
+  const getMemberRoleValue = (member) =>
+    member.custom_role_id ? `custom:${member.custom_role_id}` : member.role;
+
+  const getMemberRoleName = (member) =>
+    customRoles.find(role => role.id === member.custom_role_id)?.name || formatRole(member.role);
+
   useEffect(() => {
     fetchTeamMembers();
+    fetchInvitations();
+    fetchCustomRoles();
+    fetchPlan();
   }, [profile]);
 
   const fetchTeamMembers = async () => {
@@ -44,6 +85,14 @@ const Team = () => {
 
       if (error) throw error;
       setTeamMembers(data || []);
+
+      if (securitySettings.require_two_factor) {
+        const { data: statuses, error: statusError } = await supabase
+          .rpc('get_org_two_factor_status', { p_organization_id: profile.organization_id });
+
+        if (statusError) throw statusError;
+        setTwoFactorByMember(Object.fromEntries((statuses || []).map(row => [row.user_id, row.two_factor_enabled])));
+      }
     } catch (error) {
       console.error('Error fetching team members:', error);
       toast.error('Failed to load team members');
@@ -52,40 +101,140 @@ const Team = () => {
     }
   };
 
+  // Invitations still open or expired; accepted ones show up as members
+  const fetchInvitations = async () => {
+    if (!profile?.organization_id) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('invitations')
+        .select('*')
+        .eq('organization_id', profile.organization_id)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setInvitations(data || []);
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+    }
+  };
+
+  const fetchPlan = async () => {
+    if (!profile?.organization_id) return;
+
+    const result = await getSubscription(profile.organization_id);
+    if (result.success) {
+      setPlan(getSubscriptionPlan(result.data));
+    }
+  };
+
+  const fetchCustomRoles = async () => {
+    if (!profile?.organization_id) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('custom_roles')
+        .select('id, name')
+        .eq('organization_id', profile.organization_id)
+        .order('name');
+
+      if (error) throw error;
+      setCustomRoles(data || []);
+    } catch (error) {
+      console.error('Error fetching custom roles:', error);
+    }
+  };
+
+  const reportSent = (result, message) => {
+    if (result.emailError) {
+      setInviteLink(result.inviteUrl);
+      toast.error(`Invitation saved, but the email could not be sent: ${result.emailError}`);
+    } else {
+      toast.success(message);
+    }
+  };
+
   const handleInvite = async (e) => {
     e.preventDefault();
-    
+
+    if (seatLimitMessage) {
+      toast.error(seatLimitMessage);
+      return;
+    }
+
+    if (!isEmailDomainAllowed(securitySettings, inviteData.email)) {
+      toast.error(`Your organization only allows ${securitySettings.allowed_email_domains.join(', ')} email addresses`);
+      return;
+    }
+
+    if (teamMembers.some(member => member.email?.toLowerCase() === inviteData.email.trim().toLowerCase())) {
+      toast.error('This person is already a member of your team');
+      return;
+    }
+
+    setIsInviting(true);
     try {
-      // In a real implementation, this would send an invitation email
-      // For now, we'll create a placeholder profile
-      const { error } = await supabase
-        .from('profiles')
-        .insert({
-          email: inviteData.email,
-          first_name: inviteData.firstName,
-          last_name: inviteData.lastName,
-          role: inviteData.role,
-          organization_id: profile.organization_id,
-          email_verified: false
-        });
+      const result = await createInvitation({
+        email: inviteData.email,
+        firstName: inviteData.firstName,
+        lastName: inviteData.lastName,
+        role: inviteData.role,
+        organization: profile.organization,
+        inviter: profile
+      });
 
-      if (error) throw error;
-      
-      toast.success('Team member invited successfully');
+      if (!result.success) throw new Error(result.error);
+
+      reportSent(result, `Invitation sent to ${result.data.email}`);
       setShowInviteModal(false);
       setInviteData({ email: '', firstName: '', lastName: '', role: 'user' });
-      fetchTeamMembers();
+      fetchInvitations();
     } catch (error) {
       console.error('Error inviting team member:', error);
-      toast.error('Failed to invite team member');
+      toast.error(error.message || 'Failed to invite team member');
+    } finally {
+      setIsInviting(false);
     }
   };
 
+  const handleResendInvitation = async (invitation) => {
+    const result = await resendInvitation({ invitation, organization: profile.organization, inviter: profile });
+    if (!result.success) {
+      toast.error(`Failed to resend invitation: ${result.error}`);
+      return;
+    }
+    reportSent(result, `Invitation resent to ${invitation.email}`);
+    fetchInvitations();
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    const result = await revokeInvitation(invitation.id);
+    if (!result.success) {
+      toast.error(`Failed to revoke invitation: ${result.error}`);
+      return;
+    }
+    toast.success(`Invitation for ${invitation.email} revoked`);
+    fetchInvitations();
+  };
+
+  const copyInviteLink = async () => {
+    await navigator.clipboard.writeText(inviteLink);
+    toast.success('Invite link copied');
+  };
+
+  // A custom role replaces the built-in one, so members given one keep only the basic built-in role
+  // underneath; it is what they fall back to if the custom role is deleted
   const updateMemberRole = async (memberId, newRole) => {
     try {
+      const customRoleId = newRole.startsWith('custom:') ? newRole.slice('custom:'.length) : null;
       const { error } = await supabase
         .from('profiles')
-        .update({ role: newRole, updated_at: new Date().toISOString() })
+        .update({
+          role: customRoleId ? 'user' : newRole,
+          custom_role_id: customRoleId,
+          updated_at: new Date().toISOString()
+        })
         .eq('id', memberId);
 
       if (error) throw error;
@@ -120,10 +269,25 @@ const Team = () => {
       case 'org_admin': return 'bg-primary/10 text-primary';
       case 'manager': return 'bg-success/10 text-success';
       case 'user': return 'bg-muted text-text-secondary';
+      case 'custom': return 'bg-accent/10 text-accent';
       default: return 'bg-muted text-text-secondary';
     }
   };
 
+  const getMemberTwoFactorStatus = (member) =>
+    getTwoFactorStatus(securitySettings, member, twoFactorByMember[member.id]);
+
+  // Active members who have not turned on two-factor authentication the organization requires
+  const nonCompliantMembers = teamMembers.filter(member =>
+    member.is_active !== false
+    && [TWO_FACTOR_STATUS.GRACE, TWO_FACTOR_STATUS.OVERDUE].includes(getMemberTwoFactorStatus(member))
+  );
+
+  // Seats are active members plus open invitations, as the database counts them when inviting
+  const seatsUsed = teamMembers.filter(member => member.is_active !== false && member.role !== 'super_admin').length
+    + invitations.filter(invitation => new Date(invitation.expires_at) > new Date()).length;
+  const seatLimitMessage = plan && !hasRoomFor(plan, 'seats', seatsUsed) ? getLimitMessage(plan, 'seats') : null;
+
   const formatRole = (role) => {
     return role?.replace('_', ' ')?.replace(/\b\w/g, l => l.toUpperCase());
   };
@@ -158,11 +322,17 @@ const Team = () => {
               <p className="text-text-secondary">
                 Manage your organization's team members and their roles
               </p>
+              {plan && !isUnlimited(plan.limits.seats) && !loading && (
+                <p className="text-sm text-text-secondary mt-1">
+                  {seatsUsed} of {plan.limits.seats} seats used on the {plan.name} plan
+                </p>
+              )}
             </div>
             
             <Button
               variant="default"
               onClick={() => setShowInviteModal(true)}
+              disabled={!!seatLimitMessage}
               iconName="UserPlus"
               iconPosition="left"
               className="btn-organic"
@@ -171,6 +341,122 @@ const Team = () => {
             </Button>
           </div>
 
+          {/* Seat Limit */}
+          {seatLimitMessage && !loading && (
+            <div className="flex items-center justify-between bg-error/5 border border-error/20 rounded-genetic-lg p-4">
+              <div className="flex items-center space-x-2 text-sm text-error">
+                <Icon name="AlertTriangle" size={16} />
+                <span>{seatLimitMessage}</span>
+              </div>
+              {permissions.canManageBilling && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  iconName="ArrowUp"
+                  iconPosition="left"
+                  onClick={() => navigate('/dashboard/settings?tab=billing')}
+                >
+                  View Plans
+                </Button>
+              )}
+            </div>
+          )}
+
+          {/* Two-Factor Compliance */}
+          {securitySettings.require_two_factor && !loading && nonCompliantMembers.length > 0 && (
+            <div className="bg-warning/5 border border-warning/20 rounded-genetic-lg p-6">
+              <div className="flex items-center space-x-2 mb-2">
+                <Icon name="ShieldAlert" size={20} className="text-warning" />
+                <h3 className="font-semibold text-text-primary">
+                  {nonCompliantMembers.length} member{nonCompliantMembers.length === 1 ? ' has' : 's have'} not set up two-factor authentication
+                </h3>
+              </div>
+              <p className="text-sm text-text-secondary mb-4">
+                Your organization requires it. Members past their deadline can only reach their profile until they set it up.
+              </p>
+              <div className="divide-y divide-border">
+                {nonCompliantMembers.map(member => {
+                  const overdue = getMemberTwoFactorStatus(member) === TWO_FACTOR_STATUS.OVERDUE;
+                  return (
+                    <div key={member.id} className="flex items-center justify-between py-2 text-sm">
+                      <span className="text-text-primary">
+                        {member.first_name} {member.last_name}
+                        <span className="text-text-secondary"> · {member.email}</span>
+                      </span>
+                      <span className={overdue ? 'text-error font-medium' : 'text-text-secondary'}>
+                        {overdue ? 'Overdue' : `Due ${getTwoFactorDeadline(securitySettings, member).toLocaleDateString()}`}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Invite link to share by hand */}
+          {inviteLink && (
+            <div className="bg-card rounded-genetic-lg shadow-organic-sm p-4 flex items-center gap-3">
+              <Icon name="Link" size={18} className="text-text-secondary" />
+              <code className="flex-1 text-sm text-text-primary truncate">{inviteLink}</code>
+              <Button variant="outline" size="sm" iconName="Copy" iconPosition="left" onClick={copyInviteLink}>
+                Copy
+              </Button>
+              <Button variant="ghost" size="sm" iconName="X" onClick={() => setInviteLink(null)} />
+            </div>
+          )}
+
+          {/* Pending Invitations */}
+          {invitations.length > 0 && (
+            <div className="bg-card rounded-genetic-lg shadow-organic-sm overflow-hidden">
+              <div className="px-6 py-4 border-b border-border">
+                <h3 className="font-semibold text-text-primary">Pending Invitations</h3>
+              </div>
+              <div className="divide-y divide-border">
+                {invitations.map(invitation => {
+                  const expired = getInvitationStatus(invitation) === 'expired';
+                  return (
+                    <div key={invitation.id} className="px-6 py-4 flex items-center justify-between gap-4">
+                      <div className="min-w-0">
+                        <p className="font-medium text-text-primary truncate">
+                          {[invitation.first_name, invitation.last_name].filter(Boolean).join(' ') || invitation.email}
+                        </p>
+                        <p className="text-sm text-text-secondary truncate">
+                          {invitation.email} · {formatRole(invitation.role)}
+                        </p>
+                        <p className={`text-xs ${expired ? 'text-error' : 'text-text-secondary'}`}>
+                          {expired
+                            ? `Expired ${new Date(invitation.expires_at).toLocaleDateString()}`
+                            : `Expires ${new Date(invitation.expires_at).toLocaleDateString()}`}
+                          {invitation.send_count > 1 && ` · sent ${invitation.send_count} times`}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          iconName="Send"
+                          iconPosition="left"
+                          onClick={() => handleResendInvitation(invitation)}
+                        >
+                          Resend
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          iconName="X"
+                          iconPosition="left"
+                          onClick={() => handleRevokeInvitation(invitation)}
+                        >
+                          Revoke
+                        </Button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Team Members List */}
           <div className="bg-card rounded-genetic-lg shadow-organic-sm overflow-hidden">
             {loading ? (
@@ -188,6 +474,7 @@ const Team = () => {
                 <Button
                   variant="default"
                   onClick={() => setShowInviteModal(true)}
+                  disabled={!!seatLimitMessage}
                   iconName="UserPlus"
                   iconPosition="left"
                 >
@@ -212,14 +499,24 @@ const Team = () => {
                           </h3>
                           <p className="text-text-secondary">{member.email}</p>
                           <div className="flex items-center space-x-3 mt-1">
-                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getRoleColor(member.role)}`}>
-                              {formatRole(member.role)}
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getRoleColor(member.custom_role_id ? 'custom' : member.role)}`}>
+                              {getMemberRoleName(member)}
                             </span>
                             {!member.email_verified && (
                               <span className="px-2 py-1 bg-warning/10 text-warning rounded-full text-xs">
                                 Pending Verification
                               </span>
                             )}
+                            {twoFactorByMember[member.id] && (
+                              <span className="px-2 py-1 bg-success/10 text-success rounded-full text-xs">
+                                2FA
+                              </span>
+                            )}
+                            {!isEmailDomainAllowed(securitySettings, member.email) && (
+                              <span className="px-2 py-1 bg-error/10 text-error rounded-full text-xs">
+                                Domain not allowed
+                              </span>
+                            )}
                             {!member.is_active && (
                               <span className="px-2 py-1 bg-error/10 text-error rounded-full text-xs">
                                 Inactive
@@ -233,8 +530,8 @@ const Team = () => {
                         {member.id !== profile.id && (
                           <>
                             <Select
-                              options={roleOptions}
-                              value={member.role}
+                              options={memberRoleOptions}
+                              value={getMemberRoleValue(member)}
                               onChange={(newRole) => updateMemberRole(member.id, newRole)}
                               className="w-48"
                             />
@@ -252,7 +549,7 @@ const Team = () => {
                               <Button
                                 variant="default"
                                 size="sm"
-                                onClick={() => updateMemberRole(member.id, member.role)}
+                                onClick={() => updateMemberRole(member.id, getMemberRoleValue(member))}
                                 iconName="UserCheck"
                               >
                                 Activate
@@ -329,6 +626,7 @@ const Team = () => {
                       type="submit"
                       variant="default"
                       fullWidth
+                      loading={isInviting}
                       iconName="Send"
                       iconPosition="left"
                     >
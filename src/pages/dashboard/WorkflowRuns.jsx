@@ -0,0 +1,423 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import DashboardLayout from '../../components/dashboard/DashboardLayout';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import WorkflowCanvas from '../../components/workflow/WorkflowCanvas';
+import { supabase } from '../../lib/supabase';
+import { normalizeGraph } from '../../lib/workflow/graph';
+import { retryRun } from '../../lib/workflowRuns';
+import toast from 'react-hot-toast';
+
+const REPLAY_INTERVAL_MS = 1200;
+
+const WorkflowRuns = () => {
+  const { workflowId, executionId } = useParams();
+  const navigate = useNavigate();
+  const [workflow, setWorkflow] = useState(null);
+  const [versionConfig, setVersionConfig] = useState(null);
+  const [executions, setExecutions] = useState([]);
+  const [execution, setExecution] = useState(null);
+  const [trace, setTrace] = useState([]);
+  const [childRuns, setChildRuns] = useState([]);
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [retrying, setRetrying] = useState(false);
+
+  useEffect(() => {
+    fetchWorkflow();
+    fetchExecutions();
+  }, [workflowId]);
+
+  useEffect(() => {
+    if (executionId) {
+      fetchExecution(executionId);
+    } else {
+      setExecution(null);
+      setTrace([]);
+    }
+  }, [executionId]);
+
+  // Advance the replay cursor while playing
+  useEffect(() => {
+    if (!playing) return undefined;
+
+    if (cursor >= trace.length - 1) {
+      setPlaying(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => setCursor(prev => prev + 1), REPLAY_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [playing, cursor, trace.length]);
+
+  const fetchWorkflow = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('workflows')
+        .select('*')
+        .eq('id', workflowId)
+        .single();
+
+      if (error) throw error;
+      setWorkflow(data);
+    } catch (error) {
+      console.error('Error fetching workflow:', error);
+    }
+  };
+
+  const fetchExecutions = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('workflow_executions')
+        .select('*')
+        .eq('workflow_id', workflowId)
+        .order('started_at', { ascending: false })
+        .limit(50);
+
+      if (error) throw error;
+      setExecutions(data || []);
+    } catch (error) {
+      console.error('Error fetching executions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchExecution = async (id) => {
+    try {
+      const [
+        { data: executionData, error: executionError },
+        { data: steps, error: stepsError },
+        { data: children, error: childrenError }
+      ] = await Promise.all([
+        supabase.from('workflow_executions').select('*, parent:workflow_executions!parent_execution_id(workflow_id)').eq('id', id).single(),
+        supabase.from('workflow_execution_steps').select('*').eq('execution_id', id).order('sequence', { ascending: true }),
+        // Runs started by this run's sub-workflow steps
+        supabase.from('workflow_executions').select('id, workflow_id, parent_step_id, status').eq('parent_execution_id', id)
+      ]);
+
+      if (executionError) throw executionError;
+      if (stepsError) throw stepsError;
+      if (childrenError) throw childrenError;
+
+      // Draw the run against the version it ran, which may differ from the live one
+      let config = null;
+      if (executionData.workflow_version) {
+        const { data: version, error: versionError } = await supabase
+          .from('workflow_versions')
+          .select('config')
+          .eq('workflow_id', workflowId)
+          .eq('version', executionData.workflow_version)
+          .maybeSingle();
+
+        if (versionError) throw versionError;
+        config = version?.config || null;
+      }
+
+      setExecution(executionData);
+      setVersionConfig(config);
+      setTrace(steps || []);
+      setChildRuns(children || []);
+      setCursor(0);
+      setPlaying(false);
+    } catch (error) {
+      console.error('Error fetching execution trace:', error);
+    }
+  };
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    try {
+      const result = await retryRun(execution.id);
+
+      if (result.success) {
+        toast.success('Retry completed');
+      } else {
+        toast.error(`Retry failed: ${result.error}`);
+      }
+      await fetchExecutions();
+      if (result.data?.id) navigate(`/dashboard/workflows/${workflowId}/runs/${result.data.id}`);
+    } catch (error) {
+      console.error('Error retrying execution:', error);
+      toast.error('Failed to retry run');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'completed': return 'text-success bg-success/10';
+      case 'failed': return 'text-error bg-error/10';
+      case 'running': return 'text-primary bg-primary/10';
+      case 'waiting': return 'text-warning bg-warning/10';
+      case 'canceled': return 'text-warning bg-warning/10';
+      default: return 'text-text-secondary bg-muted';
+    }
+  };
+
+  // Graph drawn on the canvas: the steps of the version the run used, plus any traced step it does not have
+  const graph = (() => {
+    const { nodes, edges } = normalizeGraph(versionConfig || workflow?.config);
+    const missing = trace
+      .filter(entry => !nodes.some(node => node.id === entry.step_id))
+      .map(entry => ({ id: entry.step_id, type: entry.step_type, name: entry.step_name || entry.step_id }));
+    return { nodes: [...nodes, ...missing], edges };
+  })();
+
+  const failedIndex = trace.findIndex(entry => entry.status === 'failed');
+  const failedStepId = execution?.failed_step_id || execution?.output_data?.failed_step;
+  const canRetry = execution?.status === 'failed' && failedStepId && !execution.resolved_at;
+  const currentEntry = trace[cursor];
+
+  // Steps inside a loop run once per item; a step shows its latest run up to the cursor
+  const getReplayStatus = (stepId) => {
+    const index = trace.slice(0, cursor + 1).map(entry => entry.step_id).lastIndexOf(stepId);
+    if (index === -1) return 'pending';
+    if (trace[index].status === 'failed') return 'failed';
+    if (trace[index].status === 'waiting') return 'waiting';
+    return index === cursor ? 'current' : 'completed';
+  };
+
+  const formatJson = (value) => JSON.stringify(value ?? {}, null, 2);
+
+  return (
+    <>
+      <Helmet>
+        <title>Workflow Runs - WorkflowGene Cloud Dashboard</title>
+        <meta name="description" content="Inspect workflow executions step by step." />
+      </Helmet>
+
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <div>
+              <Link to="/dashboard/workflows" className="inline-flex items-center space-x-1 text-sm text-text-secondary hover:text-primary mb-2">
+                <Icon name="ArrowLeft" size={14} />
+                <span>Back to workflows</span>
+              </Link>
+              <h1 className="text-3xl font-bold text-text-primary">
+                {workflow?.name || 'Workflow'} runs
+              </h1>
+              <p className="text-text-secondary">
+                Replay an execution step by step to see where it failed
+              </p>
+            </div>
+          </div>
+
+          <div className="grid lg:grid-cols-4 gap-6">
+            {/* Run list */}
+            <div className="bg-card rounded-genetic-lg shadow-organic-sm overflow-hidden lg:col-span-1">
+              <div className="p-4 border-b border-border">
+                <h3 className="font-semibold text-text-primary">Recent Runs</h3>
+              </div>
+              {loading ? (
+                <div className="p-6 text-center">
+                  <Icon name="Loader2" size={24} className="animate-spin text-text-secondary mx-auto" />
+                </div>
+              ) : executions.length === 0 ? (
+                <div className="p-6 text-center text-text-secondary">No runs yet</div>
+              ) : (
+                <div className="divide-y divide-border max-h-[70vh] overflow-y-auto">
+                  {executions.map((run) => (
+                    <button
+                      key={run.id}
+                      onClick={() => navigate(`/dashboard/workflows/${workflowId}/runs/${run.id}`)}
+                      className={`w-full text-left p-4 hover:bg-surface transition-colors ${run.id === executionId ? 'bg-surface' : ''}`}
+                    >
+                      <div className="flex items-center justify-between mb-1">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${getStatusColor(run.status)}`}>
+                          {run.status}
+                        </span>
+                        <span className="text-xs text-text-secondary">
+                          {run.execution_time_ms != null ? `${run.execution_time_ms}ms` : '—'}
+                        </span>
+                      </div>
+                      <p className="text-sm text-text-primary">{new Date(run.started_at).toLocaleString()}</p>
+                      <p className="text-xs text-text-secondary">
+                        <span className="capitalize">{run.trigger_type || 'manual'} run</span>
+                        {run.workflow_version && ` · v${run.workflow_version}`}
+                      </p>
+                      {run.error_message && (
+                        <p className="text-xs text-error truncate">{run.error_message}</p>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Inspector */}
+            <div className="lg:col-span-3 space-y-6">
+              {!execution ? (
+                <div className="bg-card rounded-genetic-lg shadow-organic-sm p-8 text-center">
+                  <Icon name="History" size={48} className="text-text-secondary mx-auto mb-4" />
+                  <h3 className="text-lg font-semibold text-text-primary mb-2">Select a run</h3>
+                  <p className="text-text-secondary">Choose an execution to replay its steps</p>
+                </div>
+              ) : (
+                <>
+                  {/* Replay controls */}
+                  <div className="bg-card rounded-genetic-lg shadow-organic-sm p-4 flex flex-wrap items-center justify-between gap-4">
+                    <div className="flex items-center space-x-3">
+                      <span className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${getStatusColor(execution.status)}`}>
+                        {execution.status}
+                      </span>
+                      {execution.workflow_version && (
+                        <span className="text-sm text-text-secondary">v{execution.workflow_version}</span>
+                      )}
+                      <span className="text-sm text-text-secondary">
+                        {trace.length === 0 ? 'No step trace recorded' : `Step ${cursor + 1} of ${trace.length}`}
+                      </span>
+                      {execution.retry_of && (
+                        <Link to={`/dashboard/workflows/${workflowId}/runs/${execution.retry_of}`} className="text-sm text-primary hover:underline">
+                          Retry of an earlier run
+                        </Link>
+                      )}
+                      {execution.parent_execution_id && execution.parent && (
+                        <Link
+                          to={`/dashboard/workflows/${execution.parent.workflow_id}/runs/${execution.parent_execution_id}`}
+                          className="text-sm text-primary hover:underline"
+                        >
+                          Called by another run
+                        </Link>
+                      )}
+                      {execution.retried_by && (
+                        <Link to={`/dashboard/workflows/${workflowId}/runs/${execution.retried_by}`} className="text-sm text-primary hover:underline">
+                          Retried in a later run
+                        </Link>
+                      )}
+                      {execution.resolved_at && (
+                        <span className="text-sm text-text-secondary">Resolved {new Date(execution.resolved_at).toLocaleString()}</span>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <Button variant="ghost" size="sm" iconName="SkipBack" disabled={cursor === 0} onClick={() => { setPlaying(false); setCursor(0); }} />
+                      <Button variant="ghost" size="sm" iconName="ChevronLeft" disabled={cursor === 0} onClick={() => { setPlaying(false); setCursor(prev => prev - 1); }} />
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        iconName={playing ? 'Pause' : 'Play'}
+                        disabled={trace.length === 0}
+                        onClick={() => {
+                          if (!playing && cursor >= trace.length - 1) setCursor(0);
+                          setPlaying(!playing);
+                        }}
+                      >
+                        {playing ? 'Pause' : 'Replay'}
+                      </Button>
+                      <Button variant="ghost" size="sm" iconName="ChevronRight" disabled={cursor >= trace.length - 1} onClick={() => { setPlaying(false); setCursor(prev => prev + 1); }} />
+                      {failedIndex !== -1 && (
+                        <Button variant="ghost" size="sm" iconName="AlertTriangle" onClick={() => { setPlaying(false); setCursor(failedIndex); }}>
+                          Jump to failure
+                        </Button>
+                      )}
+                      {canRetry && (
+                        <Button variant="default" size="sm" iconName="RotateCcw" iconPosition="left" loading={retrying} onClick={handleRetry}>
+                          Retry from failed step
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Canvas */}
+                  <div className="bg-card rounded-genetic-lg shadow-organic-sm overflow-hidden h-[420px]">
+                    <WorkflowCanvas
+                      nodes={graph.nodes}
+                      edges={graph.edges}
+                      getNodeStatus={getReplayStatus}
+                      onSelectNode={(node) => {
+                        const traceIndex = trace.findIndex(entry => entry.step_id === node.id);
+                        if (traceIndex !== -1) {
+                          setPlaying(false);
+                          setCursor(traceIndex);
+                        }
+                      }}
+                    />
+                  </div>
+
+                  {/* Step detail */}
+                  {currentEntry && (
+                    <div className="bg-card rounded-genetic-lg shadow-organic-sm p-6 space-y-4">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <h3 className="text-lg font-semibold text-text-primary">
+                            {currentEntry.step_name || currentEntry.step_id}
+                          </h3>
+                          <p className="text-sm text-text-secondary">
+                            <span className="capitalize">{currentEntry.step_type.replace('_', ' ')}</span>
+                            {currentEntry.iteration != null && ` · item ${currentEntry.iteration + 1}`}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-3 text-sm text-text-secondary">
+                          {currentEntry.reused && <span>Reused from earlier run</span>}
+                          {childRuns
+                            .filter(child => child.parent_step_id === currentEntry.step_id)
+                            .map(child => (
+                              <Link key={child.id} to={`/dashboard/workflows/${child.workflow_id}/runs/${child.id}`} className="text-primary hover:underline">
+                                View called run ({child.status})
+                              </Link>
+                            ))}
+                          {currentEntry.attempts > 1 && <span>{currentEntry.attempts} attempts</span>}
+                          <span className={`px-3 py-1 rounded-full font-medium capitalize ${getStatusColor(currentEntry.status)}`}>
+                            {currentEntry.status}
+                          </span>
+                          <span>{currentEntry.duration_ms ?? 0}ms</span>
+                        </div>
+                      </div>
+
+                      {currentEntry.attempt_errors?.length > 0 && (
+                        <div>
+                          <h4 className="text-sm font-medium text-text-primary mb-2">Attempts</h4>
+                          <ul className="space-y-1 text-sm">
+                            {currentEntry.attempt_errors.map(attempt => (
+                              <li key={attempt.attempt} className="flex items-start space-x-2">
+                                <span className="text-text-secondary whitespace-nowrap">#{attempt.attempt}</span>
+                                <span className="text-error flex-1">{attempt.error}</span>
+                                <span className="text-xs text-text-secondary whitespace-nowrap">
+                                  {attempt.error_class}
+                                  {attempt.retry_in_ms != null && `, retried after ${attempt.retry_in_ms / 1000}s`}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {currentEntry.error_message && (
+                        <div className="p-3 rounded-genetic-md bg-error/10 text-error text-sm">
+                          {currentEntry.error_message}
+                        </div>
+                      )}
+
+                      <div className="grid md:grid-cols-2 gap-4">
+                        <div>
+                          <h4 className="text-sm font-medium text-text-primary mb-2">Inputs</h4>
+                          <pre className="text-xs bg-surface rounded-genetic-md p-3 overflow-auto max-h-64">
+                            {formatJson(currentEntry.input_data)}
+                          </pre>
+                        </div>
+                        <div>
+                          <h4 className="text-sm font-medium text-text-primary mb-2">Outputs</h4>
+                          <pre className="text-xs bg-surface rounded-genetic-md p-3 overflow-auto max-h-64">
+                            {formatJson(currentEntry.output_data)}
+                          </pre>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </DashboardLayout>
+    </>
+  );
+};
+
+export default WorkflowRuns;
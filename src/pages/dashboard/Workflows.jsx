@@ -1,24 +1,40 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet';
+import { useNavigate } from 'react-router-dom';
 import DashboardLayout from '../../components/dashboard/DashboardLayout';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Select from '../../components/ui/Select';
 import Icon from '../../components/AppIcon';
 import WorkflowBuilder from '../../components/workflow/WorkflowBuilder';
+import WebhookDeliveries from '../../components/workflow/WebhookDeliveries';
+import ExportWorkflow from '../../components/workflow/ExportWorkflow';
+import ImportWorkflow from '../../components/workflow/ImportWorkflow';
 import TeamCollaboration from '../../components/collaboration/TeamCollaboration';
 import { useAuth } from '../../components/auth/AuthProvider';
 import { supabase } from '../../lib/supabase';
+import { runWorkflow } from '../../lib/workflowRuns';
+import { getWorkflowNextRun } from '../../lib/workflow/schedule';
+import { getWebhookTriggers } from '../../lib/workflow/webhooks';
+import { canAccessWorkflow } from '../../lib/permissions';
+import { isPlanLimitError } from '../../lib/billing/plans';
+import toast from 'react-hot-toast';
 
 const Workflows = () => {
   const [workflows, setWorkflows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [folderFilter, setFolderFilter] = useState('all');
   const [showBuilder, setShowBuilder] = useState(false);
   const [editingWorkflow, setEditingWorkflow] = useState(null);
   const [showCollaboration, setShowCollaboration] = useState(false);
+  const [runningWorkflowId, setRunningWorkflowId] = useState(null);
+  const [deliveriesWorkflow, setDeliveriesWorkflow] = useState(null);
+  const [exportingWorkflow, setExportingWorkflow] = useState(null);
+  const [showImport, setShowImport] = useState(false);
   const { profile, getPermissions } = useAuth();
+  const navigate = useNavigate();
   const permissions = getPermissions();
 
   const statusOptions = [
@@ -29,6 +45,13 @@ const Workflows = () => {
     { value: 'archived', label: 'Archived' }
   ];
 
+  const folders = [...new Set(workflows.map(workflow => workflow.folder).filter(Boolean))].sort();
+  const folderOptions = [
+    { value: 'all', label: 'All Folders' },
+    { value: 'none', label: 'No Folder' },
+    ...folders.map(folder => ({ value: folder, label: folder }))
+  ];
+
   useEffect(() => {
     fetchWorkflows();
   }, [profile]);
@@ -46,8 +69,8 @@ const Workflows = () => {
         .eq('organization_id', profile.organization_id)
         .order('created_at', { ascending: false });
 
-      // If user role, only show assigned workflows
-      if (profile.role === 'user') {
+      // If user role, only show assigned workflows. Custom roles see the folders they are granted.
+      if (profile.role === 'user' && !profile.custom_role) {
         query = query.contains('assigned_to', [profile.id]);
       }
 
@@ -66,7 +89,9 @@ const Workflows = () => {
     const matchesSearch = workflow.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          workflow.description?.toLowerCase().includes(searchTerm.toLowerCase());
     const matchesStatus = statusFilter === 'all' || workflow.status === statusFilter;
-    return matchesSearch && matchesStatus;
+    const matchesFolder = folderFilter === 'all'
+      || (folderFilter === 'none' ? !workflow.folder : workflow.folder === folderFilter);
+    return matchesSearch && matchesStatus && matchesFolder;
   });
 
   const getStatusColor = (status) => {
@@ -81,21 +106,58 @@ const Workflows = () => {
 
   const handleStatusChange = async (workflowId, newStatus) => {
     try {
+      const workflow = workflows.find(w => w.id === workflowId);
+      if (newStatus === 'active' && !workflow?.published_version) {
+        toast.error('Publish a version of this workflow before activating it');
+        return;
+      }
+
+      const updates = {
+        status: newStatus,
+        updated_at: new Date().toISOString()
+      };
+      // Resuming a scheduled workflow starts from the next slot instead of catching up on missed runs
+      if (newStatus === 'active') {
+        updates.next_run_at = getWorkflowNextRun(workflow?.config);
+      }
+
       const { error } = await supabase
         .from('workflows')
-        .update({ 
-          status: newStatus,
-          updated_at: new Date().toISOString()
-        })
+        .update(updates)
         .eq('id', workflowId);
 
       if (error) throw error;
 
       setWorkflows(prev => 
-        prev.map(w => w.id === workflowId ? { ...w, status: newStatus } : w)
+        prev.map(w => w.id === workflowId ? { ...w, ...updates } : w)
       );
     } catch (error) {
       console.error('Error updating workflow status:', error);
+      // Unarchiving counts against the plan's workflow limit
+      toast.error(isPlanLimitError(error) ? error.message : 'Failed to update workflow status');
+    }
+  };
+
+  const handleRunWorkflow = async (workflow) => {
+    setRunningWorkflowId(workflow.id);
+    try {
+      const result = await runWorkflow(workflow.id);
+
+      if (result.success && result.data.status === 'waiting') {
+        toast.success(result.data.resume_at
+          ? `${workflow.name} is paused until ${new Date(result.data.resume_at).toLocaleString()}`
+          : `${workflow.name} is waiting for approval`);
+      } else if (result.success) {
+        toast.success(`${workflow.name} completed in ${result.data.execution_time_ms}ms`);
+      } else {
+        toast.error(`${workflow.name} failed: ${result.error}`);
+      }
+      fetchWorkflows();
+    } catch (error) {
+      console.error('Error running workflow:', error);
+      toast.error('Failed to run workflow');
+    } finally {
+      setRunningWorkflowId(null);
     }
   };
 
@@ -114,6 +176,13 @@ const Workflows = () => {
     setEditingWorkflow(null);
     fetchWorkflows();
   };
+
+  // Open the imported draft in the builder for review
+  const handleImported = (workflow) => {
+    setShowImport(false);
+    fetchWorkflows();
+    handleEditWorkflow(workflow);
+  };
   return (
     <>
       <Helmet>
@@ -133,6 +202,14 @@ const Workflows = () => {
             </div>
             
             <div className="flex items-center space-x-3">
+              <Button
+                variant="outline"
+                onClick={() => navigate('/dashboard/workflows/dead-letters')}
+                iconName="Inbox"
+                iconPosition="left"
+              >
+                Dead Letters
+              </Button>
               <Button
                 variant="outline"
                 onClick={() => setShowCollaboration(!showCollaboration)}
@@ -142,6 +219,17 @@ const Workflows = () => {
                 Team Activity
               </Button>
               
+              {permissions.canManageWorkflows && (
+                <Button
+                  variant="outline"
+                  onClick={() => setShowImport(true)}
+                  iconName="Upload"
+                  iconPosition="left"
+                >
+                  Import
+                </Button>
+              )}
+
               {permissions.canManageWorkflows && (
                 <Button
                   variant="default"
@@ -179,6 +267,16 @@ const Workflows = () => {
                   placeholder="Filter by status"
                 />
               </div>
+              {folders.length > 0 && (
+                <div className="w-full lg:w-48">
+                  <Select
+                    options={folderOptions}
+                    value={folderFilter}
+                    onChange={setFolderFilter}
+                    placeholder="Filter by folder"
+                  />
+                </div>
+              )}
             </div>
           </div>
 
@@ -227,6 +325,12 @@ const Workflows = () => {
                         </p>
                         
                         <div className="flex items-center space-x-6 text-sm text-text-secondary">
+                          {workflow.folder && (
+                            <div className="flex items-center space-x-1">
+                              <Icon name="Folder" size={14} />
+                              <span>{workflow.folder}</span>
+                            </div>
+                          )}
                           <div className="flex items-center space-x-1">
                             <Icon name="Play" size={14} />
                             <span>{workflow.execution_count || 0} executions</span>
@@ -237,54 +341,106 @@ const Workflows = () => {
                               Created by {workflow.created_by?.first_name} {workflow.created_by?.last_name}
                             </span>
                           </div>
+                          <div className="flex items-center space-x-1">
+                            <Icon name="GitCommit" size={14} />
+                            <span>{workflow.published_version ? `v${workflow.published_version} live` : 'Not published'}</span>
+                          </div>
                           <div className="flex items-center space-x-1">
                             <Icon name="Calendar" size={14} />
                             <span>{new Date(workflow.created_at).toLocaleDateString()}</span>
                           </div>
+                          {workflow.status === 'active' && workflow.next_run_at && (
+                            <div className="flex items-center space-x-1">
+                              <Icon name="CalendarClock" size={14} />
+                              <span>Next run {new Date(workflow.next_run_at).toLocaleString()}</span>
+                            </div>
+                          )}
                         </div>
                       </div>
 
                       <div className="flex items-center space-x-2 ml-4">
-                        {permissions.canManageWorkflows && (
-                          <>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          iconName="History"
+                          onClick={() => navigate(`/dashboard/workflows/${workflow.id}/runs`)}
+                        >
+                          Runs
+                        </Button>
+
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          iconName="Download"
+                          onClick={() => setExportingWorkflow(workflow)}
+                        >
+                          Export
+                        </Button>
+
+                        {getWebhookTriggers(workflow.config).length > 0 && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            iconName="Webhook"
+                            onClick={() => setDeliveriesWorkflow(workflow)}
+                          >
+                            Deliveries
+                          </Button>
+                        )}
+
+                        {canAccessWorkflow(permissions, workflow, 'edit') && (
+                          <Button 
+                            variant="ghost" 
+                            size="sm" 
+                            iconName="Edit"
+                            onClick={() => handleEditWorkflow(workflow)}
+                          >
+                            Edit
+                          </Button>
+                        )}
+
+                        {workflow.status === 'active' && canAccessWorkflow(permissions, workflow, 'execute') && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            iconName="PlayCircle"
+                            loading={runningWorkflowId === workflow.id}
+                            disabled={!workflow.published_version}
+                            onClick={() => handleRunWorkflow(workflow)}
+                          >
+                            Run now
+                          </Button>
+                        )}
+
+                        {canAccessWorkflow(permissions, workflow, 'edit') && (
+                          workflow.status === 'active' ? (
+                            <Button 
+                              variant="outline" 
+                              size="sm" 
+                              iconName="Pause"
+                              onClick={() => handleStatusChange(workflow.id, 'paused')}
+                            >
+                              Pause
+                            </Button>
+                          ) : workflow.status === 'paused' ? (
                             <Button 
-                              variant="ghost" 
+                              variant="default" 
                               size="sm" 
-                              iconName="Edit"
-                              onClick={() => handleEditWorkflow(workflow)}
+                              iconName="Play"
+                              onClick={() => handleStatusChange(workflow.id, 'active')}
                             >
-                              Edit
+                              Resume
                             </Button>
-                            
-                            {workflow.status === 'active' ? (
-                              <Button 
-                                variant="outline" 
-                                size="sm" 
-                                iconName="Pause"
-                                onClick={() => handleStatusChange(workflow.id, 'paused')}
-                              >
-                                Pause
-                              </Button>
-                            ) : workflow.status === 'paused' ? (
-                              <Button 
-                                variant="default" 
-                                size="sm" 
-                                iconName="Play"
-                                onClick={() => handleStatusChange(workflow.id, 'active')}
-                              >
-                                Resume
-                              </Button>
-                            ) : (
-                              <Button 
-                                variant="default" 
-                                size="sm" 
-                                iconName="Play"
-                                onClick={() => handleStatusChange(workflow.id, 'active')}
-                              >
-                                Activate
-                              </Button>
-                            )}
-                          </>
+                          ) : (
+                            <Button 
+                              variant="default" 
+                              size="sm" 
+                              iconName="Play"
+                              onClick={() => handleStatusChange(workflow.id, 'active')}
+                            >
+                              Activate
+                            </Button>
+                          )
                         )}
                         
                         <Button variant="ghost" size="sm" iconName="MoreVertical" />
@@ -305,6 +461,27 @@ const Workflows = () => {
             onClose={() => setShowBuilder(false)}
           />
         )}
+
+        {deliveriesWorkflow && (
+          <WebhookDeliveries
+            workflow={deliveriesWorkflow}
+            onClose={() => setDeliveriesWorkflow(null)}
+          />
+        )}
+
+        {exportingWorkflow && (
+          <ExportWorkflow
+            workflow={exportingWorkflow}
+            onClose={() => setExportingWorkflow(null)}
+          />
+        )}
+
+        {showImport && (
+          <ImportWorkflow
+            onImported={handleImported}
+            onClose={() => setShowImport(false)}
+          />
+        )}
       </DashboardLayout>
     </>
   );
@@ -14,6 +14,21 @@ import EnterpriseContact from './components/EnterpriseContact';
 import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
 import { openCalendlyDemo, startFreeTrial } from '../../utils/navigation';
+import { getPlan, isUnlimited } from '../../lib/billing/plans';
+
+const formatLimit = (value) => (isUnlimited(value) ? 'Unlimited' : value.toLocaleString('en-US'));
+
+// The enforced limits come from the plan definitions so the page cannot promise more
+const getPlanLimits = (planId, dataRetention) => {
+  const { limits } = getPlan(planId);
+  return [
+    { name: 'Workflows', value: formatLimit(limits.workflows) },
+    { name: 'Monthly executions', value: formatLimit(limits.executions) },
+    { name: 'Team members', value: formatLimit(limits.seats) },
+    { name: 'Installed integrations', value: formatLimit(limits.integrations) },
+    { name: 'Data retention', value: dataRetention }
+  ];
+};
 
 const Pricing = () => {
   const [billingCycle, setBillingCycle] = useState('monthly');
@@ -24,7 +39,7 @@ const Pricing = () => {
       description: 'Perfect for small teams getting started with automation',
       price: 0,
       features: [
-        { name: 'Up to 5 active workflows', included: true },
+        { name: 'Up to 5 workflows', included: true },
         { name: '1,000 monthly executions', included: true },
         { name: 'Basic workflow builder', included: true },
         { name: '20+ pre-built integrations', included: true },
@@ -35,19 +50,14 @@ const Pricing = () => {
         { name: 'API access', included: false },
         { name: 'Priority support', included: false }
       ],
-      limits: [
-        { name: 'Active workflows', value: '5' },
-        { name: 'Monthly executions', value: '1,000' },
-        { name: 'Team members', value: 'Unlimited' },
-        { name: 'Data retention', value: '30 days' }
-      ]
+      limits: getPlanLimits('starter', '30 days')
     },
     {
       name: 'Professional',
       description: 'Advanced automation for growing businesses',
       price: 200,
       features: [
-        { name: 'Up to 50 active workflows', included: true },
+        { name: 'Up to 50 workflows', included: true },
         { name: '10,000 monthly executions', included: true },
         { name: 'Advanced workflow builder', included: true },
         { name: '100+ pre-built integrations', included: true },
@@ -58,12 +68,7 @@ const Pricing = () => {
         { name: 'API access & webhooks', included: true },
         { name: 'SOC 2 & GDPR compliance', included: true }
       ],
-      limits: [
-        { name: 'Active workflows', value: '50' },
-        { name: 'Monthly executions', value: '10,000' },
-        { name: 'Team members', value: 'Unlimited' },
-        { name: 'Data retention', value: '1 year' }
-      ]
+      limits: getPlanLimits('professional', '1 year')
     },
     {
       name: 'Enterprise',
@@ -81,12 +86,7 @@ const Pricing = () => {
         { name: 'Custom integrations', included: true },
         { name: 'SLA guarantees', included: true }
       ],
-      limits: [
-        { name: 'Active workflows', value: 'Unlimited' },
-        { name: 'Monthly executions', value: 'Unlimited' },
-        { name: 'Team members', value: 'Unlimited' },
-        { name: 'Data retention', value: 'Custom' }
-      ]
+      limits: getPlanLimits('enterprise', 'Custom')
     }
   ];
 
@@ -1,7 +1,22 @@
 // store/authStore.js
 import { create } from 'zustand';
 import { supabase, isSupabaseConfigured, clearInvalidSession } from '../lib/supabase';
-import { getCurrentProfile } from '../lib/auth';
+import {
+  getCurrentProfile,
+  isSecondFactorPending,
+  getSessionStartedAt,
+  getLastActivity,
+  signOut
+} from '../lib/auth';
+import {
+  getSecuritySettings,
+  getSessionViolation,
+  getTwoFactorStatus,
+  getTwoFactorDeadline,
+  TWO_FACTOR_STATUS
+} from '../lib/securityPolicy';
+import { resolvePermissions } from '../lib/permissions';
+import toast from 'react-hot-toast';
 
 const useAuthStore = create((set, get) => ({
   // State
@@ -10,6 +25,11 @@ const useAuthStore = create((set, get) => ({
   loading: true,
   initialized: false,
   error: null,
+  // Signed in with a password but not yet through two-factor authentication
+  twoFactorPending: false,
+  // Whether the organization requires two-factor authentication the member has not set up yet
+  twoFactorStatus: TWO_FACTOR_STATUS.NOT_REQUIRED,
+  twoFactorDeadline: null,
 
   // Actions
   setUser: (user) => set({ user }),
@@ -59,6 +79,18 @@ const useAuthStore = create((set, get) => ({
         throw sessionError;
       }
 
+      if (await isSecondFactorPending(session)) {
+        set({
+          user: null,
+          profile: null,
+          twoFactorPending: true,
+          loading: false,
+          initialized: true,
+          error: null
+        });
+        return;
+      }
+
       const user = session?.user || null;
       console.log('Current user from session:', user?.email);
       let profile = null;
@@ -77,7 +109,8 @@ const useAuthStore = create((set, get) => ({
                 .from('profiles')
                 .select(`
                   *,
-                  organization:organizations(*)
+                  organization:organizations(*),
+                  custom_role:custom_roles(*)
                 `)
                 .eq('id', user.id)
                 .single();
@@ -154,7 +187,8 @@ const useAuthStore = create((set, get) => ({
                 .from('profiles')
                 .select(`
                   *,
-                  organization:organizations(*)
+                  organization:organizations(*),
+                  custom_role:custom_roles(*)
                 `)
                 .eq('id', user.id)
                 .single();
@@ -170,6 +204,17 @@ const useAuthStore = create((set, get) => ({
         }
       }
 
+      if (profile && !(await get().applySecurityPolicy(session, profile))) {
+        set({
+          user: null,
+          profile: null,
+          loading: false,
+          initialized: true,
+          error: null
+        });
+        return;
+      }
+
       console.log('Auth initialized:', { 
         userEmail: user?.email, 
         profileRole: profile?.role,
@@ -211,10 +256,66 @@ const useAuthStore = create((set, get) => ({
     }
   },
 
+  // Let the session in once verifySecondFactor has passed
+  completeTwoFactor: async () => {
+    const { data: { session } = {} } = await supabase.auth.getSession();
+    set({ user: session?.user || null, twoFactorPending: false });
+    const profile = await get().refreshProfile();
+    await get().applySecurityPolicy(session, profile);
+    return profile;
+  },
+
+  // Apply the organization's security settings to the session. Ends the session and returns false
+  // when the settings no longer allow it; otherwise records whether the member owes a second factor.
+  applySecurityPolicy: async (session, profile = get().profile) => {
+    if (!session?.user || !profile?.organization) return true;
+
+    const settings = getSecuritySettings(profile.organization);
+    const violation = getSessionViolation(settings, {
+      email: session.user.email,
+      signedInAt: getSessionStartedAt(session),
+      lastActiveAt: getLastActivity()
+    });
+
+    if (violation) {
+      toast.error(violation);
+      await signOut();
+      return false;
+    }
+
+    let twoFactorEnabled = false;
+    if (settings.require_two_factor) {
+      const { data, error } = await supabase
+        .from('user_security')
+        .select('two_factor_enabled')
+        .eq('user_id', session.user.id)
+        .maybeSingle();
+
+      if (error) console.error('Error checking two-factor status:', error);
+      twoFactorEnabled = !!data?.two_factor_enabled;
+    }
+
+    set({
+      twoFactorStatus: getTwoFactorStatus(settings, profile, twoFactorEnabled),
+      twoFactorDeadline: getTwoFactorDeadline(settings, profile)
+    });
+    return true;
+  },
+
+  // Re-check the current session, e.g. on navigation or on a timer for idle timeouts
+  enforceSessionPolicy: async () => {
+    if (!get().user) return true;
+    const { data: { session } = {} } = await supabase.auth.getSession();
+    return get().applySecurityPolicy(session);
+  },
+
   // Clear auth state
   clearAuth: () => set({
     user: null,
     profile: null,
+    twoFactorPending: false,
+    twoFactorStatus: TWO_FACTOR_STATUS.NOT_REQUIRED,
+    twoFactorDeadline: null,
     loading: false,
     error: null
   }),
@@ -236,89 +337,32 @@ const useAuthStore = create((set, get) => ({
     return profile.organization_id === organizationId;
   },
 
-  // Get user permissions
-  getPermissions: () => {
-    const { profile } = get();
-    if (!profile?.role) return {};
-
-    const permissions = {
-      super_admin: {
-        canManageUsers: true,
-        canManageOrganizations: true,
-        canManageWorkflows: true,
-        canViewAnalytics: true,
-        canManageBilling: true,
-        canManageSettings: true,
-        canAccessAllData: true,
-        canAccessCMS: true,
-        canManageSystem: true,
-        canManageIntegrations: true,
-        canViewSystemHealth: true,
-        canManageErrorLogs: true
-      },
-      org_admin: {
-        canManageUsers: true,
-        canManageOrganizations: false,
-        canManageWorkflows: true,
-        canViewAnalytics: true,
-        canManageBilling: true,
-        canManageSettings: true,
-        canAccessAllData: false,
-        canAccessCMS: false,
-        canManageSystem: false,
-        canManageIntegrations: true,
-        canViewSystemHealth: false,
-        canManageErrorLogs: false
-      },
-      manager: {
-        canManageUsers: false,
-        canManageOrganizations: false,
-        canManageWorkflows: true,
-        canViewAnalytics: true,
-        canManageBilling: false,
-        canManageSettings: false,
-        canAccessAllData: false,
-        canAccessCMS: false,
-        canManageSystem: false,
-        canManageIntegrations: true,
-        canViewSystemHealth: false,
-        canManageErrorLogs: false
-      },
-      user: {
-        canManageUsers: false,
-        canManageOrganizations: false,
-        canManageWorkflows: false,
-        canViewAnalytics: false,
-        canManageBilling: false,
-        canManageSettings: false,
-        canAccessAllData: false,
-        canAccessCMS: false,
-        canManageSystem: false,
-        canManageIntegrations: false,
-        canViewSystemHealth: false,
-        canManageErrorLogs: false
-      }
-    };
-
-    return permissions[profile.role] || permissions.user;
-  }
+  // Get user permissions: the built-in role's, or the member's custom role when they have one
+  getPermissions: () => resolvePermissions(get().profile)
 }));
 
 // Supabase auth state listener with error handling
 if (isSupabaseConfigured()) {
   supabase.auth.onAuthStateChange(async (event, session) => {
-    const { setUser, setProfile, clearAuth, refreshProfile } = useAuthStore.getState();
+    const { setUser, setProfile, clearAuth, refreshProfile, applySecurityPolicy } = useAuthStore.getState();
 
     console.log('Auth state change:', event, session?.user?.email);
 
     try {
       if (event === 'SIGNED_IN' && session?.user) {
+        if (await isSecondFactorPending(session)) {
+          useAuthStore.setState({ user: null, profile: null, twoFactorPending: true });
+          return;
+        }
+        useAuthStore.setState({ twoFactorPending: false });
         setUser(session.user);
         await refreshProfile();
+        await applySecurityPolicy(session);
       } else if (event === 'SIGNED_OUT') {
         clearAuth();
-      } else if (event === 'TOKEN_REFRESHED' && session?.user) {
+      } else if (event === 'TOKEN_REFRESHED' && session?.user && !useAuthStore.getState().twoFactorPending) {
         setUser(session.user);
+        await applySecurityPolicy(session);
       }
     } catch (error) {
       console.error('Auth state change error:', error);
@@ -0,0 +1,15 @@
+// Credential store for Edge Functions that run integration steps or manage connections.
+// Needs the CREDENTIALS_ENCRYPTION_KEY secret (32 random bytes, base64) and, for each OAuth connector,
+// OAUTH_<ID>_CLIENT_ID and OAUTH_<ID>_CLIENT_SECRET (see src/lib/connectors/oauth.js).
+
+import { createCredentialStore } from '../../../src/lib/connectors/connections.js';
+import { getOAuthClient } from '../../../src/lib/connectors/oauth.js';
+import { importVaultKey } from '../../../src/lib/connectors/vault.js';
+
+export const getServerOAuthClient = (connectorId) => getOAuthClient(Deno.env.toObject(), connectorId);
+
+export const createServerCredentialStore = (client) => createCredentialStore({
+  client,
+  key: () => importVaultKey(Deno.env.get('CREDENTIALS_ENCRYPTION_KEY')),
+  oauthClient: getServerOAuthClient
+});
@@ -0,0 +1,19 @@
+// Stripe client for the billing Edge Functions.
+// Secrets: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET (stripe-webhook only) and STRIPE_PRICE_<PLAN ID>
+// for each paid plan, e.g. STRIPE_PRICE_PROFESSIONAL=price_123. To work locally against stripe-mock
+// (`docker run -p 12111:12111 stripe/stripe-mock`), set STRIPE_API_BASE=http://localhost:12111 and
+// STRIPE_SECRET_KEY=sk_test_123.
+
+import { createStripeClient } from '../../../src/lib/billing/stripe.js';
+import { PLANS, isSelfServePlan } from '../../../src/lib/billing/plans.js';
+
+export const getServerStripe = () => createStripeClient({
+  secretKey: Deno.env.get('STRIPE_SECRET_KEY'),
+  apiBase: Deno.env.get('STRIPE_API_BASE') || undefined
+});
+
+export const getPriceIds = () => Object.fromEntries(
+  PLANS.filter(isSelfServePlan)
+    .map(plan => [plan.id, Deno.env.get(`STRIPE_PRICE_${plan.id.toUpperCase()}`)])
+    .filter(([, priceId]) => priceId)
+);
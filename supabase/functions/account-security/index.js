@@ -0,0 +1,287 @@
+// Account security Edge Function
+// Password sign-in, the second factor and its setup run here, so authenticator secrets, backup codes
+// and the lockout count never reach the browser (they live in `user_security_private`). The app
+// posts `{ action, ... }`:
+//   sign_in       `{ email, password }`, returns `{ session, requires_two_factor }`   (no session)
+//   verify        `{ code }`: pass the second factor for the current session
+//   setup         start setting up an authenticator, returns `{ secret, otpauth_uri }`
+//   enable        `{ code }` from the new authenticator, returns `{ backup_codes }`
+//   disable       `{ code }`: turn two-factor authentication off
+//   backup_codes  `{ code }`: replace the backup codes, returns `{ backup_codes }`
+// A failure counts towards the lockout only once the password or code was checked and refused.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import {
+  findBackupCode,
+  generateBackupCodes,
+  generateSecret,
+  getOtpauthUri,
+  hashBackupCode,
+  isBackupCode,
+  verifyTOTP
+} from '../../../src/lib/twoFactor.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+
+const locked = (lockedUntil) => json({ error: 'Too many failed attempts', locked_until: lockedUntil }, 429);
+
+const getSessionId = (accessToken) => {
+  try {
+    const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).session_id || null;
+  } catch {
+    return null;
+  }
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+  const authorization = req.headers.get('Authorization') || '';
+  const callerClient = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_ANON_KEY'),
+    { auth: { persistSession: false }, global: { headers: { Authorization: authorization } } }
+  );
+
+  const body = await req.json().catch(() => ({}));
+
+  const getLock = async (email) => {
+    const { data, error } = await client.rpc('get_login_lock', { p_email: email });
+    if (error) throw error;
+    return data;
+  };
+
+  const recordFailure = async (email) => {
+    const { data, error } = await client.rpc('record_failed_login', { p_email: email });
+    if (error) throw error;
+    return data;
+  };
+
+  const clearFailures = async (userId) => {
+    const { error } = await client
+      .from('user_security_private')
+      .update({ failed_login_attempts: 0, locked_until: null, updated_at: new Date().toISOString() })
+      .eq('user_id', userId);
+    if (error) throw error;
+  };
+
+  const getSecurity = async (userId) => {
+    const [{ data: security, error }, { data: secrets, error: secretsError }] = await Promise.all([
+      client.from('user_security').select('*').eq('user_id', userId).maybeSingle(),
+      client.from('user_security_private').select('*').eq('user_id', userId).maybeSingle()
+    ]);
+    if (error || secretsError) throw error || secretsError;
+    return { enabled: !!security?.two_factor_enabled, recoveryCodesUsed: security?.recovery_codes_used || 0, secrets: secrets || {} };
+  };
+
+  // Spend an authenticator or backup code. The update only applies while the code is still unused,
+  // so two requests cannot both spend it. Returns `{ ok, usedBackupCode, remaining }`.
+  const spendCode = async (userId, security, code) => {
+    const { secrets } = security;
+    let claim = null;
+    if (isBackupCode(code)) {
+      const index = await findBackupCode(secrets.backup_codes, code);
+      if (index !== -1) {
+        const hash = secrets.backup_codes[index];
+        claim = client
+          .from('user_security_private')
+          .update({ backup_codes: secrets.backup_codes.filter(item => item !== hash), updated_at: new Date().toISOString() })
+          .eq('user_id', userId)
+          .contains('backup_codes', [hash]);
+      }
+    } else {
+      const step = await verifyTOTP(secrets.totp_secret, code, { lastUsedStep: secrets.totp_last_used_step });
+      if (step !== null) {
+        claim = client
+          .from('user_security_private')
+          .update({ totp_last_used_step: step, updated_at: new Date().toISOString() })
+          .eq('user_id', userId)
+          .or(`totp_last_used_step.is.null,totp_last_used_step.lt.${step}`);
+      }
+    }
+
+    const { data: claimed, error } = claim ? await claim.select('backup_codes') : { data: [] };
+    if (error) throw error;
+    if (!claimed?.length) return { ok: false };
+
+    const remaining = claimed[0].backup_codes?.length || 0;
+    if (isBackupCode(code)) {
+      await client
+        .from('user_security')
+        .update({ backup_codes_remaining: remaining, recovery_codes_used: security.recoveryCodesUsed + 1, updated_at: new Date().toISOString() })
+        .eq('user_id', userId);
+    }
+    return { ok: true, usedBackupCode: isBackupCode(code), remaining };
+  };
+
+  const markSessionVerified = async (userId, sessionId) => {
+    const { error } = await client
+      .from('two_factor_sessions')
+      .upsert({ session_id: sessionId, user_id: userId }, { onConflict: 'session_id' });
+    if (error) throw error;
+  };
+
+  const issueBackupCodes = async () => {
+    const codes = generateBackupCodes();
+    return { codes, hashes: await Promise.all(codes.map(hashBackupCode)) };
+  };
+
+  try {
+    if (body.action === 'sign_in') {
+      const email = String(body.email || '').trim();
+      const lockedUntil = await getLock(email);
+      if (lockedUntil) return locked(lockedUntil);
+
+      const authClient = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_ANON_KEY'), { auth: { persistSession: false } });
+      const { data, error } = await authClient.auth.signInWithPassword({ email, password: String(body.password || '') });
+      if (error) {
+        if (error.message?.includes('Invalid login credentials')) {
+          const lockedNow = await recordFailure(email);
+          if (lockedNow) return locked(lockedNow);
+        }
+        return json({ error: error.message }, 400);
+      }
+
+      const { enabled } = await getSecurity(data.user.id);
+      if (!enabled) await clearFailures(data.user.id);
+      return json({
+        session: { access_token: data.session.access_token, refresh_token: data.session.refresh_token },
+        requires_two_factor: enabled
+      });
+    }
+
+    // Every other action acts on the caller's session
+    const { data: { user } } = await callerClient.auth.getUser();
+    if (!user) return json({ error: 'Your sign-in has expired. Please sign in again.' }, 401);
+    const accessToken = authorization.replace(/^Bearer\s+/i, '');
+    const sessionId = getSessionId(accessToken);
+    if (!sessionId) return json({ error: 'Your sign-in has expired. Please sign in again.' }, 401);
+
+    const lockedUntil = await getLock(user.email);
+    if (lockedUntil) {
+      await client.auth.admin.signOut(accessToken);
+      return locked(lockedUntil);
+    }
+
+    const security = await getSecurity(user.id);
+
+    // A refused code counts towards the lockout, and the session ends when the account locks
+    const refuse = async () => {
+      const lockedNow = await recordFailure(user.email);
+      if (lockedNow) {
+        await client.auth.admin.signOut(accessToken);
+        return locked(lockedNow);
+      }
+      return json({ error: 'Invalid verification code' }, 400);
+    };
+
+    switch (body.action) {
+      case 'verify': {
+        if (!security.enabled) return json({ error: 'Two-factor authentication is not turned on' }, 400);
+        const spent = await spendCode(user.id, security, body.code);
+        if (!spent.ok) return refuse();
+
+        await markSessionVerified(user.id, sessionId);
+        await clearFailures(user.id);
+        return json({ used_backup_code: spent.usedBackupCode, remaining_backup_codes: spent.remaining });
+      }
+
+      case 'setup': {
+        if (security.enabled) return json({ error: 'Two-factor authentication is already turned on' }, 409);
+        const secret = generateSecret();
+        const { error } = await client
+          .from('user_security_private')
+          .upsert({ user_id: user.id, pending_totp_secret: secret, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+        if (error) throw error;
+        return json({ secret, otpauth_uri: getOtpauthUri(secret, user.email) });
+      }
+
+      case 'enable': {
+        if (security.enabled) return json({ error: 'Two-factor authentication is already turned on' }, 409);
+        const secret = security.secrets.pending_totp_secret;
+        if (!secret) return json({ error: 'Start setting up your authenticator first' }, 400);
+        const step = await verifyTOTP(secret, body.code);
+        if (step === null) return json({ error: 'Invalid verification code. Check the time on your device and try again.' }, 400);
+
+        const { codes, hashes } = await issueBackupCodes();
+        const now = new Date().toISOString();
+        const { error } = await client
+          .from('user_security_private')
+          .update({ totp_secret: secret, pending_totp_secret: null, totp_last_used_step: step, backup_codes: hashes, updated_at: now })
+          .eq('user_id', user.id);
+        if (error) throw error;
+
+        // This session just proved the code, so it is not asked again
+        await markSessionVerified(user.id, sessionId);
+        const { error: securityError } = await client
+          .from('user_security')
+          .upsert({
+            user_id: user.id,
+            two_factor_enabled: true,
+            backup_codes_remaining: codes.length,
+            recovery_codes_used: 0,
+            updated_at: now
+          }, { onConflict: 'user_id' });
+        if (securityError) throw securityError;
+        return json({ backup_codes: codes });
+      }
+
+      // Turning two-factor authentication off or replacing backup codes needs a current code
+      case 'disable':
+      case 'backup_codes': {
+        if (!security.enabled) return json({ error: 'Two-factor authentication is not turned on' }, 400);
+        const spent = await spendCode(user.id, security, body.code);
+        if (!spent.ok) return refuse();
+        await clearFailures(user.id);
+        const now = new Date().toISOString();
+
+        if (body.action === 'disable') {
+          const { error } = await client
+            .from('user_security_private')
+            .update({ totp_secret: null, totp_last_used_step: null, backup_codes: null, updated_at: now })
+            .eq('user_id', user.id);
+          if (error) throw error;
+          const { error: securityError } = await client
+            .from('user_security')
+            .update({ two_factor_enabled: false, backup_codes_remaining: 0, updated_at: now })
+            .eq('user_id', user.id);
+          if (securityError) throw securityError;
+          return json({ success: true });
+        }
+
+        const { codes, hashes } = await issueBackupCodes();
+        const { error } = await client
+          .from('user_security_private')
+          .update({ backup_codes: hashes, updated_at: now })
+          .eq('user_id', user.id);
+        if (error) throw error;
+        const { error: securityError } = await client
+          .from('user_security')
+          .update({ backup_codes_remaining: codes.length, recovery_codes_used: 0, updated_at: now })
+          .eq('user_id', user.id);
+        if (securityError) throw securityError;
+        return json({ backup_codes: codes });
+      }
+
+      default:
+        return json({ error: `Unknown action "${body.action}"` }, 400);
+    }
+  } catch (error) {
+    console.error('Account security error:', error);
+    return json({ error: error.message }, 500);
+  }
+});
@@ -0,0 +1,46 @@
+// Public REST API Edge Function
+// Serves /api/v1/... (see src/lib/api/definitions.js) for callers holding an organization API key,
+// and the OpenAPI document at /api/v1/openapi.json. API keys replace Supabase sessions here, so
+// deploy it with `--no-verify-jwt`. Set APP_URL so invitations created through the API carry links.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { handleApiRequest } from '../../../src/lib/api/server.js';
+import { API_BASE_PATH } from '../../../src/lib/api/definitions.js';
+import { createServerCredentialStore } from '../_shared/credentialStore.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, content-type',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'x-ratelimit-limit, x-ratelimit-remaining, x-ratelimit-reset, retry-after'
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+
+  const url = new URL(req.url);
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+
+  const result = await handleApiRequest({
+    client,
+    request: {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: Object.fromEntries(req.headers),
+      body: ['POST', 'PUT'].includes(req.method) ? await req.text() : null
+    },
+    serverUrl: `${Deno.env.get('SUPABASE_URL')}/functions/v1/api${API_BASE_PATH.replace(/^\/api/, '')}`,
+    appUrl: Deno.env.get('APP_URL'),
+    credentialStore: createServerCredentialStore(client)
+  });
+
+  return new Response(result.body === null ? null : JSON.stringify(result.body), {
+    status: result.status,
+    headers: { ...corsHeaders, ...result.headers, ...(result.body === null ? {} : { 'Content-Type': 'application/json' }) }
+  });
+});
@@ -0,0 +1,82 @@
+// Billing Edge Function
+// The dashboard posts `{ action, ... }` with the member's session; members need the canManageBilling
+// capability. Set APP_URL to the app's address; Stripe sends the browser back to its Billing tab.
+//   checkout   start Stripe Checkout for `{ plan_id }`, returns `{ url }`
+//   portal     open the Stripe customer portal, returns `{ url }`; plan changes, cancellation and
+//              payment methods are managed there (enable them in the portal settings in Stripe)
+//   invoices   list the organization's invoices with PDF links
+// Subscription changes reach `billing_subscriptions` through the stripe-webhook function.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createCheckoutSession, createPortalSession, listInvoices } from '../../../src/lib/billing/stripe.js';
+import { getPriceIds, getServerStripe } from '../_shared/stripe.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+
+const fromResult = (result) => (result.success ? json(result.data) : json({ error: result.error }, 400));
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+  // Permission checks run with the caller's own session
+  const callerClient = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_ANON_KEY'),
+    { auth: { persistSession: false }, global: { headers: { Authorization: req.headers.get('Authorization') || '' } } }
+  );
+
+  const { data: { user } } = await callerClient.auth.getUser();
+  if (!user) return json({ error: 'Sign in first' }, 401);
+  const { data: profile } = await client
+    .from('profiles')
+    .select('id, organization_id')
+    .eq('id', user.id)
+    .maybeSingle();
+  if (!profile?.organization_id) return json({ error: 'You are not a member of an organization' }, 403);
+
+  const { data: canManage } = await callerClient.rpc('has_capability', {
+    p_organization_id: profile.organization_id,
+    p_capability: 'canManageBilling'
+  });
+  if (canManage !== true) return json({ error: 'You do not have permission to manage billing' }, 403);
+
+  const body = await req.json().catch(() => ({}));
+  const stripe = getServerStripe();
+  const organizationId = profile.organization_id;
+  const appUrl = Deno.env.get('APP_URL');
+
+  switch (body.action) {
+    case 'checkout':
+      return fromResult(await createCheckoutSession({
+        stripe,
+        client,
+        organizationId,
+        email: user.email,
+        planId: body.plan_id,
+        priceIds: getPriceIds(),
+        appUrl
+      }));
+
+    case 'portal':
+      return fromResult(await createPortalSession({ stripe, client, organizationId, appUrl }));
+
+    case 'invoices':
+      return fromResult(await listInvoices({ stripe, client, organizationId }));
+
+    default:
+      return json({ error: `Unknown action "${body.action}"` }, 400);
+  }
+});
@@ -0,0 +1,188 @@
+// Integration connections Edge Function
+// The only place connection credentials are handled in plain text: the dashboard posts
+// `{ action, ... }` with the member's session and gets connection rows back, never secrets.
+//   save            create or update an API key / basic auth connection      (edit access)
+//   oauth_start     begin an OAuth sign-in, returns `{ url }`                  (edit access)
+//   oauth_complete  finish it with `{ state, code }` from the redirect        (edit access)
+//   check           health check a connection                                (read access)
+//   run             run a connector action for a workflow run in the browser (execute access)
+//   http            send an HTTP Request step's request for a run in the browser (execute access to
+//                   workflows, and to the integration of its connection if it names one)
+// Access is the caller's custom-role access to the integration (has_integration_access).
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { connectorRegistry } from '../../../src/lib/connectors/registry.js';
+import { performHttpRequest } from '../../../src/lib/workflow/http.js';
+import {
+  checkConnection,
+  completeOAuthConnection,
+  getRequestAuth,
+  loadConnection,
+  runConnectionAction,
+  saveConnection,
+  startOAuthConnection
+} from '../../../src/lib/connectors/connections.js';
+import { createServerCredentialStore, getServerOAuthClient } from '../_shared/credentialStore.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+
+const fromResult = (result) => (result.success ? json(result.data) : json({ error: result.error }, 400));
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+  // Permission checks run with the caller's own session
+  const callerClient = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_ANON_KEY'),
+    { auth: { persistSession: false }, global: { headers: { Authorization: req.headers.get('Authorization') || '' } } }
+  );
+
+  const { data: { user } } = await callerClient.auth.getUser();
+  if (!user) return json({ error: 'Sign in first' }, 401);
+  const { data: profile } = await client
+    .from('profiles')
+    .select('id, organization_id')
+    .eq('id', user.id)
+    .maybeSingle();
+  if (!profile?.organization_id) return json({ error: 'You are not a member of an organization' }, 403);
+
+  const canAccess = async (integrationId, level) => {
+    const { data } = await callerClient.rpc('has_integration_access', {
+      p_organization_id: profile.organization_id,
+      p_integration_id: integrationId,
+      p_level: level
+    });
+    return data === true;
+  };
+
+  const body = await req.json().catch(() => ({}));
+  const credentialStore = createServerCredentialStore(client);
+  const organizationId = profile.organization_id;
+
+  try {
+    // Only the member who started the sign-in, after the same access check, can finish it
+    if (body.action === 'oauth_complete') {
+      const result = await completeOAuthConnection({
+        client,
+        credentialStore,
+        getConnector: (id) => connectorRegistry.get(id),
+        oauthClient: getServerOAuthClient,
+        userId: profile.id,
+        state: body.state,
+        code: body.code
+      });
+      return fromResult(result);
+    }
+
+    // The request is sent from here so browser runs are not limited by CORS; private addresses are refused
+    if (body.action === 'http') {
+      const request = body.request || {};
+      const { data: canRun } = await callerClient.rpc('has_workflow_access', {
+        p_organization_id: organizationId,
+        p_folder: null,
+        p_level: 'execute'
+      });
+      if (canRun !== true) return json({ error: 'You cannot run workflows' }, 403);
+      if (request.connection_id) {
+        const connection = await loadConnection(client, { organizationId, connectionId: request.connection_id });
+        if (!(await canAccess(connection.integration_id, 'execute'))) {
+          return json({ error: 'You do not have access to this integration' }, 403);
+        }
+      }
+      try {
+        const response = await performHttpRequest(request, {
+          authorize: (connectionId) => getRequestAuth({
+            client,
+            credentialStore,
+            organizationId,
+            connectionId,
+            getConnector: (id) => connectorRegistry.get(id)
+          })
+        });
+        return json({ response });
+      } catch (error) {
+        return json({ error: error.message, status: error.status || null, retryable: error.retryable }, 400);
+      }
+    }
+
+    // Every other action names an existing connection or the integration to connect
+    const connection = body.connection_id
+      ? await loadConnection(client, { organizationId, connectionId: body.connection_id })
+      : null;
+    const connector = connectorRegistry.get(connection?.integration_id || body.integration_id);
+    if (!connector) return json({ error: 'Unknown integration' }, 404);
+
+    const level = { check: 'read', run: 'execute' }[body.action] || 'edit';
+    if (!(await canAccess(connector.id, level))) return json({ error: 'You do not have access to this integration' }, 403);
+
+    switch (body.action) {
+      case 'save':
+        return fromResult(await saveConnection({
+          client,
+          credentialStore,
+          connector,
+          organizationId,
+          userId: profile.id,
+          connectionId: connection?.id || null,
+          name: body.name,
+          settings: body.settings || {},
+          credentials: body.credentials || {}
+        }));
+
+      case 'oauth_start':
+        return fromResult(await startOAuthConnection({
+          client,
+          connector,
+          oauthClient: getServerOAuthClient(connector.id),
+          organizationId,
+          userId: profile.id,
+          connectionId: connection?.id || null,
+          name: body.name || connection?.name,
+          settings: body.settings || connection?.settings || {},
+          redirectUri: body.redirect_uri
+        }));
+
+      case 'check':
+        if (!connection) return json({ error: 'Unknown connection' }, 404);
+        return fromResult(await checkConnection({ client, credentialStore, connector, connection }));
+
+      case 'run':
+        try {
+          const output = await runConnectionAction({
+            client,
+            credentialStore,
+            organizationId,
+            connector,
+            connectionId: connection?.id || null,
+            actionId: body.action_id,
+            input: body.input || {},
+            data: body.data ?? null
+          });
+          return json({ output: output ?? null });
+        } catch (error) {
+          // The browser's engine decides on retries from these
+          return json({ error: error.message, status: error.status || null, retryable: error.retryable }, 400);
+        }
+
+      default:
+        return json({ error: `Unknown action "${body.action}"` }, 400);
+    }
+  } catch (error) {
+    console.error('Error handling connection request:', error);
+    return json({ error: error.message, retryable: error.retryable }, error.retryable === false ? 404 : 500);
+  }
+});
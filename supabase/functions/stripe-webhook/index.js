@@ -0,0 +1,40 @@
+// Stripe webhook Edge Function
+// Keeps `billing_subscriptions` in step with Stripe (see src/lib/billing/stripe.js). Add an endpoint in
+// Stripe for checkout.session.completed, customer.subscription.* and invoice.paid / payment_failed, and
+// store its signing secret as STRIPE_WEBHOOK_SECRET. Stripe calls this without a Supabase session, so
+// deploy it with `--no-verify-jwt`. Failures answer 500 so Stripe delivers the event again.
+// Locally, `stripe listen --forward-to <functions url>/stripe-webhook` forwards test events.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { handleStripeEvent, verifyStripeSignature } from '../../../src/lib/billing/stripe.js';
+import { getPriceIds, getServerStripe } from '../_shared/stripe.js';
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const payload = await req.text();
+  const verified = await verifyStripeSignature(
+    Deno.env.get('STRIPE_WEBHOOK_SECRET'),
+    payload,
+    req.headers.get('Stripe-Signature')
+  );
+  if (!verified) return json({ error: 'Invalid signature' }, 400);
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+
+  try {
+    const event = JSON.parse(payload);
+    const result = await handleStripeEvent({ stripe: getServerStripe(), client, event, priceIds: getPriceIds() });
+    return json({ received: true, handled: result.handled });
+  } catch (error) {
+    console.error('Error handling Stripe event:', error);
+    return json({ error: error.message }, 500);
+  }
+});
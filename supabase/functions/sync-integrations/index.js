@@ -0,0 +1,26 @@
+// Integration sync Edge Function
+// Seeds the `integrations` table from the connector registry (src/lib/connectors): every registered
+// connector is upserted and rows without one are deactivated. Call it after deploying a connector
+// change, using the service role key as the bearer token.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { syncIntegrations } from '../../../src/lib/connectors/registry.js';
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+  if (req.headers.get('Authorization') !== `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`) {
+    return json({ error: 'Unauthorized' }, 401);
+  }
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+
+  const result = await syncIntegrations(client);
+  return json(result, result.success ? 200 : 500);
+});
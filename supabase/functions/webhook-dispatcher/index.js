@@ -0,0 +1,53 @@
+// Webhook dispatcher Edge Function
+// Sends due outbound webhook deliveries. Invoke it once a minute, e.g. from pg_cron with pg_net, using
+// the service role key as the bearer token. Settings also calls it with `{ delivery_id }` and the
+// member's session to send a test event straight away; that delivery must be visible to the caller
+// and due, so deliveries waiting out their backoff are not sent early.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { dispatchWebhookDeliveries } from '../../../src/lib/webhooks/dispatcher.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const { delivery_id: deliveryId = null } = await req.json().catch(() => ({}));
+
+  // Sending every due delivery is for the scheduler only
+  if (!deliveryId && req.headers.get('Authorization') !== `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`) {
+    return json({ error: 'Unauthorized' }, 401);
+  }
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+
+  if (deliveryId) {
+    // Check with the caller's own session, so row level security decides who may send it
+    const callerClient = createClient(
+      Deno.env.get('SUPABASE_URL'),
+      Deno.env.get('SUPABASE_ANON_KEY'),
+      { auth: { persistSession: false }, global: { headers: { Authorization: req.headers.get('Authorization') || '' } } }
+    );
+    const { data: delivery } = await callerClient
+      .from('webhook_event_deliveries')
+      .select('id')
+      .eq('id', deliveryId)
+      .maybeSingle();
+    if (!delivery) return json({ error: 'Unknown delivery' }, 404);
+  }
+
+  const result = await dispatchWebhookDeliveries({ client, deliveryId });
+  return json(result, result.success ? 200 : 500);
+});
@@ -0,0 +1,133 @@
+// Workflow runs Edge Function
+// Runs started from the dashboard execute here with the service role, so members never write run
+// records, step traces or approvals themselves. The dashboard posts `{ action, ... }` with the
+// member's session:
+//   run     start a workflow with `{ workflow_id, input_data }`               (execute access)
+//   retry   retry a failed run with `{ execution_id, from_step_id }`          (execute access)
+//   decide  decide an approval with `{ approval_id, decision, comment }`      (assignees only)
+// Access is the caller's custom-role access to the workflow's folder (has_workflow_access).
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { decideApproval, executeWorkflow, retryExecution } from '../../../src/lib/workflow/engine.js';
+import { createServerCredentialStore } from '../_shared/credentialStore.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+  // Permission checks run with the caller's own session
+  const callerClient = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_ANON_KEY'),
+    { auth: { persistSession: false }, global: { headers: { Authorization: req.headers.get('Authorization') || '' } } }
+  );
+
+  const { data: { user } } = await callerClient.auth.getUser();
+  if (!user) return json({ error: 'Sign in first' }, 401);
+  const { data: profile } = await client
+    .from('profiles')
+    .select('id, organization_id, role, is_active')
+    .eq('id', user.id)
+    .maybeSingle();
+  if (!profile?.is_active) return json({ error: 'Your account is not active' }, 403);
+  const isSuperAdmin = profile.role === 'super_admin';
+  if (!profile.organization_id && !isSuperAdmin) return json({ error: 'You are not a member of an organization' }, 403);
+
+  // Super admins reach every organization; everyone else only their own
+  const inOrganization = (query) => (isSuperAdmin ? query : query.eq('organization_id', profile.organization_id));
+
+  const canExecute = async (workflow) => {
+    const { data } = await callerClient.rpc('has_workflow_access', {
+      p_organization_id: workflow.organization_id,
+      p_folder: workflow.folder,
+      p_level: 'execute'
+    });
+    return data === true;
+  };
+
+  const body = await req.json().catch(() => ({}));
+  const options = { credentialStore: createServerCredentialStore(client) };
+
+  try {
+    switch (body.action) {
+      case 'run': {
+        const { data: workflow, error } = await inOrganization(client.from('workflows').select('*').eq('id', body.workflow_id)).maybeSingle();
+        if (error) throw error;
+        if (!workflow) return json({ error: 'Workflow not found' }, 404);
+        if (!(await canExecute(workflow))) return json({ error: 'You cannot run this workflow' }, 403);
+
+        return json(await executeWorkflow({
+          client,
+          workflow,
+          inputData: body.input_data || {},
+          triggeredBy: profile.id,
+          ...options
+        }));
+      }
+
+      case 'retry': {
+        const { data: execution, error } = await inOrganization(client
+          .from('workflow_executions')
+          .select('*, workflow:workflows(*)')
+          .eq('id', body.execution_id)).maybeSingle();
+        if (error) throw error;
+        if (!execution?.workflow) return json({ error: 'Run not found' }, 404);
+        if (!(await canExecute(execution.workflow))) return json({ error: 'You cannot run this workflow' }, 403);
+        if (execution.status !== 'failed' || execution.resolved_at) {
+          return json({ error: 'Only failed runs that have not been retried or dismissed can be retried' }, 409);
+        }
+
+        const { workflow, ...row } = execution;
+        return json(await retryExecution({
+          client,
+          execution: row,
+          workflow,
+          triggeredBy: profile.id,
+          ...(body.from_step_id ? { fromStepId: body.from_step_id } : {}),
+          ...options
+        }));
+      }
+
+      case 'decide': {
+        const { data: approval, error } = await inOrganization(client
+          .from('workflow_approvals')
+          .select('*')
+          .eq('id', body.approval_id)).maybeSingle();
+        if (error) throw error;
+        if (!approval) return json({ error: 'Approval not found' }, 404);
+        // Approvers are checked against the approval's list rather than permissions, so check the second factor here
+        const { data: verified } = await callerClient.rpc('two_factor_satisfied');
+        if (verified !== true) return json({ error: 'Verify your two-factor code first' }, 403);
+
+        return json(await decideApproval({
+          client,
+          approval,
+          decision: body.decision,
+          profile,
+          comment: body.comment || null,
+          ...options
+        }));
+      }
+
+      default:
+        return json({ error: `Unknown action "${body.action}"` }, 400);
+    }
+  } catch (error) {
+    console.error('Workflow runs error:', error);
+    return json({ error: error.message }, 500);
+  }
+});
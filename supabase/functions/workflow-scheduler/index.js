@@ -0,0 +1,33 @@
+// Workflow scheduler Edge Function
+// Runs every active workflow whose schedule trigger is due and continues runs whose delay is over.
+// Invoke it once a minute, e.g. from pg_cron with pg_net, using the service role key as the bearer token.
+// Due runs are claimed before it responds and keep running in the background afterwards.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { resumeDueExecutions, runDueWorkflows } from '../../../src/lib/workflow/scheduler.js';
+import { createServerCredentialStore } from '../_shared/credentialStore.js';
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+  if (req.headers.get('Authorization') !== `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`) {
+    return json({ error: 'Unauthorized' }, 401);
+  }
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+
+  const credentialStore = createServerCredentialStore(client);
+  const dispatch = (run) => EdgeRuntime.waitUntil(run);
+  const [scheduled, resumed] = await Promise.all([
+    runDueWorkflows({ client, credentialStore, dispatch }),
+    resumeDueExecutions({ client, credentialStore, dispatch })
+  ]);
+  const success = scheduled.success && resumed.success;
+  return json({ success, scheduled, resumed }, success ? 200 : 500);
+});
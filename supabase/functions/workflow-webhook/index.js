@@ -0,0 +1,40 @@
+// Workflow webhook Edge Function
+// Receives deliveries at /workflow-webhook/<webhook_id> and starts the matching workflow. Accepted
+// deliveries are answered with 202 right away and their run continues in the background.
+// External systems call this without a Supabase session, so deploy it with `--no-verify-jwt`.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { handleWebhookDelivery } from '../../../src/lib/workflow/webhooks.js';
+import { createServerCredentialStore } from '../_shared/credentialStore.js';
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const url = new URL(req.url);
+  const webhookId = url.pathname.split('/').filter(Boolean).pop();
+  if (!/^[0-9a-f-]{36}$/i.test(webhookId || '')) return json({ error: 'Unknown webhook' }, 404);
+
+  const client = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+  );
+
+  const result = await handleWebhookDelivery({
+    client,
+    webhookId,
+    request: {
+      method: req.method,
+      headers: Object.fromEntries(req.headers),
+      query: Object.fromEntries(url.searchParams),
+      body: await req.text()
+    },
+    credentialStore: createServerCredentialStore(client),
+    dispatch: (run) => EdgeRuntime.waitUntil(run)
+  });
+
+  return json(result.body, result.status);
+});
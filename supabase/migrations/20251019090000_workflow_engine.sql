@@ -0,0 +1,26 @@
+/*
+  # Workflow Execution Engine
+
+  1. Policies
+    - Allow org members to record the result of executions they started
+      (the engine inserts a `running` row, then updates it on completion)
+
+  2. Indexes
+    - Executions by workflow and by status for run history views
+*/
+
+CREATE POLICY "users_update_executions" ON workflow_executions
+  FOR UPDATE TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = workflow_executions.organization_id
+      )
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_workflow_id ON workflow_executions(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_status ON workflow_executions(status);
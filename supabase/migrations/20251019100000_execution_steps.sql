@@ -0,0 +1,61 @@
+/*
+  # Per-step Execution Trace
+
+  1. New Tables
+    - `workflow_execution_steps` - one row per step that ran in an execution
+      (resolved inputs, outputs, duration and error)
+
+  2. Security
+    - Org members can read and record step traces for their organization's executions
+*/
+
+CREATE TABLE workflow_execution_steps (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  execution_id uuid REFERENCES workflow_executions(id) ON DELETE CASCADE NOT NULL,
+  step_id text NOT NULL,
+  step_type text NOT NULL,
+  step_name text,
+  sequence integer NOT NULL,
+  status execution_status NOT NULL,
+  input_data jsonb DEFAULT '{}',
+  output_data jsonb DEFAULT '{}',
+  error_message text,
+  duration_ms integer,
+  started_at timestamptz DEFAULT now(),
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE workflow_execution_steps ENABLE ROW LEVEL SECURITY;
+
+-- Users can read step traces for executions they have access to
+CREATE POLICY "users_read_execution_steps" ON workflow_execution_steps
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM workflow_executions e
+      JOIN profiles p ON p.id = auth.uid()
+      WHERE e.id = workflow_execution_steps.execution_id
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = e.organization_id
+      )
+    )
+  );
+
+-- Users can record step traces for executions in their organization
+CREATE POLICY "users_create_execution_steps" ON workflow_execution_steps
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM workflow_executions e
+      JOIN profiles p ON p.id = auth.uid()
+      WHERE e.id = workflow_execution_steps.execution_id
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = e.organization_id
+      )
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_workflow_execution_steps_execution_id
+  ON workflow_execution_steps(execution_id, sequence);
@@ -0,0 +1,49 @@
+/*
+  # Branching Workflow Graph
+
+  1. Data Migration
+    - Convert workflows whose `config` still holds a flat `steps` array into the graph shape
+      `{ nodes, edges }` used by the builder and execution engine
+    - Each step becomes a node (keeping its id, type, name, config and position)
+    - Consecutive steps are joined by an edge; edges leaving a condition step are labelled
+      `true`, matching the old behaviour where a failed condition stopped the run
+
+  2. Notes
+    - Edge ids follow the client format `<source>-><target>[:<label>]`
+    - Steps without a saved position get the canvas default (x 100, y 100 + 120 per step)
+    - The client still reads legacy `steps` configs, so older version snapshots remain loadable
+*/
+
+UPDATE workflows w
+SET config = (w.config - 'steps') || jsonb_build_object(
+  'nodes', COALESCE((
+    SELECT jsonb_agg(
+      s.step || jsonb_build_object(
+        'config', COALESCE(s.step->'config', '{}'::jsonb),
+        'position', COALESCE(
+          s.step->'position',
+          jsonb_build_object('x', 100, 'y', 100 + (s.ord - 1) * 120)
+        )
+      )
+      ORDER BY s.ord
+    )
+    FROM jsonb_array_elements(w.config->'steps') WITH ORDINALITY AS s(step, ord)
+  ), '[]'::jsonb),
+  'edges', COALESCE((
+    SELECT jsonb_agg(
+      jsonb_build_object(
+        'id', (a.step->>'id') || '->' || (b.step->>'id')
+          || CASE WHEN a.step->>'type' = 'condition' THEN ':true' ELSE '' END,
+        'source', a.step->>'id',
+        'target', b.step->>'id',
+        'label', CASE WHEN a.step->>'type' = 'condition' THEN to_jsonb('true'::text) ELSE 'null'::jsonb END
+      )
+      ORDER BY a.ord
+    )
+    FROM jsonb_array_elements(w.config->'steps') WITH ORDINALITY AS a(step, ord)
+    JOIN jsonb_array_elements(w.config->'steps') WITH ORDINALITY AS b(step, ord)
+      ON b.ord = a.ord + 1
+  ), '[]'::jsonb)
+)
+WHERE jsonb_typeof(w.config->'steps') = 'array'
+AND NOT (w.config ? 'nodes');
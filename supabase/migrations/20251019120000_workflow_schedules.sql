@@ -0,0 +1,18 @@
+/*
+  # Scheduled Workflow Triggers
+
+  1. Changes
+    - `workflows.next_run_at`: when the workflow's schedule trigger is next due
+      (set by the builder on save and by the scheduler after each run; null when unscheduled)
+    - `workflow_executions.trigger_type`: what started the run (`manual`, `schedule`, ...)
+
+  2. Indexes
+    - Due active workflows, for the scheduler's once-a-minute scan
+*/
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS next_run_at timestamptz;
+
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS trigger_type text NOT NULL DEFAULT 'manual';
+
+CREATE INDEX IF NOT EXISTS idx_workflows_next_run_at ON workflows(next_run_at)
+  WHERE status = 'active' AND next_run_at IS NOT NULL;
@@ -0,0 +1,69 @@
+/*
+  # Webhook Triggers
+
+  1. New Tables
+    - `workflow_webhooks`: one row per webhook trigger step; the id is the `webhook_id` in the
+      step config and in the trigger URL, `secret` signs deliveries (HMAC-SHA256)
+    - `webhook_deliveries`: log of every delivery, accepted or rejected, with the reason,
+      request headers and body, and the execution it started
+
+  2. Security
+    - Webhooks (and their secrets) are visible to managers and org admins only
+    - Deliveries are readable by org members; they are written by the webhook Edge Function
+      with the service role
+*/
+
+CREATE TABLE IF NOT EXISTS workflow_webhooks (
+  id uuid PRIMARY KEY,
+  workflow_id uuid NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE,
+  secret text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id uuid REFERENCES workflow_webhooks(id) ON DELETE SET NULL,
+  workflow_id uuid REFERENCES workflows(id) ON DELETE CASCADE,
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE,
+  status text NOT NULL CHECK (status IN ('accepted', 'rejected')),
+  response_status integer,
+  reason text,
+  method text,
+  headers jsonb DEFAULT '{}',
+  body text,
+  execution_id uuid REFERENCES workflow_executions(id) ON DELETE SET NULL,
+  received_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE workflow_webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "managers_manage_webhooks" ON workflow_webhooks
+  FOR ALL TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR (p.organization_id = workflow_webhooks.organization_id AND p.role IN ('org_admin', 'manager'))
+      )
+    )
+  );
+
+CREATE POLICY "users_read_webhook_deliveries" ON webhook_deliveries
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = webhook_deliveries.organization_id
+      )
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_workflow_webhooks_workflow_id ON workflow_webhooks(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_workflow ON webhook_deliveries(workflow_id, received_at DESC);
@@ -0,0 +1,29 @@
+/*
+  # Retry Policies and Dead Letters
+
+  1. Changes
+    - `workflow_execution_steps`:
+      - `attempts`: how many times the step ran
+      - `attempt_errors`: error, error class and backoff of each failed attempt
+      - `reused`: result carried over from the run being retried instead of run again
+    - `workflow_executions`:
+      - `failed_step_id`: step whose final attempt failed
+      - `dead_lettered`: run failed after exhausting its retries
+      - `retry_of`: the run this one retried from its failed step
+      - `resolved_at`: when a dead-lettered run was retried or dismissed
+
+  2. Indexes
+    - Unresolved dead letters per organization
+*/
+
+ALTER TABLE workflow_execution_steps ADD COLUMN IF NOT EXISTS attempts integer DEFAULT 1;
+ALTER TABLE workflow_execution_steps ADD COLUMN IF NOT EXISTS attempt_errors jsonb DEFAULT '[]';
+ALTER TABLE workflow_execution_steps ADD COLUMN IF NOT EXISTS reused boolean DEFAULT false;
+
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS failed_step_id text;
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS dead_lettered boolean NOT NULL DEFAULT false;
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS retry_of uuid REFERENCES workflow_executions(id) ON DELETE SET NULL;
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS resolved_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_dead_letters ON workflow_executions(organization_id, started_at DESC)
+  WHERE dead_lettered AND resolved_at IS NULL;
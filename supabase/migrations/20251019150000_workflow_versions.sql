@@ -0,0 +1,107 @@
+/*
+  # Workflow Versions
+
+  1. New Tables
+    - `workflow_versions`: immutable snapshots of a workflow definition (`config`), numbered per workflow.
+      `published_at`/`published_by` are set when a version goes live; `restored_from` is the version
+      number a restore copied
+
+  2. Changes
+    - `workflows.published_version`: the live version; `workflows.config` holds a copy of its config
+    - `workflow_executions.workflow_version`: the version that was live when the run started
+
+  3. Security
+    - Org members can read versions; managers and org admins can create and publish them
+
+  4. Data
+    - Each existing workflow gets its current config as published version 1
+*/
+
+CREATE TABLE IF NOT EXISTS workflow_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workflow_id uuid NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE,
+  version integer NOT NULL,
+  config jsonb NOT NULL DEFAULT '{}',
+  created_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (workflow_id, version)
+);
+
+ALTER TABLE workflow_versions ADD COLUMN IF NOT EXISTS organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE workflow_versions ADD COLUMN IF NOT EXISTS restored_from integer;
+ALTER TABLE workflow_versions ADD COLUMN IF NOT EXISTS published_at timestamptz;
+ALTER TABLE workflow_versions ADD COLUMN IF NOT EXISTS published_by uuid REFERENCES profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS published_version integer;
+ALTER TABLE workflow_executions ADD COLUMN IF NOT EXISTS workflow_version integer;
+
+ALTER TABLE workflow_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "users_read_workflow_versions" ON workflow_versions
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = workflow_versions.organization_id
+      )
+    )
+  );
+
+CREATE POLICY "managers_create_workflow_versions" ON workflow_versions
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR (p.organization_id = workflow_versions.organization_id AND p.role IN ('org_admin', 'manager'))
+      )
+    )
+  );
+
+-- Only publishing fields change after insert; the config of a version is never rewritten
+CREATE POLICY "managers_publish_workflow_versions" ON workflow_versions
+  FOR UPDATE TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR (p.organization_id = workflow_versions.organization_id AND p.role IN ('org_admin', 'manager'))
+      )
+    )
+  );
+
+CREATE OR REPLACE FUNCTION prevent_workflow_version_rewrite()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.config IS DISTINCT FROM OLD.config OR NEW.version IS DISTINCT FROM OLD.version THEN
+    RAISE EXCEPTION 'Workflow versions are immutable; create a new version instead';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS workflow_versions_immutable ON workflow_versions;
+CREATE TRIGGER workflow_versions_immutable
+  BEFORE UPDATE ON workflow_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_workflow_version_rewrite();
+
+INSERT INTO workflow_versions (workflow_id, organization_id, version, config, created_by, published_at)
+SELECT w.id, w.organization_id, 1, jsonb_set(COALESCE(w.config, '{}'), '{version}', '1'), w.created_by, w.updated_at
+FROM workflows w
+WHERE NOT EXISTS (SELECT 1 FROM workflow_versions v WHERE v.workflow_id = w.id);
+
+UPDATE workflows w
+SET published_version = (
+  SELECT max(v.version) FROM workflow_versions v WHERE v.workflow_id = w.id
+)
+WHERE published_version IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_versions_workflow ON workflow_versions(workflow_id, version DESC);
@@ -0,0 +1,51 @@
+/*
+  # Test Run Samples
+
+  1. New Tables
+    - `workflow_test_payloads`: named sample inputs for test runs from the builder, with the mock
+      responses to use for integration steps (keyed by step id)
+
+  2. Security
+    - Org members can read samples; managers and org admins can create and delete them
+*/
+
+CREATE TABLE IF NOT EXISTS workflow_test_payloads (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workflow_id uuid NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  input jsonb DEFAULT '{}',
+  mocks jsonb DEFAULT '{}',
+  created_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE workflow_test_payloads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "users_read_test_payloads" ON workflow_test_payloads
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = workflow_test_payloads.organization_id
+      )
+    )
+  );
+
+CREATE POLICY "managers_manage_test_payloads" ON workflow_test_payloads
+  FOR ALL TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR (p.organization_id = workflow_test_payloads.organization_id AND p.role IN ('org_admin', 'manager'))
+      )
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_workflow_test_payloads_workflow ON workflow_test_payloads(workflow_id, created_at DESC);
@@ -0,0 +1,119 @@
+/*
+  # Approval Steps
+
+  1. New Tables
+    - `workflow_approvals`: one task per approval step a run is paused at, assigned to members
+      directly (`assignee_ids`) or by role (`assignee_roles`), with the decision once made
+
+  2. Changes
+    - `execution_status` gains `waiting` for runs paused at an approval step
+    - `workflow_execution_steps` rows can be updated, so a waiting step records its decision in place
+
+  3. Security
+    - Org members can read approvals and open them for runs in their organization
+    - Only assignees (or super admins) can decide a pending approval
+    - Org members can notify other members of their organization
+*/
+
+ALTER TYPE execution_status ADD VALUE IF NOT EXISTS 'waiting';
+
+CREATE TABLE IF NOT EXISTS workflow_approvals (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  execution_id uuid NOT NULL REFERENCES workflow_executions(id) ON DELETE CASCADE,
+  workflow_id uuid NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE,
+  step_id text NOT NULL,
+  step_name text,
+  instructions text,
+  assignee_ids uuid[] DEFAULT '{}',
+  assignee_roles text[] DEFAULT '{}',
+  payload jsonb DEFAULT '{}',
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  due_at timestamptz,
+  decided_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  decided_at timestamptz,
+  comment text,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE workflow_approvals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "users_read_approvals" ON workflow_approvals
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = workflow_approvals.organization_id
+      )
+    )
+  );
+
+CREATE POLICY "users_create_approvals" ON workflow_approvals
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = workflow_approvals.organization_id
+      )
+    )
+  );
+
+CREATE POLICY "assignees_decide_approvals" ON workflow_approvals
+  FOR UPDATE TO authenticated
+  USING (
+    status = 'pending'
+    AND EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR (
+          p.organization_id = workflow_approvals.organization_id
+          AND (p.id = ANY(workflow_approvals.assignee_ids) OR p.role = ANY(workflow_approvals.assignee_roles))
+        )
+      )
+    )
+  )
+  WITH CHECK (status IN ('approved', 'rejected'));
+
+-- Members can record a waiting step's outcome once the run continues
+CREATE POLICY "users_update_execution_steps" ON workflow_execution_steps
+  FOR UPDATE TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM workflow_executions e
+      JOIN profiles p ON p.id = auth.uid()
+      WHERE e.id = workflow_execution_steps.execution_id
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = e.organization_id
+      )
+    )
+  );
+
+-- Runs notify approvers, who are usually not the member that started the run
+CREATE POLICY "users_notify_org_members" ON notifications
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      JOIN profiles target ON target.id = notifications.user_id
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = target.organization_id
+      )
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_workflow_approvals_pending
+  ON workflow_approvals(organization_id, created_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_workflow_approvals_execution ON workflow_approvals(execution_id);
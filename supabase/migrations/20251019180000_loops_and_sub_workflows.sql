@@ -0,0 +1,18 @@
+/*
+  # For-Each and Sub-Workflow Steps
+
+  1. Changes
+    - `workflow_execution_steps.iteration`: the item index for steps that ran inside a for-each loop
+    - `workflow_executions.parent_execution_id` / `parent_step_id`: the run and sub-workflow step that
+      started a run; such runs have `trigger_type` `workflow`
+*/
+
+ALTER TABLE workflow_execution_steps ADD COLUMN IF NOT EXISTS iteration integer;
+
+ALTER TABLE workflow_executions
+  ADD COLUMN IF NOT EXISTS parent_execution_id uuid REFERENCES workflow_executions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS parent_step_id text;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_parent
+  ON workflow_executions(parent_execution_id)
+  WHERE parent_execution_id IS NOT NULL;
@@ -0,0 +1,73 @@
+/*
+  # Two-Factor Sign-In and Account Lockout
+
+  1. Changes
+    - `user_security.totp_last_used_step`: the time step of the last accepted authenticator code, so a
+      code cannot be used twice
+    - `user_security.backup_codes` now holds SHA-256 hashes of the backup codes, never the codes
+
+  2. Functions
+    - `get_login_lock(email)`: when the account is locked, until when; called before signing in
+    - `record_failed_login(email)`: counts a failed password or code, locking the account for 15 minutes
+      after 5 failures in a row; returns the lock expiry, if any
+
+  3. Security
+    - Both functions run as definer because failures happen before the user has a session. They return
+      NULL for unknown emails, so they do not reveal which accounts exist.
+*/
+
+ALTER TABLE user_security ADD COLUMN IF NOT EXISTS totp_last_used_step bigint;
+
+-- Backup codes stored before this migration were plain text
+UPDATE user_security SET backup_codes = NULL WHERE backup_codes IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION get_login_lock(p_email text)
+RETURNS timestamptz AS $$
+  SELECT s.locked_until
+  FROM user_security s
+  JOIN auth.users u ON u.id = s.user_id
+  WHERE lower(u.email) = lower(trim(p_email))
+  AND s.locked_until > now();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION record_failed_login(p_email text)
+RETURNS timestamptz AS $$
+DECLARE
+  v_user_id uuid;
+  v_locked_until timestamptz;
+BEGIN
+  SELECT id INTO v_user_id FROM auth.users WHERE lower(email) = lower(trim(p_email));
+  IF v_user_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- An expired lock starts a fresh count
+  INSERT INTO user_security (user_id, failed_login_attempts)
+  VALUES (v_user_id, 1)
+  ON CONFLICT (user_id) DO UPDATE SET
+    failed_login_attempts = CASE
+      WHEN user_security.locked_until IS NOT NULL AND user_security.locked_until <= now() THEN 1
+      ELSE COALESCE(user_security.failed_login_attempts, 0) + 1
+    END,
+    locked_until = CASE
+      WHEN user_security.locked_until > now() THEN user_security.locked_until
+      ELSE NULL
+    END;
+
+  UPDATE user_security
+  SET locked_until = now() + interval '15 minutes'
+  WHERE user_id = v_user_id
+  AND failed_login_attempts >= 5
+  AND locked_until IS NULL
+  RETURNING locked_until INTO v_locked_until;
+
+  IF v_locked_until IS NULL THEN
+    SELECT locked_until INTO v_locked_until FROM user_security WHERE user_id = v_user_id AND locked_until > now();
+  END IF;
+
+  RETURN v_locked_until;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_login_lock(text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_failed_login(text) TO anon, authenticated;
@@ -0,0 +1,33 @@
+/*
+  # Organization Security Settings
+
+  1. Changes
+    - `organizations.settings.security` holds the policy: `require_two_factor` (with
+      `require_two_factor_since` and `two_factor_grace_days`), `max_session_hours`,
+      `idle_timeout_minutes` and `allowed_email_domains`. No schema change is needed for it.
+
+  2. Functions
+    - `get_org_two_factor_status(organization_id)`: whether each member has two-factor authentication
+      turned on, for the Team page. Members' `user_security` rows stay private; only this flag is shared.
+
+  3. Security
+    - Only org admins of the organization (and super admins) get results
+*/
+
+CREATE OR REPLACE FUNCTION get_org_two_factor_status(p_organization_id uuid)
+RETURNS TABLE (user_id uuid, two_factor_enabled boolean) AS $$
+  SELECT member.id, COALESCE(s.two_factor_enabled, false)
+  FROM profiles member
+  LEFT JOIN user_security s ON s.user_id = member.id
+  WHERE member.organization_id = p_organization_id
+  AND EXISTS (
+    SELECT 1 FROM profiles p
+    WHERE p.id = auth.uid()
+    AND (
+      p.role = 'super_admin'
+      OR (p.role = 'org_admin' AND p.organization_id = p_organization_id)
+    )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_org_two_factor_status(uuid) TO authenticated;
@@ -0,0 +1,134 @@
+/*
+  # Team Invitations
+
+  1. New Tables
+    - `invitations`: an invitation to join an organization with a role. The invite link carries
+      `<id>.<secret>`; only the SHA-256 hash of the secret is stored. Invitations expire at
+      `expires_at`; resending issues a new secret and expiry, so older links stop working.
+
+  2. Functions
+    - `get_invitation(id, token_hash)`: what the invite link is for, so the accept page can show it
+      before the invitee has an account
+    - `accept_invitation(id, token_hash, user_id)`: joins the invitee to the organization with the
+      invited role. The account's email must match the invitation. Works right after sign-up, before
+      the email address is confirmed and there is a session.
+
+  3. Security
+    - Org admins (and super admins) manage their organization's invitations
+    - Everyone else reaches invitations only through the token-checked functions above
+*/
+
+CREATE TABLE IF NOT EXISTS invitations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email text NOT NULL,
+  first_name text,
+  last_name text,
+  role user_role NOT NULL DEFAULT 'user',
+  token_hash text NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+  expires_at timestamptz NOT NULL,
+  invited_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  accepted_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  accepted_at timestamptz,
+  last_sent_at timestamptz,
+  send_count integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE invitations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "org_admins_manage_invitations" ON invitations
+  FOR ALL TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR (p.role = 'org_admin' AND p.organization_id = invitations.organization_id)
+      )
+    )
+  )
+  WITH CHECK (
+    role <> 'super_admin'
+    AND EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR (p.role = 'org_admin' AND p.organization_id = invitations.organization_id)
+      )
+    )
+  );
+
+-- One open invitation per address and organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_pending_email
+  ON invitations(organization_id, lower(email))
+  WHERE status = 'pending';
+
+CREATE OR REPLACE FUNCTION get_invitation(p_invitation_id uuid, p_token_hash text)
+RETURNS TABLE (
+  id uuid,
+  email text,
+  first_name text,
+  last_name text,
+  role user_role,
+  status text,
+  expires_at timestamptz,
+  organization_name text
+) AS $$
+  SELECT i.id, i.email, i.first_name, i.last_name, i.role, i.status, i.expires_at, o.name
+  FROM invitations i
+  JOIN organizations o ON o.id = i.organization_id
+  WHERE i.id = p_invitation_id
+  AND i.token_hash = p_token_hash;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION accept_invitation(p_invitation_id uuid, p_token_hash text, p_user_id uuid)
+RETURNS uuid AS $$
+DECLARE
+  v_invitation invitations%ROWTYPE;
+  v_email text;
+BEGIN
+  SELECT * INTO v_invitation
+  FROM invitations
+  WHERE id = p_invitation_id AND token_hash = p_token_hash
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invitation not found';
+  END IF;
+  IF v_invitation.status <> 'pending' THEN
+    RAISE EXCEPTION 'This invitation has already been %', v_invitation.status;
+  END IF;
+  IF v_invitation.expires_at <= now() THEN
+    RAISE EXCEPTION 'This invitation has expired';
+  END IF;
+
+  SELECT email INTO v_email FROM auth.users WHERE id = COALESCE(auth.uid(), p_user_id);
+  IF v_email IS NULL OR lower(v_email) <> lower(v_invitation.email) THEN
+    RAISE EXCEPTION 'This invitation was sent to a different email address';
+  END IF;
+
+  UPDATE profiles
+  SET organization_id = v_invitation.organization_id,
+      role = v_invitation.role,
+      first_name = COALESCE(NULLIF(first_name, ''), v_invitation.first_name),
+      last_name = COALESCE(NULLIF(last_name, ''), v_invitation.last_name),
+      is_active = true,
+      updated_at = now()
+  WHERE id = COALESCE(auth.uid(), p_user_id);
+
+  UPDATE invitations
+  SET status = 'accepted',
+      accepted_by = COALESCE(auth.uid(), p_user_id),
+      accepted_at = now()
+  WHERE id = p_invitation_id;
+
+  RETURN v_invitation.organization_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_invitation(uuid, text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION accept_invitation(uuid, text, uuid) TO anon, authenticated;
@@ -0,0 +1,315 @@
+/*
+  # Custom Roles and Permissions
+
+  1. New Tables
+    - `custom_roles`: roles an organization defines for itself. `permissions` holds
+      `capabilities` (yes/no switches such as `canManageUsers`), `workflows` (an access level per
+      workflow folder) and `integrations` (an access level per integration id). In both maps `*`
+      covers everything not listed. Levels are `none`, `read`, `execute` and `edit`, each including
+      the ones before it.
+
+  2. Changes
+    - `profiles.custom_role_id`: the member's custom role. When set, it replaces the permissions of
+      the member's built-in role. Cleared when the member moves to another organization.
+    - `workflows.folder`: optional folder name that workflow grants are matched against
+
+  3. Functions
+    - `builtin_role_permissions(role)`: the built-in roles in the same shape (kept in step with
+      `src/lib/permissions.js`)
+    - `has_workflow_access`, `has_integration_access`, `has_capability`: what the signed-in user may
+      do in an organization, for the policies below
+
+  4. Security
+    - Workflows, executions and organization integrations are checked against the member's access
+      level instead of their built-in role
+    - Members who can manage the team (built-in org admins, or a custom role granting it) manage
+      custom roles, invitations and members' roles
+    - Only they can change a member's custom role, and only to one of the organization's roles
+*/
+
+CREATE TABLE IF NOT EXISTS custom_roles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  permissions jsonb NOT NULL DEFAULT '{}',
+  created_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_custom_roles_name
+  ON custom_roles(organization_id, lower(name));
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS custom_role_id uuid REFERENCES custom_roles(id) ON DELETE SET NULL;
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS folder text;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_custom_role_id ON profiles(custom_role_id);
+CREATE INDEX IF NOT EXISTS idx_workflows_folder ON workflows(organization_id, folder);
+
+-- ============================================================================
+-- PERMISSION FUNCTIONS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION builtin_role_permissions(p_role user_role)
+RETURNS jsonb AS $$
+  SELECT CASE p_role
+    WHEN 'super_admin' THEN '{
+      "capabilities": {"canManageWorkflows": true, "canViewAnalytics": true, "canManageUsers": true,
+                       "canManageIntegrations": true, "canManageSettings": true, "canManageBilling": true},
+      "workflows": {"*": "edit"},
+      "integrations": {"*": "edit"}
+    }'::jsonb
+    WHEN 'org_admin' THEN '{
+      "capabilities": {"canManageWorkflows": true, "canViewAnalytics": true, "canManageUsers": true,
+                       "canManageIntegrations": true, "canManageSettings": true, "canManageBilling": true},
+      "workflows": {"*": "edit"},
+      "integrations": {"*": "edit"}
+    }'::jsonb
+    WHEN 'manager' THEN '{
+      "capabilities": {"canManageWorkflows": true, "canViewAnalytics": true, "canManageIntegrations": true},
+      "workflows": {"*": "edit"},
+      "integrations": {"*": "edit"}
+    }'::jsonb
+    ELSE '{
+      "capabilities": {},
+      "workflows": {"*": "read"},
+      "integrations": {"*": "read"}
+    }'::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- 0 for none (or anything unknown) up to 3 for edit
+CREATE OR REPLACE FUNCTION access_level_rank(p_level text)
+RETURNS integer AS $$
+  SELECT COALESCE(array_position(ARRAY['none', 'read', 'execute', 'edit'], p_level) - 1, 0);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The signed-in user's permissions in an organization, or NULL when they are not a member.
+-- Super admins get their built-in permissions everywhere.
+CREATE OR REPLACE FUNCTION current_role_permissions(p_organization_id uuid)
+RETURNS jsonb AS $$
+  SELECT CASE
+    WHEN p.role = 'super_admin' THEN builtin_role_permissions(p.role)
+    WHEN p.organization_id IS DISTINCT FROM p_organization_id THEN NULL
+    WHEN r.id IS NOT NULL THEN r.permissions
+    ELSE builtin_role_permissions(p.role)
+  END
+  FROM profiles p
+  LEFT JOIN custom_roles r ON r.id = p.custom_role_id AND r.organization_id = p.organization_id
+  WHERE p.id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION has_capability(p_organization_id uuid, p_capability text)
+RETURNS boolean AS $$
+  SELECT COALESCE((current_role_permissions(p_organization_id) -> 'capabilities' ->> p_capability)::boolean, false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- A folder's own grant wins over the '*' grant; workflows without a folder use '*'
+CREATE OR REPLACE FUNCTION has_workflow_access(p_organization_id uuid, p_folder text, p_level text)
+RETURNS boolean AS $$
+  SELECT COALESCE(
+    access_level_rank(COALESCE(
+      perms -> 'workflows' ->> NULLIF(btrim(p_folder), ''),
+      perms -> 'workflows' ->> '*'
+    )) >= access_level_rank(p_level),
+    false
+  )
+  FROM (SELECT current_role_permissions(p_organization_id) AS perms) current_permissions
+  WHERE perms IS NOT NULL;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION has_integration_access(p_organization_id uuid, p_integration_id text, p_level text)
+RETURNS boolean AS $$
+  SELECT COALESCE(
+    access_level_rank(COALESCE(
+      perms -> 'integrations' ->> p_integration_id,
+      perms -> 'integrations' ->> '*'
+    )) >= access_level_rank(p_level),
+    false
+  )
+  FROM (SELECT current_role_permissions(p_organization_id) AS perms) current_permissions
+  WHERE perms IS NOT NULL;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION has_capability(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION has_workflow_access(uuid, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION has_integration_access(uuid, text, text) TO authenticated;
+
+-- ============================================================================
+-- CUSTOM ROLES POLICIES
+-- ============================================================================
+
+ALTER TABLE custom_roles ENABLE ROW LEVEL SECURITY;
+
+-- Members see their organization's roles (their own role's name is shown in the app)
+CREATE POLICY "users_read_org_custom_roles" ON custom_roles
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (
+        p.role = 'super_admin'
+        OR p.organization_id = custom_roles.organization_id
+      )
+    )
+  );
+
+CREATE POLICY "team_managers_manage_custom_roles" ON custom_roles
+  FOR ALL TO authenticated
+  USING (has_capability(organization_id, 'canManageUsers'))
+  WITH CHECK (has_capability(organization_id, 'canManageUsers'));
+
+-- ============================================================================
+-- PROFILES
+-- ============================================================================
+
+CREATE POLICY "profiles_team_managers_select_org" ON profiles
+  FOR SELECT TO authenticated
+  USING (organization_id IS NOT NULL AND has_capability(organization_id, 'canManageUsers'));
+
+-- Changing members' roles from the Team page. Nobody is made super admin this way.
+CREATE POLICY "profiles_team_managers_update_org" ON profiles
+  FOR UPDATE TO authenticated
+  USING (organization_id IS NOT NULL AND has_capability(organization_id, 'canManageUsers'))
+  WITH CHECK (role <> 'super_admin' AND has_capability(organization_id, 'canManageUsers'));
+
+-- Members can update their own profile, so the custom role is guarded here rather than by a policy.
+-- Token-checked functions such as accept_invitation run as their owner and pass.
+CREATE OR REPLACE FUNCTION check_profile_custom_role()
+RETURNS trigger AS $$
+BEGIN
+  -- A role belongs to one organization; moving organizations drops it
+  IF NEW.organization_id IS DISTINCT FROM OLD.organization_id
+    AND NEW.custom_role_id IS NOT DISTINCT FROM OLD.custom_role_id THEN
+    NEW.custom_role_id := NULL;
+  END IF;
+
+  IF NEW.custom_role_id IS DISTINCT FROM OLD.custom_role_id THEN
+    IF current_user IN ('authenticated', 'anon')
+      AND NOT has_capability(NEW.organization_id, 'canManageUsers') THEN
+      RAISE EXCEPTION 'Only team managers can change custom roles';
+    END IF;
+
+    IF NEW.custom_role_id IS NOT NULL AND NOT EXISTS (
+      SELECT 1 FROM custom_roles r
+      WHERE r.id = NEW.custom_role_id
+      AND r.organization_id = NEW.organization_id
+    ) THEN
+      RAISE EXCEPTION 'This role belongs to a different organization';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_profile_custom_role ON profiles;
+CREATE TRIGGER check_profile_custom_role
+  BEFORE UPDATE ON profiles
+  FOR EACH ROW EXECUTE FUNCTION check_profile_custom_role();
+
+-- ============================================================================
+-- WORKFLOWS POLICIES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "users_read_workflows" ON workflows;
+DROP POLICY IF EXISTS "managers_manage_workflows" ON workflows;
+
+-- Workflows in folders the member can read, or assigned to them
+CREATE POLICY "users_read_workflows" ON workflows
+  FOR SELECT TO authenticated
+  USING (
+    auth.uid() = ANY(assigned_to)
+    OR has_workflow_access(organization_id, folder, 'read')
+  );
+
+-- Creating needs the create capability as well as edit access to the folder
+CREATE POLICY "editors_create_workflows" ON workflows
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    has_capability(organization_id, 'canManageWorkflows')
+    AND has_workflow_access(organization_id, folder, 'edit')
+  );
+
+-- Checked against the folder before and after, so moving a workflow needs edit access to both
+CREATE POLICY "editors_update_workflows" ON workflows
+  FOR UPDATE TO authenticated
+  USING (has_workflow_access(organization_id, folder, 'edit'))
+  WITH CHECK (has_workflow_access(organization_id, folder, 'edit'));
+
+CREATE POLICY "editors_delete_workflows" ON workflows
+  FOR DELETE TO authenticated
+  USING (has_workflow_access(organization_id, folder, 'edit'));
+
+-- ============================================================================
+-- WORKFLOW EXECUTIONS POLICIES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "users_create_executions" ON workflow_executions;
+
+-- Starting a run needs execute access to the workflow's folder. Sub-workflow runs are started by a
+-- run that is already going (for example one an approver resumed), so read access is enough there.
+CREATE POLICY "users_create_executions" ON workflow_executions
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM workflows w
+      WHERE w.id = workflow_executions.workflow_id
+      AND w.organization_id = workflow_executions.organization_id
+      AND has_workflow_access(
+        w.organization_id,
+        w.folder,
+        CASE WHEN workflow_executions.parent_execution_id IS NULL THEN 'execute' ELSE 'read' END
+      )
+    )
+  );
+
+-- ============================================================================
+-- ORGANIZATION INTEGRATIONS POLICIES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "users_read_org_integrations" ON organization_integrations;
+DROP POLICY IF EXISTS "managers_manage_org_integrations" ON organization_integrations;
+
+CREATE POLICY "users_read_org_integrations" ON organization_integrations
+  FOR SELECT TO authenticated
+  USING (has_integration_access(organization_id, integration_id, 'read'));
+
+-- Installing needs the manage capability; configuring and removing need edit access to the integration
+CREATE POLICY "editors_create_org_integrations" ON organization_integrations
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    has_capability(organization_id, 'canManageIntegrations')
+    AND has_integration_access(organization_id, integration_id, 'edit')
+  );
+
+CREATE POLICY "editors_update_org_integrations" ON organization_integrations
+  FOR UPDATE TO authenticated
+  USING (has_integration_access(organization_id, integration_id, 'edit'))
+  WITH CHECK (has_integration_access(organization_id, integration_id, 'edit'));
+
+CREATE POLICY "editors_delete_org_integrations" ON organization_integrations
+  FOR DELETE TO authenticated
+  USING (has_integration_access(organization_id, integration_id, 'edit'));
+
+-- ============================================================================
+-- TEAM MANAGEMENT
+-- ============================================================================
+
+DROP POLICY IF EXISTS "org_admins_manage_invitations" ON invitations;
+
+CREATE POLICY "team_managers_manage_invitations" ON invitations
+  FOR ALL TO authenticated
+  USING (has_capability(organization_id, 'canManageUsers'))
+  WITH CHECK (role <> 'super_admin' AND has_capability(organization_id, 'canManageUsers'));
+
+CREATE OR REPLACE FUNCTION get_org_two_factor_status(p_organization_id uuid)
+RETURNS TABLE (user_id uuid, two_factor_enabled boolean) AS $$
+  SELECT member.id, COALESCE(s.two_factor_enabled, false)
+  FROM profiles member
+  LEFT JOIN user_security s ON s.user_id = member.id
+  WHERE member.organization_id = p_organization_id
+  AND has_capability(p_organization_id, 'canManageUsers');
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,111 @@
+/*
+  # Hashed, Scoped API Keys
+
+  1. Changes
+    - `api_keys.key_hash` now holds the SHA-256 hex digest of the key; the key itself is shown once
+      when it is created. Existing keys, which were stored as-is, are hashed in place and keep working.
+    - `api_keys.key_prefix` holds the first characters of the key (`wfg_` plus 8), to recognise it by
+    - `api_keys.permissions` holds an access level per resource: `{"workflows": "write",
+      "executions": "read"}`. Levels are `read` and `write` (which includes read); a missing resource
+      means no access. Old `{"read": ..., "write": ...}` values are converted.
+    - `rotated_from` links a rotated key to the one it replaced, `revoked_at` records revocation and
+      `usage_count` counts requests
+
+  2. New Tables
+    - `api_key_usage`: one row per API request made with a key, for the usage view
+
+  3. Functions
+    - `use_api_key(key_hash, method, path)`: for the API. Returns the key when it is active and not
+      expired, and records the request against it.
+
+  4. Security
+    - Keys and their usage are visible to, and managed by, members who can manage settings
+    - Only the service role (the API) can call `use_api_key` or write usage
+*/
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_from uuid REFERENCES api_keys(id) ON DELETE SET NULL;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_at timestamptz;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS usage_count bigint NOT NULL DEFAULT 0;
+ALTER TABLE api_keys ALTER COLUMN permissions SET DEFAULT '{}';
+
+-- Keys were stored in plain text; a stored SHA-256 hex digest never starts with the key prefix
+UPDATE api_keys
+SET key_hash = encode(digest(key_hash, 'sha256'), 'hex'),
+    key_prefix = left(key_hash, 12)
+WHERE key_hash LIKE 'wfg\_%';
+
+UPDATE api_keys
+SET permissions = CASE
+  WHEN (permissions ->> 'write')::boolean THEN
+    '{"workflows": "write", "executions": "write", "integrations": "write", "users": "write"}'::jsonb
+  WHEN (permissions ->> 'read')::boolean THEN
+    '{"workflows": "read", "executions": "read", "integrations": "read", "users": "read"}'::jsonb
+  ELSE '{}'::jsonb
+END
+WHERE permissions ? 'read' OR permissions ? 'write';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization_id ON api_keys(organization_id);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  api_key_id uuid NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  method text,
+  path text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_key_usage_key_created ON api_key_usage(api_key_id, created_at DESC);
+
+ALTER TABLE api_key_usage ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- POLICIES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "users_read_org_api_keys" ON api_keys;
+DROP POLICY IF EXISTS "org_admin_manage_api_keys" ON api_keys;
+
+CREATE POLICY "settings_managers_manage_api_keys" ON api_keys
+  FOR ALL TO authenticated
+  USING (has_capability(organization_id, 'canManageSettings'))
+  WITH CHECK (has_capability(organization_id, 'canManageSettings'));
+
+CREATE POLICY "settings_managers_read_api_key_usage" ON api_key_usage
+  FOR SELECT TO authenticated
+  USING (has_capability(organization_id, 'canManageSettings'));
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION use_api_key(p_key_hash text, p_method text DEFAULT NULL, p_path text DEFAULT NULL)
+RETURNS TABLE (id uuid, organization_id uuid, name text, permissions jsonb, created_by uuid) AS $$
+DECLARE
+  v_key api_keys%ROWTYPE;
+BEGIN
+  SELECT * INTO v_key
+  FROM api_keys k
+  WHERE k.key_hash = p_key_hash
+  AND k.is_active
+  AND (k.expires_at IS NULL OR k.expires_at > now());
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE api_keys
+  SET last_used = now(),
+      usage_count = api_keys.usage_count + 1
+  WHERE api_keys.id = v_key.id;
+
+  INSERT INTO api_key_usage (api_key_id, organization_id, method, path)
+  VALUES (v_key.id, v_key.organization_id, p_method, p_path);
+
+  RETURN QUERY SELECT v_key.id, v_key.organization_id, v_key.name, v_key.permissions, v_key.created_by;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION use_api_key(text, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION use_api_key(text, text, text) TO service_role;
@@ -0,0 +1,47 @@
+/*
+  # Public REST API
+
+  1. New Tables
+    - `api_rate_limits`: requests per API key per fixed window, for the API's rate limit
+
+  2. Functions
+    - `hit_api_rate_limit(api_key_id, window_seconds)`: counts a request in the current window and
+      returns the count so far with the window's start. Windows older than an hour are dropped as
+      the key makes new requests.
+
+  3. Changes
+    - Runs started through the API have `trigger_type` `api`
+
+  4. Security
+    - Only the service role (the API) reads or writes rate limit counters
+*/
+
+CREATE TABLE IF NOT EXISTS api_rate_limits (
+  api_key_id uuid NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  window_start timestamptz NOT NULL,
+  request_count integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (api_key_id, window_start)
+);
+
+ALTER TABLE api_rate_limits ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION hit_api_rate_limit(p_api_key_id uuid, p_window_seconds integer)
+RETURNS TABLE (request_count integer, window_start timestamptz) AS $$
+DECLARE
+  v_window_start timestamptz := to_timestamp(floor(extract(epoch FROM now()) / p_window_seconds) * p_window_seconds);
+BEGIN
+  DELETE FROM api_rate_limits r
+  WHERE r.api_key_id = p_api_key_id
+  AND r.window_start < now() - interval '1 hour';
+
+  RETURN QUERY
+  INSERT INTO api_rate_limits AS r (api_key_id, window_start, request_count)
+  VALUES (p_api_key_id, v_window_start, 1)
+  ON CONFLICT (api_key_id, window_start)
+  DO UPDATE SET request_count = r.request_count + 1
+  RETURNING r.request_count, r.window_start;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION hit_api_rate_limit(uuid, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION hit_api_rate_limit(uuid, integer) TO service_role;
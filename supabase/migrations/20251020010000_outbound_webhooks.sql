@@ -0,0 +1,204 @@
+/*
+  # Outbound Webhooks
+
+  1. New Tables
+    - `webhook_subscriptions`: an organization's webhook endpoints, the events each one receives and
+      the secret its deliveries are signed with (HMAC-SHA256 of the body)
+    - `webhook_event_deliveries`: one row per event per subscription; the queue the
+      webhook-dispatcher Edge Function works through and the delivery log shown in Settings.
+      `attempts` keeps every try with its response code, error and duration.
+
+  2. Functions
+    - `queue_webhook_event(organization_id, event_type, data)`: queues an event for every active
+      subscription of the organization that listens to it
+    - `send_test_webhook_event(subscription_id)`: queues a `webhook.test` event for one subscription
+
+  3. Events
+    - `execution.completed` / `execution.failed`: a run finishes
+    - `workflow.published`: a workflow's published version changes
+    - `member.joined`: a profile joins an organization
+
+  4. Security
+    - Subscriptions and their deliveries belong to members who can manage settings
+    - Deliveries are written by the triggers below and the dispatcher (service role)
+*/
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  url text NOT NULL CHECK (url ~* '^https?://'),
+  events text[] NOT NULL DEFAULT '{}',
+  secret text NOT NULL DEFAULT encode(gen_random_bytes(32), 'hex'),
+  is_active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_event_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id uuid NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  event_id uuid NOT NULL,
+  event_type text NOT NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempt_count integer NOT NULL DEFAULT 0,
+  attempts jsonb NOT NULL DEFAULT '[]',
+  next_attempt_at timestamptz DEFAULT now(),
+  response_status integer,
+  error text,
+  delivered_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_event_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "settings_managers_manage_webhook_subscriptions" ON webhook_subscriptions
+  FOR ALL TO authenticated
+  USING (has_capability(organization_id, 'canManageSettings'))
+  WITH CHECK (has_capability(organization_id, 'canManageSettings'));
+
+CREATE POLICY "settings_managers_read_webhook_event_deliveries" ON webhook_event_deliveries
+  FOR SELECT TO authenticated
+  USING (has_capability(organization_id, 'canManageSettings'));
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_organization_id ON webhook_subscriptions(organization_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_event_deliveries_subscription ON webhook_event_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_event_deliveries_pending ON webhook_event_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE OR REPLACE FUNCTION queue_webhook_event(p_organization_id uuid, p_event_type text, p_data jsonb)
+RETURNS void AS $$
+DECLARE
+  v_event_id uuid := gen_random_uuid();
+BEGIN
+  IF p_organization_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO webhook_event_deliveries (subscription_id, organization_id, event_id, event_type, payload)
+  SELECT s.id, s.organization_id, v_event_id, p_event_type, jsonb_build_object(
+    'id', v_event_id,
+    'type', p_event_type,
+    'created_at', now(),
+    'organization_id', p_organization_id,
+    'data', p_data
+  )
+  FROM webhook_subscriptions s
+  WHERE s.organization_id = p_organization_id
+  AND s.is_active
+  AND p_event_type = ANY(s.events);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION queue_webhook_event(uuid, text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION queue_webhook_event(uuid, text, jsonb) TO service_role;
+
+CREATE OR REPLACE FUNCTION send_test_webhook_event(p_subscription_id uuid)
+RETURNS uuid AS $$
+DECLARE
+  v_subscription webhook_subscriptions%ROWTYPE;
+  v_event_id uuid := gen_random_uuid();
+  v_delivery_id uuid;
+BEGIN
+  SELECT * INTO v_subscription FROM webhook_subscriptions WHERE id = p_subscription_id;
+
+  IF NOT FOUND OR NOT has_capability(v_subscription.organization_id, 'canManageSettings') THEN
+    RAISE EXCEPTION 'Webhook not found';
+  END IF;
+
+  INSERT INTO webhook_event_deliveries (subscription_id, organization_id, event_id, event_type, payload)
+  VALUES (v_subscription.id, v_subscription.organization_id, v_event_id, 'webhook.test', jsonb_build_object(
+    'id', v_event_id,
+    'type', 'webhook.test',
+    'created_at', now(),
+    'organization_id', v_subscription.organization_id,
+    'data', jsonb_build_object('subscription_id', v_subscription.id, 'message', 'This is a test event')
+  ))
+  RETURNING id INTO v_delivery_id;
+
+  RETURN v_delivery_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Event triggers
+
+CREATE OR REPLACE FUNCTION queue_execution_webhook_event()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.status::text NOT IN ('completed', 'failed')
+    OR (TG_OP = 'UPDATE' AND OLD.status IS NOT DISTINCT FROM NEW.status) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM queue_webhook_event(NEW.organization_id, 'execution.' || NEW.status::text, jsonb_build_object(
+    'execution_id', NEW.id,
+    'workflow_id', NEW.workflow_id,
+    'workflow_name', (SELECT w.name FROM workflows w WHERE w.id = NEW.workflow_id),
+    'status', NEW.status,
+    'trigger_type', NEW.trigger_type,
+    'error_message', NEW.error_message,
+    'failed_step_id', NEW.failed_step_id,
+    'started_at', NEW.started_at,
+    'completed_at', NEW.completed_at,
+    'execution_time_ms', NEW.execution_time_ms
+  ));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS queue_execution_webhook_event ON workflow_executions;
+CREATE TRIGGER queue_execution_webhook_event
+  AFTER INSERT OR UPDATE OF status ON workflow_executions
+  FOR EACH ROW EXECUTE FUNCTION queue_execution_webhook_event();
+
+CREATE OR REPLACE FUNCTION queue_workflow_webhook_event()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.published_version IS NULL
+    OR (TG_OP = 'UPDATE' AND OLD.published_version IS NOT DISTINCT FROM NEW.published_version) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM queue_webhook_event(NEW.organization_id, 'workflow.published', jsonb_build_object(
+    'workflow_id', NEW.id,
+    'name', NEW.name,
+    'version', NEW.published_version,
+    'status', NEW.status,
+    'folder', NEW.folder
+  ));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS queue_workflow_webhook_event ON workflows;
+CREATE TRIGGER queue_workflow_webhook_event
+  AFTER INSERT OR UPDATE OF published_version ON workflows
+  FOR EACH ROW EXECUTE FUNCTION queue_workflow_webhook_event();
+
+CREATE OR REPLACE FUNCTION queue_member_webhook_event()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.organization_id IS NULL
+    OR (TG_OP = 'UPDATE' AND OLD.organization_id IS NOT DISTINCT FROM NEW.organization_id) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM queue_webhook_event(NEW.organization_id, 'member.joined', jsonb_build_object(
+    'user_id', NEW.id,
+    'email', NEW.email,
+    'first_name', NEW.first_name,
+    'last_name', NEW.last_name,
+    'role', NEW.role
+  ));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS queue_member_webhook_event ON profiles;
+CREATE TRIGGER queue_member_webhook_event
+  AFTER INSERT OR UPDATE OF organization_id ON profiles
+  FOR EACH ROW EXECUTE FUNCTION queue_member_webhook_event();
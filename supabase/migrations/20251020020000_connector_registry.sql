@@ -0,0 +1,43 @@
+/*
+  # Connector Registry
+
+  1. Changes
+    - `integrations.features`: short feature list shown in the marketplace
+    - `integrations.auth_type`: how the integration connects (`none`, `api_key`, `basic`, `oauth2`)
+    - `integrations.config_schema` now holds the connector's description: its auth, installation
+      settings, triggers and actions with their input and output schemas
+
+  2. Data
+    - Integration rows come from the connector registry (src/lib/connectors). The rows below were
+      generated from it; the sync-integrations Edge Function keeps them in step after that.
+    - Integrations without a connector are deactivated
+*/
+
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS features jsonb NOT NULL DEFAULT '[]';
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS auth_type text NOT NULL DEFAULT 'none'
+  CHECK (auth_type IN ('none', 'api_key', 'basic', 'oauth2'));
+
+INSERT INTO integrations (id, name, description, category, logo_url, website_url, documentation_url, features, auth_type, config_schema, is_active) VALUES
+('salesforce', 'Salesforce', 'Sync leads, contacts, and opportunities with your CRM workflows', 'crm', 'https://images.unsplash.com/photo-1611224923853-80b023f02d71?w=64&h=64&fit=crop', 'https://www.salesforce.com', 'https://developer.salesforce.com/docs/atlas.en-us.api_rest.meta/api_rest/', '["Lead creation","Record updates","SOQL queries","Custom fields"]', 'oauth2', '{"auth":{"type":"oauth2","fields":{"type":"object","properties":{"access_token":{"type":"string","title":"Access token"},"instance_url":{"type":"string","title":"Instance URL","format":"uri"}},"required":["access_token","instance_url"]},"authorize_url":"https://login.salesforce.com/services/oauth2/authorize","token_url":"https://login.salesforce.com/services/oauth2/token","scopes":["api","refresh_token"]},"config":{"type":"object","properties":{}},"triggers":{},"actions":{"create_lead":{"title":"Create lead","input":{"type":"object","properties":{"LastName":{"type":"string","title":"Last name"},"FirstName":{"type":"string","title":"First name"},"Company":{"type":"string","title":"Company"},"Email":{"type":"string","title":"Email","format":"email"},"LeadSource":{"type":"string","title":"Lead source"},"fields":{"type":"object","title":"Other fields","description":"Any other Lead fields by API name, e.g. Industry or a custom field__c","additionalProperties":{"type":"string"}}},"required":["LastName","Company"]},"output":{"type":"object","properties":{"id":{"type":"string"},"success":{"type":"boolean"}}}},"update_record":{"title":"Update record","input":{"type":"object","properties":{"object":{"type":"string","title":"Object","description":"e.g. Contact or Opportunity"},"record_id":{"type":"string","title":"Record ID"},"fields":{"type":"object","title":"Fields","additionalProperties":{"type":"string"}}},"required":["object","record_id","fields"]},"output":{"type":"object","properties":{"id":{"type":"string"}}}},"query":{"title":"Run SOQL query","input":{"type":"object","properties":{"soql":{"type":"string","title":"Query","description":"e.g. SELECT Id, Name FROM Account LIMIT 10"}},"required":["soql"]},"output":{"type":"object","properties":{"total_size":{"type":"integer"},"records":{"type":"array","items":{"type":"object"}}}}}}}', true),
+('slack', 'Slack', 'Send notifications, create channels, and manage team communications', 'communication', 'https://images.unsplash.com/photo-1611606063065-ee7946f0787a?w=64&h=64&fit=crop', 'https://slack.com', 'https://api.slack.com/methods', '["Channel messages","Threaded replies","Channel management","Event triggers"]', 'api_key', '{"auth":{"type":"api_key","fields":{"type":"object","properties":{"bot_token":{"type":"string","title":"Bot token","description":"Starts with xoxb-","pattern":"^xox[bp]-"}},"required":["bot_token"]}},"config":{"type":"object","properties":{}},"triggers":{"message_posted":{"title":"Message posted","description":"A message was posted in a channel the app is in (Events API `message`)","output":{"type":"object","properties":{"event":{"type":"object","properties":{"channel":{"type":"string"},"user":{"type":"string"},"text":{"type":"string"},"ts":{"type":"string"}}}}}}},"actions":{"send_message":{"title":"Send message","description":"Post a message to a channel","input":{"type":"object","properties":{"channel":{"type":"string","title":"Channel","description":"Channel id or name, e.g. #alerts"},"text":{"type":"string","title":"Message"},"thread_ts":{"type":"string","title":"Reply in thread","description":"Timestamp of the parent message"}},"required":["channel","text"]},"output":{"type":"object","properties":{"channel":{"type":"string"},"ts":{"type":"string"}}}},"create_channel":{"title":"Create channel","input":{"type":"object","properties":{"name":{"type":"string","title":"Name","pattern":"^[a-z0-9_-]{1,80}$"},"is_private":{"type":"boolean","title":"Private","default":false}},"required":["name"]},"output":{"type":"object","properties":{"id":{"type":"string"},"name":{"type":"string"}}}}}}', true),
+('shopify', 'Shopify', 'Automate order processing, inventory management, and customer communications', 'ecommerce', 'https://images.unsplash.com/photo-1556742049-0cfed4f6a45d?w=64&h=64&fit=crop', 'https://www.shopify.com', 'https://shopify.dev/docs/api/admin-rest', '["Order lookup","Order search","Customer creation","Order events"]', 'api_key', '{"auth":{"type":"api_key","fields":{"type":"object","properties":{"access_token":{"type":"string","title":"Admin API access token","pattern":"^shpat_"}},"required":["access_token"]}},"config":{"type":"object","properties":{"shop_domain":{"type":"string","title":"Shop domain","description":"e.g. my-store.myshopify.com","pattern":"^[a-z0-9-]+\\.myshopify\\.com$"}},"required":["shop_domain"]},"triggers":{"order_created":{"title":"Order created","description":"Shopify sent an `orders/create` webhook","output":{"type":"object","properties":{"id":{"type":"integer"},"name":{"type":"string"},"email":{"type":"string"},"total_price":{"type":"string"},"currency":{"type":"string"},"financial_status":{"type":"string"},"fulfillment_status":{"type":"string"}}}}},"actions":{"get_order":{"title":"Get order","input":{"type":"object","properties":{"order_id":{"type":"string","title":"Order ID"}},"required":["order_id"]},"output":{"type":"object","properties":{"id":{"type":"integer"},"name":{"type":"string"},"email":{"type":"string"},"total_price":{"type":"string"},"currency":{"type":"string"},"financial_status":{"type":"string"},"fulfillment_status":{"type":"string"}}}},"list_orders":{"title":"List orders","input":{"type":"object","properties":{"status":{"type":"string","title":"Status","enum":["open","closed","cancelled","any"],"default":"open"},"created_at_min":{"type":"string","title":"Created after","description":"ISO 8601 date"},"limit":{"type":"integer","title":"Limit","minimum":1,"maximum":250,"default":50}}},"output":{"type":"object","properties":{"orders":{"type":"array","items":{"type":"object","properties":{"id":{"type":"integer"},"name":{"type":"string"},"email":{"type":"string"},"total_price":{"type":"string"},"currency":{"type":"string"},"financial_status":{"type":"string"},"fulfillment_status":{"type":"string"}}}}}}},"create_customer":{"title":"Create customer","input":{"type":"object","properties":{"email":{"type":"string","title":"Email","format":"email"},"first_name":{"type":"string","title":"First name"},"last_name":{"type":"string","title":"Last name"},"tags":{"type":"string","title":"Tags","description":"Comma-separated"}},"required":["email"]},"output":{"type":"object","properties":{"id":{"type":"integer"},"email":{"type":"string"}}}}}}', true),
+('stripe', 'Stripe', 'Process payments, manage subscriptions, and handle financial workflows', 'finance', 'https://images.unsplash.com/photo-1556740758-90de374c12ad?w=64&h=64&fit=crop', 'https://stripe.com', 'https://docs.stripe.com/api', '["Customer management","Payment intents","Payment events","Refunds"]', 'api_key', '{"auth":{"type":"api_key","fields":{"type":"object","properties":{"secret_key":{"type":"string","title":"Secret key","description":"sk_... or a restricted rk_... key","pattern":"^(sk|rk)_"}},"required":["secret_key"]}},"config":{"type":"object","properties":{}},"triggers":{"payment_succeeded":{"title":"Payment succeeded","description":"Stripe sent a `payment_intent.succeeded` event","output":{"type":"object","properties":{"type":{"type":"string"},"data":{"type":"object","properties":{"object":{"type":"object","properties":{"id":{"type":"string"},"amount":{"type":"integer"},"currency":{"type":"string"},"customer":{"type":"string"}}}}}}}}},"actions":{"create_customer":{"title":"Create customer","input":{"type":"object","properties":{"email":{"type":"string","title":"Email","format":"email"},"name":{"type":"string","title":"Name"},"description":{"type":"string","title":"Description"}},"required":["email"]},"output":{"type":"object","properties":{"id":{"type":"string"},"email":{"type":"string"},"name":{"type":"string"},"created":{"type":"integer"}}}},"get_customer":{"title":"Get customer","input":{"type":"object","properties":{"customer_id":{"type":"string","title":"Customer ID"}},"required":["customer_id"]},"output":{"type":"object","properties":{"id":{"type":"string"},"email":{"type":"string"},"name":{"type":"string"},"created":{"type":"integer"}}}},"refund_payment":{"title":"Refund payment","input":{"type":"object","properties":{"payment_intent":{"type":"string","title":"Payment intent ID"},"amount":{"type":"integer","title":"Amount","description":"In the smallest currency unit; leave empty to refund everything","minimum":1}},"required":["payment_intent"]},"output":{"type":"object","properties":{"id":{"type":"string"},"amount":{"type":"integer"},"status":{"type":"string"}}}}}}', true),
+('google-sheets', 'Google Sheets', 'Read, write, and manipulate spreadsheet data in your automation workflows', 'productivity', 'https://images.unsplash.com/photo-1586953208448-b95a79798f07?w=64&h=64&fit=crop', 'https://www.google.com/sheets/about/', 'https://developers.google.com/sheets/api/reference/rest', '["Append rows","Read ranges","Header mapping"]', 'oauth2', '{"auth":{"type":"oauth2","fields":{"type":"object","properties":{"access_token":{"type":"string","title":"Access token"}},"required":["access_token"]},"authorize_url":"https://accounts.google.com/o/oauth2/v2/auth","token_url":"https://oauth2.googleapis.com/token","scopes":["https://www.googleapis.com/auth/spreadsheets"]},"config":{"type":"object","properties":{}},"triggers":{},"actions":{"append_row":{"title":"Append row","input":{"type":"object","properties":{"spreadsheet_id":{"type":"string","title":"Spreadsheet ID"},"range":{"type":"string","title":"Sheet","description":"Sheet name or A1 range, e.g. Sheet1","default":"Sheet1"},"values":{"type":"array","title":"Values","description":"One cell per item, left to right","items":{"type":"string"}}},"required":["spreadsheet_id","range","values"]},"output":{"type":"object","properties":{"updated_range":{"type":"string"},"updated_rows":{"type":"integer"}}}},"read_range":{"title":"Read range","description":"Rows as objects keyed by the first row, or as lists of cells","input":{"type":"object","properties":{"spreadsheet_id":{"type":"string","title":"Spreadsheet ID"},"range":{"type":"string","title":"Range","description":"e.g. Sheet1!A1:D100"},"first_row_is_header":{"type":"boolean","title":"First row is a header","default":true}},"required":["spreadsheet_id","range"]},"output":{"type":"object","properties":{"rows":{"type":"array","items":{"type":"object"}}}}}}}', true),
+('mailchimp', 'Mailchimp', 'Automate email marketing campaigns and subscriber management', 'marketing', 'https://images.unsplash.com/photo-1596526131083-e8c633c948d2?w=64&h=64&fit=crop', 'https://mailchimp.com', 'https://mailchimp.com/developer/marketing/api/', '["Subscriber management","Tags","Audience segmentation"]', 'api_key', '{"auth":{"type":"api_key","fields":{"type":"object","properties":{"api_key":{"type":"string","title":"API key","description":"Ends with your data center, e.g. -us21","pattern":"-[a-z]+[0-9]+$"}},"required":["api_key"]}},"config":{"type":"object","properties":{"default_list_id":{"type":"string","title":"Default audience ID"}}},"triggers":{},"actions":{"add_subscriber":{"title":"Add or update subscriber","input":{"type":"object","properties":{"list_id":{"type":"string","title":"Audience ID","description":"Leave empty to use the default audience"},"email":{"type":"string","title":"Email","format":"email"},"status":{"type":"string","title":"Status","enum":["subscribed","pending","unsubscribed"],"default":"subscribed"},"first_name":{"type":"string","title":"First name"},"last_name":{"type":"string","title":"Last name"},"tags":{"type":"array","title":"Tags","items":{"type":"string"}}},"required":["email"]},"output":{"type":"object","properties":{"id":{"type":"string"},"email_address":{"type":"string"},"status":{"type":"string"}}}},"unsubscribe":{"title":"Unsubscribe","input":{"type":"object","properties":{"list_id":{"type":"string","title":"Audience ID","description":"Leave empty to use the default audience"},"email":{"type":"string","title":"Email","format":"email"}},"required":["email"]},"output":{"type":"object","properties":{"email_address":{"type":"string"},"status":{"type":"string"}}}}}}', true),
+('hubspot', 'HubSpot', 'Inbound marketing and sales platform', 'crm', 'https://images.unsplash.com/photo-1560472354-b33ff0c44a43?w=64&h=64&fit=crop', 'https://www.hubspot.com', 'https://developers.hubspot.com/docs/api/crm/contacts', '["Contact creation","Contact updates","Custom properties"]', 'api_key', '{"auth":{"type":"api_key","fields":{"type":"object","properties":{"access_token":{"type":"string","title":"Private app token","pattern":"^pat-"}},"required":["access_token"]}},"config":{"type":"object","properties":{}},"triggers":{},"actions":{"create_contact":{"title":"Create contact","input":{"type":"object","properties":{"email":{"type":"string","title":"Email","format":"email"},"firstname":{"type":"string","title":"First name"},"lastname":{"type":"string","title":"Last name"},"company":{"type":"string","title":"Company"},"properties":{"type":"object","title":"Other properties","description":"Any other contact properties by internal name","additionalProperties":{"type":"string"}}},"required":["email"]},"output":{"type":"object","properties":{"id":{"type":"string"},"properties":{"type":"object","properties":{"email":{"type":"string"},"firstname":{"type":"string"},"lastname":{"type":"string"}}}}}},"update_contact":{"title":"Update contact","input":{"type":"object","properties":{"contact_id":{"type":"string","title":"Contact ID"},"email":{"type":"string","title":"Email","format":"email"},"firstname":{"type":"string","title":"First name"},"lastname":{"type":"string","title":"Last name"},"company":{"type":"string","title":"Company"},"properties":{"type":"object","title":"Other properties","description":"Any other contact properties by internal name","additionalProperties":{"type":"string"}}},"required":["contact_id"]},"output":{"type":"object","properties":{"id":{"type":"string"},"properties":{"type":"object","properties":{"email":{"type":"string"},"firstname":{"type":"string"},"lastname":{"type":"string"}}}}}}}}', true),
+('zapier', 'Zapier', 'Automation platform connector', 'productivity', 'https://images.unsplash.com/photo-1551434678-e076c223a692?w=64&h=64&fit=crop', 'https://zapier.com', 'https://help.zapier.com/hc/en-us/articles/8496288690317', '["Start Zaps","Pass run data"]', 'none', '{"auth":{"type":"none","fields":{"type":"object","properties":{}}},"config":{"type":"object","properties":{}},"triggers":{},"actions":{"send_to_zap":{"title":"Send to Zap","input":{"type":"object","properties":{"hook_url":{"type":"string","title":"Catch Hook URL","format":"uri","pattern":"^https://hooks\\.zapier\\.com/"},"payload":{"type":"object","title":"Fields","description":"Leave empty to send the data arriving at this step","additionalProperties":{"type":"string"}}},"required":["hook_url"]},"output":{"type":"object","properties":{"id":{"type":"string"},"status":{"type":"string"}}}}}}', true)
+ON CONFLICT (id) DO UPDATE SET
+  name = EXCLUDED.name,
+  description = EXCLUDED.description,
+  category = EXCLUDED.category,
+  logo_url = EXCLUDED.logo_url,
+  website_url = EXCLUDED.website_url,
+  documentation_url = EXCLUDED.documentation_url,
+  features = EXCLUDED.features,
+  auth_type = EXCLUDED.auth_type,
+  config_schema = EXCLUDED.config_schema,
+  is_active = true;
+
+UPDATE integrations
+SET is_active = false
+WHERE id NOT IN ('salesforce', 'slack', 'shopify', 'stripe', 'google-sheets', 'mailchimp', 'hubspot', 'zapier');
@@ -0,0 +1,101 @@
+/*
+  # Integration Connections
+
+  1. New Tables
+    - `integration_connections`: named connections of an organization to an integration, with the
+      connector's non-secret settings (e.g. a Shopify shop domain), health status, the connected
+      account and when it was last checked. An organization can have several per integration.
+    - `integration_connection_secrets`: each connection's credentials (API key, username and
+      password, or OAuth tokens), encrypted with AES-256-GCM by the Edge Functions. The key is the
+      CREDENTIALS_ENCRYPTION_KEY function secret and never stored in the database.
+    - `integration_oauth_states`: OAuth sign-ins in progress, with their PKCE code verifier
+
+  2. Changes
+    - Installations are `organization_integrations` rows; the marketplace no longer writes to the
+      `installed_integrations` table, which never existed
+    - Plain-text credentials under `organization_integrations.config.credentials` are removed. Each
+      installation that had them gets a "Default" connection with its settings, marked as needing to
+      be reconnected.
+
+  3. Security
+    - Members with read access to an integration see its connections; members with edit access can
+      delete them. Connections are created and updated only through the integration-connections
+      Edge Function, which tests the credentials first.
+    - Secrets and OAuth states have no policies: only the service role reads or writes them
+*/
+
+CREATE TABLE IF NOT EXISTS integration_connections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  integration_id text NOT NULL REFERENCES integrations(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  auth_type text NOT NULL DEFAULT 'none' CHECK (auth_type IN ('none', 'api_key', 'basic', 'oauth2')),
+  settings jsonb NOT NULL DEFAULT '{}',
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'error', 'expired')),
+  account_label text,
+  token_expires_at timestamptz,
+  last_checked_at timestamptz,
+  last_error text,
+  created_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE(organization_id, integration_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS integration_connection_secrets (
+  connection_id uuid PRIMARY KEY REFERENCES integration_connections(id) ON DELETE CASCADE,
+  ciphertext text NOT NULL,
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS integration_oauth_states (
+  state text PRIMARY KEY,
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  integration_id text NOT NULL REFERENCES integrations(id) ON DELETE CASCADE,
+  connection_id uuid REFERENCES integration_connections(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  settings jsonb NOT NULL DEFAULT '{}',
+  code_verifier text NOT NULL,
+  redirect_uri text NOT NULL,
+  created_by uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE integration_connections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE integration_connection_secrets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE integration_oauth_states ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "users_read_integration_connections" ON integration_connections
+  FOR SELECT TO authenticated
+  USING (has_integration_access(organization_id, integration_id, 'read'));
+
+CREATE POLICY "editors_delete_integration_connections" ON integration_connections
+  FOR DELETE TO authenticated
+  USING (has_integration_access(organization_id, integration_id, 'edit'));
+
+CREATE INDEX IF NOT EXISTS idx_integration_connections_organization ON integration_connections(organization_id, integration_id);
+CREATE INDEX IF NOT EXISTS idx_integration_oauth_states_expires_at ON integration_oauth_states(expires_at);
+
+-- ============================================================================
+-- PLAIN-TEXT CREDENTIALS
+-- ============================================================================
+
+INSERT INTO integration_connections (organization_id, integration_id, name, auth_type, settings, status, last_error, created_by)
+SELECT
+  oi.organization_id,
+  oi.integration_id,
+  'Default',
+  COALESCE(i.auth_type, 'none'),
+  oi.config - 'credentials',
+  'expired',
+  'Credentials are now stored encrypted; reconnect to enter them again',
+  oi.installed_by
+FROM organization_integrations oi
+JOIN integrations i ON i.id = oi.integration_id
+WHERE oi.config ? 'credentials'
+ON CONFLICT (organization_id, integration_id, name) DO NOTHING;
+
+UPDATE organization_integrations
+SET config = config - 'credentials'
+WHERE config ? 'credentials';
@@ -0,0 +1,30 @@
+/*
+  # Stripe Billing
+
+  1. Changes
+    - `billing_subscriptions` rows are written from Stripe: the stripe-webhook Edge Function copies
+      each subscription's plan, status, billing period, trial end and `cancel_at_period_end`, and
+      keeps Stripe's own status and price in `metadata`
+    - Index on `stripe_customer_id`, used to match webhook events to organizations
+
+  2. Security
+    - Organization admins can no longer write `billing_subscriptions` directly, which let a plan be
+      activated without paying. Plans are changed through Stripe Checkout and the customer portal
+      (billing Edge Function); super admins can still adjust rows, e.g. for Enterprise contracts.
+    - Members keep read access to their organization's subscription
+*/
+
+CREATE INDEX IF NOT EXISTS idx_billing_subscriptions_stripe_customer_id
+  ON billing_subscriptions(stripe_customer_id);
+
+DROP POLICY IF EXISTS "org_admin_manage_billing" ON billing_subscriptions;
+
+DROP POLICY IF EXISTS "super_admin_manage_billing" ON billing_subscriptions;
+CREATE POLICY "super_admin_manage_billing" ON billing_subscriptions
+  FOR ALL TO authenticated
+  USING (
+    EXISTS (SELECT 1 FROM profiles p WHERE p.id = auth.uid() AND p.role = 'super_admin')
+  )
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM profiles p WHERE p.id = auth.uid() AND p.role = 'super_admin')
+  );
@@ -0,0 +1,374 @@
+/*
+  # Plan Limits and Usage Ledger
+
+  1. New Tables
+    - `usage_ledger`: one row per organization, calendar month (UTC) and metric. `executions` counts
+      the month's runs, including retries and sub-workflow runs; `workflows`, `seats` and
+      `integrations` keep the month's highest count. Each row records the plan and limit it was
+      measured against, and when the soft-limit warning and limit-reached notices went out.
+
+  2. Functions
+    - `plan_limits(plan)`: a plan's limits, kept in step with PLANS in src/lib/billing/plans.js
+      (-1 is unlimited)
+    - `organization_plan(organization_id)`: the plan of the organization's newest subscription;
+      canceled and incomplete subscriptions, or none, mean Starter
+    - `enforce_plan_limit(organization_id, metric, quantity)`: raises when `quantity` is over the
+      plan's limit (with HINT 'plan_limit', which the dashboard recognises), otherwise records it in
+      the ledger and notifies members who manage billing at 80% and 100% of the limit
+
+  3. Limits
+    - Workflows: workflows that are not archived, checked when one is created or unarchived
+    - Executions: every inserted `workflow_executions` row is metered; runs past the monthly quota
+      are refused
+    - Seats: active members plus open invitations, checked when inviting; active members when
+      someone joins (accept_invitation) or is reactivated
+    - Integrations: installed integrations, checked when one is installed or re-enabled
+
+  4. Security
+    - Members can read their organization's ledger; only the triggers here write it
+*/
+
+CREATE TABLE IF NOT EXISTS usage_ledger (
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  period_start date NOT NULL,
+  metric text NOT NULL CHECK (metric IN ('workflows', 'executions', 'seats', 'integrations')),
+  quantity integer NOT NULL DEFAULT 0,
+  plan_name text,
+  usage_limit integer,
+  warned_at timestamptz,
+  reached_at timestamptz,
+  updated_at timestamptz DEFAULT now(),
+  PRIMARY KEY (organization_id, period_start, metric)
+);
+
+ALTER TABLE usage_ledger ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "members_read_usage_ledger" ON usage_ledger
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles p
+      WHERE p.id = auth.uid()
+      AND (p.role = 'super_admin' OR p.organization_id = usage_ledger.organization_id)
+    )
+  );
+
+-- ============================================================================
+-- PLAN FUNCTIONS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION plan_limits(p_plan text)
+RETURNS jsonb AS $$
+  SELECT CASE lower(p_plan)
+    WHEN 'professional' THEN '{"workflows": 50, "executions": 10000, "seats": 25, "integrations": 25}'::jsonb
+    WHEN 'enterprise' THEN '{"workflows": -1, "executions": -1, "seats": -1, "integrations": -1}'::jsonb
+    ELSE '{"workflows": 5, "executions": 1000, "seats": 3, "integrations": 3}'::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- `plan_name` holds the plan's name ("Professional") or, on older rows, its id
+CREATE OR REPLACE FUNCTION organization_plan(p_organization_id uuid)
+RETURNS text AS $$
+  SELECT COALESCE((
+    SELECT CASE
+      WHEN s.status IN ('canceled', 'incomplete') THEN NULL
+      WHEN lower(s.plan_name) IN ('professional', 'enterprise') THEN lower(s.plan_name)
+      ELSE 'starter'
+    END
+    FROM billing_subscriptions s
+    WHERE s.organization_id = p_organization_id
+    ORDER BY s.created_at DESC
+    LIMIT 1
+  ), 'starter');
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Same wording as getLimitMessage() in src/lib/billing/plans.js
+CREATE OR REPLACE FUNCTION plan_limit_message(p_plan text, p_metric text, p_limit integer)
+RETURNS text AS $$
+  SELECT format(
+    CASE p_metric
+      WHEN 'workflows' THEN 'Your %s plan includes %s workflows. Archive one or upgrade your plan to add more.'
+      WHEN 'executions' THEN 'Your %s plan includes %s workflow runs a month and this month''s are used up. Upgrade your plan to keep workflows running.'
+      WHEN 'seats' THEN 'Your %s plan includes %s team members, counting open invitations. Remove a member, revoke an invitation or upgrade your plan to add more.'
+      WHEN 'integrations' THEN 'Your %s plan includes %s integrations. Uninstall one or upgrade your plan to add more.'
+    END,
+    initcap(p_plan),
+    to_char(p_limit, 'FM999,999,990')
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Notify the organization's active members who manage billing
+CREATE OR REPLACE FUNCTION notify_plan_limit(
+  p_organization_id uuid,
+  p_metric text,
+  p_quantity integer,
+  p_limit integer,
+  p_plan text,
+  p_reached boolean
+)
+RETURNS void AS $$
+DECLARE
+  v_unit text := CASE p_metric
+    WHEN 'workflows' THEN 'workflows'
+    WHEN 'executions' THEN 'workflow runs a month'
+    WHEN 'seats' THEN 'team members'
+    ELSE 'integrations'
+  END;
+  v_label text := CASE p_metric
+    WHEN 'workflows' THEN 'workflow'
+    WHEN 'executions' THEN 'monthly run'
+    WHEN 'seats' THEN 'team member'
+    ELSE 'integration'
+  END;
+BEGIN
+  INSERT INTO notifications (user_id, title, message, type, action_url, metadata)
+  SELECT
+    p.id,
+    CASE WHEN p_reached
+      THEN format('You have reached your %s limit', v_label)
+      ELSE format('You are close to your %s limit', v_label)
+    END,
+    format('Your %s plan includes %s %s and you have used %s.', initcap(p_plan),
+      to_char(p_limit, 'FM999,999,990'), v_unit, to_char(p_quantity, 'FM999,999,990'))
+      || CASE
+        WHEN NOT p_reached THEN ''
+        WHEN p_metric = 'executions' THEN ' Further runs are refused until next month unless you upgrade.'
+        ELSE ' Upgrade your plan to add more.'
+      END,
+    'billing',
+    '/dashboard/settings?tab=billing',
+    jsonb_build_object('metric', p_metric, 'quantity', p_quantity, 'limit', p_limit, 'plan', p_plan)
+  FROM profiles p
+  LEFT JOIN custom_roles r ON r.id = p.custom_role_id AND r.organization_id = p.organization_id
+  WHERE p.organization_id = p_organization_id
+  AND p.is_active IS NOT FALSE
+  AND COALESCE((COALESCE(r.permissions, builtin_role_permissions(p.role)) -> 'capabilities' ->> 'canManageBilling')::boolean, false);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Serializes the count-then-check of one metric for one organization within the transaction
+CREATE OR REPLACE FUNCTION lock_plan_usage(p_organization_id uuid, p_metric text)
+RETURNS void AS $$
+  SELECT pg_advisory_xact_lock(hashtextextended(p_organization_id::text || ':' || p_metric, 0));
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION enforce_plan_limit(
+  p_organization_id uuid,
+  p_metric text,
+  p_quantity integer,
+  p_record boolean DEFAULT true
+)
+RETURNS void AS $$
+DECLARE
+  v_plan text := organization_plan(p_organization_id);
+  v_limit integer := (plan_limits(v_plan) ->> p_metric)::integer;
+  v_period date := date_trunc('month', now())::date;
+  v_entry usage_ledger%ROWTYPE;
+BEGIN
+  IF v_limit >= 0 AND p_quantity > v_limit THEN
+    RAISE EXCEPTION USING
+      MESSAGE = plan_limit_message(v_plan, p_metric, v_limit),
+      HINT = 'plan_limit';
+  END IF;
+
+  IF NOT p_record THEN
+    RETURN;
+  END IF;
+
+  -- A plan change mid-month re-arms the notices for the new limit
+  INSERT INTO usage_ledger (organization_id, period_start, metric, quantity, plan_name, usage_limit)
+  VALUES (p_organization_id, v_period, p_metric, p_quantity, v_plan, v_limit)
+  ON CONFLICT (organization_id, period_start, metric) DO UPDATE
+  SET quantity = GREATEST(usage_ledger.quantity, EXCLUDED.quantity),
+      plan_name = EXCLUDED.plan_name,
+      usage_limit = EXCLUDED.usage_limit,
+      warned_at = CASE WHEN usage_ledger.usage_limit IS DISTINCT FROM EXCLUDED.usage_limit THEN NULL ELSE usage_ledger.warned_at END,
+      reached_at = CASE WHEN usage_ledger.usage_limit IS DISTINCT FROM EXCLUDED.usage_limit THEN NULL ELSE usage_ledger.reached_at END,
+      updated_at = now()
+  RETURNING * INTO v_entry;
+
+  IF v_limit <= 0 THEN
+    RETURN;
+  END IF;
+
+  IF p_quantity >= v_limit AND v_entry.reached_at IS NULL THEN
+    UPDATE usage_ledger
+    SET reached_at = now(), warned_at = COALESCE(warned_at, now())
+    WHERE organization_id = p_organization_id AND period_start = v_period AND metric = p_metric;
+    PERFORM notify_plan_limit(p_organization_id, p_metric, p_quantity, v_limit, v_plan, true);
+  ELSIF p_quantity >= ceil(v_limit * 0.8) AND v_entry.warned_at IS NULL THEN
+    UPDATE usage_ledger
+    SET warned_at = now()
+    WHERE organization_id = p_organization_id AND period_start = v_period AND metric = p_metric;
+    PERFORM notify_plan_limit(p_organization_id, p_metric, p_quantity, v_limit, v_plan, false);
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION notify_plan_limit(uuid, text, integer, integer, text, boolean) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION enforce_plan_limit(uuid, text, integer, boolean) FROM PUBLIC;
+
+-- ============================================================================
+-- LIMIT TRIGGERS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION enforce_workflow_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.organization_id IS NULL OR NEW.status = 'archived'
+    OR (TG_OP = 'UPDATE' AND OLD.status IS DISTINCT FROM 'archived') THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'workflows');
+  SELECT count(*) + 1 INTO v_count
+  FROM workflows w
+  WHERE w.organization_id = NEW.organization_id
+  AND w.status <> 'archived'
+  AND w.id <> NEW.id;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'workflows', v_count);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_workflow_limit ON workflows;
+CREATE TRIGGER enforce_workflow_limit
+  BEFORE INSERT OR UPDATE OF status ON workflows
+  FOR EACH ROW EXECUTE FUNCTION enforce_workflow_limit();
+
+CREATE OR REPLACE FUNCTION meter_workflow_execution()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.organization_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'executions');
+  SELECT COALESCE((
+    SELECT l.quantity FROM usage_ledger l
+    WHERE l.organization_id = NEW.organization_id
+    AND l.period_start = date_trunc('month', now())::date
+    AND l.metric = 'executions'
+  ), 0) + 1 INTO v_count;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'executions', v_count);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS meter_workflow_execution ON workflow_executions;
+CREATE TRIGGER meter_workflow_execution
+  BEFORE INSERT ON workflow_executions
+  FOR EACH ROW EXECUTE FUNCTION meter_workflow_execution();
+
+CREATE OR REPLACE FUNCTION enforce_member_seat_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.organization_id IS NULL OR NEW.is_active IS FALSE OR NEW.role = 'super_admin'
+    OR (TG_OP = 'UPDATE'
+      AND OLD.organization_id IS NOT DISTINCT FROM NEW.organization_id
+      AND OLD.is_active IS NOT FALSE) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'seats');
+  SELECT count(*) + 1 INTO v_count
+  FROM profiles p
+  WHERE p.organization_id = NEW.organization_id
+  AND p.is_active IS NOT FALSE
+  AND p.role <> 'super_admin'
+  AND p.id <> NEW.id;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'seats', v_count);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_member_seat_limit ON profiles;
+CREATE TRIGGER enforce_member_seat_limit
+  BEFORE INSERT OR UPDATE OF organization_id, is_active ON profiles
+  FOR EACH ROW EXECUTE FUNCTION enforce_member_seat_limit();
+
+-- An open invitation holds a seat, so inviting is checked against members plus open invitations
+CREATE OR REPLACE FUNCTION enforce_invitation_seat_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.status <> 'pending' THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'seats');
+  SELECT
+    (SELECT count(*) FROM profiles p
+      WHERE p.organization_id = NEW.organization_id
+      AND p.is_active IS NOT FALSE
+      AND p.role <> 'super_admin')
+    + (SELECT count(*) FROM invitations i
+      WHERE i.organization_id = NEW.organization_id
+      AND i.status = 'pending'
+      AND i.expires_at > now()
+      AND i.id <> NEW.id)
+    + 1
+  INTO v_count;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'seats', v_count, false);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_invitation_seat_limit ON invitations;
+CREATE TRIGGER enforce_invitation_seat_limit
+  BEFORE INSERT ON invitations
+  FOR EACH ROW EXECUTE FUNCTION enforce_invitation_seat_limit();
+
+-- Installing is an upsert, so a reinstalled integration does not count against itself
+CREATE OR REPLACE FUNCTION enforce_integration_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.organization_id IS NULL OR NEW.is_active IS FALSE
+    OR (TG_OP = 'UPDATE' AND OLD.is_active IS NOT FALSE) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'integrations');
+  SELECT count(*) + 1 INTO v_count
+  FROM organization_integrations oi
+  WHERE oi.organization_id = NEW.organization_id
+  AND oi.is_active IS NOT FALSE
+  AND oi.integration_id <> NEW.integration_id;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'integrations', v_count);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_integration_limit ON organization_integrations;
+CREATE TRIGGER enforce_integration_limit
+  BEFORE INSERT OR UPDATE OF is_active ON organization_integrations
+  FOR EACH ROW EXECUTE FUNCTION enforce_integration_limit();
+
+-- Runs already made this month count towards this month's quota
+INSERT INTO usage_ledger (organization_id, period_start, metric, quantity, plan_name, usage_limit)
+SELECT
+  e.organization_id,
+  date_trunc('month', now())::date,
+  'executions',
+  count(*),
+  organization_plan(e.organization_id),
+  (plan_limits(organization_plan(e.organization_id)) ->> 'executions')::integer
+FROM workflow_executions e
+WHERE e.organization_id IS NOT NULL
+AND e.started_at >= date_trunc('month', now())
+GROUP BY e.organization_id
+ON CONFLICT (organization_id, period_start, metric) DO NOTHING;
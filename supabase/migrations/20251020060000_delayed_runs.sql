@@ -0,0 +1,16 @@
+/*
+  # Delayed Runs
+
+  1. Changes
+    - `workflow_executions.resume_at`: when a run paused by a delay step is due to continue. Delays
+      longer than a minute no longer hold the run open; the run waits with `status = 'waiting'` and
+      the workflow-scheduler Edge Function continues it once `resume_at` has passed
+    - Partial index on waiting runs by `resume_at`, read by the scheduler every minute
+*/
+
+ALTER TABLE workflow_executions
+  ADD COLUMN IF NOT EXISTS resume_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_resume_at
+  ON workflow_executions(resume_at)
+  WHERE status = 'waiting';
@@ -0,0 +1,24 @@
+/*
+  # Webhook Delivery Ids
+
+  1. Changes
+    - `webhook_deliveries.delivery_id`: the id a sender gave the delivery (`X-Delivery-Id`,
+      `Idempotency-Key`, `X-GitHub-Delivery` or `X-Webhook-Id`)
+    - Unique index on accepted deliveries per webhook and delivery id, so a delivery the sender
+      retries starts its run once
+
+  2. Security
+    - Credentials are no longer logged with a delivery's headers. Headers already logged lose their
+      `Authorization`, `Proxy-Authorization`, `Cookie`, `Set-Cookie` and API key values.
+*/
+
+ALTER TABLE webhook_deliveries
+  ADD COLUMN IF NOT EXISTS delivery_id text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_delivery_id
+  ON webhook_deliveries(webhook_id, delivery_id)
+  WHERE delivery_id IS NOT NULL AND status = 'accepted';
+
+UPDATE webhook_deliveries
+SET headers = headers - ARRAY['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'api-key']
+WHERE headers ?| ARRAY['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'api-key'];
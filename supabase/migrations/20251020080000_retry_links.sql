@@ -0,0 +1,21 @@
+/*
+  # Retry Links
+
+  1. Changes
+    - `workflow_executions.retried_by`: the run that retried this one. A failed run is only resolved
+      when its retry actually recorded a run, and then links to it.
+*/
+
+ALTER TABLE workflow_executions
+  ADD COLUMN IF NOT EXISTS retried_by uuid REFERENCES workflow_executions(id) ON DELETE SET NULL;
+
+-- Runs already resolved by a retry link to the newest retry recorded for them
+UPDATE workflow_executions original
+SET retried_by = (
+  SELECT retry.id FROM workflow_executions retry
+  WHERE retry.retry_of = original.id
+  ORDER BY retry.started_at DESC
+  LIMIT 1
+)
+WHERE original.retried_by IS NULL
+AND EXISTS (SELECT 1 FROM workflow_executions retry WHERE retry.retry_of = original.id);
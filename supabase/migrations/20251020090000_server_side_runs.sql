@@ -0,0 +1,39 @@
+/*
+  # Server-Side Runs
+
+  1. Changes
+    - Runs started, retried or continued from the dashboard execute in the workflow-runs Edge
+      Function with the service role, like scheduled, webhook and API runs already did
+
+  2. Security
+    - Members can no longer write run records directly: the policies that let any org member insert
+      executions, step traces and approvals, update step traces and notify other members are dropped.
+      Forged approvals listing the member as an assignee could otherwise decide a run, and forged
+      notifications could link anywhere.
+    - Approvals are decided through the workflow-runs Edge Function, which checks the decider is an
+      assignee of an approval opened by the run itself
+    - Updating a run (dismissing it from the dead-letter list) needs edit access to the workflow's
+      folder, and only `resolved_at` can be changed
+*/
+
+DROP POLICY IF EXISTS "users_create_executions" ON workflow_executions;
+DROP POLICY IF EXISTS "users_update_executions" ON workflow_executions;
+DROP POLICY IF EXISTS "users_create_execution_steps" ON workflow_execution_steps;
+DROP POLICY IF EXISTS "users_update_execution_steps" ON workflow_execution_steps;
+DROP POLICY IF EXISTS "users_create_approvals" ON workflow_approvals;
+DROP POLICY IF EXISTS "assignees_decide_approvals" ON workflow_approvals;
+DROP POLICY IF EXISTS "users_notify_org_members" ON notifications;
+
+CREATE POLICY "workflow_editors_update_executions" ON workflow_executions
+  FOR UPDATE TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM workflows w
+      WHERE w.id = workflow_executions.workflow_id
+      AND w.organization_id = workflow_executions.organization_id
+      AND has_workflow_access(w.organization_id, w.folder, 'edit')
+    )
+  );
+
+REVOKE UPDATE ON workflow_executions FROM authenticated;
+GRANT UPDATE (resolved_at) ON workflow_executions TO authenticated;
@@ -0,0 +1,188 @@
+/*
+  # Server-Side Two-Factor Authentication
+
+  1. New Tables
+    - `user_security_private`: the authenticator secret, hashed backup codes and lockout state, moved
+      out of `user_security`. It has no policies, so only the service role (the account-security
+      Edge Function) reads or writes it.
+    - `two_factor_sessions`: sessions that passed the second factor, by the `session_id` claim of
+      their access token. Rows go away with the session.
+
+  2. Changes
+    - `user_security` keeps whether two-factor authentication is on and gains
+      `backup_codes_remaining`; its secret and lockout columns are dropped
+    - `two_factor_satisfied()`: whether the caller's session may act, i.e. its user has two-factor
+      authentication off or the session passed it
+
+  3. Security
+    - Members can read their own `user_security` row but no longer write it; turning two-factor
+      authentication on or off goes through the account-security Edge Function, which checks a code
+    - Every table with row level security gets a restrictive policy requiring
+      `two_factor_satisfied()`, and `current_role_permissions()` returns nothing before the second
+      factor, so a password alone reaches no data and passes no permission check in Edge Functions
+    - `get_login_lock` and `record_failed_login` can only be called by the service role. Sign-in
+      goes through the account-security Edge Function, which counts a failure only after the password
+      or code it was given was actually refused.
+*/
+
+-- ============================================================================
+-- PRIVATE SECURITY STATE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_security_private (
+  user_id uuid PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  totp_secret text,
+  -- The secret being set up, until the first code from it is confirmed
+  pending_totp_secret text,
+  totp_last_used_step bigint,
+  backup_codes text[],
+  failed_login_attempts integer DEFAULT 0,
+  locked_until timestamptz,
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE user_security_private ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO user_security_private (user_id, totp_secret, totp_last_used_step, backup_codes, failed_login_attempts, locked_until)
+SELECT user_id, totp_secret, totp_last_used_step, backup_codes, failed_login_attempts, locked_until
+FROM user_security
+WHERE user_id IS NOT NULL
+ON CONFLICT (user_id) DO NOTHING;
+
+ALTER TABLE user_security ADD COLUMN IF NOT EXISTS backup_codes_remaining integer DEFAULT 0;
+UPDATE user_security SET backup_codes_remaining = COALESCE(array_length(backup_codes, 1), 0);
+
+ALTER TABLE user_security
+  DROP COLUMN IF EXISTS totp_secret,
+  DROP COLUMN IF EXISTS totp_last_used_step,
+  DROP COLUMN IF EXISTS backup_codes,
+  DROP COLUMN IF EXISTS failed_login_attempts,
+  DROP COLUMN IF EXISTS locked_until;
+
+DROP POLICY IF EXISTS "users_manage_own_security" ON user_security;
+
+CREATE POLICY "users_read_own_security" ON user_security
+  FOR SELECT TO authenticated
+  USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- VERIFIED SESSIONS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS two_factor_sessions (
+  session_id uuid PRIMARY KEY REFERENCES auth.sessions(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  verified_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE two_factor_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION two_factor_satisfied()
+RETURNS boolean AS $$
+  SELECT NOT EXISTS (
+    SELECT 1 FROM user_security s
+    WHERE s.user_id = auth.uid()
+    AND s.two_factor_enabled
+  )
+  OR EXISTS (
+    SELECT 1 FROM two_factor_sessions t
+    WHERE t.user_id = auth.uid()
+    AND t.session_id::text = auth.jwt() ->> 'session_id'
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION two_factor_satisfied() TO authenticated;
+
+CREATE OR REPLACE FUNCTION current_role_permissions(p_organization_id uuid)
+RETURNS jsonb AS $$
+  SELECT CASE
+    WHEN p.role = 'super_admin' THEN builtin_role_permissions(p.role)
+    WHEN p.organization_id IS DISTINCT FROM p_organization_id THEN NULL
+    WHEN r.id IS NOT NULL THEN r.permissions
+    ELSE builtin_role_permissions(p.role)
+  END
+  FROM profiles p
+  LEFT JOIN custom_roles r ON r.id = p.custom_role_id AND r.organization_id = p.organization_id
+  WHERE p.id = auth.uid()
+  AND two_factor_satisfied();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Restrictive policies apply on top of every other policy of their table. `user_security` stays
+-- readable so the app can tell a session still owes its second factor.
+DO $$
+DECLARE
+  v_table text;
+BEGIN
+  FOR v_table IN
+    SELECT c.relname FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public'
+    AND c.relkind = 'r'
+    AND c.relrowsecurity
+    AND c.relname NOT IN ('user_security', 'user_security_private', 'two_factor_sessions')
+  LOOP
+    EXECUTE format('DROP POLICY IF EXISTS "require_two_factor" ON %I', v_table);
+    EXECUTE format(
+      'CREATE POLICY "require_two_factor" ON %I AS RESTRICTIVE FOR ALL TO authenticated USING (two_factor_satisfied()) WITH CHECK (two_factor_satisfied())',
+      v_table
+    );
+  END LOOP;
+END $$;
+
+-- ============================================================================
+-- LOCKOUT
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION get_login_lock(p_email text)
+RETURNS timestamptz AS $$
+  SELECT s.locked_until
+  FROM user_security_private s
+  JOIN auth.users u ON u.id = s.user_id
+  WHERE lower(u.email) = lower(trim(p_email))
+  AND s.locked_until > now();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION record_failed_login(p_email text)
+RETURNS timestamptz AS $$
+DECLARE
+  v_user_id uuid;
+  v_locked_until timestamptz;
+BEGIN
+  SELECT id INTO v_user_id FROM auth.users WHERE lower(email) = lower(trim(p_email));
+  IF v_user_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- An expired lock starts a fresh count
+  INSERT INTO user_security_private (user_id, failed_login_attempts)
+  VALUES (v_user_id, 1)
+  ON CONFLICT (user_id) DO UPDATE SET
+    failed_login_attempts = CASE
+      WHEN user_security_private.locked_until IS NOT NULL AND user_security_private.locked_until <= now() THEN 1
+      ELSE COALESCE(user_security_private.failed_login_attempts, 0) + 1
+    END,
+    locked_until = CASE
+      WHEN user_security_private.locked_until > now() THEN user_security_private.locked_until
+      ELSE NULL
+    END,
+    updated_at = now();
+
+  UPDATE user_security_private
+  SET locked_until = now() + interval '15 minutes'
+  WHERE user_id = v_user_id
+  AND failed_login_attempts >= 5
+  AND locked_until IS NULL
+  RETURNING locked_until INTO v_locked_until;
+
+  IF v_locked_until IS NULL THEN
+    SELECT locked_until INTO v_locked_until FROM user_security_private WHERE user_id = v_user_id AND locked_until > now();
+  END IF;
+
+  RETURN v_locked_until;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION get_login_lock(text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_failed_login(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_login_lock(text) TO service_role;
+GRANT EXECUTE ON FUNCTION record_failed_login(text) TO service_role;
@@ -0,0 +1,78 @@
+/*
+  # Guard Membership Columns on Profiles
+
+  1. Changes
+    - `check_profile_membership()`: a trigger that stops members changing their own `role`,
+      `organization_id`, `is_active` or `custom_role_id`. The profiles_update_own policy lets members
+      edit their own row (their name, avatar and so on), and until now nothing limited which columns.
+    - `check_profile_custom_role()` keeps only its check that a custom role belongs to the member's
+      organization. Its permission check compared `current_user` inside a SECURITY DEFINER function,
+      where it is always the function's owner, so it never applied; the new trigger runs as the
+      caller instead.
+
+  2. Security
+    - Changing one of these columns needs canManageUsers in the organization the member leaves and
+      in the one they join. Members without an organization are changed by super admins only.
+    - Only super admins make someone a super admin
+    - The service role and token-checked functions such as accept_invitation run as their owner
+      and pass, as before
+*/
+
+CREATE OR REPLACE FUNCTION check_profile_membership()
+RETURNS trigger AS $$
+BEGIN
+  IF current_user NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role
+    OR NEW.organization_id IS DISTINCT FROM OLD.organization_id
+    OR NEW.is_active IS DISTINCT FROM OLD.is_active
+    OR NEW.custom_role_id IS DISTINCT FROM OLD.custom_role_id THEN
+    IF (OLD.organization_id IS NULL AND NEW.organization_id IS NULL)
+      OR NEW.role = 'super_admin' THEN
+      IF NOT EXISTS (
+        SELECT 1 FROM profiles p
+        WHERE p.id = auth.uid()
+        AND p.role = 'super_admin'
+        AND two_factor_satisfied()
+      ) THEN
+        RAISE EXCEPTION 'Only super admins can change this member';
+      END IF;
+    ELSIF (OLD.organization_id IS NOT NULL AND NOT has_capability(OLD.organization_id, 'canManageUsers'))
+      OR (NEW.organization_id IS NOT NULL AND NOT has_capability(NEW.organization_id, 'canManageUsers')) THEN
+      RAISE EXCEPTION 'Only team managers can change roles, organizations or account status';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_profile_membership ON profiles;
+CREATE TRIGGER check_profile_membership
+  BEFORE UPDATE ON profiles
+  FOR EACH ROW EXECUTE FUNCTION check_profile_membership();
+
+CREATE OR REPLACE FUNCTION check_profile_custom_role()
+RETURNS trigger AS $$
+BEGIN
+  -- A role belongs to one organization; moving organizations drops it
+  IF NEW.organization_id IS DISTINCT FROM OLD.organization_id
+    AND NEW.custom_role_id IS NOT DISTINCT FROM OLD.custom_role_id THEN
+    NEW.custom_role_id := NULL;
+  END IF;
+
+  IF NEW.custom_role_id IS DISTINCT FROM OLD.custom_role_id
+    AND NEW.custom_role_id IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM custom_roles r
+      WHERE r.id = NEW.custom_role_id
+      AND r.organization_id = NEW.organization_id
+    ) THEN
+    RAISE EXCEPTION 'This role belongs to a different organization';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
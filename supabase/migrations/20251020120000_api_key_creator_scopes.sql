@@ -0,0 +1,138 @@
+/*
+  # API Keys Limited to Their Creator's Access
+
+  1. Functions
+    - `member_role_permissions(user_id, organization_id)`: like `current_role_permissions()` for any
+      member, or NULL when they are not an active member of the organization
+    - `api_key_scopes_allowed(user_id, organization_id, permissions)`: whether a member may hold
+      these API key scopes. The API is not limited to folders, so each scope needs the matching
+      organization-wide (`*`) access:
+        workflows     read: read workflows                write: canManageWorkflows and edit workflows
+        executions    read: read workflows                write: execute workflows
+        integrations  read: read integrations             write: canManageIntegrations and edit integrations
+        users         read and write: canManageUsers
+
+  2. Security
+    - Creating, rotating or changing a key is refused when it would reach beyond what the member
+      creating it can do, and members can only create keys in their own name
+    - `use_api_key` refuses keys whose creator is no longer active in the organization or no longer
+      has the access the key's scopes need, so a key stops working when its creator loses it
+*/
+
+CREATE OR REPLACE FUNCTION member_role_permissions(p_user_id uuid, p_organization_id uuid)
+RETURNS jsonb AS $$
+  SELECT CASE
+    WHEN p.role = 'super_admin' THEN builtin_role_permissions(p.role)
+    WHEN p.organization_id IS DISTINCT FROM p_organization_id THEN NULL
+    WHEN r.id IS NOT NULL THEN r.permissions
+    ELSE builtin_role_permissions(p.role)
+  END
+  FROM profiles p
+  LEFT JOIN custom_roles r ON r.id = p.custom_role_id AND r.organization_id = p.organization_id
+  WHERE p.id = p_user_id
+  AND p.is_active;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION api_key_scopes_allowed(p_user_id uuid, p_organization_id uuid, p_permissions jsonb)
+RETURNS boolean AS $$
+DECLARE
+  v_perms jsonb := member_role_permissions(p_user_id, p_organization_id);
+  v_workflows integer;
+  v_integrations integer;
+BEGIN
+  IF v_perms IS NULL THEN
+    RETURN false;
+  END IF;
+
+  v_workflows := access_level_rank(v_perms -> 'workflows' ->> '*');
+  v_integrations := access_level_rank(v_perms -> 'integrations' ->> '*');
+
+  RETURN CASE p_permissions ->> 'workflows'
+      WHEN 'read' THEN v_workflows >= access_level_rank('read')
+      WHEN 'write' THEN COALESCE((v_perms -> 'capabilities' ->> 'canManageWorkflows')::boolean, false)
+        AND v_workflows >= access_level_rank('edit')
+      ELSE true
+    END
+    AND CASE p_permissions ->> 'executions'
+      WHEN 'read' THEN v_workflows >= access_level_rank('read')
+      WHEN 'write' THEN v_workflows >= access_level_rank('execute')
+      ELSE true
+    END
+    AND CASE p_permissions ->> 'integrations'
+      WHEN 'read' THEN v_integrations >= access_level_rank('read')
+      WHEN 'write' THEN COALESCE((v_perms -> 'capabilities' ->> 'canManageIntegrations')::boolean, false)
+        AND v_integrations >= access_level_rank('edit')
+      ELSE true
+    END
+    AND CASE
+      WHEN p_permissions ->> 'users' IN ('read', 'write')
+        THEN COALESCE((v_perms -> 'capabilities' ->> 'canManageUsers')::boolean, false)
+      ELSE true
+    END;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION member_role_permissions(uuid, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION member_role_permissions(uuid, uuid) TO service_role;
+GRANT EXECUTE ON FUNCTION api_key_scopes_allowed(uuid, uuid, jsonb) TO authenticated;
+
+-- ============================================================================
+-- CREATING KEYS
+-- ============================================================================
+
+-- Runs as the caller, so the service role and definer functions are not held to a member's access
+CREATE OR REPLACE FUNCTION check_api_key_scopes()
+RETURNS trigger AS $$
+BEGIN
+  IF current_user NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' AND NEW.created_by IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'API keys are created in your own name';
+  END IF;
+
+  IF NOT api_key_scopes_allowed(auth.uid(), NEW.organization_id, NEW.permissions) THEN
+    RAISE EXCEPTION 'This API key would have access you do not have yourself';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_api_key_scopes ON api_keys;
+CREATE TRIGGER check_api_key_scopes
+  BEFORE INSERT OR UPDATE OF permissions, organization_id, created_by ON api_keys
+  FOR EACH ROW EXECUTE FUNCTION check_api_key_scopes();
+
+-- ============================================================================
+-- USING KEYS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION use_api_key(p_key_hash text, p_method text DEFAULT NULL, p_path text DEFAULT NULL)
+RETURNS TABLE (id uuid, organization_id uuid, name text, permissions jsonb, created_by uuid) AS $$
+DECLARE
+  v_key api_keys%ROWTYPE;
+BEGIN
+  SELECT * INTO v_key
+  FROM api_keys k
+  WHERE k.key_hash = p_key_hash
+  AND k.is_active
+  AND (k.expires_at IS NULL OR k.expires_at > now())
+  AND api_key_scopes_allowed(k.created_by, k.organization_id, k.permissions);
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE api_keys
+  SET last_used = now(),
+      usage_count = api_keys.usage_count + 1
+  WHERE api_keys.id = v_key.id;
+
+  INSERT INTO api_key_usage (api_key_id, organization_id, method, path)
+  VALUES (v_key.id, v_key.organization_id, p_method, p_path);
+
+  RETURN QUERY SELECT v_key.id, v_key.organization_id, v_key.name, v_key.permissions, v_key.created_by;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,34 @@
+/*
+  # Unlimited Team Members and Integrations
+
+  Every plan keeps unlimited team members and installed integrations; only workflows and monthly
+  executions are limited.
+
+  1. Changes
+    - `plan_limits()` returns only the `workflows` and `executions` limits
+    - The seat and integration limit triggers and their functions are dropped
+    - Ledger rows for `seats` and `integrations` are removed, and the ledger only accepts the two
+      limited metrics
+*/
+
+DROP TRIGGER IF EXISTS enforce_member_seat_limit ON profiles;
+DROP TRIGGER IF EXISTS enforce_invitation_seat_limit ON invitations;
+DROP TRIGGER IF EXISTS enforce_integration_limit ON organization_integrations;
+
+DROP FUNCTION IF EXISTS enforce_member_seat_limit();
+DROP FUNCTION IF EXISTS enforce_invitation_seat_limit();
+DROP FUNCTION IF EXISTS enforce_integration_limit();
+
+CREATE OR REPLACE FUNCTION plan_limits(p_plan text)
+RETURNS jsonb AS $$
+  SELECT CASE lower(p_plan)
+    WHEN 'professional' THEN '{"workflows": 50, "executions": 10000}'::jsonb
+    WHEN 'enterprise' THEN '{"workflows": -1, "executions": -1}'::jsonb
+    ELSE '{"workflows": 5, "executions": 1000}'::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+DELETE FROM usage_ledger WHERE metric IN ('seats', 'integrations');
+
+ALTER TABLE usage_ledger DROP CONSTRAINT IF EXISTS usage_ledger_metric_check;
+ALTER TABLE usage_ledger ADD CONSTRAINT usage_ledger_metric_check CHECK (metric IN ('workflows', 'executions'));
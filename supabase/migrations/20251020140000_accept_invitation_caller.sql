@@ -0,0 +1,104 @@
+/*
+  # Accept Invitations as the Signed-in User
+
+  `accept_invitation(id, token_hash, user_id)` ran as its owner for anyone, including signed-out
+  callers, and joined `COALESCE(auth.uid(), p_user_id)` to the organization. Whoever held an invite
+  link could pass another user's id and move that account into the inviting organization.
+
+  1. Changes
+    - `accept_invitation(id, token_hash)` joins the signed-in user only and is granted to
+      authenticated callers. The three-argument version is dropped.
+    - `accept_invitation_at_signup(id, token_hash, user_id)` covers sign-up without a session (when
+      email confirmation is on). It accepts only for an account created in the last hour that has
+      never signed in and whose profile has no organization yet.
+    - `apply_invitation()` holds the checks both share and is not callable by clients
+
+  2. Security
+    - Both still require the invite token and an account email matching the invitation
+*/
+
+DROP FUNCTION IF EXISTS accept_invitation(uuid, text, uuid);
+
+CREATE OR REPLACE FUNCTION apply_invitation(p_invitation_id uuid, p_token_hash text, p_user_id uuid)
+RETURNS uuid AS $$
+DECLARE
+  v_invitation invitations%ROWTYPE;
+  v_email text;
+BEGIN
+  SELECT * INTO v_invitation
+  FROM invitations
+  WHERE id = p_invitation_id AND token_hash = p_token_hash
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invitation not found';
+  END IF;
+  IF v_invitation.status <> 'pending' THEN
+    RAISE EXCEPTION 'This invitation has already been %', v_invitation.status;
+  END IF;
+  IF v_invitation.expires_at <= now() THEN
+    RAISE EXCEPTION 'This invitation has expired';
+  END IF;
+
+  SELECT email INTO v_email FROM auth.users WHERE id = p_user_id;
+  IF v_email IS NULL OR lower(v_email) <> lower(v_invitation.email) THEN
+    RAISE EXCEPTION 'This invitation was sent to a different email address';
+  END IF;
+
+  UPDATE profiles
+  SET organization_id = v_invitation.organization_id,
+      role = v_invitation.role,
+      first_name = COALESCE(NULLIF(first_name, ''), v_invitation.first_name),
+      last_name = COALESCE(NULLIF(last_name, ''), v_invitation.last_name),
+      is_active = true,
+      updated_at = now()
+  WHERE id = p_user_id;
+
+  UPDATE invitations
+  SET status = 'accepted',
+      accepted_by = p_user_id,
+      accepted_at = now()
+  WHERE id = p_invitation_id;
+
+  RETURN v_invitation.organization_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION accept_invitation(p_invitation_id uuid, p_token_hash text)
+RETURNS uuid AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to accept this invitation';
+  END IF;
+
+  RETURN apply_invitation(p_invitation_id, p_token_hash, auth.uid());
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION accept_invitation_at_signup(p_invitation_id uuid, p_token_hash text, p_user_id uuid)
+RETURNS uuid AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id THEN
+    RAISE EXCEPTION 'Invitations can only be accepted for your own account';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM auth.users u
+    JOIN profiles p ON p.id = u.id
+    WHERE u.id = p_user_id
+    AND u.created_at > now() - interval '1 hour'
+    AND u.last_sign_in_at IS NULL
+    AND p.organization_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Sign in to accept this invitation';
+  END IF;
+
+  RETURN apply_invitation(p_invitation_id, p_token_hash, p_user_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION apply_invitation(uuid, text, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION accept_invitation(uuid, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION accept_invitation(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION accept_invitation_at_signup(uuid, text, uuid) TO anon, authenticated;
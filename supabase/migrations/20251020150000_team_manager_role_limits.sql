@@ -0,0 +1,186 @@
+/*
+  # Team Managers Stay Within Their Own Access
+
+  Until now canManageUsers was enough to give any member any role below super admin, to invite org
+  admins and to edit any custom role, so a manager granted it through a custom role could make
+  themselves or someone else an org admin. This supersedes the team management claims in the
+  headers of `20251019220000_custom_roles` and `20251020110000_profile_self_changes`.
+
+  1. Functions
+    - `role_rank(role)`: user 0, manager 1, org admin 2, super admin 3
+    - `permissions_within(permissions, held)`: whether every capability, workflow level and
+      integration level in `permissions` is also in `held`. Folders and integrations that only one
+      side lists are compared against the other side's `*`.
+    - `member_can_assign_role(user_id, organization_id, role, custom_role_id)`: whether a member may
+      give this built-in role and custom role: the built-in role ranks no higher than their own, and
+      the resulting permissions are within theirs. Service role only, for the public API.
+    - `can_assign_role(organization_id, role, custom_role_id)`: the same for the signed-in user,
+      once their second factor is verified
+
+  2. Security
+    - Team managers change only members whose current role they could assign themselves, and give
+      only roles they could assign
+    - Nobody changes their own role or custom role
+    - Invitations follow the same rule, so org admins are invited by org admins (or super admins)
+    - Custom roles are created and edited only within the editor's own permissions
+*/
+
+CREATE OR REPLACE FUNCTION role_rank(p_role user_role)
+RETURNS integer AS $$
+  SELECT array_position(ARRAY['user', 'manager', 'org_admin', 'super_admin']::user_role[], p_role) - 1;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION permissions_within(p_permissions jsonb, p_held jsonb)
+RETURNS boolean AS $$
+  SELECT p_held IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM jsonb_each_text(COALESCE(p_permissions -> 'capabilities', '{}')) capability
+    WHERE capability.value = 'true'
+    AND NOT COALESCE((p_held -> 'capabilities' ->> capability.key)::boolean, false)
+  )
+  AND NOT EXISTS (
+    SELECT 1
+    FROM unnest(ARRAY['workflows', 'integrations']) area
+    CROSS JOIN LATERAL (
+      SELECT jsonb_object_keys(COALESCE(p_permissions -> area, '{}'))
+      UNION SELECT jsonb_object_keys(COALESCE(p_held -> area, '{}'))
+      UNION SELECT '*'
+    ) granted(name)
+    WHERE access_level_rank(COALESCE(p_permissions -> area ->> granted.name, p_permissions -> area ->> '*'))
+      > access_level_rank(COALESCE(p_held -> area ->> granted.name, p_held -> area ->> '*'))
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION member_can_assign_role(p_user_id uuid, p_organization_id uuid, p_role user_role, p_custom_role_id uuid)
+RETURNS boolean AS $$
+  SELECT COALESCE((
+    SELECT role_rank(p_role) <= role_rank(p.role)
+      AND permissions_within(
+        COALESCE(r.permissions, builtin_role_permissions(p_role)),
+        member_role_permissions(p_user_id, p_organization_id)
+      )
+    FROM profiles p
+    LEFT JOIN custom_roles r ON r.id = p_custom_role_id AND r.organization_id = p_organization_id
+    WHERE p.id = p_user_id
+  ), false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION can_assign_role(p_organization_id uuid, p_role user_role, p_custom_role_id uuid)
+RETURNS boolean AS $$
+  SELECT two_factor_satisfied() AND member_can_assign_role(auth.uid(), p_organization_id, p_role, p_custom_role_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION member_can_assign_role(uuid, uuid, user_role, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION member_can_assign_role(uuid, uuid, user_role, uuid) TO service_role;
+GRANT EXECUTE ON FUNCTION can_assign_role(uuid, user_role, uuid) TO authenticated;
+
+-- ============================================================================
+-- PROFILES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "profiles_team_managers_update_org" ON profiles;
+CREATE POLICY "profiles_team_managers_update_org" ON profiles
+  FOR UPDATE TO authenticated
+  USING (
+    organization_id IS NOT NULL
+    AND id <> auth.uid()
+    AND has_capability(organization_id, 'canManageUsers')
+    AND can_assign_role(organization_id, role, custom_role_id)
+  )
+  WITH CHECK (
+    role <> 'super_admin'
+    AND id <> auth.uid()
+    AND has_capability(organization_id, 'canManageUsers')
+    AND can_assign_role(organization_id, role, custom_role_id)
+  );
+
+-- Members still edit their own row through profiles_update_own, so the trigger holds the same rules
+CREATE OR REPLACE FUNCTION check_profile_membership()
+RETURNS trigger AS $$
+BEGIN
+  IF current_user NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role
+    OR NEW.organization_id IS DISTINCT FROM OLD.organization_id
+    OR NEW.is_active IS DISTINCT FROM OLD.is_active
+    OR NEW.custom_role_id IS DISTINCT FROM OLD.custom_role_id THEN
+    IF NEW.id = auth.uid()
+      AND (NEW.role IS DISTINCT FROM OLD.role OR NEW.custom_role_id IS DISTINCT FROM OLD.custom_role_id) THEN
+      RAISE EXCEPTION 'You cannot change your own role';
+    END IF;
+
+    IF (OLD.organization_id IS NULL AND NEW.organization_id IS NULL)
+      OR NEW.role = 'super_admin' THEN
+      IF NOT EXISTS (
+        SELECT 1 FROM profiles p
+        WHERE p.id = auth.uid()
+        AND p.role = 'super_admin'
+        AND two_factor_satisfied()
+      ) THEN
+        RAISE EXCEPTION 'Only super admins can change this member';
+      END IF;
+    ELSIF (OLD.organization_id IS NOT NULL AND NOT has_capability(OLD.organization_id, 'canManageUsers'))
+      OR (NEW.organization_id IS NOT NULL AND NOT has_capability(NEW.organization_id, 'canManageUsers')) THEN
+      RAISE EXCEPTION 'Only team managers can change roles, organizations or account status';
+    ELSIF OLD.organization_id IS NOT NULL
+      AND NOT can_assign_role(OLD.organization_id, OLD.role, OLD.custom_role_id) THEN
+      RAISE EXCEPTION 'You cannot change members whose role is above your own';
+    ELSIF NEW.organization_id IS NOT NULL
+      AND NOT can_assign_role(NEW.organization_id, NEW.role, NEW.custom_role_id) THEN
+      RAISE EXCEPTION 'You cannot give a role with access you do not have yourself';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- ============================================================================
+-- INVITATIONS
+-- ============================================================================
+
+DROP POLICY IF EXISTS "team_managers_manage_invitations" ON invitations;
+
+CREATE POLICY "team_managers_read_invitations" ON invitations
+  FOR SELECT TO authenticated
+  USING (has_capability(organization_id, 'canManageUsers'));
+
+CREATE POLICY "team_managers_create_invitations" ON invitations
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    role <> 'super_admin'
+    AND has_capability(organization_id, 'canManageUsers')
+    AND can_assign_role(organization_id, role, NULL)
+  );
+
+-- Resending and revoking
+CREATE POLICY "team_managers_update_invitations" ON invitations
+  FOR UPDATE TO authenticated
+  USING (has_capability(organization_id, 'canManageUsers') AND can_assign_role(organization_id, role, NULL))
+  WITH CHECK (
+    role <> 'super_admin'
+    AND has_capability(organization_id, 'canManageUsers')
+    AND can_assign_role(organization_id, role, NULL)
+  );
+
+CREATE POLICY "team_managers_delete_invitations" ON invitations
+  FOR DELETE TO authenticated
+  USING (has_capability(organization_id, 'canManageUsers') AND can_assign_role(organization_id, role, NULL));
+
+-- ============================================================================
+-- CUSTOM ROLES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "team_managers_manage_custom_roles" ON custom_roles;
+CREATE POLICY "team_managers_manage_custom_roles" ON custom_roles
+  FOR ALL TO authenticated
+  USING (
+    has_capability(organization_id, 'canManageUsers')
+    AND permissions_within(permissions, current_role_permissions(organization_id))
+  )
+  WITH CHECK (
+    has_capability(organization_id, 'canManageUsers')
+    AND permissions_within(permissions, current_role_permissions(organization_id))
+  );
@@ -0,0 +1,120 @@
+/*
+  # Seat and Integration Limits, Unlimited on Every Plan
+
+  `20251020130000_unlimited_seats_and_integrations` removed the `seats` and `integrations` metrics
+  to keep team members and integrations unlimited, which also removed their enforcement. This
+  brings both metrics back as `20251020050000_plan_limits` describes them (members plus open
+  invitations, and installed integrations), with a limit of -1 on every plan, so a plan can limit
+  them again by changing `plan_limits()` and PLANS in src/lib/billing/plans.js together.
+
+  1. Changes
+    - `plan_limits()` returns `seats` and `integrations` again, -1 (unlimited) on every plan instead
+      of the 3 (Starter) and 25 (Professional) the plan_limits migration set
+    - The seat and integration limit triggers are recreated as in the plan_limits migration
+    - The ledger accepts the `seats` and `integrations` metrics again
+*/
+
+CREATE OR REPLACE FUNCTION plan_limits(p_plan text)
+RETURNS jsonb AS $$
+  SELECT CASE lower(p_plan)
+    WHEN 'professional' THEN '{"workflows": 50, "executions": 10000, "seats": -1, "integrations": -1}'::jsonb
+    WHEN 'enterprise' THEN '{"workflows": -1, "executions": -1, "seats": -1, "integrations": -1}'::jsonb
+    ELSE '{"workflows": 5, "executions": 1000, "seats": -1, "integrations": -1}'::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE usage_ledger DROP CONSTRAINT IF EXISTS usage_ledger_metric_check;
+ALTER TABLE usage_ledger ADD CONSTRAINT usage_ledger_metric_check
+  CHECK (metric IN ('workflows', 'executions', 'seats', 'integrations'));
+
+CREATE OR REPLACE FUNCTION enforce_member_seat_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.organization_id IS NULL OR NEW.is_active IS FALSE OR NEW.role = 'super_admin'
+    OR (TG_OP = 'UPDATE'
+      AND OLD.organization_id IS NOT DISTINCT FROM NEW.organization_id
+      AND OLD.is_active IS NOT FALSE) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'seats');
+  SELECT count(*) + 1 INTO v_count
+  FROM profiles p
+  WHERE p.organization_id = NEW.organization_id
+  AND p.is_active IS NOT FALSE
+  AND p.role <> 'super_admin'
+  AND p.id <> NEW.id;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'seats', v_count);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_member_seat_limit ON profiles;
+CREATE TRIGGER enforce_member_seat_limit
+  BEFORE INSERT OR UPDATE OF organization_id, is_active ON profiles
+  FOR EACH ROW EXECUTE FUNCTION enforce_member_seat_limit();
+
+-- An open invitation holds a seat, so inviting is checked against members plus open invitations
+CREATE OR REPLACE FUNCTION enforce_invitation_seat_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.status <> 'pending' THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'seats');
+  SELECT
+    (SELECT count(*) FROM profiles p
+      WHERE p.organization_id = NEW.organization_id
+      AND p.is_active IS NOT FALSE
+      AND p.role <> 'super_admin')
+    + (SELECT count(*) FROM invitations i
+      WHERE i.organization_id = NEW.organization_id
+      AND i.status = 'pending'
+      AND i.expires_at > now()
+      AND i.id <> NEW.id)
+    + 1
+  INTO v_count;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'seats', v_count, false);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_invitation_seat_limit ON invitations;
+CREATE TRIGGER enforce_invitation_seat_limit
+  BEFORE INSERT ON invitations
+  FOR EACH ROW EXECUTE FUNCTION enforce_invitation_seat_limit();
+
+-- Installing is an upsert, so a reinstalled integration does not count against itself
+CREATE OR REPLACE FUNCTION enforce_integration_limit()
+RETURNS trigger AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.organization_id IS NULL OR NEW.is_active IS FALSE
+    OR (TG_OP = 'UPDATE' AND OLD.is_active IS NOT FALSE) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM lock_plan_usage(NEW.organization_id, 'integrations');
+  SELECT count(*) + 1 INTO v_count
+  FROM organization_integrations oi
+  WHERE oi.organization_id = NEW.organization_id
+  AND oi.is_active IS NOT FALSE
+  AND oi.integration_id <> NEW.integration_id;
+
+  PERFORM enforce_plan_limit(NEW.organization_id, 'integrations', v_count);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_integration_limit ON organization_integrations;
+CREATE TRIGGER enforce_integration_limit
+  BEFORE INSERT OR UPDATE OF is_active ON organization_integrations
+  FOR EACH ROW EXECUTE FUNCTION enforce_integration_limit();
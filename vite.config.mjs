@@ -17,5 +17,9 @@ export default defineConfig({
     host: "0.0.0.0",
     strictPort: true,
     allowedHosts: ['.amazonaws.com', '.builtwithrocket.new']
+  },
+  test: {
+    environment: "node",
+    include: ["src/**/*.test.js"]
   }
 });
\ No newline at end of file